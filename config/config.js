@@ -3,10 +3,34 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+/**
+ * OpenID Connect providers from OIDC_PROVIDERS (comma-separated ids),
+ * each configured with OIDC_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET, _NAME and _SCOPES
+ */
+const parseOidcProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map(id => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+      return {
+        id,
+        name: process.env[`${prefix}NAME`] || id,
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+      };
+    });
+};
+
 const config = {
   // Server Configuration
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
 
   // Database Configuration
   mongodb: {
@@ -26,13 +50,129 @@ const config = {
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRE || '7d'
   },
 
+  // Login sessions (one refresh token per device)
+  sessions: {
+    maxPerUser: 20,
+    // How often an access token's use updates its session's lastUsedAt
+    touchIntervalMs: 5 * 60 * 1000 // 5 minutes
+  },
+
+  // OpenID Connect login (authorization code flow with PKCE)
+  oidc: {
+    providers: parseOidcProviders(),
+    // Client page the providers redirect back to; it posts the code and state to the API
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.CLIENT_URL || 'http://localhost:3000'}/auth/oidc/callback`,
+    stateExpiresMs: 10 * 60 * 1000, // 10 minutes
+    requestTimeoutMs: 10000
+  },
+
+  // Passkeys (WebAuthn)
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Notes App',
+    // Domain the passkeys are bound to, defaults to the client's host
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(process.env.CLIENT_URL || 'http://localhost:3000').hostname,
+    // Origins allowed to run the ceremonies, comma-separated
+    origins: (process.env.WEBAUTHN_ORIGINS || process.env.CLIENT_URL || 'http://localhost:3000')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+    timeoutMs: 60000,
+    challengeExpiresMs: 5 * 60 * 1000, // 5 minutes
+    maxPerUser: 20
+  },
+
+  // Personal access tokens for scripts and integrations
+  accessTokens: {
+    prefix: 'nat_',
+    maxPerUser: 50,
+    maxExpiresInDays: 365,
+    // How often a token's use updates its lastUsedAt
+    touchIntervalMs: 5 * 60 * 1000 // 5 minutes
+  },
+
+  // Per-account lockout after repeated failed logins
+  lockout: {
+    maxAttempts: 5,
+    // Each consecutive lockout doubles the duration, up to the maximum
+    baseDurationMs: 15 * 60 * 1000, // 15 minutes
+    maxDurationMs: 24 * 60 * 60 * 1000, // 24 hours
+    unlockTokenExpiresMs: 24 * 60 * 60 * 1000 // 24 hours
+  },
+
+  // Email address changes
+  emailChange: {
+    // How long the previous address can undo a change
+    revertExpiresMs: 7 * 24 * 60 * 60 * 1000 // 7 days
+  },
+
+  loginHistory: {
+    retentionDays: 90
+  },
+
+  // Audit log of security and data events
+  audit: {
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+    // Upper bound on rows in an admin CSV export
+    exportMaxRows: 100000
+  },
+
+  // Downloadable archives of all of a user's data
+  dataExports: {
+    pollIntervalMs: 30 * 1000, // 30 seconds
+    // An export still processing after this long is assumed crashed and retried
+    processingTimeoutMs: 30 * 60 * 1000, // 30 minutes
+    expiresMs: 7 * 24 * 60 * 60 * 1000 // 7 days
+  },
+
+  // Notes exports (POST /api/notes/export)
+  noteExports: {
+    // Exports of more notes than this are built by the data export worker
+    syncMaxNotes: parseInt(process.env.NOTE_EXPORT_SYNC_MAX_NOTES) || 100
+  },
+
+  // Notes imports (POST /api/notes/import)
+  imports: {
+    maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB
+    maxNotes: parseInt(process.env.IMPORT_MAX_NOTES) || 5000,
+    // Largest single note file (Markdown or Keep JSON), on its own or in an archive,
+    // and largest note in an Evernote export, attachments included
+    maxNoteSize: 2 * 1024 * 1024 // 2MB
+  },
+
+  // Account deletion, carried out after a grace period in which logging in cancels it
+  accountDeletion: {
+    gracePeriodDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30,
+    pollIntervalMs: 60 * 60 * 1000, // 1 hour
+    lockTtlMs: 30 * 60 * 1000, // 30 minutes
+    batchSize: 50
+  },
+
+  // Admin user management
+  admin: {
+    // Lifetime of the reset link sent when an admin forces a password reset
+    forcedResetExpiresMs: 24 * 60 * 60 * 1000 // 24 hours
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Notes App',
+    // Key used to encrypt TOTP secrets at rest
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-2fa-key',
+    challengeSecret: process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET || 'fallback-secret-key'}:2fa-challenge`,
+    challengeExpiresIn: '5m',
+    window: 1, // accepted clock drift in 30 second steps
+    recoveryCodeCount: 10
+  },
+
   // Email Configuration
   email: {
     host: process.env.EMAIL_HOST || 'smtp.gmail.com',
     port: parseInt(process.env.EMAIL_PORT) || 587,
     user: process.env.EMAIL_USER,
     pass: process.env.EMAIL_PASS,
-    from: process.env.EMAIL_FROM || 'noreply@notesapp.com'
+    from: process.env.EMAIL_FROM || 'noreply@notesapp.com',
+    secure: process.env.EMAIL_SECURE === 'true',
+    transport: process.env.EMAIL_TRANSPORT || 'smtp' // smtp, memory or json
   },
 
   // Rate Limiting
@@ -51,10 +191,73 @@ const config = {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000'
   },
 
+  // Note version retention (per plan, can be overridden per user)
+  // keepLast: newest N versions, keepAllDays: everything younger than X days,
+  // keepDailyDays: one snapshot per day for Y days (null = forever, 0 = off)
+  versioning: {
+    defaultPlan: 'free',
+    plans: {
+      free: { keepLast: 10, keepAllDays: 7, keepDailyDays: 30 },
+      pro: { keepLast: 50, keepAllDays: 30, keepDailyDays: 365 },
+      team: { keepLast: 100, keepAllDays: 90, keepDailyDays: null }
+    },
+    // Most lines or words (both texts together) a diff or merge compares
+    maxDiffTokens: 10000
+  },
+
+  // Real-time collaboration (WebSocket)
+  collaboration: {
+    path: process.env.COLLAB_WS_PATH || '/ws',
+    persistIntervalMs: parseInt(process.env.COLLAB_PERSIST_INTERVAL_MS) || 30 * 1000, // 30 seconds
+    heartbeatIntervalMs: 30 * 1000,
+    maxHistory: 1000
+  },
+
+  // Reminder scheduler
+  reminders: {
+    enabled: process.env.REMINDERS_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.REMINDER_POLL_INTERVAL_MS) || 60 * 1000, // 1 minute
+    lockTtlMs: 5 * 60 * 1000, // 5 minutes
+    batchSize: 100,
+    defaultSnoozeMinutes: 10
+  },
+
   // File Upload
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
-    uploadPath: process.env.UPLOAD_PATH || 'uploads/'
+    uploadPath: process.env.UPLOAD_PATH || 'uploads/',
+    maxAttachmentsPerNote: 20,
+    allowedMimeTypes: process.env.UPLOAD_ALLOWED_MIME_TYPES
+      ? process.env.UPLOAD_ALLOWED_MIME_TYPES.split(',').map(type => type.trim())
+      : [
+          'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+          'application/pdf',
+          'text/plain', 'text/markdown', 'text/csv',
+          'application/msword',
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'application/vnd.ms-excel',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'application/zip'
+        ],
+    // Total attachment storage per user (bytes), by plan
+    quotas: {
+      free: 100 * 1024 * 1024, // 100MB
+      pro: 5 * 1024 * 1024 * 1024, // 5GB
+      team: 20 * 1024 * 1024 * 1024 // 20GB
+    }
+  },
+
+  // Attachment storage backend
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local', // 'local' or 's3'
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // set for MinIO and other S3-compatible services
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
   }
 };
 
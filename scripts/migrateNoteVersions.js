@@ -0,0 +1,49 @@
+/**
+ * Move embedded Note.previousVersions into the NoteVersion collection.
+ *
+ * Usage: node scripts/migrateNoteVersions.js [--dry-run]
+ *
+ * Safe to run more than once: snapshots are upserted by note and version,
+ * and the embedded array is only removed after its entries were copied.
+ */
+const database = require('../src/utils/database');
+const logger = require('../src/utils/logger');
+const Note = require('../src/models/Note');
+const NoteVersion = require('../src/models/NoteVersion');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await database.connect();
+
+  const cursor = Note.find({ 'previousVersions.0': { $exists: true } })
+    .select('+previousVersions author contentType')
+    .cursor();
+
+  let notesMigrated = 0;
+  let versionsMigrated = 0;
+  let versionsPruned = 0;
+
+  for (let note = await cursor.next(); note != null; note = await cursor.next()) {
+    if (dryRun) {
+      notesMigrated += 1;
+      versionsMigrated += note.previousVersions.length;
+      continue;
+    }
+
+    versionsMigrated += await NoteVersion.migrateEmbeddedVersions(note);
+    await Note.updateOne({ _id: note._id }, { $unset: { previousVersions: 1 } });
+    versionsPruned += await NoteVersion.applyRetention(note._id, note.author);
+    notesMigrated += 1;
+  }
+
+  logger.info(`${dryRun ? '[dry run] ' : ''}Migrated ${versionsMigrated} versions from ${notesMigrated} notes, pruned ${versionsPruned}`);
+
+  await database.disconnect();
+};
+
+migrate().catch(async (error) => {
+  logger.error('Note version migration failed:', error);
+  await database.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,210 @@
+/**
+ * Minimal OpenID Connect issuer for local development and end-to-end tests
+ * of the OIDC login. It approves every authorization request without a
+ * login page, for the user given as `login_hint` (an email address).
+ *
+ * Usage: node scripts/mockOidcIssuer.js
+ * In tests: const { startMockIssuer } = require('../scripts/mockOidcIssuer')
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT            port to listen on (default 9400)
+ *   MOCK_OIDC_CLIENT_ID       accepted client id (default notes-app)
+ *   MOCK_OIDC_CLIENT_SECRET   accepted client secret (default notes-app-secret)
+ *   MOCK_OIDC_EMAIL           email when there is no login_hint (default mock.user@example.com)
+ *   MOCK_OIDC_EMAIL_VERIFIED  email_verified claim (default true)
+ *
+ * Point the API at it with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:9400
+ *   OIDC_MOCK_CLIENT_ID=notes-app
+ *   OIDC_MOCK_CLIENT_SECRET=notes-app-secret
+ */
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(data))));
+  req.on('error', reject);
+});
+
+const claimsFor = (email, emailVerified) => {
+  const [localPart] = email.split('@');
+  const [givenName, familyName = 'User'] = localPart.split(/[._-]/);
+  const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+  return {
+    sub: `mock-${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16)}`,
+    email,
+    email_verified: emailVerified,
+    given_name: capitalize(givenName),
+    family_name: capitalize(familyName),
+    name: `${capitalize(givenName)} ${capitalize(familyName)}`
+  };
+};
+
+/**
+ * Start the issuer
+ * @param {object} options - port (0 for any free port), clientId, clientSecret,
+ *                           defaultEmail and emailVerified
+ * @returns {Promise<object>} issuer URL, the HTTP server and close()
+ */
+const startMockIssuer = ({
+  port = 9400,
+  clientId = 'notes-app',
+  clientSecret = 'notes-app-secret',
+  defaultEmail = 'mock.user@example.com',
+  emailVerified = true
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  let issuer = null;
+
+  const authorize = (req, res, url) => {
+    const params = Object.fromEntries(url.searchParams);
+
+    if (params.client_id !== clientId || !params.redirect_uri) {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+    }
+
+    const redirect = new URL(params.redirect_uri);
+    if (params.response_type !== 'code' || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+      redirect.searchParams.set('error', 'invalid_request');
+    } else {
+      const code = crypto.randomBytes(24).toString('base64url');
+      codes.set(code, {
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        claims: claimsFor(params.login_hint || defaultEmail, emailVerified),
+        expiresAt: Date.now() + 60 * 1000
+      });
+      redirect.searchParams.set('code', code);
+    }
+
+    if (params.state) redirect.searchParams.set('state', params.state);
+
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  };
+
+  const token = async (req, res) => {
+    const form = await readForm(req);
+    const [basicId, basicSecret] = (req.headers.authorization || '').startsWith('Basic ')
+      ? Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':').map(decodeURIComponent)
+      : [form.client_id, form.client_secret];
+
+    if (basicId !== clientId || basicSecret !== clientSecret) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(form.code);
+    codes.delete(form.code);
+
+    const challenge = form.code_verifier
+      ? crypto.createHash('sha256').update(form.code_verifier).digest('base64url')
+      : null;
+
+    if (
+      form.grant_type !== 'authorization_code' ||
+      !grant ||
+      grant.expiresAt < Date.now() ||
+      grant.redirectUri !== form.redirect_uri ||
+      grant.codeChallenge !== challenge
+    ) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, ...(grant.nonce && { nonce: grant.nonce }) },
+      privateKey,
+      { algorithm: 'RS256', keyid: keyId, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    sendJson(res, 200, {
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer || 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+        return sendJson(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256'],
+          token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+        });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/jwks') {
+        return sendJson(res, 200, {
+          keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }]
+        });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/authorize') {
+        return authorize(req, res, url);
+      }
+
+      if (req.method === 'POST' && url.pathname === '/token') {
+        return await token(req, res);
+      }
+
+      sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+      console.error('Mock OIDC issuer error:', error);
+      sendJson(res, 500, { error: 'server_error' });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      issuer = `http://localhost:${server.address().port}`;
+      resolve({
+        issuer,
+        clientId,
+        clientSecret,
+        server,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  startMockIssuer({
+    port: parseInt(process.env.MOCK_OIDC_PORT) || 9400,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET,
+    defaultEmail: process.env.MOCK_OIDC_EMAIL,
+    emailVerified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false'
+  }).then(({ issuer, clientId, server }) => {
+    console.log(`Mock OIDC issuer listening on ${issuer} (client id: ${clientId})`);
+
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+    process.on('SIGTERM', () => server.close(() => process.exit(0)));
+  });
+}
+
+module.exports = { startMockIssuer };
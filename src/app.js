@@ -6,6 +6,10 @@ const morgan = require('morgan');
 
 // Import utilities and middleware
 const database = require('./utils/database');
+const collaborationServer = require('./realtime/collaborationServer');
+const reminderScheduler = require('./jobs/reminderScheduler');
+const dataExportWorker = require('./jobs/dataExportWorker');
+const accountDeletionScheduler = require('./jobs/accountDeletionScheduler');
 const logger = require('./utils/logger');
 const config = require('../config/config');
 
@@ -25,6 +29,8 @@ const noteRoutes = require('./routes/notes');
 const categoryRoutes = require('./routes/categories');
 const tagRoutes = require('./routes/tags');
 const shareRoutes = require('./routes/share');
+const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
 
 // Handle uncaught exceptions and unhandled rejections
 handleUncaughtException();
@@ -54,7 +60,8 @@ app.use(cors({
   origin: config.cors.origin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'Range'],
+  exposedHeaders: ['ETag', 'Content-Range', 'Accept-Ranges', 'Content-Disposition']
 }));
 
 // Compression middleware
@@ -92,6 +99,8 @@ app.use('/api/notes', noteRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/tags', tagRoutes);
 app.use('/api/shared', shareRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -104,7 +113,9 @@ app.get('/api', (req, res) => {
       notes: '/api/notes',
       categories: '/api/categories',
       tags: '/api/tags',
-      sharing: '/api/shared'
+      sharing: '/api/shared',
+      notifications: '/api/notifications',
+      collaboration: `ws://<host>${config.collaboration.path}/notes/:noteId`
     },
     endpoints: {
       health: '/health',
@@ -115,19 +126,71 @@ app.get('/api', (req, res) => {
         refreshToken: 'POST /api/auth/refresh-token',
         profile: 'GET /api/auth/me',
         updateProfile: 'PUT /api/auth/profile',
+        changeEmail: 'PUT /api/auth/email',
+        revertEmailChange: 'POST /api/auth/email/revert',
         changePassword: 'PUT /api/auth/change-password',
         forgotPassword: 'POST /api/auth/forgot-password',
-        resetPassword: 'POST /api/auth/reset-password'
+        resetPassword: 'POST /api/auth/reset-password',
+        magicLink: 'POST /api/auth/magic-link',
+        verifyMagicLink: 'POST /api/auth/magic-link/verify',
+        passkeyLoginOptions: 'POST /api/auth/login/passkey/options',
+        passkeyLogin: 'POST /api/auth/login/passkey',
+        passkeys: 'GET /api/auth/passkeys',
+        passkeyRegistrationOptions: 'POST /api/auth/passkeys/register/options',
+        registerPasskey: 'POST /api/auth/passkeys/register',
+        renamePasskey: 'PUT /api/auth/passkeys/:id',
+        deletePasskey: 'DELETE /api/auth/passkeys/:id',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:sessionId',
+        revokeOtherSessions: 'POST /api/auth/sessions/revoke-others',
+        unlockAccount: 'POST /api/auth/unlock-account',
+        loginHistory: 'GET /api/auth/login-history',
+        audit: 'GET /api/auth/audit',
+        requestDataExport: 'POST /api/auth/exports',
+        dataExports: 'GET /api/auth/exports',
+        dataExport: 'GET /api/auth/exports/:id',
+        downloadDataExport: 'GET /api/auth/exports/:id/download',
+        deleteAccount: 'DELETE /api/auth/account',
+        accessTokens: 'GET /api/auth/tokens',
+        createAccessToken: 'POST /api/auth/tokens',
+        revokeAccessToken: 'DELETE /api/auth/tokens/:id',
+        oidcProviders: 'GET /api/auth/oidc/providers',
+        oidcAuthorize: 'POST /api/auth/oidc/:provider/authorize',
+        oidcCallback: 'POST /api/auth/oidc/callback',
+        identities: 'GET /api/auth/identities',
+        linkIdentity: 'POST /api/auth/identities/:provider',
+        unlinkIdentity: 'DELETE /api/auth/identities/:provider'
       },
       notes: {
         list: 'GET /api/notes',
         create: 'POST /api/notes',
-        get: 'GET /api/notes/:id',
+        get: 'GET /api/notes/:id?render=html',
         update: 'PUT /api/notes/:id',
         delete: 'DELETE /api/notes/:id',
         stats: 'GET /api/notes/stats',
         shared: 'GET /api/notes/shared',
-        collaborated: 'GET /api/notes/collaborated'
+        collaborated: 'GET /api/notes/collaborated',
+        exportNotes: 'POST /api/notes/export',
+        exportNote: 'GET /api/notes/:id/export?format=markdown|html|pdf',
+        importNotes: 'POST /api/notes/import',
+        versions: 'GET /api/notes/:id/versions',
+        version: 'GET /api/notes/:id/versions/:version',
+        diffVersions: 'GET /api/notes/:id/versions/diff?from=&to=&mode=line|word',
+        restoreVersion: 'POST /api/notes/:id/versions/:version/restore',
+        setReminder: 'PUT /api/notes/:id/reminder',
+        snoozeReminder: 'POST /api/notes/:id/reminder/snooze',
+        dismissReminder: 'POST /api/notes/:id/reminder/dismiss',
+        removeReminder: 'DELETE /api/notes/:id/reminder',
+        attachments: 'GET /api/notes/:id/attachments',
+        uploadAttachment: 'POST /api/notes/:id/attachments',
+        downloadAttachment: 'GET /api/notes/:id/attachments/:attachmentId',
+        deleteAttachment: 'DELETE /api/notes/:id/attachments/:attachmentId',
+        comments: 'GET /api/notes/:id/comments',
+        addComment: 'POST /api/notes/:id/comments',
+        updateComment: 'PUT /api/notes/:id/comments/:commentId',
+        deleteComment: 'DELETE /api/notes/:id/comments/:commentId',
+        resolveComment: 'PUT /api/notes/:id/comments/:commentId/resolve',
+        unresolveComment: 'PUT /api/notes/:id/comments/:commentId/unresolve'
       },
       categories: {
         list: 'GET /api/categories',
@@ -149,7 +212,30 @@ app.get('/api', (req, res) => {
         stats: 'GET /api/tags/stats'
       },
       sharing: {
-        getShared: 'GET /api/shared/:shareId'
+        getShared: 'GET /api/shared/:shareId?render=html',
+        updateShared: 'PUT /api/shared/:shareId',
+        getSharedComments: 'GET /api/shared/:shareId/comments',
+        addSharedComment: 'POST /api/shared/:shareId/comments'
+      },
+      notifications: {
+        list: 'GET /api/notifications?unread=true',
+        markRead: 'PUT /api/notifications/:id/read',
+        markAllRead: 'PUT /api/notifications/read-all',
+        delete: 'DELETE /api/notifications/:id',
+        settings: 'GET /api/notifications/settings',
+        updateSettings: 'PUT /api/notifications/settings'
+      },
+      admin: {
+        users: 'GET /api/admin/users',
+        getUser: 'GET /api/admin/users/:id',
+        deactivate: 'POST /api/admin/users/:id/deactivate',
+        reactivate: 'POST /api/admin/users/:id/reactivate',
+        forcePasswordReset: 'POST /api/admin/users/:id/force-password-reset',
+        revokeSessions: 'POST /api/admin/users/:id/revoke-sessions',
+        changeRole: 'PUT /api/admin/users/:id/role',
+        actions: 'GET /api/admin/actions',
+        audit: 'GET /api/admin/audit',
+        auditExport: 'GET /api/admin/audit/export'
       }
     }
   });
@@ -174,8 +260,21 @@ const startServer = async () => {
       logger.info(`API documentation available at http://localhost:${config.port}/api`);
     });
 
+    // Real-time collaborative editing
+    collaborationServer.attach(server);
+
+    // Background jobs
+    reminderScheduler.start();
+    dataExportWorker.start();
+    accountDeletionScheduler.start();
+
     // Handle graceful shutdown
-    handleGracefulShutdown(server);
+    handleGracefulShutdown(server, () => Promise.all([
+      collaborationServer.close(),
+      reminderScheduler.stop(),
+      dataExportWorker.stop(),
+      accountDeletionScheduler.stop()
+    ]));
 
     return server;
   } catch (error) {
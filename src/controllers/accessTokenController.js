@@ -0,0 +1,125 @@
+const AccessToken = require('../models/AccessToken');
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Public representation of an access token (never includes the token itself)
+ */
+const formatAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  isExpired: accessToken.isExpired,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  createdAt: accessToken.createdAt
+});
+
+/**
+ * @desc    Get personal access tokens of the user
+ * @route   GET /api/auth/tokens
+ * @access  Private
+ */
+const getAccessTokens = asyncHandler(async (req, res) => {
+  const accessTokens = await AccessToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      tokens: accessTokens.map(formatAccessToken),
+      availableScopes: AccessToken.SCOPES
+    }
+  });
+});
+
+/**
+ * @desc    Create a personal access token
+ * @route   POST /api/auth/tokens
+ * @access  Private
+ */
+const createAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const count = await AccessToken.countDocuments({ user: req.user._id });
+  if (count >= config.accessTokens.maxPerUser) {
+    throw new AppError(`You can have at most ${config.accessTokens.maxPerUser} access tokens`, 400);
+  }
+
+  const { token, tokenHash, prefix } = AccessToken.generate();
+
+  const accessToken = await AccessToken.create({
+    user: req.user._id,
+    name,
+    tokenHash,
+    prefix,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null
+  });
+
+  await AuditEvent.record(req, {
+    action: 'access_token.created',
+    targetType: 'access_token',
+    targetId: accessToken._id,
+    after: {
+      name: accessToken.name,
+      scopes: accessToken.scopes,
+      expiresAt: accessToken.expiresAt
+    }
+  });
+
+  logger.info(`Access token "${name}" created by ${req.user.email} with scopes ${accessToken.scopes.join(', ')}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Access token created. Copy it now, it will not be shown again.',
+    data: {
+      token,
+      accessToken: formatAccessToken(accessToken)
+    }
+  });
+});
+
+/**
+ * @desc    Revoke a personal access token
+ * @route   DELETE /api/auth/tokens/:id
+ * @access  Private
+ */
+const revokeAccessToken = asyncHandler(async (req, res) => {
+  const accessToken = await AccessToken.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!accessToken) {
+    throw new AppError('Access token not found', 404);
+  }
+
+  await AuditEvent.record(req, {
+    action: 'access_token.revoked',
+    targetType: 'access_token',
+    targetId: accessToken._id,
+    before: {
+      name: accessToken.name,
+      scopes: accessToken.scopes
+    }
+  });
+
+  logger.info(`Access token "${accessToken.name}" revoked by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Access token revoked successfully'
+  });
+});
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+};
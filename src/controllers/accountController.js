@@ -0,0 +1,52 @@
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+
+/**
+ * @desc    Schedule the account for deletion after the grace period and log out everywhere
+ * @route   DELETE /api/auth/account
+ * @access  Private
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  // Accounts created through a login provider may not have a password to confirm
+  if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+    throw new AppError('Password is incorrect', 401);
+  }
+
+  if (user.deletionScheduledFor) {
+    throw new AppError('Account is already scheduled for deletion', 400);
+  }
+
+  user.scheduleDeletion();
+  user.refreshTokens = [];
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'user.deletion_requested',
+    targetType: 'user',
+    targetId: user._id,
+    after: { deletionScheduledFor: user.deletionScheduledFor }
+  });
+
+  mailer.sendAccountDeletionScheduledEmail(user).catch(error => {
+    logger.error(`Failed to send account deletion email to ${user.email}:`, error);
+  });
+
+  logger.info(`Account deletion requested by ${user.email}, scheduled for ${user.deletionScheduledFor.toISOString()}`);
+
+  res.json({
+    success: true,
+    message: 'Account scheduled for deletion. Log in before then to cancel.',
+    data: {
+      deletionScheduledFor: user.deletionScheduledFor
+    }
+  });
+});
+
+module.exports = {
+  deleteAccount
+};
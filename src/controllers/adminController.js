@@ -0,0 +1,386 @@
+const User = require('../models/User');
+const AccessToken = require('../models/AccessToken');
+const AdminAction = require('../models/AdminAction');
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPaginationMeta, escapeRegExp } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const config = require('../../config/config');
+
+// Audit event of each admin action
+const AUDIT_ACTIONS = {
+  deactivate: 'admin.user_deactivated',
+  reactivate: 'admin.user_reactivated',
+  force_password_reset: 'admin.password_reset_forced',
+  revoke_sessions: 'admin.sessions_revoked',
+  change_role: 'admin.role_changed'
+};
+
+const SORT_OPTIONS = {
+  created: { createdAt: -1 },
+  lastLogin: { lastLoginAt: -1 },
+  email: { email: 1 },
+  name: { lastName: 1, firstName: 1 }
+};
+
+/**
+ * Account details shown to administrators
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  plan: user.plan,
+  isActive: user.isActive,
+  isEmailVerified: user.isEmailVerified,
+  isLocked: user.isLocked,
+  passwordResetRequired: user.passwordResetRequired,
+  twoFactorEnabled: user.twoFactor.enabled,
+  activeSessions: user.refreshTokens.length,
+  lastLoginAt: user.lastLoginAt,
+  loginCount: user.loginCount,
+  createdAt: user.createdAt
+});
+
+/**
+ * Load the target user of an admin action
+ */
+const findTargetUser = async (id) => {
+  const user = await User.findById(id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Admins can't lock themselves out, so there is always someone to undo it
+ */
+const rejectSelf = (req, user, message) => {
+  if (user._id.equals(req.user._id)) {
+    throw new AppError(message, 400);
+  }
+};
+
+/**
+ * Record an admin action on a user, in the admin log and the user's audit trail
+ */
+const recordAction = async (req, user, action, { details, before, after } = {}) => {
+  const entry = await AdminAction.create({
+    actor: req.user._id,
+    target: user._id,
+    action,
+    reason: req.body.reason,
+    details,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await AuditEvent.record(req, {
+    action: AUDIT_ACTIONS[action],
+    targetType: 'user',
+    targetId: user._id,
+    user: user._id,
+    before,
+    after,
+    metadata: { reason: req.body.reason, ...details }
+  });
+
+  logger.info(`Admin ${req.user.email} performed ${action} on ${user.email}: ${req.body.reason}`);
+
+  return entry;
+};
+
+/**
+ * @desc    Search users
+ * @route   GET /api/admin/users
+ * @access  Private (Admin)
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    q,
+    role,
+    isActive,
+    isEmailVerified,
+    lastLoginFrom,
+    lastLoginTo,
+    sortBy = 'created'
+  } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    query.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+  }
+  if (role) query.role = role;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (isEmailVerified !== undefined) query.isEmailVerified = isEmailVerified === 'true';
+  if (lastLoginFrom || lastLoginTo) {
+    query.lastLoginAt = {};
+    if (lastLoginFrom) query.lastLoginAt.$gte = new Date(lastLoginFrom);
+    if (lastLoginTo) query.lastLoginAt.$lte = new Date(lastLoginTo);
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .sort(SORT_OPTIONS[sortBy] || SORT_OPTIONS.created)
+      .skip(skip)
+      .limit(limitNum),
+    User.countDocuments(query)
+  ]);
+
+  const pagination = getPaginationMeta(pageNum, limitNum, total);
+
+  res.json({
+    success: true,
+    data: {
+      users: users.map(formatUser),
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Get a user with the latest admin actions on the account
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Admin)
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req.params.id);
+
+  const actions = await AdminAction.find({ target: user._id })
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .populate('actor', 'firstName lastName email');
+
+  res.json({
+    success: true,
+    data: {
+      user: formatUser(user),
+      actions
+    }
+  });
+});
+
+/**
+ * @desc    Deactivate a user and log them out everywhere
+ * @route   POST /api/admin/users/:id/deactivate
+ * @access  Private (Admin)
+ */
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req.params.id);
+  rejectSelf(req, user, 'You cannot deactivate your own account');
+
+  if (!user.isActive) {
+    throw new AppError('User is already deactivated', 400);
+  }
+
+  user.isActive = false;
+  user.refreshTokens = [];
+  await user.save();
+
+  await recordAction(req, user, 'deactivate', {
+    before: { isActive: true },
+    after: { isActive: false }
+  });
+
+  res.json({
+    success: true,
+    message: 'User deactivated successfully',
+    data: {
+      user: formatUser(user)
+    }
+  });
+});
+
+/**
+ * @desc    Reactivate a deactivated user
+ * @route   POST /api/admin/users/:id/reactivate
+ * @access  Private (Admin)
+ */
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req.params.id);
+
+  if (user.isActive) {
+    throw new AppError('User is already active', 400);
+  }
+
+  user.isActive = true;
+  await user.save();
+
+  await recordAction(req, user, 'reactivate', {
+    before: { isActive: false },
+    after: { isActive: true }
+  });
+
+  res.json({
+    success: true,
+    message: 'User reactivated successfully',
+    data: {
+      user: formatUser(user)
+    }
+  });
+});
+
+/**
+ * @desc    Require a new password: log the user out and email a reset link
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private (Admin)
+ */
+const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req.params.id);
+
+  const resetToken = user.generatePasswordResetToken(config.admin.forcedResetExpiresMs);
+  user.passwordResetRequired = true;
+  user.refreshTokens = [];
+  await user.save();
+
+  // Personal access tokens would otherwise keep working without a password
+  const { deletedCount: revokedAccessTokens } = await AccessToken.deleteMany({ user: user._id });
+
+  await recordAction(req, user, 'force_password_reset', {
+    details: { revokedAccessTokens },
+    after: { passwordResetRequired: true }
+  });
+
+  let emailSent = true;
+  try {
+    await mailer.sendPasswordResetRequiredEmail(user, resetToken);
+  } catch (error) {
+    // The user can still request a new link from the login page
+    emailSent = false;
+    logger.error(`Failed to send password reset required email to ${user.email}:`, error);
+  }
+
+  res.json({
+    success: true,
+    message: emailSent
+      ? 'Password reset required, the user has been emailed a reset link'
+      : 'Password reset required, but the reset email could not be sent',
+    data: {
+      user: formatUser(user),
+      emailSent,
+      revokedAccessTokens
+    }
+  });
+});
+
+/**
+ * @desc    Log a user out on all devices and revoke their personal access tokens
+ * @route   POST /api/admin/users/:id/revoke-sessions
+ * @access  Private (Admin)
+ */
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req.params.id);
+
+  const revoked = user.refreshTokens.length;
+  user.refreshTokens = [];
+  await user.save();
+
+  const { deletedCount: revokedAccessTokens } = await AccessToken.deleteMany({ user: user._id });
+
+  await recordAction(req, user, 'revoke_sessions', { details: { revoked, revokedAccessTokens } });
+
+  res.json({
+    success: true,
+    message: `${revoked} session(s) and ${revokedAccessTokens} access token(s) revoked`,
+    data: {
+      revoked,
+      revokedAccessTokens
+    }
+  });
+});
+
+/**
+ * @desc    Change the role of a user
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (Admin)
+ */
+const changeUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  const user = await findTargetUser(req.params.id);
+  rejectSelf(req, user, 'You cannot change your own role');
+
+  if (user.role === role) {
+    throw new AppError(`User already has the ${role} role`, 400);
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await recordAction(req, user, 'change_role', {
+    details: { from: previousRole, to: role },
+    before: { role: previousRole },
+    after: { role }
+  });
+
+  res.json({
+    success: true,
+    message: 'Role changed successfully',
+    data: {
+      user: formatUser(user)
+    }
+  });
+});
+
+/**
+ * @desc    Get the log of admin actions
+ * @route   GET /api/admin/actions
+ * @access  Private (Admin)
+ */
+const getAdminActions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, actor, target, action } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = {};
+  if (actor) query.actor = actor;
+  if (target) query.target = target;
+  if (action) query.action = action;
+
+  const [actions, total] = await Promise.all([
+    AdminAction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('actor', 'firstName lastName email')
+      .populate('target', 'firstName lastName email'),
+    AdminAction.countDocuments(query)
+  ]);
+
+  const pagination = getPaginationMeta(pageNum, limitNum, total);
+
+  res.json({
+    success: true,
+    data: {
+      actions,
+      pagination
+    }
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  revokeUserSessions,
+  changeUserRole,
+  getAdminActions
+};
@@ -0,0 +1,216 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { getStorage } = require('../storage');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { parseRange, formatFileSize, contentDisposition } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Public representation of an attachment
+ */
+const formatAttachment = (note, attachment) => ({
+  _id: attachment._id,
+  originalName: attachment.originalName,
+  mimetype: attachment.mimetype,
+  size: attachment.size,
+  uploadedBy: attachment.uploadedBy,
+  uploadedAt: attachment.uploadedAt,
+  url: `/api/notes/${note._id}/attachments/${attachment._id}`
+});
+
+/**
+ * Find an attachment of the note in the request or fail with 404
+ */
+const findAttachment = (note, attachmentId) => {
+  const attachment = note.attachments.id(attachmentId);
+
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404);
+  }
+
+  return attachment;
+};
+
+/**
+ * @desc    Get attachments of a note
+ * @route   GET /api/notes/:id/attachments
+ * @access  Private
+ */
+const getAttachments = asyncHandler(async (req, res) => {
+  const note = req.resource;
+
+  res.json({
+    success: true,
+    data: {
+      attachments: note.attachments.map(attachment => formatAttachment(note, attachment))
+    }
+  });
+});
+
+/**
+ * @desc    Upload an attachment to a note
+ * @route   POST /api/notes/:id/attachments
+ * @access  Private
+ */
+const uploadAttachment = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  const { originalname, mimetype, size, buffer } = req.file;
+
+  if (note.attachments.length >= config.upload.maxAttachmentsPerNote) {
+    throw new AppError(`A note can have at most ${config.upload.maxAttachmentsPerNote} attachments`, 400);
+  }
+
+  // Attachments count against the note owner's quota, whoever uploads them
+  const owner = await User.findById(note.author);
+  if (!owner) {
+    throw new AppError('Note owner not found', 404);
+  }
+
+  const quota = owner.getStorageQuota();
+  const reserved = await User.reserveStorage(owner._id, size, quota);
+  if (!reserved) {
+    throw new AppError(
+      `Storage quota exceeded (${formatFileSize(owner.storageUsed)} of ${formatFileSize(quota)} used)`,
+      413
+    );
+  }
+
+  const storage = getStorage();
+  const key = `${owner._id}/${note._id}/${uuidv4()}${path.extname(originalname).toLowerCase()}`;
+  const attachment = {
+    filename: path.basename(key),
+    originalName: originalname,
+    mimetype,
+    size,
+    path: key,
+    storage: storage.name,
+    uploadedBy: req.user._id,
+    uploadedAt: new Date()
+  };
+
+  let updated;
+  try {
+    await storage.put(key, buffer, { contentType: mimetype });
+
+    // Push atomically so concurrent note edits are not overwritten
+    updated = await Note.findOneAndUpdate(
+      { _id: note._id, isDeleted: false },
+      { $push: { attachments: attachment } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Note not found', 404);
+    }
+  } catch (error) {
+    await User.releaseStorage(owner._id, size);
+    await storage.delete(key).catch(cleanupError => {
+      logger.error(`Failed to remove orphaned attachment ${key}:`, cleanupError);
+    });
+    throw error;
+  }
+
+  const saved = updated.attachments[updated.attachments.length - 1];
+
+  logger.info(`Attachment ${originalname} (${formatFileSize(size)}) added to note ${note._id} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment uploaded successfully',
+    data: {
+      attachment: formatAttachment(updated, saved)
+    }
+  });
+});
+
+/**
+ * @desc    Download an attachment (supports Range requests)
+ * @route   GET /api/notes/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const attachment = findAttachment(req.resource, req.params.attachmentId);
+  const { size } = attachment;
+  const range = req.headers.range ? parseRange(req.headers.range, size) : null;
+
+  if (range && range.unsatisfiable) {
+    res.set('Content-Range', `bytes */${size}`);
+    throw new AppError('Requested range not satisfiable', 416);
+  }
+
+  let stream;
+  try {
+    stream = await getStorage(attachment.storage).get(attachment.path, range || {});
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Attachment ${attachment._id} is missing from ${attachment.storage} storage`);
+      throw new AppError('Attachment file not found', 404);
+    }
+    throw error;
+  }
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Content-Type': attachment.mimetype,
+    'Content-Disposition': contentDisposition(attachment.originalName),
+    'Cache-Control': 'private, max-age=0'
+  });
+
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.set('Content-Length', size);
+  }
+
+  stream.on('error', (error) => {
+    logger.error(`Failed to stream attachment ${attachment._id}:`, error);
+    res.destroy(error);
+  });
+
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Delete an attachment
+ * @route   DELETE /api/notes/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  const attachment = findAttachment(note, req.params.attachmentId);
+
+  const updated = await Note.findOneAndUpdate(
+    { _id: note._id, 'attachments._id': attachment._id },
+    { $pull: { attachments: { _id: attachment._id } } }
+  );
+
+  // Removed concurrently, the other request released the storage
+  if (!updated) {
+    throw new AppError('Attachment not found', 404);
+  }
+
+  await User.releaseStorage(note.author, attachment.size);
+  await getStorage(attachment.storage).delete(attachment.path).catch(error => {
+    logger.error(`Failed to remove attachment file ${attachment.path}:`, error);
+  });
+
+  logger.info(`Attachment ${attachment.originalName} removed from note ${note._id} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Attachment deleted successfully'
+  });
+});
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -0,0 +1,220 @@
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getPaginationMeta } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'actorId',
+  'actorEmail',
+  'userId',
+  'userEmail',
+  'targetType',
+  'targetId',
+  'before',
+  'after',
+  'metadata',
+  'ip',
+  'userAgent'
+];
+
+/**
+ * Build the audit query from the filters every audit endpoint supports
+ */
+const buildQuery = ({ action, targetType, targetId, from, to }) => {
+  const query = {};
+
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+/**
+ * Build the audit query of the admin endpoints, which can also filter by user
+ */
+const buildAdminQuery = (filters) => {
+  const query = buildQuery(filters);
+
+  if (filters.actor) query.actor = filters.actor;
+  if (filters.user) query.user = filters.user;
+
+  return query;
+};
+
+/**
+ * Quote a CSV field; fields that a spreadsheet would run as a formula are prefixed with '
+ */
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (event) => {
+  const actor = event.actor || {};
+  const user = event.user || {};
+
+  return [
+    event.createdAt,
+    event.action,
+    actor._id,
+    actor.email,
+    user._id,
+    user.email,
+    event.targetType,
+    event.targetId,
+    event.changes && event.changes.before,
+    event.changes && event.changes.after,
+    event.metadata,
+    event.ip,
+    event.userAgent
+  ].map(csvField).join(',');
+};
+
+/**
+ * @desc    Get the audit trail of the user's account
+ * @route   GET /api/auth/audit
+ * @access  Private
+ */
+const getMyAuditEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { ...buildQuery(req.query), user: req.user._id };
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(query)
+      .select('-user -__v')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('actor', 'firstName lastName email'),
+    AuditEvent.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      pagination: getPaginationMeta(pageNum, limitNum, total)
+    }
+  });
+});
+
+/**
+ * @desc    Query audit events of all users
+ * @route   GET /api/admin/audit
+ * @access  Private (Admin)
+ */
+const getAuditEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = buildAdminQuery(req.query);
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(query)
+      .select('-__v')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('actor', 'firstName lastName email')
+      .populate('user', 'firstName lastName email'),
+    AuditEvent.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      pagination: getPaginationMeta(pageNum, limitNum, total)
+    }
+  });
+});
+
+/**
+ * @desc    Export audit events as CSV (same filters as the query endpoint)
+ * @route   GET /api/admin/audit/export
+ * @access  Private (Admin)
+ */
+const exportAuditEvents = asyncHandler(async (req, res) => {
+  const query = buildAdminQuery(req.query);
+
+  const cursor = AuditEvent.find(query)
+    .sort({ createdAt: -1 })
+    .limit(config.audit.exportMaxRows)
+    .populate('actor', 'email')
+    .populate('user', 'email')
+    .lean()
+    .cursor();
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+    'Cache-Control': 'no-store'
+  });
+  res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+  let rows = 0;
+  try {
+    for await (const event of cursor) {
+      // Respect backpressure so a large export doesn't pile up in memory
+      if (!res.write(`${toCsvRow(event)}\n`)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      if (res.destroyed) {
+        await cursor.close();
+        return;
+      }
+      rows += 1;
+    }
+  } catch (error) {
+    // Headers are already sent, so the export can only be cut short
+    logger.error('Audit export failed:', error);
+    return res.destroy(error);
+  }
+
+  res.end();
+
+  logger.info(`Audit export of ${rows} event(s) by ${req.user.email}`);
+});
+
+module.exports = {
+  getMyAuditEvents,
+  getAuditEvents,
+  exportAuditEvents
+};
@@ -1,9 +1,77 @@
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AccessToken = require('../models/AccessToken');
+const LoginEvent = require('../models/LoginEvent');
+const AuditEvent = require('../models/AuditEvent');
+const OAuthState = require('../models/OAuthState');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPaginationMeta } = require('../utils/helpers');
+const oidc = require('../utils/oidc');
+const webauthn = require('../utils/webauthn');
 const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
 const config = require('../../config/config');
 
+/**
+ * Device details recorded on a new session
+ */
+const getClientInfo = (req) => ({
+  deviceName: req.body.deviceName,
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+/**
+ * Device id the client sent back from an earlier login, or a new one for it to keep
+ */
+const getDeviceId = (req) => req.body.deviceId || LoginEvent.generateDeviceId();
+
+/**
+ * Record a failed login attempt against an account, locking it and emailing
+ * an unlock link once too many attempts failed in a row
+ */
+const handleFailedLogin = async (user, req, reason) => {
+  const unlockToken = await user.registerFailedLogin();
+
+  await LoginEvent.record({
+    user: user._id,
+    email: user.email,
+    success: false,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (unlockToken) {
+    logger.warn(`Account locked after repeated failed logins: ${user.email} (until ${user.lockUntil.toISOString()})`);
+
+    mailer.sendAccountLockedEmail(user, unlockToken, user.lockUntil).catch(error => {
+      logger.error(`Failed to send account locked email to ${user.email}:`, error);
+    });
+  }
+};
+
+/**
+ * Fail the login of a locked account
+ */
+const rejectLockedAccount = async (user, req) => {
+  await LoginEvent.record({
+    user: user._id,
+    email: user.email,
+    success: false,
+    reason: 'account_locked',
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  throw new AppError(
+    'Account is temporarily locked after too many failed login attempts. Try again later or use the unlock link sent to your email.',
+    423
+  );
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -26,17 +94,46 @@ const register = asyncHandler(async (req, res) => {
     password
   });
 
-  // Generate tokens
-  const accessToken = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  await AuditEvent.record(req, {
+    action: 'user.registered',
+    targetType: 'user',
+    targetId: user._id,
+    actor: user._id,
+    metadata: { method: 'password' }
+  });
 
-  // Save refresh token
-  await user.addRefreshToken(refreshToken);
+  // Start a session for this device
+  const { accessToken, refreshToken } = await user.createSession(getClientInfo(req));
+
+  // Remember the device, so logging in from it later doesn't trigger an alert
+  const deviceId = getDeviceId(req);
+  await LoginEvent.record({
+    user: user._id,
+    email: user.email,
+    success: true,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceId
+  });
 
   // Generate email verification token
   const verificationToken = user.generateEmailVerificationToken();
   await user.save();
 
+  // Registration should not fail because the mail server is unavailable.
+  // The verification email goes first and on its own, as the user can't verify without it.
+  try {
+    await mailer.sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${email}:`, error);
+  }
+
+  try {
+    await mailer.sendWelcomeEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send welcome email to ${email}:`, error);
+  }
+
   logger.info(`New user registered: ${email}`);
 
   res.status(201).json({
@@ -55,13 +152,127 @@ const register = asyncHandler(async (req, res) => {
       tokens: {
         accessToken,
         refreshToken
-      }
+      },
+      deviceId
     }
   });
 });
 
 /**
- * @desc    Login user
+ * Refuse to sign in an account an admin forced into a password reset,
+ * whichever login method was used
+ */
+const rejectIfPasswordResetRequired = (user) => {
+  if (user.passwordResetRequired) {
+    throw new AppError('You must reset your password before logging in. Check your email for the reset link.', 403);
+  }
+};
+
+/**
+ * Issue tokens for an authenticated user and send the login response
+ */
+const completeLogin = async (user, req, res) => {
+  rejectIfPasswordResetRequired(user);
+
+  // Start a session for this device
+  const { accessToken, refreshToken } = await user.createSession(getClientInfo(req));
+
+  // Update login statistics
+  user.lastLoginAt = new Date();
+  user.loginCount += 1;
+  user.resetFailedLogins();
+
+  // Logging in during the grace period keeps the account
+  const scheduledFor = user.deletionScheduledFor;
+  const deletionCancelled = user.cancelDeletion();
+  await user.save();
+
+  logger.info(`User logged in: ${user.email}`);
+
+  if (deletionCancelled) {
+    logger.info(`Account deletion cancelled by login: ${user.email}`);
+
+    await AuditEvent.record(req, {
+      action: 'user.deletion_cancelled',
+      targetType: 'user',
+      targetId: user._id,
+      actor: user._id,
+      before: { deletionScheduledFor: scheduledFor.toISOString() },
+      after: { deletionScheduledFor: null }
+    });
+
+    mailer.sendAccountDeletionCancelledEmail(user).catch(error => {
+      logger.error(`Failed to send account deletion cancelled email to ${user.email}:`, error);
+    });
+  }
+
+  const deviceId = getDeviceId(req);
+  const event = await LoginEvent.record({
+    user: user._id,
+    email: user.email,
+    success: true,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceId
+  });
+
+  if (event && event.newDevice) {
+    mailer.sendNewDeviceLoginEmail(user, event).catch(error => {
+      logger.error(`Failed to send new device alert to ${user.email}:`, error);
+    });
+  }
+
+  res.json({
+    success: true,
+    message: deletionCancelled ? 'Login successful, account deletion cancelled' : 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        role: user.role,
+        preferences: user.preferences,
+        twoFactorEnabled: user.twoFactor.enabled,
+        lastLoginAt: user.lastLoginAt
+      },
+      tokens: {
+        accessToken,
+        refreshToken
+      },
+      deviceId
+    }
+  });
+};
+
+/**
+ * Continue the login of a user whose first factor checked out:
+ * ask for the second factor if enabled, otherwise issue tokens
+ */
+const signIn = async (user, req, res) => {
+  rejectIfPasswordResetRequired(user);
+
+  // Second step: POST /api/auth/login/2fa with the challenge token and a code
+  if (user.twoFactor.enabled) {
+    logger.info(`Two-factor challenge issued for: ${user.email}`);
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: user.generateTwoFactorChallenge(),
+        expiresIn: config.twoFactor.challengeExpiresIn
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
+/**
+ * @desc    Login user (returns a challenge token instead when two-factor authentication is enabled)
  * @route   POST /api/auth/login
  * @access  Public
  */
@@ -71,52 +282,421 @@ const login = asyncHandler(async (req, res) => {
   // Find user and include password
   const user = await User.findByEmail(email).select('+password');
   if (!user) {
+    await LoginEvent.record({
+      email,
+      success: false,
+      reason: 'unknown_user',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
     throw new AppError('Invalid credentials', 401);
   }
 
   // Check if account is active
   if (!user.isActive) {
+    await LoginEvent.record({
+      user: user._id,
+      email: user.email,
+      success: false,
+      reason: 'account_deactivated',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
     throw new AppError('Account is deactivated', 401);
   }
 
+  // Checked before the password, so a lock can't be used to confirm guesses
+  if (user.isLocked) {
+    await rejectLockedAccount(user, req);
+  }
+
   // Check password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    await handleFailedLogin(user, req, 'invalid_password');
     throw new AppError('Invalid credentials', 401);
   }
 
-  // Generate tokens
-  const accessToken = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  await signIn(user, req, res);
+});
 
-  // Save refresh token
-  await user.addRefreshToken(refreshToken);
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, config.twoFactor.challengeSecret);
+  } catch (error) {
+    throw new AppError('Invalid or expired challenge, please login again', 401);
+  }
 
-  // Update login statistics
-  user.lastLoginAt = new Date();
-  user.loginCount += 1;
+  const user = await User.findById(decoded.id);
+  if (!user || decoded.type !== '2fa_challenge' || !user.isActive || !user.twoFactor.enabled) {
+    throw new AppError('Invalid or expired challenge, please login again', 401);
+  }
+
+  if (user.isLocked) {
+    await rejectLockedAccount(user, req);
+  }
+
+  const method = await user.verifySecondFactor({ code, recoveryCode });
+  if (!method) {
+    await handleFailedLogin(user, req, 'invalid_two_factor');
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  if (method === 'recovery') {
+    logger.warn(`Recovery code used to login: ${user.email}`);
+  }
+
+  await completeLogin(user, req, res);
+});
+
+/**
+ * @desc    Start a passkey login (returns options for navigator.credentials.get())
+ * @route   POST /api/auth/login/passkey/options
+ * @access  Public
+ */
+const getPasskeyLoginOptions = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // With an email, offer that account's passkeys; without, the browser lists discoverable ones
+  const user = email ? await User.findByEmail(email) : null;
+  const options = await webauthn.createAuthenticationOptions(user && user.isActive ? user.passkeys : []);
+
+  await WebAuthnChallenge.create({
+    challenge: options.challenge,
+    type: 'authentication',
+    user: user ? user._id : null
+  });
+
+  res.json({
+    success: true,
+    data: {
+      options
+    }
+  });
+});
+
+/**
+ * @desc    Login with a passkey assertion (a user-verified passkey needs no second factor)
+ * @route   POST /api/auth/login/passkey
+ * @access  Public
+ */
+const verifyPasskeyLogin = asyncHandler(async (req, res) => {
+  const { response } = req.body;
+
+  const challenge = await WebAuthnChallenge.consume(webauthn.getResponseChallenge(response), 'authentication');
+  if (!challenge) {
+    throw new AppError('Passkey login is invalid or expired, please try again', 400);
+  }
+
+  const user = await User.findByPasskey(response.id);
+  if (!user || (challenge.user && !challenge.user.equals(user._id))) {
+    throw new AppError('Passkey is not registered', 401);
+  }
+
+  if (!user.isActive) {
+    await LoginEvent.record({
+      user: user._id,
+      email: user.email,
+      success: false,
+      reason: 'account_deactivated',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    throw new AppError('Account is deactivated', 401);
+  }
+
+  if (user.isLocked) {
+    await rejectLockedAccount(user, req);
+  }
+
+  const passkey = user.findPasskey(response.id);
+
+  let result;
+  try {
+    result = await webauthn.verifyAuthentication(response, challenge.challenge, passkey);
+  } catch (error) {
+    // Not counted towards the lockout: a passkey signature can't be guessed
+    await LoginEvent.record({
+      user: user._id,
+      email: user.email,
+      success: false,
+      reason: 'invalid_passkey',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    throw error;
+  }
+
+  passkey.counter = result.newCounter;
+  passkey.backedUp = result.backedUp;
+  passkey.lastUsedAt = new Date();
+
+  await completeLogin(user, req, res);
+});
+
+/**
+ * Public representation of a linked login provider identity
+ */
+const formatIdentity = (identity) => ({
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.linkedAt,
+  lastLoginAt: identity.lastLoginAt
+});
+
+/**
+ * Store a pending authorization request and return where to send the user
+ */
+const startAuthorization = async (providerId, { intent = 'login', user = null } = {}) => {
+  const provider = oidc.getProvider(providerId);
+  const redirectUri = config.oidc.redirectUri;
+
+  const { authorizationUrl, state, nonce, codeVerifier } = await oidc.createAuthorizationRequest(provider, redirectUri);
+
+  await OAuthState.create({
+    state,
+    provider: provider.id,
+    intent,
+    user,
+    codeVerifier,
+    nonce,
+    redirectUri
+  });
+
+  return { authorizationUrl, state };
+};
+
+/**
+ * Find or create the user of a provider identity
+ */
+const findOrCreateOidcUser = async (provider, claims, req) => {
+  const linked = await User.findByIdentity(provider.id, claims.sub);
+  if (linked) return linked;
+
+  if (!claims.email) {
+    throw new AppError(`${provider.name} did not share an email address`, 400);
+  }
+
+  // Don't take over an existing account just because the email matches
+  const existingUser = await User.findByEmail(claims.email);
+  if (existingUser) {
+    throw new AppError(
+      `An account with this email already exists. Login with your password and link ${provider.name} from your account settings.`,
+      409
+    );
+  }
+
+  const [firstName, ...rest] = (claims.name || '').trim().split(/\s+/);
+  const user = new User({
+    firstName: (claims.given_name || firstName || claims.email.split('@')[0]).slice(0, 50),
+    lastName: (claims.family_name || rest.join(' ') || '-').slice(0, 50),
+    email: claims.email,
+    isEmailVerified: claims.email_verified === true
+  });
+  user.linkIdentity(provider.id, claims);
   await user.save();
 
-  logger.info(`User logged in: ${email}`);
+  await AuditEvent.record(req, {
+    action: 'user.registered',
+    targetType: 'user',
+    targetId: user._id,
+    actor: user._id,
+    metadata: { method: provider.id }
+  });
+
+  logger.info(`New user registered with ${provider.id}: ${user.email}`);
+
+  try {
+    await mailer.sendWelcomeEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send welcome email to ${user.email}:`, error);
+  }
+
+  return user;
+};
 
+/**
+ * @desc    Get the configured login providers
+ * @route   GET /api/auth/oidc/providers
+ * @access  Public
+ */
+const getOidcProviders = asyncHandler(async (req, res) => {
   res.json({
     success: true,
-    message: 'Login successful',
     data: {
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-        role: user.role,
-        preferences: user.preferences,
-        lastLoginAt: user.lastLoginAt
-      },
-      tokens: {
-        accessToken,
-        refreshToken
+      providers: oidc.listProviders()
+    }
+  });
+});
+
+/**
+ * @desc    Start login with a provider, returns the URL to send the user to
+ * @route   POST /api/auth/oidc/:provider/authorize
+ * @access  Public
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const { authorizationUrl, state } = await startAuthorization(req.params.provider);
+
+  res.json({
+    success: true,
+    data: {
+      authorizationUrl,
+      state
+    }
+  });
+});
+
+/**
+ * @desc    Finish a provider login or link with the code and state it redirected back with
+ * @route   POST /api/auth/oidc/callback
+ * @access  Public
+ */
+const oidcCallback = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  const request = await OAuthState.consume(state);
+  if (!request) {
+    throw new AppError('Login request is invalid or expired, please try again', 400);
+  }
+
+  const provider = oidc.getProvider(request.provider);
+  const claims = await oidc.exchangeCode(provider, {
+    code,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    redirectUri: request.redirectUri
+  });
+
+  if (request.intent === 'link') {
+    const user = await User.findById(request.user);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found', 404);
+    }
+
+    const owner = await User.findByIdentity(provider.id, claims.sub);
+    if (owner && !owner._id.equals(user._id)) {
+      throw new AppError(`This ${provider.name} account is already linked to another user`, 409);
+    }
+
+    user.linkIdentity(provider.id, claims);
+    await user.save();
+
+    await AuditEvent.record(req, {
+      action: 'identity.linked',
+      targetType: 'identity',
+      targetId: provider.id,
+      actor: user._id,
+      metadata: { email: claims.email || null }
+    });
+
+    logger.info(`${provider.id} identity linked by ${user.email}`);
+
+    return res.json({
+      success: true,
+      message: `${provider.name} account linked successfully`,
+      data: {
+        identities: user.identities.map(formatIdentity)
       }
+    });
+  }
+
+  const user = await findOrCreateOidcUser(provider, claims, req);
+
+  if (!user.isActive) {
+    throw new AppError('Account is deactivated', 401);
+  }
+
+  if (user.isLocked) {
+    await rejectLockedAccount(user, req);
+  }
+
+  const identity = user.identities.find(entry => entry.provider === provider.id);
+  identity.lastLoginAt = new Date();
+  identity.email = claims.email || identity.email;
+
+  // The provider vouches for the address of the account it signed in
+  if (!user.isEmailVerified && claims.email_verified === true && String(claims.email).toLowerCase() === user.email) {
+    user.isEmailVerified = true;
+  }
+  await user.save();
+
+  await signIn(user, req, res);
+});
+
+/**
+ * @desc    Get login providers linked to the account
+ * @route   GET /api/auth/identities
+ * @access  Private
+ */
+const getIdentities = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      identities: req.user.identities.map(formatIdentity),
+      providers: oidc.listProviders()
+    }
+  });
+});
+
+/**
+ * @desc    Start linking a provider to the account, returns the URL to send the user to
+ * @route   POST /api/auth/identities/:provider
+ * @access  Private
+ */
+const startIdentityLink = asyncHandler(async (req, res) => {
+  const { authorizationUrl, state } = await startAuthorization(req.params.provider, {
+    intent: 'link',
+    user: req.user._id
+  });
+
+  res.json({
+    success: true,
+    data: {
+      authorizationUrl,
+      state
+    }
+  });
+});
+
+/**
+ * @desc    Unlink a login provider from the account
+ * @route   DELETE /api/auth/identities/:provider
+ * @access  Private
+ */
+const unlinkIdentity = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  const others = user.identities.filter(identity => identity.provider !== req.params.provider);
+  if (!user.password && others.length === 0) {
+    throw new AppError('Set a password before unlinking your only login provider', 400);
+  }
+
+  if (!user.unlinkIdentity(req.params.provider)) {
+    throw new AppError('Login provider is not linked', 404);
+  }
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'identity.unlinked',
+    targetType: 'identity',
+    targetId: req.params.provider
+  });
+
+  logger.info(`${req.params.provider} identity unlinked by ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login provider unlinked successfully',
+    data: {
+      identities: user.identities.map(formatIdentity)
     }
   });
 });
@@ -129,7 +709,9 @@ const login = asyncHandler(async (req, res) => {
 const logout = asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
 
-  if (refreshToken) {
+  if (req.sessionId) {
+    await req.user.revokeSession(req.sessionId);
+  } else if (refreshToken) {
     await req.user.removeRefreshToken(refreshToken);
   }
 
@@ -148,15 +730,20 @@ const logout = asyncHandler(async (req, res) => {
  */
 const refreshToken = asyncHandler(async (req, res) => {
   const user = req.user;
-  const oldRefreshToken = req.refreshToken;
 
-  // Generate new tokens
-  const accessToken = user.generateAuthToken();
-  const newRefreshToken = user.generateRefreshToken();
+  // Rotate the session's refresh token; the presented one can't be used again
+  const tokens = await user.refreshSession(req.session, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Another request rotated the same token first
+  if (!tokens) {
+    await user.revokeTokenFamily(req.session.sessionId, { ip: req.ip });
+    throw new AppError('Refresh token has already been used. Please login again.', 401);
+  }
 
-  // Replace old refresh token with new one
-  await user.removeRefreshToken(oldRefreshToken);
-  await user.addRefreshToken(newRefreshToken);
+  const { accessToken, refreshToken: newRefreshToken } = tokens;
 
   res.json({
     success: true,
@@ -188,11 +775,13 @@ const getMe = asyncHandler(async (req, res) => {
         lastName: user.lastName,
         fullName: user.fullName,
         email: user.email,
+        pendingEmail: user.pendingEmail,
         avatar: user.avatar,
         bio: user.bio,
         isEmailVerified: user.isEmailVerified,
         role: user.role,
         preferences: user.preferences,
+        twoFactorEnabled: user.twoFactor.enabled,
         lastLoginAt: user.lastLoginAt,
         loginCount: user.loginCount,
         createdAt: user.createdAt
@@ -217,12 +806,22 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   });
 
+  const before = AuditEvent.snapshot(req.user, Object.keys(updates));
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
     updates,
     { new: true, runValidators: true }
   ).populate('preferences.defaultCategory', 'name color');
 
+  await AuditEvent.record(req, {
+    action: 'user.profile_updated',
+    targetType: 'user',
+    targetId: user._id,
+    before,
+    after: AuditEvent.snapshot(user, Object.keys(updates))
+  });
+
   logger.info(`User profile updated: ${user.email}`);
 
   res.json({
@@ -243,6 +842,72 @@ const updateProfile = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Change email: the new address is swapped in once confirmed, the current one can revert
+ * @route   PUT /api/auth/email
+ * @access  Private
+ */
+const changeEmail = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password +emailRevertExpires +emailRevertAddress');
+
+  // Accounts created through a login provider may not have a password to confirm
+  if (user.password && !(await user.comparePassword(password || ''))) {
+    throw new AppError('Password is incorrect', 401);
+  }
+
+  if (email === user.email) {
+    throw new AppError('This is already your email address', 400);
+  }
+
+  // A second change would replace the revert link the previous address was sent
+  if (user.emailRevertAddress && user.emailRevertAddress !== user.email && user.emailRevertExpires > Date.now()) {
+    throw new AppError(`Your email address was changed recently, you can change it again after ${user.emailRevertExpires.toISOString()}`, 400);
+  }
+
+  if (await User.exists({ email })) {
+    throw new AppError('Email is already in use', 409);
+  }
+
+  const { verificationToken, revertToken } = user.requestEmailChange(email);
+  await user.save();
+
+  try {
+    await mailer.sendEmailChangeConfirmation(user, verificationToken);
+  } catch (error) {
+    user.pendingEmail = null;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.error(`Failed to send email change confirmation to ${email}:`, error);
+    throw new AppError('Email could not be sent, please try again later', 500);
+  }
+
+  mailer.sendEmailChangeNotice(user, revertToken).catch(error => {
+    logger.error(`Failed to send email change notice to ${user.email}:`, error);
+  });
+
+  await AuditEvent.record(req, {
+    action: 'user.email_change_requested',
+    targetType: 'user',
+    targetId: user._id,
+    metadata: { pendingEmail: user.pendingEmail }
+  });
+
+  logger.info(`Email change to ${user.pendingEmail} requested by ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Confirmation link sent to the new address. Your current email stays in use until you confirm.',
+    data: {
+      email: user.email,
+      pendingEmail: user.pendingEmail
+    }
+  });
+});
+
 /**
  * @desc    Change password
  * @route   PUT /api/auth/change-password
@@ -262,17 +927,31 @@ const changePassword = asyncHandler(async (req, res) => {
 
   // Update password
   user.password = newPassword;
+  user.passwordResetRequired = false;
   await user.save();
 
   // Remove all refresh tokens (force re-login on all devices)
   user.refreshTokens = [];
   await user.save();
 
+  // Personal access tokens would otherwise outlive the old password
+  const { deletedCount: revokedAccessTokens } = await AccessToken.deleteMany({ user: user._id });
+
+  await AuditEvent.record(req, {
+    action: 'user.password_changed',
+    targetType: 'user',
+    targetId: user._id,
+    metadata: { revokedAccessTokens }
+  });
+
   logger.info(`Password changed for user: ${user.email}`);
 
   res.json({
     success: true,
-    message: 'Password changed successfully. Please login again.'
+    message: 'Password changed successfully. Please login again.',
+    data: {
+      revokedAccessTokens
+    }
   });
 });
 
@@ -297,9 +976,18 @@ const forgotPassword = asyncHandler(async (req, res) => {
   const resetToken = user.generatePasswordResetToken();
   await user.save();
 
-  // TODO: Send email with reset token
-  // For now, we'll just log it (in production, send actual email)
-  logger.info(`Password reset token for ${email}: ${resetToken}`);
+  try {
+    await mailer.sendPasswordResetEmail(user, resetToken);
+  } catch (error) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    logger.error(`Failed to send password reset email to ${email}:`, error);
+    throw new AppError('Email could not be sent, please try again later', 500);
+  }
+
+  logger.info(`Password reset email sent to ${email}`);
 
   res.json({
     success: true,
@@ -335,17 +1023,168 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
 
   // Remove all refresh tokens
   user.refreshTokens = [];
+
+  // Proving access to the email also lifts a lockout
+  user.resetFailedLogins();
   
   await user.save();
 
+  const { deletedCount: revokedAccessTokens } = await AccessToken.deleteMany({ user: user._id });
+
+  await AuditEvent.record(req, {
+    action: 'user.password_reset',
+    targetType: 'user',
+    targetId: user._id,
+    actor: user._id,
+    metadata: { revokedAccessTokens }
+  });
+
   logger.info(`Password reset successful for user: ${user.email}`);
 
   res.json({
     success: true,
-    message: 'Password reset successful. Please login with your new password.'
+    message: 'Password reset successful. Please login with your new password.',
+    data: {
+      revokedAccessTokens
+    }
+  });
+});
+
+/**
+ * @desc    Email a single-use sign-in link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const response = {
+    success: true,
+    message: 'If an account with that email exists, a sign-in link has been sent.'
+  };
+
+  const user = await User.findByEmail(email);
+  if (!user || !user.isActive) {
+    // Don't reveal if user exists or not
+    return res.json(response);
+  }
+
+  const magicLinkToken = user.generateMagicLinkToken();
+  await user.save();
+
+  try {
+    await mailer.sendMagicLinkEmail(user, magicLinkToken);
+  } catch (error) {
+    user.magicLinkToken = undefined;
+    user.magicLinkExpires = undefined;
+    await user.save();
+
+    logger.error(`Failed to send sign-in link to ${email}:`, error);
+    throw new AppError('Email could not be sent, please try again later', 500);
+  }
+
+  logger.info(`Sign-in link sent to ${email}`);
+
+  res.json(response);
+});
+
+/**
+ * @desc    Sign in with a magic link token (returns the same tokens as login)
+ * @route   POST /api/auth/magic-link/verify
+ * @access  Public
+ */
+const verifyMagicLink = asyncHandler(async (req, res) => {
+  const user = await User.consumeMagicLinkToken(req.body.token);
+
+  if (!user) {
+    throw new AppError('Invalid or expired sign-in link', 400);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('Account is deactivated', 401);
+  }
+
+  // The link was delivered to the address, which proves it
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await user.save();
+  }
+
+  logger.info(`Sign-in link used by ${user.email}`);
+
+  await signIn(user, req, res);
+});
+
+/**
+ * @desc    Unlock an account locked after failed logins
+ * @route   POST /api/auth/unlock-account
+ * @access  Public
+ */
+const unlockAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    unlockToken: hashedToken,
+    unlockTokenExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new AppError('Invalid or expired unlock token', 400);
+  }
+
+  user.resetFailedLogins();
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'user.account_unlocked',
+    targetType: 'user',
+    targetId: user._id,
+    actor: user._id
+  });
+
+  logger.info(`Account unlocked by email: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Account unlocked. You can login again.'
+  });
+});
+
+/**
+ * @desc    Get login history of the user
+ * @route   GET /api/auth/login-history
+ * @access  Private
+ */
+const getLoginHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { user: req.user._id };
+
+  const loginHistory = await LoginEvent.find(query)
+    .select('-user -email -__v')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await LoginEvent.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      loginHistory,
+      pagination: getPaginationMeta(pageNum, limitNum, total)
+    }
   });
 });
 
@@ -361,13 +1200,27 @@ const sendEmailVerification = asyncHandler(async (req, res) => {
     throw new AppError('Email is already verified', 400);
   }
 
+  // The verification token is also the confirmation of the pending address
+  if (user.pendingEmail) {
+    throw new AppError('Confirm your new email address first, or request the change again for a new link', 400);
+  }
+
   // Generate verification token
   const verificationToken = user.generateEmailVerificationToken();
   await user.save();
 
-  // TODO: Send verification email
-  // For now, we'll just log it (in production, send actual email)
-  logger.info(`Email verification token for ${user.email}: ${verificationToken}`);
+  try {
+    await mailer.sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.error(`Failed to send verification email to ${user.email}:`, error);
+    throw new AppError('Email could not be sent, please try again later', 500);
+  }
+
+  logger.info(`Verification email sent to ${user.email}`);
 
   res.json({
     success: true,
@@ -399,6 +1252,37 @@ const verifyEmail = asyncHandler(async (req, res) => {
     throw new AppError('Invalid or expired verification token', 400);
   }
 
+  // Confirming an email change: swap the new address in
+  if (user.pendingEmail) {
+    // Someone else may have registered the address since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      throw new AppError('Email is already in use', 409);
+    }
+
+    const previousEmail = user.email;
+    user.confirmEmailChange();
+    await user.save();
+
+    await AuditEvent.record(req, {
+      action: 'user.email_changed',
+      targetType: 'user',
+      targetId: user._id,
+      actor: user._id,
+      before: { email: previousEmail },
+      after: { email: user.email }
+    });
+
+    logger.info(`Email changed from ${previousEmail} to ${user.email}`);
+
+    return res.json({
+      success: true,
+      message: 'Email changed successfully.',
+      data: {
+        email: user.email
+      }
+    });
+  }
+
   // Mark email as verified
   user.isEmailVerified = true;
   user.emailVerificationToken = undefined;
@@ -406,6 +1290,14 @@ const verifyEmail = asyncHandler(async (req, res) => {
   
   await user.save();
 
+  await AuditEvent.record(req, {
+    action: 'user.email_verified',
+    targetType: 'user',
+    targetId: user._id,
+    actor: user._id,
+    metadata: { email: user.email }
+  });
+
   logger.info(`Email verified for user: ${user.email}`);
 
   res.json({
@@ -414,16 +1306,166 @@ const verifyEmail = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Undo an email change with the link sent to the previous address
+ * @route   POST /api/auth/email/revert
+ * @access  Public
+ */
+const revertEmailChange = asyncHandler(async (req, res) => {
+  const user = await User.findByEmailRevertToken(req.body.token);
+
+  if (!user) {
+    throw new AppError('Invalid or expired revert token', 400);
+  }
+
+  const before = { email: user.email, pendingEmail: user.pendingEmail };
+
+  if (user.email !== user.emailRevertAddress &&
+      await User.exists({ email: user.emailRevertAddress, _id: { $ne: user._id } })) {
+    throw new AppError('The previous email address is now used by another account', 409);
+  }
+
+  user.revertEmailChange();
+  // Whoever made the change may still be logged in, or hold access tokens they created
+  user.refreshTokens = [];
+  await user.save();
+
+  const { deletedCount: revokedAccessTokens } = await AccessToken.deleteMany({ user: user._id });
+
+  await AuditEvent.record(req, {
+    action: 'user.email_change_reverted',
+    targetType: 'user',
+    targetId: user._id,
+    actor: user._id,
+    before,
+    after: { email: user.email, pendingEmail: null },
+    metadata: { revokedAccessTokens }
+  });
+
+  logger.warn(`Email change reverted for ${user.email}, all sessions and access tokens revoked`);
+
+  res.json({
+    success: true,
+    message: 'Email change undone, all devices logged out and access tokens revoked. If you did not request the change, reset your password.',
+    data: {
+      revokedAccessTokens
+    }
+  });
+});
+
+/**
+ * @desc    Get active sessions of the user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const now = new Date();
+
+  const sessions = req.user.refreshTokens
+    .filter(session => session.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map(session => ({
+      id: session.sessionId,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session.sessionId === req.sessionId
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      sessions
+    }
+  });
+});
+
+/**
+ * @desc    Revoke a session (logs that device out)
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await req.user.revokeSession(req.params.sessionId);
+
+  if (!revoked) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await AuditEvent.record(req, {
+    action: 'session.revoked',
+    targetType: 'session',
+    targetId: req.params.sessionId
+  });
+
+  logger.info(`Session ${req.params.sessionId} revoked by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+/**
+ * @desc    Revoke every session except the current one
+ * @route   POST /api/auth/sessions/revoke-others
+ * @access  Private
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  if (!req.sessionId) {
+    throw new AppError('Current session is unknown, please login again', 400);
+  }
+
+  const revoked = await req.user.revokeOtherSessions(req.sessionId);
+
+  await AuditEvent.record(req, {
+    action: 'session.others_revoked',
+    targetType: 'session',
+    metadata: { revoked }
+  });
+
+  logger.info(`${revoked} other session(s) revoked by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Logged out of all other sessions',
+    data: {
+      revoked
+    }
+  });
+});
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  getPasskeyLoginOptions,
+  verifyPasskeyLogin,
   logout,
   refreshToken,
   getMe,
   updateProfile,
+  changeEmail,
+  revertEmailChange,
   changePassword,
   forgotPassword,
   resetPassword,
   sendEmailVerification,
-  verifyEmail
+  verifyEmail,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  requestMagicLink,
+  verifyMagicLink,
+  unlockAccount,
+  getLoginHistory,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  getIdentities,
+  startIdentityLink,
+  unlinkIdentity
 };
@@ -1,9 +1,13 @@
 const Category = require('../models/Category');
 const Note = require('../models/Note');
+const AuditEvent = require('../models/AuditEvent');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { getPaginationMeta } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+// Category fields summarized in audit events
+const CATEGORY_FIELDS = ['name', 'description', 'color', 'icon', 'parent', 'sortOrder', 'isArchived'];
+
 /**
  * @desc    Get all categories for authenticated user
  * @route   GET /api/categories
@@ -120,6 +124,13 @@ const createCategory = asyncHandler(async (req, res) => {
     sortOrder
   });
 
+  await AuditEvent.record(req, {
+    action: 'category.created',
+    targetType: 'category',
+    targetId: category._id,
+    after: AuditEvent.snapshot(category, CATEGORY_FIELDS)
+  });
+
   // Populate parent if exists
   if (category.parent) {
     await category.populate('parent', 'name color');
@@ -202,6 +213,8 @@ const updateCategory = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = AuditEvent.snapshot(category, CATEGORY_FIELDS);
+
   // Update fields
   if (name !== undefined) category.name = name;
   if (description !== undefined) category.description = description;
@@ -213,6 +226,14 @@ const updateCategory = asyncHandler(async (req, res) => {
 
   await category.save();
 
+  await AuditEvent.record(req, {
+    action: 'category.updated',
+    targetType: 'category',
+    targetId: category._id,
+    before,
+    after: AuditEvent.snapshot(category, CATEGORY_FIELDS)
+  });
+
   // Populate parent if exists
   if (category.parent) {
     await category.populate('parent', 'name color');
@@ -267,6 +288,14 @@ const deleteCategory = asyncHandler(async (req, res) => {
 
   await Category.findByIdAndDelete(category._id);
 
+  await AuditEvent.record(req, {
+    action: 'category.deleted',
+    targetType: 'category',
+    targetId: category._id,
+    before: AuditEvent.snapshot(category, CATEGORY_FIELDS),
+    metadata: { notesUncategorized: notesCount }
+  });
+
   logger.info(`Category deleted: ${category.name} by ${req.user.email}`);
 
   res.json({
@@ -294,6 +323,15 @@ const toggleArchiveCategory = asyncHandler(async (req, res) => {
   await category.save();
 
   const action = category.isArchived ? 'archived' : 'unarchived';
+
+  await AuditEvent.record(req, {
+    action: `category.${action}`,
+    targetType: 'category',
+    targetId: category._id,
+    before: { isArchived: !category.isArchived },
+    after: { isArchived: category.isArchived }
+  });
+
   logger.info(`Category ${action}: ${category.name} by ${req.user.email}`);
 
   res.json({
@@ -383,6 +421,8 @@ const moveCategory = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = AuditEvent.snapshot(category, ['parent', 'sortOrder']);
+
   // Update category
   category.parent = newParent || undefined;
   if (sortOrder !== undefined) {
@@ -391,6 +431,14 @@ const moveCategory = asyncHandler(async (req, res) => {
 
   await category.save();
 
+  await AuditEvent.record(req, {
+    action: 'category.moved',
+    targetType: 'category',
+    targetId: category._id,
+    before,
+    after: AuditEvent.snapshot(category, ['parent', 'sortOrder'])
+  });
+
   // Populate parent if exists
   if (category.parent) {
     await category.populate('parent', 'name color');
@@ -0,0 +1,289 @@
+const Note = require('../models/Note');
+const Comment = require('../models/Comment');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Check if user can moderate comments on a note (owner or edit/admin collaborator)
+ */
+const canModerate = (note, user) => {
+  if (!user) return false;
+
+  const authorId = note.author._id || note.author;
+  if (authorId.toString() === user._id.toString()) return true;
+
+  return note.collaborators.some(
+    collab => collab.user.toString() === user._id.toString() &&
+      ['edit', 'admin'].includes(collab.permission)
+  );
+};
+
+/**
+ * Validate an anchor against the note content and capture the quoted text
+ */
+const buildAnchor = (note, anchor) => {
+  if (!anchor || anchor.start === undefined || anchor.end === undefined) {
+    return undefined;
+  }
+
+  const start = parseInt(anchor.start);
+  const end = parseInt(anchor.end);
+
+  if (end <= start || end > note.content.length) {
+    throw new AppError('Anchor range is outside of the note content', 400);
+  }
+
+  return {
+    start,
+    end,
+    quote: note.content.substring(start, Math.min(end, start + 1000))
+  };
+};
+
+/**
+ * Create a comment (or reply) on a note
+ */
+const addComment = async (note, { content, parent, anchor, authorName }, user, viaShareLink) => {
+  if (parent) {
+    const parentComment = await Comment.findOne({ _id: parent, note: note._id });
+    if (!parentComment) {
+      throw new AppError('Parent comment not found', 404);
+    }
+  }
+
+  const comment = await Comment.create({
+    note: note._id,
+    author: user ? user._id : null,
+    authorName: user ? user.fullName : (authorName || 'Anonymous'),
+    content,
+    parent: parent || null,
+    // Replies inherit the anchor of their thread
+    anchor: parent ? undefined : buildAnchor(note, anchor),
+    viaShareLink
+  });
+
+  await comment.populate('author', 'firstName lastName');
+
+  return comment;
+};
+
+/**
+ * Find a shared note that accepts comments
+ */
+const findCommentableShare = async (shareId) => {
+  const note = await Note.findByShareId(shareId);
+
+  if (!note) {
+    throw new AppError('Shared note not found or link has expired', 404);
+  }
+
+  if (note.shareSettings.shareExpiresAt && new Date() > note.shareSettings.shareExpiresAt) {
+    throw new AppError('Share link has expired', 410);
+  }
+
+  const { allowComments, sharePermissions } = note.shareSettings;
+  if (!allowComments && !['comment', 'edit'].includes(sharePermissions)) {
+    throw new AppError('Comments are not allowed on this shared note', 403);
+  }
+
+  return note;
+};
+
+/**
+ * Find a comment belonging to the note in the request
+ */
+const findComment = async (req) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    note: req.resource._id
+  });
+
+  if (!comment) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  return comment;
+};
+
+/**
+ * @desc    Get comment threads for a note
+ * @route   GET /api/notes/:id/comments
+ * @access  Private
+ */
+const getComments = asyncHandler(async (req, res) => {
+  const { resolved } = req.query;
+
+  const threads = await Comment.findThreads(req.resource._id, {
+    resolved: resolved === undefined ? undefined : resolved === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      comments: threads
+    }
+  });
+});
+
+/**
+ * @desc    Add comment to a note
+ * @route   POST /api/notes/:id/comments
+ * @access  Private
+ */
+const createComment = asyncHandler(async (req, res) => {
+  const comment = await addComment(req.resource, req.body, req.user, false);
+
+  logger.info(`Comment added to note: ${req.resource.title} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: {
+      comment
+    }
+  });
+});
+
+/**
+ * @desc    Update comment
+ * @route   PUT /api/notes/:id/comments/:commentId
+ * @access  Private
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const comment = await findComment(req);
+
+  if (!comment.author || comment.author.toString() !== req.user._id.toString()) {
+    throw new AppError('You can only edit your own comments', 403);
+  }
+
+  comment.content = req.body.content;
+  comment.isEdited = true;
+  await comment.save();
+
+  await comment.populate('author', 'firstName lastName');
+
+  res.json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: {
+      comment
+    }
+  });
+});
+
+/**
+ * @desc    Delete comment and its replies
+ * @route   DELETE /api/notes/:id/comments/:commentId
+ * @access  Private
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const comment = await findComment(req);
+
+  const isCommentAuthor = comment.author &&
+    comment.author.toString() === req.user._id.toString();
+
+  if (!isCommentAuthor && !canModerate(req.resource, req.user)) {
+    throw new AppError('Access denied. You cannot delete this comment.', 403);
+  }
+
+  const ids = await comment.getThreadIds();
+  await Comment.deleteMany({ _id: { $in: ids } });
+
+  logger.info(`Comment deleted from note: ${req.resource.title} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully',
+    data: {
+      deletedCount: ids.length
+    }
+  });
+});
+
+/**
+ * @desc    Resolve or unresolve a comment thread
+ * @route   PUT /api/notes/:id/comments/:commentId/resolve
+ * @route   PUT /api/notes/:id/comments/:commentId/unresolve
+ * @access  Private
+ */
+const setResolved = (isResolved) => asyncHandler(async (req, res) => {
+  const comment = await findComment(req);
+
+  if (comment.parent) {
+    throw new AppError('Only top-level comments can be resolved', 400);
+  }
+
+  const isCommentAuthor = comment.author &&
+    comment.author.toString() === req.user._id.toString();
+
+  if (!isCommentAuthor && !canModerate(req.resource, req.user)) {
+    throw new AppError('Access denied. edit permission required.', 403);
+  }
+
+  if (isResolved) {
+    await comment.resolve(req.user._id);
+  } else {
+    await comment.unresolve();
+  }
+
+  res.json({
+    success: true,
+    message: `Comment ${isResolved ? 'resolved' : 'reopened'} successfully`,
+    data: {
+      comment
+    }
+  });
+});
+
+const resolveComment = setResolved(true);
+const unresolveComment = setResolved(false);
+
+/**
+ * @desc    Get comment threads for a shared note
+ * @route   GET /api/shared/:shareId/comments
+ * @access  Public
+ */
+const getSharedComments = asyncHandler(async (req, res) => {
+  const note = await findCommentableShare(req.params.shareId);
+
+  const threads = await Comment.findThreads(note._id);
+
+  res.json({
+    success: true,
+    data: {
+      comments: threads
+    }
+  });
+});
+
+/**
+ * @desc    Add comment to a shared note
+ * @route   POST /api/shared/:shareId/comments
+ * @access  Public (attributed to the user when authenticated)
+ */
+const createSharedComment = asyncHandler(async (req, res) => {
+  const note = await findCommentableShare(req.params.shareId);
+
+  const comment = await addComment(note, req.body, req.user, true);
+
+  logger.info(`Comment added via share link to note: ${note.title} by ${req.user ? req.user.email : 'anonymous'}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: {
+      comment
+    }
+  });
+});
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment,
+  getSharedComments,
+  createSharedComment
+};
@@ -0,0 +1,304 @@
+const Note = require('../models/Note');
+const DataExport = require('../models/DataExport');
+const AuditEvent = require('../models/AuditEvent');
+const { getStorage } = require('../storage');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const dataExportWorker = require('../jobs/dataExportWorker');
+const {
+  findNotesForExport,
+  getCategoryPaths,
+  categoryPathOf,
+  safeFileName,
+  toMarkdown,
+  toHtmlDocument,
+  writeNotePdf,
+  writeNotesArchive
+} = require('../utils/noteExport');
+const { contentDisposition } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Public representation of a data export
+ */
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  type: dataExport.type,
+  format: dataExport.format,
+  noteCount: dataExport.noteCount,
+  status: dataExport.status,
+  size: dataExport.size,
+  downloadUrl: dataExport.downloadUrl,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt
+});
+
+/**
+ * Find an export of the current user or fail with 404.
+ * Personal access tokens only see notes exports, never account archives.
+ */
+const findExport = async (req) => {
+  const dataExport = await DataExport.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    ...(req.accessToken && { type: 'notes' })
+  });
+
+  if (!dataExport) {
+    throw new AppError('Export not found', 404);
+  }
+
+  return dataExport;
+};
+
+/**
+ * @desc    Request an archive of all the user's data
+ * @route   POST /api/auth/exports
+ * @access  Private
+ */
+const requestDataExport = asyncHandler(async (req, res) => {
+  if (await DataExport.hasInProgress(req.user._id)) {
+    throw new AppError('An export is already being prepared', 409);
+  }
+
+  const dataExport = await DataExport.create({ user: req.user._id });
+
+  await AuditEvent.record(req, {
+    action: 'user.export_requested',
+    targetType: 'user',
+    targetId: req.user._id
+  });
+
+  // Start on it now rather than at the next poll
+  dataExportWorker.tick();
+
+  logger.info(`Data export requested by ${req.user.email}`);
+
+  res.status(202).json({
+    success: true,
+    message: 'Export started, you will get an email when it is ready to download',
+    data: {
+      export: formatExport(dataExport)
+    }
+  });
+});
+
+/**
+ * @desc    Get the user's recent data exports
+ * @route   GET /api/auth/exports
+ * @access  Private
+ */
+const getDataExports = asyncHandler(async (req, res) => {
+  const dataExports = await DataExport.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  res.json({
+    success: true,
+    data: {
+      exports: dataExports.map(formatExport)
+    }
+  });
+});
+
+/**
+ * @desc    Get the status of a data export
+ * @route   GET /api/auth/exports/:id
+ * @access  Private
+ */
+const getDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await findExport(req);
+
+  res.json({
+    success: true,
+    data: {
+      export: formatExport(dataExport)
+    }
+  });
+});
+
+/**
+ * @desc    Download the archive of a ready data export
+ * @route   GET /api/auth/exports/:id/download
+ * @access  Private
+ */
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await findExport(req);
+
+  if (dataExport.status === 'expired') {
+    throw new AppError('Export has expired, please request a new one', 410);
+  }
+  if (dataExport.status !== 'ready') {
+    throw new AppError('Export is not ready yet', 409);
+  }
+
+  let stream;
+  try {
+    stream = await getStorage(dataExport.storage).get(dataExport.path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Data export ${dataExport._id} is missing from ${dataExport.storage} storage`);
+      throw new AppError('Export file not found', 404);
+    }
+    throw error;
+  }
+
+  const prefix = dataExport.type === 'notes' ? 'notes' : 'account-export';
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Length': dataExport.size,
+    'Content-Disposition': `attachment; filename="${prefix}-${dataExport.createdAt.toISOString().slice(0, 10)}.zip"`,
+    'Cache-Control': 'no-store'
+  });
+
+  stream.on('error', (error) => {
+    logger.error(`Failed to stream data export ${dataExport._id}:`, error);
+    res.destroy(error);
+  });
+
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Export notes matching getNotes style filters as a zip of Markdown or
+ *          HTML files. Small exports are sent right away, large ones are built
+ *          in the background (202) and downloaded from /api/auth/exports.
+ * @route   POST /api/notes/export
+ * @access  Private
+ */
+const exportNotes = asyncHandler(async (req, res) => {
+  const { format = 'markdown', status, category, tags, favorites, pinned } = req.body;
+
+  const filters = {
+    status,
+    category,
+    tags: tags ? (Array.isArray(tags) ? tags : [tags]) : undefined,
+    favorites: favorites === true,
+    pinned: pinned === true
+  };
+
+  const noteCount = await Note.countDocuments(findNotesForExport(req.user._id, filters).getFilter());
+  if (noteCount === 0) {
+    throw new AppError('No notes match the filters', 404);
+  }
+
+  if (noteCount > config.noteExports.syncMaxNotes) {
+    if (await DataExport.hasInProgress(req.user._id, 'notes')) {
+      throw new AppError('An export is already being prepared', 409);
+    }
+
+    const dataExport = await DataExport.create({
+      user: req.user._id,
+      type: 'notes',
+      format,
+      filters,
+      noteCount
+    });
+
+    await AuditEvent.record(req, {
+      action: 'user.notes_exported',
+      targetType: 'user',
+      targetId: req.user._id,
+      metadata: { format, noteCount, exportId: dataExport._id }
+    });
+
+    // Start on it now rather than at the next poll
+    dataExportWorker.tick();
+
+    logger.info(`Notes export of ${noteCount} note(s) requested by ${req.user.email}`);
+
+    return res.status(202).json({
+      success: true,
+      message: 'Export started, you will get an email when it is ready to download',
+      data: {
+        export: formatExport(dataExport)
+      }
+    });
+  }
+
+  await AuditEvent.record(req, {
+    action: 'user.notes_exported',
+    targetType: 'user',
+    targetId: req.user._id,
+    metadata: { format, noteCount }
+  });
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="notes-${new Date().toISOString().slice(0, 10)}.zip"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    await writeNotesArchive(req.user, { filters, format }, res);
+  } catch (error) {
+    // Headers are already sent, so the export can only be cut short
+    logger.error('Notes export failed:', error);
+    return res.destroy(error);
+  }
+
+  logger.info(`Notes export of ${noteCount} note(s) by ${req.user.email}`);
+});
+
+/**
+ * @desc    Export a single note as Markdown, HTML or PDF
+ * @route   GET /api/notes/:id/export?format=markdown|html|pdf
+ * @access  Private
+ */
+const exportNote = asyncHandler(async (req, res) => {
+  const { format = 'markdown' } = req.query;
+
+  // Access (owner or collaborator) is checked by the route
+  const note = req.resource;
+  await note.populate([
+    { path: 'category', select: 'name' },
+    { path: 'tags', select: 'name' }
+  ]);
+
+  // Categories belong to the note's owner, so the path is the owner's
+  const categoryPath = categoryPathOf(note, await getCategoryPaths(note.author));
+  const filename = safeFileName(note.title);
+
+  res.set('Cache-Control', 'no-store');
+
+  if (format === 'pdf') {
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': contentDisposition(`${filename}.pdf`)
+    });
+
+    try {
+      await writeNotePdf(note, categoryPath, res);
+    } catch (error) {
+      // Headers are already sent, so the export can only be cut short
+      logger.error(`PDF export of note ${note._id} failed:`, error);
+      res.destroy(error);
+    }
+    return;
+  }
+
+  if (format === 'html') {
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Disposition': contentDisposition(`${filename}.html`)
+    });
+    return res.send(toHtmlDocument(note, categoryPath));
+  }
+
+  res.set({
+    'Content-Type': 'text/markdown; charset=utf-8',
+    'Content-Disposition': contentDisposition(`${filename}.md`)
+  });
+  res.send(toMarkdown(note, categoryPath));
+});
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport,
+  exportNotes,
+  exportNote
+};
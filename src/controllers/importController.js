@@ -0,0 +1,50 @@
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { detectFormat, importNotes: runImport } = require('../utils/noteImport');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Import notes from an Evernote export (.enex), Google Keep Takeout
+ *          (.json or .zip) or Markdown files (.md or .zip of folders), with a
+ *          report of what happened to each note
+ * @route   POST /api/notes/import
+ * @access  Private
+ */
+const importNotes = asyncHandler(async (req, res) => {
+  // The temp file is removed by the upload middleware once the response is done
+  const { path: filePath, originalname: fileName } = req.file;
+
+  const format = req.body.format || await detectFormat(filePath, fileName);
+  if (!format) {
+    throw new AppError('Could not tell the format of the file, send it in the "format" field', 400);
+  }
+
+  const report = await runImport(req.user, filePath, { fileName, format });
+
+  await AuditEvent.record(req, {
+    action: 'user.notes_imported',
+    targetType: 'user',
+    targetId: req.user._id,
+    metadata: {
+      format,
+      fileName,
+      imported: report.imported,
+      failed: report.failed,
+      skipped: report.skipped
+    }
+  });
+
+  logger.info(`Notes import (${format}) by ${req.user.email}: ${report.imported} imported, ${report.failed} failed, ${report.skipped} skipped`);
+
+  res.json({
+    success: true,
+    message: `Imported ${report.imported} of ${report.total} note(s)`,
+    data: {
+      import: { format, ...report }
+    }
+  });
+});
+
+module.exports = {
+  importNotes
+};
@@ -1,8 +1,11 @@
 const Note = require('../models/Note');
 const Category = require('../models/Category');
 const Tag = require('../models/Tag');
+const NoteVersion = require('../models/NoteVersion');
+const Notification = require('../models/Notification');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { getPaginationMeta } = require('../utils/helpers');
+const { mergeText } = require('../utils/diff');
 const logger = require('../utils/logger');
 
 /**
@@ -80,14 +83,14 @@ const getNotes = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get single note
+ * @desc    Get single note (?render=html adds the content rendered to safe HTML)
  * @route   GET /api/notes/:id
  * @access  Private
  */
 const getNote = asyncHandler(async (req, res) => {
+  // Access (owner or collaborator) is checked by the route
   const note = await Note.findOne({
     _id: req.params.id,
-    author: req.user._id,
     isDeleted: false
   })
   .populate('category', 'name color icon')
@@ -101,14 +104,103 @@ const getNote = asyncHandler(async (req, res) => {
   // Increment view count
   await note.incrementViewCount();
 
+  res.set('ETag', note.getETag());
+
   res.json({
     success: true,
     data: {
-      note
+      note,
+      ...(req.query.render === 'html' && { renderedHtml: note.renderHtml() })
     }
   });
 });
 
+// Note fields only the owner can update, collaborators with edit access change title and content
+const OWNER_ONLY_FIELDS = ['contentType', 'category', 'tags', 'status', 'visibility', 'priority', 'isPinned', 'isFavorite'];
+
+/**
+ * Get the version the client based its update on, from If-Match or body.version
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const match = ifMatch.match(/"v(\d+)"/);
+    if (!match) {
+      throw new AppError('Invalid If-Match header', 400);
+    }
+    return parseInt(match[1]);
+  }
+
+  if (req.body.version !== undefined) {
+    return parseInt(req.body.version);
+  }
+
+  return undefined;
+};
+
+/**
+ * Merge a single-line field such as the title
+ */
+const mergeField = (base, ours, theirs) => {
+  if (ours === theirs || ours === base) return { merged: theirs, conflict: false };
+  if (theirs === base) return { merged: ours, conflict: false };
+  return { merged: null, conflict: true, base, ours, theirs };
+};
+
+/**
+ * Three-way merge of the stale content, or null when the texts are too large to merge
+ */
+const previewContentMerge = (base, ours, theirs) => {
+  try {
+    return mergeText(base, ours, theirs);
+  } catch (error) {
+    if (error.statusCode === 413) return null;
+    throw error;
+  }
+};
+
+/**
+ * Respond with 409 and a three-way merge preview of the stale update
+ */
+const sendVersionConflict = async (res, note, expectedVersion, { title, content }) => {
+  const base = await note.getVersion(expectedVersion);
+
+  let mergePreview = null;
+  if (base) {
+    const contentMerge = previewContentMerge(base.content, content !== undefined ? content : base.content, note.content);
+
+    // Without a content merge there is nothing to preview, the client has the current version
+    if (contentMerge) {
+      mergePreview = {
+        baseVersion: base.version,
+        title: mergeField(base.title, title !== undefined ? title : base.title, note.title),
+        content: contentMerge
+      };
+    }
+  }
+
+  res.set('ETag', note.getETag());
+
+  return res.status(409).json({
+    success: false,
+    message: 'Note has been modified since you loaded it',
+    data: {
+      expectedVersion,
+      currentVersion: note.version,
+      current: {
+        title: note.title,
+        content: note.content,
+        version: note.version,
+        lastEditedBy: note.lastEditedBy,
+        updatedAt: note.updatedAt
+      },
+      // null when the base version is no longer retained
+      mergePreview
+    }
+  });
+};
+
 /**
  * @desc    Create new note
  * @route   POST /api/notes
@@ -197,9 +289,9 @@ const createNote = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const updateNote = asyncHandler(async (req, res) => {
+  // Access (owner or edit collaborator) is checked by the route
   const note = await Note.findOne({
     _id: req.params.id,
-    author: req.user._id,
     isDeleted: false
   });
 
@@ -207,6 +299,17 @@ const updateNote = asyncHandler(async (req, res) => {
     throw new AppError('Note not found', 404);
   }
 
+  // Collaborators edit the text; organizing the note and the pin and favorite
+  // flags stay with its owner
+  if (!note.author.equals(req.user._id)) {
+    const ownerOnlyFields = OWNER_ONLY_FIELDS.filter(field => req.body[field] !== undefined);
+    if (ownerOnlyFields.length > 0) {
+      throw new AppError(`Only the note owner can change ${ownerOnlyFields.join(', ')}`, 403);
+    }
+  }
+
+  const expectedVersion = getExpectedVersion(req);
+
   const {
     title,
     content,
@@ -220,17 +323,25 @@ const updateNote = asyncHandler(async (req, res) => {
     isFavorite
   } = req.body;
 
+  // Reject stale writes
+  if (expectedVersion !== undefined && expectedVersion !== note.version) {
+    return sendVersionConflict(res, note, expectedVersion, { title, content });
+  }
+
+  const loadedVersion = note.version;
+  const isRevision = note.isRevisionChange({ title, content });
+
   // Create version backup before updating
-  if (content && content !== note.content) {
-    note.createVersionBackup();
+  if (isRevision) {
+    note.createVersionBackup(req.user._id);
   }
 
-  // Validate category if provided
+  // Validate category if provided (categories and tags belong to the note owner)
   if (category !== undefined) {
     if (category) {
       const categoryExists = await Category.findOne({
         _id: category,
-        owner: req.user._id,
+        owner: note.author,
         isArchived: false
       });
       if (!categoryExists) {
@@ -241,6 +352,9 @@ const updateNote = asyncHandler(async (req, res) => {
   }
 
   // Handle tags update
+  let tagsToDecrement = [];
+  let tagsToIncrement = [];
+
   if (tags !== undefined) {
     const oldTags = note.tags || [];
     const newTags = tags || [];
@@ -249,28 +363,15 @@ const updateNote = asyncHandler(async (req, res) => {
     if (newTags.length > 0) {
       const validTags = await Tag.find({
         _id: { $in: newTags },
-        owner: req.user._id
+        owner: note.author
       });
       if (validTags.length !== newTags.length) {
         throw new AppError('One or more tags not found', 404);
       }
     }
 
-    // Update tag usage counts
-    const tagsToDecrement = oldTags.filter(tag => !newTags.includes(tag.toString()));
-    const tagsToIncrement = newTags.filter(tag => !oldTags.some(oldTag => oldTag.toString() === tag));
-
-    await Promise.all([
-      ...tagsToDecrement.map(tagId => 
-        Tag.findByIdAndUpdate(tagId, { $inc: { usageCount: -1 } })
-      ),
-      ...tagsToIncrement.map(tagId => 
-        Tag.findByIdAndUpdate(tagId, {
-          $inc: { usageCount: 1 },
-          lastUsedAt: new Date()
-        })
-      )
-    ]);
+    tagsToDecrement = oldTags.filter(tag => !newTags.includes(tag.toString()));
+    tagsToIncrement = newTags.filter(tag => !oldTags.some(oldTag => oldTag.toString() === tag));
 
     note.tags = newTags;
   }
@@ -285,7 +386,37 @@ const updateNote = asyncHandler(async (req, res) => {
   if (isPinned !== undefined) note.isPinned = isPinned;
   if (isFavorite !== undefined) note.isFavorite = isFavorite;
 
-  await note.save();
+  if (isRevision) {
+    note.recordEditor(req.user);
+
+    // Only save if nobody else created a new version since the note was loaded
+    note.$where = { version: loadedVersion };
+  }
+
+  try {
+    await note.save();
+  } catch (error) {
+    if (!Note.isStaleSaveError(error)) throw error;
+
+    const current = await Note.findById(note._id);
+    if (!current || current.isDeleted) {
+      throw new AppError('Note not found', 404);
+    }
+    return sendVersionConflict(res, current, loadedVersion, { title, content });
+  }
+
+  // Update tag usage counts
+  await Promise.all([
+    ...tagsToDecrement.map(tagId => 
+      Tag.findByIdAndUpdate(tagId, { $inc: { usageCount: -1 } })
+    ),
+    ...tagsToIncrement.map(tagId => 
+      Tag.findByIdAndUpdate(tagId, {
+        $inc: { usageCount: 1 },
+        lastUsedAt: new Date()
+      })
+    )
+  ]);
 
   // Populate the updated note
   await note.populate([
@@ -295,6 +426,8 @@ const updateNote = asyncHandler(async (req, res) => {
 
   logger.info(`Note updated: ${note.title} by ${req.user.email}`);
 
+  res.set('ETag', note.getETag());
+
   res.json({
     success: true,
     message: 'Note updated successfully',
@@ -323,6 +456,14 @@ const deleteNote = asyncHandler(async (req, res) => {
   // Soft delete
   await note.softDelete();
 
+  await Notification.notify(note.collaborators.map(collab => collab.user), {
+    type: 'note_deleted',
+    title: `"${note.title}" was deleted`,
+    message: `${req.user.fullName} moved a note you collaborate on to the trash.`,
+    note,
+    actor: req.user
+  });
+
   // Decrement tag usage counts
   if (note.tags && note.tags.length > 0) {
     await Promise.all(
@@ -359,6 +500,14 @@ const restoreNote = asyncHandler(async (req, res) => {
   // Restore note
   await note.restore();
 
+  await Notification.notify(note.collaborators.map(collab => collab.user), {
+    type: 'note_restored',
+    title: `"${note.title}" was restored`,
+    message: `${req.user.fullName} restored a note you collaborate on.`,
+    note,
+    actor: req.user
+  });
+
   // Increment tag usage counts
   if (note.tags && note.tags.length > 0) {
     await Promise.all(
@@ -397,6 +546,7 @@ const getDeletedNotes = asyncHandler(async (req, res) => {
     author: req.user._id,
     isDeleted: true
   })
+  .select(Note.LIST_EXCLUDED_FIELDS)
   .populate('category', 'name color')
   .populate('tags', 'name color')
   .sort({ deletedAt: -1 })
@@ -436,6 +586,10 @@ const permanentDeleteNote = asyncHandler(async (req, res) => {
   }
 
   await Note.findByIdAndDelete(note._id);
+  await NoteVersion.deleteMany({ note: note._id });
+  await note.removeAttachments().catch(error => {
+    logger.error(`Failed to remove attachments of note ${note._id}:`, error);
+  });
 
   logger.info(`Note permanently deleted: ${note.title} by ${req.user.email}`);
 
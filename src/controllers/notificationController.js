@@ -0,0 +1,173 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPaginationMeta } = require('../utils/helpers');
+
+/**
+ * Notification settings of a user
+ */
+const formatSettings = (user) => ({
+  notificationsEnabled: user.preferences.notificationsEnabled,
+  mutedTypes: user.preferences.mutedNotifications || [],
+  availableTypes: Notification.TYPES
+});
+
+/**
+ * @desc    Get notifications of the user
+ * @route   GET /api/notifications?unread=true
+ * @access  Private
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread } = req.query;
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { user: req.user._id };
+  if (unread === 'true') {
+    query.readAt = null;
+  }
+
+  const notifications = await Notification.find(query)
+    .populate('actor', 'firstName lastName')
+    .populate('note', 'title')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countUnread(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: getPaginationMeta(pageNum, limitNum, total)
+    }
+  });
+});
+
+/**
+ * @desc    Mark notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!notification) {
+    throw new AppError('Notification not found', 404);
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+    data: {
+      notification
+    }
+  });
+});
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: {
+      updated: result.modifiedCount
+    }
+  });
+});
+
+/**
+ * @desc    Delete notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private
+ */
+const deleteNotification = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!notification) {
+    throw new AppError('Notification not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification deleted successfully'
+  });
+});
+
+/**
+ * @desc    Get notification settings
+ * @route   GET /api/notifications/settings
+ * @access  Private
+ */
+const getSettings = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      settings: formatSettings(req.user)
+    }
+  });
+});
+
+/**
+ * @desc    Update notification settings
+ * @route   PUT /api/notifications/settings
+ * @access  Private
+ */
+const updateSettings = asyncHandler(async (req, res) => {
+  const { notificationsEnabled, mutedTypes } = req.body;
+  const updates = {};
+
+  if (notificationsEnabled !== undefined) {
+    updates['preferences.notificationsEnabled'] = notificationsEnabled;
+  }
+  if (mutedTypes !== undefined) {
+    updates['preferences.mutedNotifications'] = [...new Set(mutedTypes)];
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true, runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: 'Notification settings updated successfully',
+    data: {
+      settings: formatSettings(user)
+    }
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getSettings,
+  updateSettings
+};
@@ -0,0 +1,185 @@
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const webauthn = require('../utils/webauthn');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Public representation of a passkey (never includes the public key)
+ */
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt
+});
+
+/**
+ * @desc    Get passkeys registered to the account
+ * @route   GET /api/auth/passkeys
+ * @access  Private
+ */
+const getPasskeys = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      passkeys: req.user.passkeys.map(formatPasskey)
+    }
+  });
+});
+
+/**
+ * @desc    Start registering a passkey (returns options for navigator.credentials.create())
+ * @route   POST /api/auth/passkeys/register/options
+ * @access  Private
+ */
+const getRegistrationOptions = asyncHandler(async (req, res) => {
+  if (req.user.passkeys.length >= config.webauthn.maxPerUser) {
+    throw new AppError(`You can have at most ${config.webauthn.maxPerUser} passkeys`, 400);
+  }
+
+  const options = await webauthn.createRegistrationOptions(req.user);
+
+  await WebAuthnChallenge.create({
+    challenge: options.challenge,
+    type: 'registration',
+    user: req.user._id
+  });
+
+  res.json({
+    success: true,
+    data: {
+      options
+    }
+  });
+});
+
+/**
+ * @desc    Finish registering a passkey with the authenticator's response
+ * @route   POST /api/auth/passkeys/register
+ * @access  Private
+ */
+const registerPasskey = asyncHandler(async (req, res) => {
+  const { response, name } = req.body;
+
+  const challenge = await WebAuthnChallenge.consume(webauthn.getResponseChallenge(response), 'registration');
+  if (!challenge || !challenge.user.equals(req.user._id)) {
+    throw new AppError('Passkey registration is invalid or expired, please try again', 400);
+  }
+
+  const passkey = await webauthn.verifyRegistration(response, challenge.challenge);
+
+  const owner = await User.findByPasskey(passkey.credentialId);
+  if (owner) {
+    throw new AppError('This passkey is already registered', 409);
+  }
+
+  const user = await User.findById(req.user._id);
+  if (user.passkeys.length >= config.webauthn.maxPerUser) {
+    throw new AppError(`You can have at most ${config.webauthn.maxPerUser} passkeys`, 400);
+  }
+
+  user.passkeys.push({
+    ...passkey,
+    name: name || `Passkey ${user.passkeys.length + 1}`
+  });
+  await user.save();
+
+  const registered = user.passkeys[user.passkeys.length - 1];
+
+  await AuditEvent.record(req, {
+    action: 'passkey.registered',
+    targetType: 'passkey',
+    targetId: registered._id,
+    after: { name: registered.name, deviceType: registered.deviceType }
+  });
+
+  logger.info(`Passkey registered by ${user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Passkey registered successfully',
+    data: {
+      passkey: formatPasskey(registered)
+    }
+  });
+});
+
+/**
+ * @desc    Rename a passkey
+ * @route   PUT /api/auth/passkeys/:id
+ * @access  Private
+ */
+const renamePasskey = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  const passkey = user.passkeys.id(req.params.id);
+  if (!passkey) {
+    throw new AppError('Passkey not found', 404);
+  }
+
+  const before = { name: passkey.name };
+
+  passkey.name = req.body.name;
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'passkey.renamed',
+    targetType: 'passkey',
+    targetId: passkey._id,
+    before,
+    after: { name: passkey.name }
+  });
+
+  res.json({
+    success: true,
+    message: 'Passkey renamed successfully',
+    data: {
+      passkey: formatPasskey(passkey)
+    }
+  });
+});
+
+/**
+ * @desc    Remove a passkey from the account
+ * @route   DELETE /api/auth/passkeys/:id
+ * @access  Private
+ */
+const deletePasskey = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  const passkey = user.passkeys.id(req.params.id);
+  if (!passkey) {
+    throw new AppError('Passkey not found', 404);
+  }
+
+  passkey.deleteOne();
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'passkey.removed',
+    targetType: 'passkey',
+    targetId: passkey._id,
+    before: { name: passkey.name }
+  });
+
+  logger.info(`Passkey "${passkey.name}" removed by ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Passkey removed successfully'
+  });
+});
+
+module.exports = {
+  getPasskeys,
+  getRegistrationOptions,
+  registerPasskey,
+  renamePasskey,
+  deletePasskey
+};
@@ -0,0 +1,128 @@
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Public representation of a note's reminder
+ */
+const formatReminder = (note) => {
+  const { isSet, reminderAt, reminderType, occurrenceAt, lastTriggeredAt } = note.reminder;
+
+  return {
+    isSet,
+    reminderAt: isSet ? reminderAt : null,
+    reminderType,
+    occurrenceAt: isSet ? occurrenceAt : null,
+    isSnoozed: Boolean(isSet && occurrenceAt && reminderAt > occurrenceAt),
+    lastTriggeredAt
+  };
+};
+
+/**
+ * Fail unless the note has an active reminder
+ */
+const requireActiveReminder = (note) => {
+  if (!note.reminder || !note.reminder.isSet) {
+    throw new AppError('Note has no active reminder', 400);
+  }
+};
+
+/**
+ * @desc    Set reminder on a note
+ * @route   PUT /api/notes/:id/reminder
+ * @access  Private
+ */
+const setReminder = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  const { reminderAt, reminderType = 'once' } = req.body;
+
+  note.setReminder(new Date(reminderAt), reminderType);
+  await note.save();
+
+  logger.info(`Reminder set on note ${note._id} for ${note.reminder.reminderAt.toISOString()} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Reminder set successfully',
+    data: {
+      reminder: formatReminder(note)
+    }
+  });
+});
+
+/**
+ * @desc    Snooze the pending reminder of a note
+ * @route   POST /api/notes/:id/reminder/snooze
+ * @access  Private
+ */
+const snoozeReminder = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  requireActiveReminder(note);
+
+  const minutes = req.body.minutes ? parseInt(req.body.minutes) : config.reminders.defaultSnoozeMinutes;
+  const until = req.body.until
+    ? new Date(req.body.until)
+    : new Date(Date.now() + minutes * 60 * 1000);
+
+  note.snoozeReminder(until);
+  await note.save();
+
+  res.json({
+    success: true,
+    message: 'Reminder snoozed',
+    data: {
+      reminder: formatReminder(note)
+    }
+  });
+});
+
+/**
+ * @desc    Dismiss the pending reminder (recurring reminders move to the next occurrence)
+ * @route   POST /api/notes/:id/reminder/dismiss
+ * @access  Private
+ */
+const dismissReminder = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  requireActiveReminder(note);
+
+  note.dismissReminder(req.user.getTimeZone());
+  await note.save();
+
+  res.json({
+    success: true,
+    message: note.reminder.isSet ? 'Reminder dismissed until the next occurrence' : 'Reminder dismissed',
+    data: {
+      reminder: formatReminder(note)
+    }
+  });
+});
+
+/**
+ * @desc    Remove reminder from a note
+ * @route   DELETE /api/notes/:id/reminder
+ * @access  Private
+ */
+const removeReminder = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  requireActiveReminder(note);
+
+  note.clearReminder();
+  await note.save();
+
+  logger.info(`Reminder removed from note ${note._id} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Reminder removed successfully',
+    data: {
+      reminder: formatReminder(note)
+    }
+  });
+});
+
+module.exports = {
+  setReminder,
+  snoozeReminder,
+  dismissReminder,
+  removeReminder
+};
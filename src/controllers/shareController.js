@@ -1,8 +1,13 @@
 const Note = require('../models/Note');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const AuditEvent = require('../models/AuditEvent');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+// Share settings summarized in audit events
+const SHARE_FIELDS = ['shareSettings.isShared', 'shareSettings.sharePermissions', 'shareSettings.shareExpiresAt', 'shareSettings.allowComments'];
+
 /**
  * @desc    Create share link for a note
  * @route   POST /api/notes/:id/share
@@ -24,6 +29,22 @@ const createShareLink = asyncHandler(async (req, res) => {
   // Create share link
   await note.createShareLink(permissions, expiresIn);
 
+  await AuditEvent.record(req, {
+    action: 'share.created',
+    targetType: 'note',
+    targetId: note._id,
+    after: AuditEvent.snapshot(note, SHARE_FIELDS)
+  });
+
+  await Notification.notify(note.collaborators.map(collab => collab.user), {
+    type: 'share_link_created',
+    title: `${req.user.fullName} created a public link to "${note.title}"`,
+    message: `Anyone with the link can ${note.shareSettings.sharePermissions} this note.`,
+    note,
+    actor: req.user,
+    data: { permissions: note.shareSettings.sharePermissions, expiresAt: note.shareSettings.shareExpiresAt }
+  });
+
   logger.info(`Share link created for note: ${note.title} by ${req.user.email}`);
 
   res.status(201).json({
@@ -39,13 +60,9 @@ const createShareLink = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get shared note by share ID
- * @route   GET /api/shared/:shareId
- * @access  Public
+ * Find a shared note by share ID and make sure the link is still valid
  */
-const getSharedNote = asyncHandler(async (req, res) => {
-  const { shareId } = req.params;
-
+const findActiveShare = async (shareId) => {
   const note = await Note.findByShareId(shareId);
 
   if (!note) {
@@ -57,35 +74,108 @@ const getSharedNote = asyncHandler(async (req, res) => {
     throw new AppError('Share link has expired', 410);
   }
 
+  return note;
+};
+
+/**
+ * Build the public representation of a shared note
+ */
+const formatSharedNote = (note) => ({
+  id: note._id,
+  title: note.title,
+  content: note.content,
+  contentType: note.contentType,
+  excerpt: note.excerpt,
+  wordCount: note.wordCount,
+  readingTime: note.readingTime,
+  author: {
+    name: note.author.fullName,
+    firstName: note.author.firstName,
+    lastName: note.author.lastName
+  },
+  category: note.category,
+  tags: note.tags,
+  version: note.version,
+  lastEditedBy: note.lastEditedBy && note.lastEditedBy.editedAt ? {
+    name: note.lastEditedBy.name,
+    editedAt: note.lastEditedBy.editedAt
+  } : null,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+  sharePermissions: note.shareSettings.sharePermissions,
+  allowComments: note.shareSettings.allowComments
+});
+
+/**
+ * @desc    Get shared note by share ID (?render=html adds the content rendered to safe HTML)
+ * @route   GET /api/shared/:shareId
+ * @access  Public
+ */
+const getSharedNote = asyncHandler(async (req, res) => {
+  const note = await findActiveShare(req.params.shareId);
+
   // Increment view count
   await note.incrementViewCount();
 
-  // Return note data based on permissions
-  const responseData = {
-    id: note._id,
-    title: note.title,
-    content: note.content,
-    contentType: note.contentType,
-    excerpt: note.excerpt,
-    wordCount: note.wordCount,
-    readingTime: note.readingTime,
-    author: {
-      name: note.author.fullName,
-      firstName: note.author.firstName,
-      lastName: note.author.lastName
-    },
-    category: note.category,
-    tags: note.tags,
-    createdAt: note.createdAt,
-    updatedAt: note.updatedAt,
-    sharePermissions: note.shareSettings.sharePermissions,
-    allowComments: note.shareSettings.allowComments
-  };
+  res.json({
+    success: true,
+    data: {
+      note: formatSharedNote(note),
+      ...(req.query.render === 'html' && { renderedHtml: note.renderHtml() })
+    }
+  });
+});
+
+/**
+ * @desc    Update shared note through an edit link
+ * @route   PUT /api/shared/:shareId
+ * @access  Public (attributed to the user when authenticated)
+ */
+const updateSharedNote = asyncHandler(async (req, res) => {
+  const { title, content, editorName } = req.body;
+
+  const note = await findActiveShare(req.params.shareId);
+
+  if (note.shareSettings.sharePermissions !== 'edit') {
+    throw new AppError('This share link does not allow editing', 403);
+  }
+
+  if (title === undefined && content === undefined) {
+    throw new AppError('Nothing to update', 400);
+  }
+
+  const editorId = req.user ? req.user._id : null;
+
+  // Create version backup before updating
+  if (note.isRevisionChange({ title, content })) {
+    note.createVersionBackup(editorId);
+  }
+
+  if (title !== undefined) note.title = title;
+  if (content !== undefined) note.content = content;
+
+  note.recordEditor(req.user, { name: editorName, viaShareLink: true });
+
+  await note.save();
+
+  await AuditEvent.record(req, {
+    action: 'share.note_edited',
+    targetType: 'note',
+    targetId: note._id,
+    user: note.author._id,
+    metadata: {
+      fields: ['title', 'content'].filter(field => req.body[field] !== undefined),
+      editorName: req.user ? req.user.fullName : editorName || null
+    }
+  });
+
+  logger.info(`Shared note updated: ${note.title} by ${req.user ? req.user.email : 'anonymous'} via share link`);
 
   res.json({
     success: true,
+    message: 'Note updated successfully',
     data: {
-      note: responseData
+      note: formatSharedNote(note)
     }
   });
 });
@@ -116,6 +206,8 @@ const updateShareSettings = asyncHandler(async (req, res) => {
     throw new AppError('Note is not currently shared', 400);
   }
 
+  const before = AuditEvent.snapshot(note, SHARE_FIELDS);
+
   // Update share settings
   if (permissions !== undefined) {
     note.shareSettings.sharePermissions = permissions;
@@ -135,6 +227,14 @@ const updateShareSettings = asyncHandler(async (req, res) => {
 
   await note.save();
 
+  await AuditEvent.record(req, {
+    action: 'share.updated',
+    targetType: 'note',
+    targetId: note._id,
+    before,
+    after: AuditEvent.snapshot(note, SHARE_FIELDS)
+  });
+
   logger.info(`Share settings updated for note: ${note.title} by ${req.user.email}`);
 
   res.json({
@@ -166,9 +266,18 @@ const revokeShareLink = asyncHandler(async (req, res) => {
     throw new AppError('Note is not currently shared', 400);
   }
 
+  const before = AuditEvent.snapshot(note, SHARE_FIELDS);
+
   // Revoke share link
   await note.revokeShareLink();
 
+  await AuditEvent.record(req, {
+    action: 'share.revoked',
+    targetType: 'note',
+    targetId: note._id,
+    before
+  });
+
   logger.info(`Share link revoked for note: ${note.title} by ${req.user.email}`);
 
   res.json({
@@ -265,6 +374,23 @@ const addCollaborator = asyncHandler(async (req, res) => {
   // Add collaborator
   await note.addCollaborator(collaboratorUser._id, permission);
 
+  await AuditEvent.record(req, {
+    action: 'collaborator.added',
+    targetType: 'note',
+    targetId: note._id,
+    after: { permission },
+    metadata: { collaborator: collaboratorUser._id.toString(), email: collaboratorUser.email }
+  });
+
+  await Notification.notify(collaboratorUser, {
+    type: 'collaborator_added',
+    title: `${req.user.fullName} shared "${note.title}" with you`,
+    message: `You can ${permission} this note.`,
+    note,
+    actor: req.user,
+    data: { permission }
+  });
+
   // Populate the new collaborator data
   await note.populate('collaborators.user', 'firstName lastName email');
 
@@ -308,9 +434,30 @@ const updateCollaboratorPermission = asyncHandler(async (req, res) => {
   }
 
   // Update permission
+  const previousPermission = collaborator.permission;
   collaborator.permission = permission;
   await note.save();
 
+  if (previousPermission !== permission) {
+    await AuditEvent.record(req, {
+      action: 'collaborator.permission_changed',
+      targetType: 'note',
+      targetId: note._id,
+      before: { permission: previousPermission },
+      after: { permission },
+      metadata: { collaborator: userId }
+    });
+
+    await Notification.notify(collaborator.user, {
+      type: 'permission_changed',
+      title: `Your access to "${note.title}" changed`,
+      message: `${req.user.fullName} changed your permission from ${previousPermission} to ${permission}.`,
+      note,
+      actor: req.user,
+      data: { from: previousPermission, to: permission }
+    });
+  }
+
   // Populate collaborator data
   await note.populate('collaborators.user', 'firstName lastName email');
 
@@ -352,9 +499,27 @@ const removeCollaborator = asyncHandler(async (req, res) => {
     throw new AppError('Collaborator not found', 404);
   }
 
+  const { permission } = note.collaborators.find(collab => collab.user.toString() === userId);
+
   // Remove collaborator
   await note.removeCollaborator(userId);
 
+  await AuditEvent.record(req, {
+    action: 'collaborator.removed',
+    targetType: 'note',
+    targetId: note._id,
+    before: { permission },
+    metadata: { collaborator: userId }
+  });
+
+  await Notification.notify(userId, {
+    type: 'collaborator_removed',
+    title: `You no longer have access to "${note.title}"`,
+    message: `${req.user.fullName} removed you as a collaborator.`,
+    note,
+    actor: req.user
+  });
+
   // Populate remaining collaborators
   await note.populate('collaborators.user', 'firstName lastName email');
 
@@ -384,6 +549,7 @@ const getCollaboratedNotes = asyncHandler(async (req, res) => {
     'collaborators.user': req.user._id,
     isDeleted: false
   })
+  .select(Note.LIST_EXCLUDED_FIELDS)
   .populate('author', 'firstName lastName email')
   .populate('category', 'name color')
   .populate('tags', 'name color')
@@ -430,6 +596,7 @@ const getCollaboratedNotes = asyncHandler(async (req, res) => {
 module.exports = {
   createShareLink,
   getSharedNote,
+  updateSharedNote,
   updateShareSettings,
   revokeShareLink,
   getSharedNotes,
@@ -1,9 +1,13 @@
 const Tag = require('../models/Tag');
 const Note = require('../models/Note');
+const AuditEvent = require('../models/AuditEvent');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { getPaginationMeta } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+// Tag fields summarized in audit events
+const TAG_FIELDS = ['name', 'description', 'color', 'isPrivate', 'isFavorite'];
+
 /**
  * @desc    Get all tags for authenticated user
  * @route   GET /api/tags
@@ -117,6 +121,13 @@ const createTag = asyncHandler(async (req, res) => {
     owner: req.user._id
   });
 
+  await AuditEvent.record(req, {
+    action: 'tag.created',
+    targetType: 'tag',
+    targetId: tag._id,
+    after: AuditEvent.snapshot(tag, TAG_FIELDS)
+  });
+
   logger.info(`Tag created: ${name} by ${req.user.email}`);
 
   res.status(201).json({
@@ -164,6 +175,8 @@ const updateTag = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = AuditEvent.snapshot(tag, TAG_FIELDS);
+
   // Update fields
   if (name !== undefined) tag.name = name.trim();
   if (description !== undefined) tag.description = description;
@@ -173,6 +186,14 @@ const updateTag = asyncHandler(async (req, res) => {
 
   await tag.save();
 
+  await AuditEvent.record(req, {
+    action: 'tag.updated',
+    targetType: 'tag',
+    targetId: tag._id,
+    before,
+    after: AuditEvent.snapshot(tag, TAG_FIELDS)
+  });
+
   logger.info(`Tag updated: ${tag.name} by ${req.user.email}`);
 
   res.json({
@@ -216,6 +237,14 @@ const deleteTag = asyncHandler(async (req, res) => {
 
   await Tag.findByIdAndDelete(tag._id);
 
+  await AuditEvent.record(req, {
+    action: 'tag.deleted',
+    targetType: 'tag',
+    targetId: tag._id,
+    before: AuditEvent.snapshot(tag, TAG_FIELDS),
+    metadata: { notesUntagged: notesCount }
+  });
+
   logger.info(`Tag deleted: ${tag.name} by ${req.user.email}`);
 
   res.json({
@@ -322,6 +351,13 @@ const mergeTags = asyncHandler(async (req, res) => {
   try {
     const mergedTag = await Tag.mergeTags(sourceTagId, targetTagId, req.user._id);
 
+    await AuditEvent.record(req, {
+      action: 'tag.merged',
+      targetType: 'tag',
+      targetId: targetTagId,
+      metadata: { sourceTag: sourceTagId }
+    });
+
     logger.info(`Tags merged: ${sourceTagId} -> ${targetTagId} by ${req.user.email}`);
 
     res.json({
@@ -375,6 +411,14 @@ const bulkCreateTags = asyncHandler(async (req, res) => {
           owner: req.user._id
         });
         createdTags.push(newTag);
+
+        await AuditEvent.record(req, {
+          action: 'tag.created',
+          targetType: 'tag',
+          targetId: newTag._id,
+          after: AuditEvent.snapshot(newTag, TAG_FIELDS),
+          metadata: { bulk: true }
+        });
       }
     } catch (error) {
       errors.push({
@@ -0,0 +1,185 @@
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildOtpauthUri } = require('../utils/totp');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Load the current user with the password hash and fail unless the password matches
+ */
+const requirePassword = async (userId, password) => {
+  const user = await User.findById(userId).select('+password');
+
+  if (!password || !(await user.comparePassword(password))) {
+    throw new AppError('Password is incorrect', 401);
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+  const recoveryCodes = user.twoFactor.recoveryCodes || [];
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: recoveryCodes.filter(code => !code.usedAt).length
+    }
+  });
+});
+
+/**
+ * @desc    Start two-factor enrollment (returns the secret and QR provisioning URI)
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await requirePassword(req.user._id, req.body.password);
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = user.startTwoFactorEnrollment();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: config.twoFactor.issuer
+      })
+    }
+  });
+});
+
+/**
+ * @desc    Confirm two-factor enrollment with a code (returns recovery codes)
+ * @route   POST /api/auth/2fa/verify
+ * @access  Private
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Start enrollment first', 400);
+  }
+
+  if (!user.confirmTwoFactorEnrollment(req.body.code)) {
+    throw new AppError('Invalid two-factor code', 400);
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'two_factor.enabled',
+    targetType: 'user',
+    targetId: user._id
+  });
+
+  logger.info(`Two-factor authentication enabled for: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await requirePassword(req.user._id, password);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  user.disableTwoFactor();
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'two_factor.disabled',
+    targetType: 'user',
+    targetId: user._id
+  });
+
+  logger.info(`Two-factor authentication disabled for: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * @desc    Replace recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if ((await user.verifySecondFactor({ code: req.body.code })) !== 'totp') {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  await AuditEvent.record(req, {
+    action: 'two_factor.recovery_codes_regenerated',
+    targetType: 'user',
+    targetId: user._id
+  });
+
+  logger.info(`Recovery codes regenerated for: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated, the old ones no longer work',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
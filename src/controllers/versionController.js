@@ -0,0 +1,157 @@
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { diffText } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+/**
+ * Look up a version of the note in the request or fail with 404
+ */
+const findVersion = async (note, versionNumber) => {
+  const version = await note.getVersion(parseInt(versionNumber));
+
+  if (!version) {
+    throw new AppError(`Version ${versionNumber} not found`, 404);
+  }
+
+  return version;
+};
+
+/**
+ * @desc    Get version history of a note
+ * @route   GET /api/notes/:id/versions
+ * @access  Private
+ */
+const getVersions = asyncHandler(async (req, res) => {
+  const note = req.resource;
+
+  const current = await note.getVersion(note.version);
+  const previous = await NoteVersion.findByNote(note._id);
+
+  const versions = [
+    {
+      version: current.version,
+      title: current.title,
+      contentLength: current.content.length,
+      modifiedAt: current.modifiedAt,
+      modifiedBy: current.modifiedBy,
+      isCurrent: true
+    },
+    ...previous.map(v => ({
+      version: v.version,
+      title: v.title,
+      contentLength: v.size,
+      modifiedAt: v.modifiedAt,
+      modifiedBy: v.modifiedBy,
+      isCurrent: false
+    }))
+  ];
+
+  res.json({
+    success: true,
+    data: {
+      currentVersion: note.version,
+      versions
+    }
+  });
+});
+
+/**
+ * @desc    Get a single version of a note
+ * @route   GET /api/notes/:id/versions/:version
+ * @access  Private
+ */
+const getVersion = asyncHandler(async (req, res) => {
+  const version = await findVersion(req.resource, req.params.version);
+
+  res.json({
+    success: true,
+    data: {
+      version
+    }
+  });
+});
+
+/**
+ * @desc    Diff two versions of a note
+ * @route   GET /api/notes/:id/versions/diff?from=&to=&mode=line|word
+ * @access  Private
+ */
+const diffVersions = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  const { mode = 'line' } = req.query;
+
+  // Default to comparing the latest backup with the current version
+  const latest = await NoteVersion.findOne({ note: note._id })
+    .sort({ version: -1 })
+    .select('version');
+
+  const from = await findVersion(note, req.query.from || (latest ? latest.version : note.version));
+  const to = await findVersion(note, req.query.to || note.version);
+
+  res.json({
+    success: true,
+    data: {
+      from: from.version,
+      to: to.version,
+      title: from.title === to.title ? null : { from: from.title, to: to.title },
+      diff: diffText(from.content, to.content, mode)
+    }
+  });
+});
+
+/**
+ * @desc    Restore a previous version (creates a new version)
+ * @route   POST /api/notes/:id/versions/:version/restore
+ * @access  Private
+ */
+const restoreVersion = asyncHandler(async (req, res) => {
+  const note = req.resource;
+  const version = await findVersion(note, req.params.version);
+
+  if (version.isCurrent) {
+    throw new AppError('Cannot restore the current version', 400);
+  }
+
+  if (!note.isRevisionChange(version)) {
+    throw new AppError('Version content is identical to the current version', 400);
+  }
+
+  const loadedVersion = note.version;
+
+  // Back up the current content so the restore itself can be undone
+  note.createVersionBackup(req.user._id);
+
+  note.title = version.title;
+  note.content = version.content;
+  note.contentType = version.contentType;
+  note.recordEditor(req.user);
+
+  // Only save if nobody else created a new version since the note was loaded
+  note.$where = { version: loadedVersion };
+
+  try {
+    await note.save();
+  } catch (error) {
+    if (!Note.isStaleSaveError(error)) throw error;
+    throw new AppError('Note has been modified since you loaded it, reload it and try again', 409);
+  }
+
+  logger.info(`Note ${note.title} restored to version ${version.version} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Note restored from version ${version.version}`,
+    data: {
+      restoredFrom: version.version,
+      note
+    }
+  });
+});
+
+module.exports = {
+  getVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion
+};
@@ -0,0 +1,198 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const AccessToken = require('../models/AccessToken');
+const LoginEvent = require('../models/LoginEvent');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const OAuthState = require('../models/OAuthState');
+const DataExport = require('../models/DataExport');
+const AuditEvent = require('../models/AuditEvent');
+const JobLock = require('../models/JobLock');
+const { getStorage } = require('../storage');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+const LOCK_NAME = 'account-deletion';
+
+/**
+ * Background job that deletes accounts whose deletion grace period is over.
+ *
+ * A lease in the JobLock collection lets one app instance work at a time, and
+ * each account is claimed with a conditional update so a login that cancels
+ * the deletion at the last moment either wins or is too late, never half-applied.
+ * Every step is idempotent: an account whose deletion was interrupted is
+ * picked up again on the next run.
+ */
+class AccountDeletionScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), config.accountDeletion.pollIntervalMs);
+    this.tick();
+
+    logger.info(`Account deletion scheduler started (every ${config.accountDeletion.pollIntervalMs / 1000}s)`);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  tick() {
+    if (this.running) return this.running;
+
+    this.running = this.runOnce()
+      .catch(error => logger.error('Account deletion run failed:', error))
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+
+  /**
+   * Delete every account scheduled for deletion at `now`
+   * @param {Date} now - Reference time
+   * @returns {number} Number of accounts deleted (0 if another instance holds the lock)
+   */
+  async runOnce(now = new Date()) {
+    const { lockTtlMs, batchSize } = config.accountDeletion;
+
+    const acquired = await JobLock.acquire(LOCK_NAME, this.instanceId, lockTtlMs);
+    if (!acquired) return 0;
+
+    let deleted = 0;
+
+    try {
+      let lastId = null;
+      let batch;
+      do {
+        batch = await User.find({
+          deletionScheduledFor: { $lte: now },
+          ...(lastId && { _id: { $gt: lastId } })
+        })
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .select('email deletionScheduledFor');
+
+        for (const user of batch) {
+          try {
+            if (await this.deleteAccount(user, now)) deleted += 1;
+          } catch (error) {
+            // Left scheduled, so the next run tries again
+            logger.error(`Failed to delete account ${user._id}:`, error);
+          }
+        }
+
+        lastId = batch.length > 0 ? batch[batch.length - 1]._id : lastId;
+
+        // Keep the lease while working through a backlog
+        await JobLock.acquire(LOCK_NAME, this.instanceId, lockTtlMs);
+      } while (batch.length === batchSize);
+    } finally {
+      await JobLock.release(LOCK_NAME, this.instanceId);
+    }
+
+    if (deleted > 0) {
+      logger.info(`Deleted ${deleted} account(s)`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Delete an account and everything it owns
+   * @returns {boolean} True if the account was deleted
+   */
+  async deleteAccount(user, now) {
+    // Claim the account: fails if a login cancelled the deletion meanwhile.
+    // Deactivating it keeps anyone from logging in while the data is removed.
+    const claimed = await User.updateOne(
+      { _id: user._id, deletionScheduledFor: { $lte: now } },
+      { $set: { isActive: false, refreshTokens: [] } }
+    );
+    if (claimed.matchedCount === 0) return false;
+
+    const noteIds = [];
+    const notes = Note.find({ author: user._id }).select('author attachments').cursor();
+    for await (const note of notes) {
+      noteIds.push(note._id);
+      await note.removeAttachments().catch(error => {
+        logger.error(`Failed to remove attachments of note ${note._id}:`, error);
+      });
+    }
+
+    const dataExports = await DataExport.find({ user: user._id, path: { $ne: null } });
+    for (const dataExport of dataExports) {
+      await getStorage(dataExport.storage).delete(dataExport.path).catch(error => {
+        logger.error(`Failed to remove data export ${dataExport.path}:`, error);
+      });
+    }
+
+    const [deletedNotes] = await Promise.all([
+      Note.deleteMany({ author: user._id }),
+      NoteVersion.deleteMany({ owner: user._id }),
+      Comment.deleteMany({ note: { $in: noteIds } }),
+      Notification.deleteMany({ $or: [{ user: user._id }, { note: { $in: noteIds } }] }),
+      Category.deleteMany({ owner: user._id }),
+      Tag.deleteMany({ owner: user._id }),
+      AccessToken.deleteMany({ user: user._id }),
+      LoginEvent.deleteMany({ user: user._id }),
+      WebAuthnChallenge.deleteMany({ user: user._id }),
+      OAuthState.deleteMany({ user: user._id }),
+      DataExport.deleteMany({ user: user._id })
+    ]);
+
+    // Remove the user from other people's notes; their comments stay, without a name
+    const [removedFrom] = await Promise.all([
+      Note.updateMany(
+        { 'collaborators.user': user._id },
+        { $pull: { collaborators: { user: user._id } } }
+      ),
+      Comment.updateMany(
+        { author: user._id },
+        { $set: { author: null, authorName: 'Deleted user' } }
+      )
+    ]);
+
+    await User.deleteOne({ _id: user._id });
+
+    // Written directly: there is no request, and no actor besides the schedule
+    await AuditEvent.create({
+      actor: null,
+      user: user._id,
+      action: 'user.deleted',
+      targetType: 'user',
+      targetId: String(user._id),
+      metadata: {
+        deletionScheduledFor: user.deletionScheduledFor,
+        notes: deletedNotes.deletedCount,
+        collaborations: removedFrom.modifiedCount
+      }
+    }).catch(error => {
+      logger.error(`Failed to record audit event user.deleted for ${user._id}:`, error);
+    });
+
+    logger.info(`Account deleted: ${user.email}`);
+
+    return true;
+  }
+}
+
+module.exports = new AccountDeletionScheduler();
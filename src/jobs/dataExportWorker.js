@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const { getStorage } = require('../storage');
+const { writeAccountArchive } = require('../utils/dataExport');
+const { writeNotesArchive } = require('../utils/noteExport');
+const mailer = require('../utils/mailer');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Background job that builds requested data exports (account archives and
+ * large notes exports) and removes expired ones.
+ *
+ * Each export is claimed with a conditional update before it is built, so app
+ * instances can run the worker side by side without building an export twice.
+ */
+class DataExportWorker {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), config.dataExports.pollIntervalMs);
+    this.tick();
+
+    logger.info(`Data export worker started (every ${config.dataExports.pollIntervalMs / 1000}s)`);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // Let an export being built finish instead of leaving it for the crash timeout
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  tick() {
+    if (this.running) return this.running;
+
+    this.running = this.runOnce()
+      .catch(error => logger.error('Data export worker run failed:', error))
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+
+  /**
+   * Remove expired exports, then build every pending one
+   * @param {Date} now - Reference time for expiry
+   * @returns {number} Number of exports built
+   */
+  async runOnce(now = new Date()) {
+    await this.removeExpired(now);
+
+    let built = 0;
+    let dataExport;
+    while ((dataExport = await DataExport.claimNext(config.dataExports.processingTimeoutMs))) {
+      if (await this.build(dataExport)) built += 1;
+    }
+
+    return built;
+  }
+
+  /**
+   * Build the archive of a claimed export and store it
+   * @returns {boolean} True if the export is ready
+   */
+  async build(dataExport) {
+    const tempPath = path.join(os.tmpdir(), `data-export-${dataExport._id}-${uuidv4()}.zip`);
+
+    try {
+      const user = await User.findById(dataExport.user);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const size = dataExport.type === 'notes'
+        ? await writeNotesArchive(user, {
+          filters: dataExport.toObject().filters,
+          format: dataExport.format
+        }, fs.createWriteStream(tempPath))
+        : await writeAccountArchive(user, tempPath);
+
+      const storage = getStorage();
+      const key = `exports/${user._id}/${dataExport._id}.zip`;
+      await storage.put(key, fs.createReadStream(tempPath), {
+        contentType: 'application/zip',
+        contentLength: size
+      });
+
+      dataExport.status = 'ready';
+      dataExport.path = key;
+      dataExport.storage = storage.name;
+      dataExport.size = size;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + config.dataExports.expiresMs);
+      await dataExport.save();
+
+      logger.info(`Data export ${dataExport._id} built for ${user.email}`);
+
+      mailer.sendDataExportReadyEmail(user, dataExport).catch(error => {
+        logger.error(`Failed to send data export email to ${user.email}:`, error);
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Data export ${dataExport._id} failed:`, error);
+
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      dataExport.completedAt = new Date();
+      await dataExport.save();
+
+      return false;
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Delete the archives of exports past their expiry
+   * @param {Date} now - Reference time
+   */
+  async removeExpired(now) {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+
+    for (const dataExport of expired) {
+      try {
+        await getStorage(dataExport.storage).delete(dataExport.path);
+      } catch (error) {
+        logger.error(`Failed to remove data export ${dataExport.path}:`, error);
+        continue;
+      }
+
+      dataExport.status = 'expired';
+      dataExport.path = null;
+      await dataExport.save();
+    }
+  }
+}
+
+module.exports = new DataExportWorker();
@@ -0,0 +1,156 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Note = require('../models/Note');
+const Notification = require('../models/Notification');
+const JobLock = require('../models/JobLock');
+const mailer = require('../utils/mailer');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+const LOCK_NAME = 'reminders';
+
+/**
+ * Background job that fires due note reminders.
+ *
+ * Every app instance runs the scheduler, but a lease in the JobLock collection
+ * lets only one of them scan at a time. Each reminder is also claimed with a
+ * conditional update before it is dispatched, so a reminder fires at most once
+ * per occurrence even if two scans overlap.
+ */
+class ReminderScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !config.reminders.enabled) return;
+
+    this.timer = setInterval(() => this.tick(), config.reminders.pollIntervalMs);
+    this.tick();
+
+    logger.info(`Reminder scheduler started (every ${config.reminders.pollIntervalMs / 1000}s)`);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // Let an in-progress scan finish so its reminders are not left half dispatched
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  tick() {
+    if (this.running) return this.running;
+
+    this.running = this.runOnce()
+      .catch(error => logger.error('Reminder scheduler run failed:', error))
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+
+  /**
+   * Fire every reminder due at `now`
+   * @param {Date} now - Reference time
+   * @returns {number} Number of reminders fired (0 if another instance holds the lock)
+   */
+  async runOnce(now = new Date()) {
+    const acquired = await JobLock.acquire(LOCK_NAME, this.instanceId, config.reminders.lockTtlMs);
+    if (!acquired) return 0;
+
+    let fired = 0;
+
+    try {
+      let batch;
+      do {
+        batch = await Note.find({
+          'reminder.isSet': true,
+          'reminder.reminderAt': { $lte: now },
+          isDeleted: false
+        })
+          .sort({ 'reminder.reminderAt': 1 })
+          .limit(config.reminders.batchSize)
+          .select('title author reminder')
+          .populate('author', 'firstName lastName email preferences isActive');
+
+        for (const note of batch) {
+          if (await this.fire(note, now)) fired += 1;
+        }
+
+        // Keep the lease while working through a backlog
+        await JobLock.acquire(LOCK_NAME, this.instanceId, config.reminders.lockTtlMs);
+      } while (batch.length === config.reminders.batchSize);
+    } finally {
+      await JobLock.release(LOCK_NAME, this.instanceId);
+    }
+
+    if (fired > 0) {
+      logger.info(`Fired ${fired} reminder(s)`);
+    }
+
+    return fired;
+  }
+
+  /**
+   * Advance or clear a due reminder, then notify the note's author
+   * @returns {boolean} True if this call fired the reminder
+   */
+  async fire(note, now) {
+    const user = note.author;
+    const { reminderAt } = note.reminder;
+    const occurrenceAt = note.reminder.occurrenceAt || reminderAt;
+
+    const next = user ? note.getNextReminderAt(user.getTimeZone(), now) : null;
+    const update = next
+      ? { 'reminder.reminderAt': next, 'reminder.occurrenceAt': next, 'reminder.lastTriggeredAt': now }
+      : { 'reminder.isSet': false, 'reminder.occurrenceAt': null, 'reminder.lastTriggeredAt': now };
+
+    // Claim the occurrence; fails if it fired elsewhere or the user changed it meanwhile
+    const claimed = await Note.updateOne(
+      { _id: note._id, 'reminder.isSet': true, 'reminder.reminderAt': reminderAt },
+      { $set: update }
+    );
+
+    if (claimed.modifiedCount === 0) return false;
+
+    if (!user || !user.isActive || !user.wantsNotification('reminder')) {
+      return true;
+    }
+
+    await this.dispatch(user, note, occurrenceAt, next);
+
+    return true;
+  }
+
+  async dispatch(user, note, occurrenceAt, next) {
+    try {
+      await Notification.create({
+        user: user._id,
+        type: 'reminder',
+        title: `Reminder: ${note.title}`,
+        note: note._id,
+        data: {
+          occurrenceAt,
+          reminderType: note.reminder.reminderType,
+          nextReminderAt: next
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to create reminder notification for note ${note._id}:`, error);
+    }
+
+    try {
+      await mailer.sendReminderEmail(user, note, occurrenceAt);
+    } catch (error) {
+      logger.error(`Failed to send reminder email for note ${note._id}:`, error);
+    }
+  }
+}
+
+module.exports = new ReminderScheduler();
@@ -1,10 +1,69 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AccessToken = require('../models/AccessToken');
 const config = require('../../config/config');
 const logger = require('../utils/logger');
 
 /**
- * Middleware to authenticate JWT tokens
+ * Check if the matched route declares a scope with requireScope
+ */
+const routeAcceptsAccessTokens = (req) => {
+  return Boolean(req.route && req.route.stack.some(layer => layer.handle.scope));
+};
+
+/**
+ * Authenticate a personal access token (see authenticate)
+ */
+const authenticateAccessToken = async (req, res, next, token) => {
+  const accessToken = await AccessToken.findActiveByToken(token);
+  if (!accessToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired access token.'
+    });
+  }
+
+  // Routes without a scope (e.g. account settings) need a login
+  if (!routeAcceptsAccessTokens(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for this endpoint.'
+    });
+  }
+
+  const user = await User.findById(accessToken.user).select('-password');
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token. User not found.'
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated.'
+    });
+  }
+
+  // Sessions end when deletion is requested; tokens stop working until a login cancels it
+  if (user.deletionScheduledFor) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is scheduled for deletion. Log in to cancel.'
+    });
+  }
+
+  accessToken.touch(req.ip);
+
+  req.user = user;
+  req.accessToken = accessToken;
+  req.sessionId = null;
+  next();
+};
+
+/**
+ * Middleware to authenticate JWT tokens and personal access tokens
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -17,6 +76,10 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (token.startsWith(config.accessTokens.prefix)) {
+      return await authenticateAccessToken(req, res, next, token);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, config.jwt.secret);
     
@@ -36,8 +99,19 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Reject tokens of sessions that were logged out or revoked
+    if (!user.hasActiveSession(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked.'
+      });
+    }
+
+    user.touchSession(decoded.sid);
+
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -63,6 +137,29 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to require a scope from personal access tokens.
+ * Routes without it don't accept personal access tokens at all.
+ * Requests authenticated with a JWT have every scope.
+ */
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.accessToken && !req.accessToken.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access token is missing the required scope: ${scope}`
+      });
+    }
+
+    next();
+  };
+
+  // Read by authenticate to tell which routes accept personal access tokens
+  middleware.scope = scope;
+
+  return middleware;
+};
+
 /**
  * Middleware to check if user is admin
  */
@@ -110,6 +207,41 @@ const requireOwnership = (resourceField = 'author') => {
   };
 };
 
+/**
+ * Permission levels for collaboration checks
+ */
+const permissionLevels = {
+  'view': 1,
+  'edit': 2,
+  'admin': 3
+};
+
+/**
+ * Resolve a user's permission on a resource: 'admin' for the owner,
+ * the collaborator permission otherwise, or null if they have no access
+ */
+const getCollaborationPermission = (resource, user) => {
+  if (!resource || !user) return null;
+
+  const authorId = resource.author && (resource.author._id || resource.author);
+  if (authorId && authorId.toString() === user._id.toString()) {
+    return 'admin';
+  }
+
+  const collaboration = resource.collaborators?.find(
+    collab => (collab.user._id || collab.user).toString() === user._id.toString()
+  );
+
+  return collaboration ? collaboration.permission : null;
+};
+
+/**
+ * Check if a permission satisfies the required permission level
+ */
+const hasPermissionLevel = (permission, requiredPermission) => {
+  return (permissionLevels[permission] || 0) >= (permissionLevels[requiredPermission] || 0);
+};
+
 /**
  * Middleware to check collaboration permissions
  */
@@ -128,11 +260,9 @@ const checkCollaborationPermission = (requiredPermission = 'view') => {
     }
 
     // Check if user is a collaborator with required permission
-    const collaboration = req.resource.collaborators?.find(
-      collab => collab.user.toString() === req.user._id.toString()
-    );
+    const permission = getCollaborationPermission(req.resource, req.user);
 
-    if (!collaboration) {
+    if (!permission) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You are not a collaborator on this resource.'
@@ -140,16 +270,7 @@ const checkCollaborationPermission = (requiredPermission = 'view') => {
     }
 
     // Check permission level
-    const permissionLevels = {
-      'view': 1,
-      'edit': 2,
-      'admin': 3
-    };
-
-    const userPermissionLevel = permissionLevels[collaboration.permission] || 0;
-    const requiredPermissionLevel = permissionLevels[requiredPermission] || 0;
-
-    if (userPermissionLevel < requiredPermissionLevel) {
+    if (!hasPermissionLevel(permission, requiredPermission)) {
       return res.status(403).json({
         success: false,
         message: `Access denied. ${requiredPermission} permission required.`
@@ -172,8 +293,9 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, config.jwt.secret);
       const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && user.hasActiveSession(decoded.sid)) {
         req.user = user;
+        req.sessionId = decoded.sid || null;
       }
     }
   } catch (error) {
@@ -210,18 +332,27 @@ const verifyRefreshToken = async (req, res, next) => {
       });
     }
 
-    const tokenExists = user.refreshTokens.some(
-      tokenObj => tokenObj.token === refreshToken
-    );
+    const session = decoded.sid && user.findSession(decoded.sid);
 
-    if (!tokenExists) {
+    if (!session) {
       return res.status(401).json({
         success: false,
         message: 'Refresh token not found.'
       });
     }
 
+    // A validly signed but already rotated token means it was copied: end the whole session
+    if (!user.isCurrentRefreshToken(session, refreshToken)) {
+      await user.revokeTokenFamily(session.sessionId, { ip: req.ip });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please login again.'
+      });
+    }
+
     req.user = user;
+    req.session = session;
     req.refreshToken = refreshToken;
     next();
   } catch (error) {
@@ -277,9 +408,12 @@ const requireEmailVerification = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  requireScope,
   requireAdmin,
   requireOwnership,
   checkCollaborationPermission,
+  getCollaborationPermission,
+  hasPermissionLevel,
   optionalAuth,
   verifyRefreshToken,
   requireEmailVerification,
@@ -79,6 +79,14 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    const message = 'Too many files, upload one file at a time';
+    error = {
+      message,
+      statusCode: 400
+    };
+  }
+
   // Default error response
   const statusCode = error.statusCode || err.statusCode || 500;
   const message = error.message || 'Internal Server Error';
@@ -148,11 +156,21 @@ const handleUncaughtException = () => {
 
 /**
  * Graceful shutdown handler
+ * @param {object} server - HTTP server
+ * @param {function} beforeClose - Optional async cleanup run before the server closes
  */
-const handleGracefulShutdown = (server) => {
-  const shutdown = (signal) => {
+const handleGracefulShutdown = (server, beforeClose) => {
+  const shutdown = async (signal) => {
     logger.info(`${signal} received. Shutting down gracefully...`);
     
+    if (beforeClose) {
+      try {
+        await beforeClose();
+      } catch (error) {
+        logger.error('Error during shutdown cleanup:', error);
+      }
+    }
+    
     server.close(() => {
       logger.info('Process terminated');
       process.exit(0);
@@ -89,6 +89,37 @@ const passwordResetLimiter = rateLimit({
   }
 });
 
+/**
+ * Magic link rate limiter
+ */
+const magicLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 links per hour
+  message: {
+    success: false,
+    message: 'Too many sign-in link requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    // Rate limit by email instead of IP, so one inbox can't be flooded
+    return String(req.body.email || '').trim().toLowerCase() || req.ip;
+  },
+  handler: (req, res) => {
+    logger.warn(`Magic link rate limit exceeded`, {
+      ip: req.ip,
+      email: req.body.email,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.status(429).json({
+      success: false,
+      message: 'Too many sign-in link requests, please try again in 1 hour.',
+      retryAfter: 3600 // 1 hour in seconds
+    });
+  }
+});
+
 /**
  * Email verification rate limiter
  */
@@ -290,6 +321,7 @@ module.exports = {
   generalLimiter,
   authLimiter,
   passwordResetLimiter,
+  magicLinkLimiter,
   emailVerificationLimiter,
   searchLimiter,
   uploadLimiter,
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const config = require('../../config/config');
+
+// Leading bytes of binary formats, checked so a client can't relabel
+// an arbitrary file as an allowed type
+const FILE_SIGNATURES = {
+  'image/jpeg': [[0xFF, 0xD8, 0xFF]],
+  'image/png': [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+  'application/zip': [[0x50, 0x4B, 0x03, 0x04], [0x50, 0x4B, 0x05, 0x06]],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [[0x50, 0x4B, 0x03, 0x04]],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [[0x50, 0x4B, 0x03, 0x04]],
+  'application/msword': [[0xD0, 0xCF, 0x11, 0xE0]],
+  'application/vnd.ms-excel': [[0xD0, 0xCF, 0x11, 0xE0]]
+};
+
+/**
+ * Check a buffer starts with a known signature of its declared MIME type.
+ * Types without a known signature (e.g. text) are accepted.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimetype - Declared MIME type
+ * @returns {boolean} True if the contents match the type
+ */
+const matchesSignature = (buffer, mimetype) => {
+  const signatures = FILE_SIGNATURES[mimetype];
+  if (!signatures) return true;
+
+  return signatures.some(signature =>
+    buffer.length >= signature.length &&
+    signature.every((byte, index) => buffer[index] === byte)
+  );
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!config.upload.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new AppError(`File type ${file.mimetype} is not allowed`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single file in the given multipart field and verify its contents
+ * @param {string} field - Form field name
+ */
+const uploadSingle = (field) => {
+  const handler = upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error) return next(error);
+
+      if (!req.file) {
+        return next(new AppError(`No file uploaded, send it in the "${field}" field`, 400));
+      }
+
+      // Multer decodes multipart file names as latin1
+      req.file.originalname = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+      if (!matchesSignature(req.file.buffer, req.file.mimetype)) {
+        return next(new AppError(`File contents do not match type ${req.file.mimetype}`, 415));
+      }
+
+      next();
+    });
+  };
+};
+
+// Notes imports are written to a temp file as they can be much larger than attachments
+const IMPORT_EXTENSIONS = ['.enex', '.xml', '.json', '.zip', '.md', '.markdown'];
+
+const importUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: {
+    fileSize: config.imports.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new AppError(`Import files must be one of ${IMPORT_EXTENSIONS.join(', ')}`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single notes import file in the given multipart field, saved to a
+ * temp file at req.file.path that is removed once the response is done
+ * @param {string} field - Form field name
+ */
+const uploadImport = (field) => {
+  const handler = importUpload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (req.file) {
+        // 'close' is emitted whether the response finished or was cut short
+        res.once('close', () => fs.promises.unlink(req.file.path).catch(() => {}));
+      }
+
+      if (error) return next(error);
+
+      if (!req.file) {
+        return next(new AppError(`No file uploaded, send it in the "${field}" field`, 400));
+      }
+
+      // Multer decodes multipart file names as latin1
+      req.file.originalname = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle,
+  uploadImport,
+  matchesSignature
+};
@@ -1,5 +1,12 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { isValidEmail } = require('../utils/helpers');
+const { isValidTimeZone } = require('../utils/timezone');
+const Notification = require('../models/Notification');
+const AccessToken = require('../models/AccessToken');
+const AdminAction = require('../models/AdminAction');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const config = require('../../config/config');
 
 /**
  * Middleware to handle validation errors
@@ -22,6 +29,24 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Optional name the client gives its device, shown in the session list
+ */
+const deviceName = () => body('deviceName')
+  .optional()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Device name cannot exceed 100 characters');
+
+/**
+ * Optional device id the client got from an earlier login, to be recognised as a known device
+ */
+const deviceId = () => body('deviceId')
+  .optional()
+  .isString()
+  .matches(/^[a-f0-9]{32}$/)
+  .withMessage('Invalid device id');
+
 /**
  * User validation rules
  */
@@ -54,6 +79,10 @@ const validateUserRegistration = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
   
+  deviceName(),
+  
+  deviceId(),
+  
   handleValidationErrors
 ];
 
@@ -70,6 +99,10 @@ const validateUserLogin = [
     .notEmpty()
     .withMessage('Password is required'),
   
+  deviceName(),
+  
+  deviceId(),
+  
   handleValidationErrors
 ];
 
@@ -85,6 +118,30 @@ const validatePasswordReset = [
   handleValidationErrors
 ];
 
+const validateMagicLinkRequest = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const validateMagicLink = [
+  body('token')
+    .notEmpty()
+    .withMessage('Sign-in token is required'),
+  
+  deviceName(),
+  
+  deviceId(),
+  
+  handleValidationErrors
+];
+
 const validatePasswordUpdate = [
   body('token')
     .notEmpty()
@@ -123,6 +180,253 @@ const validateUserUpdate = [
     .isIn(['light', 'dark', 'auto'])
     .withMessage('Theme must be light, dark, or auto'),
   
+  body('preferences.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone, e.g. Europe/Berlin'),
+  
+  body('email')
+    .not()
+    .exists()
+    .withMessage('Email can only be changed with PUT /api/auth/email'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Email change validation rules (the password is checked when the account has one)
+ */
+const validateEmailChange = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  handleValidationErrors
+];
+
+const validateEmailRevert = [
+  body('token')
+    .notEmpty()
+    .withMessage('Revert token is required'),
+  
+  handleValidationErrors
+];
+
+const validateUnlockAccount = [
+  body('token')
+    .notEmpty()
+    .withMessage('Unlock token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Account deletion validation rules (the password is checked when the account has one)
+ */
+const validateAccountDeletion = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Session validation rules
+ */
+const validateSessionId = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * OpenID Connect validation rules
+ */
+const validateOidcProvider = [
+  param('provider')
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Invalid provider'),
+  
+  handleValidationErrors
+];
+
+const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  deviceName(),
+  
+  deviceId(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Passkey validation rules
+ */
+const passkeyResponse = () => [
+  body('response')
+    .isObject()
+    .withMessage('Authenticator response is required'),
+  
+  body('response.id')
+    .isString()
+    .notEmpty()
+    .withMessage('Credential id is required'),
+  
+  body('response.response.clientDataJSON')
+    .isString()
+    .notEmpty()
+    .withMessage('Client data is required')
+];
+
+const passkeyName = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Passkey name must be between 1 and 100 characters');
+
+const validatePasskeyRegistration = [
+  ...passkeyResponse(),
+  
+  passkeyName().optional(),
+  
+  handleValidationErrors
+];
+
+const validatePasskeyRename = [
+  passkeyName(),
+  
+  handleValidationErrors
+];
+
+const validatePasskeyLoginOptions = [
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const validatePasskeyLogin = [
+  ...passkeyResponse(),
+  
+  deviceName(),
+  
+  deviceId(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Personal access token validation rules
+ */
+const validateAccessTokenCreation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .custom(scope => AccessToken.isValidScope(scope))
+    .withMessage(`Scopes must be one of: ${AccessToken.SCOPES.join(', ')} (or "<resource>:*")`),
+  
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: config.accessTokens.maxExpiresInDays })
+    .withMessage(`Expiry must be between 1 and ${config.accessTokens.maxExpiresInDays} days`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Two-factor authentication validation rules
+ */
+const twoFactorCode = (field = 'code') => body(field)
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+// Either a TOTP code or a recovery code
+const secondFactor = [
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Provide a 6 digit code or a recovery code'),
+  
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code')
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...secondFactor,
+  
+  deviceName(),
+  
+  deviceId(),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorEnable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  twoFactorCode(),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...secondFactor,
+  
+  deviceName(),
+  
   handleValidationErrors
 ];
 
@@ -139,7 +443,9 @@ const validateNoteCreation = [
   
   body('content')
     .notEmpty()
-    .withMessage('Note content is required'),
+    .withMessage('Note content is required')
+    .isLength({ max: 1000000 })
+    .withMessage('Content cannot exceed 1,000,000 characters'),
   
   body('contentType')
     .optional()
@@ -189,7 +495,9 @@ const validateNoteUpdate = [
   body('content')
     .optional()
     .notEmpty()
-    .withMessage('Content cannot be empty'),
+    .withMessage('Content cannot be empty')
+    .isLength({ max: 1000000 })
+    .withMessage('Content cannot exceed 1,000,000 characters'),
   
   body('contentType')
     .optional()
@@ -226,6 +534,11 @@ const validateNoteUpdate = [
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be low, medium, or high'),
   
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  
   handleValidationErrors
 ];
 
@@ -360,6 +673,29 @@ const validateShareCreation = [
   handleValidationErrors
 ];
 
+const validateSharedNoteUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('content')
+    .optional()
+    .notEmpty()
+    .withMessage('Content cannot be empty')
+    .isLength({ max: 1000000 })
+    .withMessage('Content cannot exceed 1,000,000 characters'),
+  
+  body('editorName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  
+  handleValidationErrors
+];
+
 /**
  * Collaboration validation rules
  */
@@ -380,6 +716,313 @@ const validateCollaboratorAdd = [
   handleValidationErrors
 ];
 
+/**
+ * Comment validation rules
+ */
+const validateCommentCreation = [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+  
+  body('anchor.start')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Anchor start must be a non-negative integer'),
+  
+  body('anchor.end')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Anchor end must be a positive integer'),
+  
+  body('authorName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  
+  handleValidationErrors
+];
+
+const validateCommentUpdate = [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Version validation rules
+ */
+const validateVersionParam = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  
+  handleValidationErrors
+];
+
+const validateVersionDiff = [
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('From version must be a positive integer'),
+  
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To version must be a positive integer'),
+  
+  query('mode')
+    .optional()
+    .isIn(['line', 'word'])
+    .withMessage('Mode must be line or word'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Reminder validation rules
+ */
+const validateReminder = [
+  body('reminderAt')
+    .isISO8601()
+    .withMessage('Reminder time must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Reminder time must be in the future'),
+  
+  body('reminderType')
+    .optional()
+    .isIn(['once', 'daily', 'weekly', 'monthly'])
+    .withMessage('Reminder type must be once, daily, weekly, or monthly'),
+  
+  handleValidationErrors
+];
+
+const validateReminderSnooze = [
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: 7 * 24 * 60 })
+    .withMessage('Snooze must be between 1 minute and 7 days'),
+  
+  body('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Snooze time must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Snooze time must be in the future'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Notification validation rules
+ */
+const validateNotificationQuery = [
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Unread must be true or false'),
+  
+  handleValidationErrors
+];
+
+const validateNotificationSettings = [
+  body('notificationsEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Notifications enabled must be a boolean'),
+  
+  body('mutedTypes')
+    .optional()
+    .isArray()
+    .withMessage('Muted types must be an array'),
+  
+  body('mutedTypes.*')
+    .isIn(Notification.TYPES)
+    .withMessage(`Muted types must be one of: ${Notification.TYPES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin validation rules
+ */
+const adminReason = () => body('reason')
+  .trim()
+  .notEmpty()
+  .withMessage('A reason is required')
+  .isLength({ max: 500 })
+  .withMessage('Reason cannot exceed 500 characters');
+
+const validateAdminUserQuery = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  
+  query('role')
+    .optional()
+    .isIn(User.schema.path('role').enumValues)
+    .withMessage(`Role must be one of: ${User.schema.path('role').enumValues.join(', ')}`),
+  
+  query(['isActive', 'isEmailVerified'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Must be true or false'),
+  
+  query(['lastLoginFrom', 'lastLoginTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be a valid date'),
+  
+  query('sortBy')
+    .optional()
+    .isIn(['created', 'lastLogin', 'email', 'name'])
+    .withMessage('Sort by must be one of: created, lastLogin, email, name'),
+  
+  handleValidationErrors
+];
+
+const validateAdminAction = [
+  adminReason(),
+  
+  handleValidationErrors
+];
+
+const validateRoleChange = [
+  body('role')
+    .isIn(User.schema.path('role').enumValues)
+    .withMessage(`Role must be one of: ${User.schema.path('role').enumValues.join(', ')}`),
+  
+  adminReason(),
+  
+  handleValidationErrors
+];
+
+const validateAdminActionQuery = [
+  query(['actor', 'target'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('action')
+    .optional()
+    .isIn(AdminAction.ACTIONS)
+    .withMessage(`Action must be one of: ${AdminAction.ACTIONS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Audit log validation rules
+ */
+const auditFilters = () => [
+  query('action')
+    .optional()
+    .isIn(AuditEvent.ACTIONS)
+    .withMessage('Unknown audit action'),
+  
+  query('targetType')
+    .optional()
+    .isIn(AuditEvent.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AuditEvent.TARGET_TYPES.join(', ')}`),
+  
+  query('targetId')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid target ID'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be a valid date')
+];
+
+const validateAuditQuery = [
+  ...auditFilters(),
+  
+  handleValidationErrors
+];
+
+const validateAdminAuditQuery = [
+  ...auditFilters(),
+  
+  query(['actor', 'user'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Note export validation rules
+ */
+const validateNotesExport = [
+  body('format')
+    .optional()
+    .isIn(['markdown', 'html'])
+    .withMessage('Format must be markdown or html'),
+  
+  body('status')
+    .optional()
+    .isIn(['draft', 'published', 'archived'])
+    .withMessage('Status must be draft, published, or archived'),
+  
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  
+  body('tags.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid tag ID'),
+  
+  body(['favorites', 'pinned'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Favorites and pinned must be booleans'),
+  
+  handleValidationErrors
+];
+
+const validateNoteExport = [
+  query('format')
+    .optional()
+    .isIn(['markdown', 'html', 'pdf'])
+    .withMessage('Format must be markdown, html, or pdf'),
+  
+  handleValidationErrors
+];
+
+const validateNotesImport = [
+  body('format')
+    .optional()
+    .isIn(['enex', 'keep', 'markdown'])
+    .withMessage('Format must be enex, keep, or markdown'),
+  
+  handleValidationErrors
+];
+
 /**
  * Query parameter validation
  */
@@ -425,6 +1068,15 @@ const validateSearch = [
   handleValidationErrors
 ];
 
+const validateRenderOption = [
+  query('render')
+    .optional()
+    .isIn(['html'])
+    .withMessage('Render must be html'),
+  
+  handleValidationErrors
+];
+
 /**
  * MongoDB ObjectId validation
  */
@@ -441,8 +1093,26 @@ module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validatePasswordReset,
+  validateMagicLinkRequest,
+  validateMagicLink,
   validatePasswordUpdate,
   validateUserUpdate,
+  validateEmailChange,
+  validateEmailRevert,
+  validateTwoFactorLogin,
+  validateTwoFactorEnable,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateSessionId,
+  validateUnlockAccount,
+  validateAccountDeletion,
+  validateAccessTokenCreation,
+  validatePasskeyRegistration,
+  validatePasskeyRename,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validateOidcProvider,
+  validateOidcCallback,
   validateNoteCreation,
   validateNoteUpdate,
   validateCategoryCreation,
@@ -450,8 +1120,27 @@ module.exports = {
   validateTagCreation,
   validateTagUpdate,
   validateShareCreation,
+  validateSharedNoteUpdate,
   validateCollaboratorAdd,
+  validateCommentCreation,
+  validateCommentUpdate,
+  validateVersionParam,
+  validateVersionDiff,
+  validateReminder,
+  validateReminderSnooze,
+  validateNotificationQuery,
+  validateNotificationSettings,
+  validateAdminUserQuery,
+  validateAdminAction,
+  validateRoleChange,
+  validateAdminActionQuery,
+  validateAuditQuery,
+  validateAdminAuditQuery,
+  validateNotesExport,
+  validateNoteExport,
+  validateNotesImport,
   validatePagination,
   validateSearch,
+  validateRenderOption,
   validateObjectId
 };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+
+const SCOPES = [
+  'notes:read',
+  'notes:write',
+  'categories:read',
+  'categories:write',
+  'tags:read',
+  'tags:write',
+  'share:manage',
+  'notifications:read',
+  'notifications:write'
+];
+
+// "tags:*" grants every tags scope
+const RESOURCES = [...new Set(SCOPES.map(scope => scope.split(':')[0]))];
+
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  // The token itself is only shown once, when it is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Start of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    validate: {
+      validator: (scopes) => scopes.length > 0 && scopes.every(isValidScope),
+      message: 'Invalid scopes'
+    }
+  },
+  // Null for tokens that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for expiry state
+accessTokenSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= Date.now());
+});
+
+/**
+ * Check a scope is known, or a wildcard over a known resource
+ * @param {string} scope - Scope such as "notes:read" or "tags:*"
+ * @returns {boolean} True if valid
+ */
+function isValidScope(scope) {
+  if (SCOPES.includes(scope)) return true;
+
+  const [resource, action] = String(scope).split(':');
+  return action === '*' && RESOURCES.includes(resource);
+}
+
+accessTokenSchema.statics.SCOPES = SCOPES;
+accessTokenSchema.statics.isValidScope = isValidScope;
+
+/**
+ * Generate a new random token
+ * @returns {object} token (raw, to show once), tokenHash and prefix
+ */
+accessTokenSchema.statics.generate = function() {
+  const token = `${config.accessTokens.prefix}${crypto.randomBytes(30).toString('base64url')}`;
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, config.accessTokens.prefix.length + 6)
+  };
+};
+
+/**
+ * Find the unexpired access token matching a raw token
+ * @param {string} token - Raw token
+ * @returns {Promise<object|null>} Access token
+ */
+accessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Instance method to check the token grants a scope
+accessTokenSchema.methods.hasScope = function(scope) {
+  const [resource] = scope.split(':');
+  return this.scopes.includes(scope) || this.scopes.includes(`${resource}:*`);
+};
+
+// Instance method to record that the token was used, at most every few minutes
+accessTokenSchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < config.accessTokens.touchIntervalMs) return;
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } }
+  ).catch(() => {
+    // Last-used times are informational only
+  });
+};
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+  'deactivate',
+  'reactivate',
+  'force_password_reset',
+  'revoke_sessions',
+  'change_role'
+];
+
+/**
+ * Record of an administrator acting on a user account
+ */
+const adminActionSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Action specific details, e.g. { from: 'user', to: 'admin' } for role changes
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+adminActionSchema.index({ target: 1, createdAt: -1 });
+adminActionSchema.index({ actor: 1, createdAt: -1 });
+adminActionSchema.index({ action: 1, createdAt: -1 });
+
+adminActionSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+const ACTIONS = [
+  // Account
+  'user.registered',
+  'user.profile_updated',
+  'user.password_changed',
+  'user.password_reset',
+  'user.email_verified',
+  'user.email_change_requested',
+  'user.email_changed',
+  'user.email_change_reverted',
+  'user.account_unlocked',
+  'user.export_requested',
+  'user.notes_exported',
+  'user.notes_imported',
+  'user.deletion_requested',
+  'user.deletion_cancelled',
+  'user.deleted',
+  'session.revoked',
+  'session.others_revoked',
+  'two_factor.enabled',
+  'two_factor.disabled',
+  'two_factor.recovery_codes_regenerated',
+  'access_token.created',
+  'access_token.revoked',
+  'identity.linked',
+  'identity.unlinked',
+  'passkey.registered',
+  'passkey.renamed',
+  'passkey.removed',
+  // Sharing
+  'share.created',
+  'share.updated',
+  'share.revoked',
+  'share.note_edited',
+  'collaborator.added',
+  'collaborator.permission_changed',
+  'collaborator.removed',
+  // Organization
+  'category.created',
+  'category.updated',
+  'category.deleted',
+  'category.archived',
+  'category.unarchived',
+  'category.moved',
+  'tag.created',
+  'tag.updated',
+  'tag.deleted',
+  'tag.merged',
+  // Administration
+  'admin.user_deactivated',
+  'admin.user_reactivated',
+  'admin.password_reset_forced',
+  'admin.sessions_revoked',
+  'admin.role_changed'
+];
+
+const TARGET_TYPES = ['user', 'session', 'access_token', 'identity', 'passkey', 'note', 'category', 'tag'];
+
+/**
+ * Structured record of a security relevant or data changing action
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Who did it; null for anonymous visitors of a share link
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Whose account the event belongs to (the note owner, the user an admin acted on, ...)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  // Not always an ObjectId: sessions are identified by UUID, identities by provider
+  targetId: {
+    type: String,
+    default: null
+  },
+  // Changed fields only, before and after the action
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    }
+  },
+  // Other details, e.g. the scopes of a token or an admin's reason
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.audit.retentionDays * 24 * 60 * 60 });
+
+auditEventSchema.statics.ACTIONS = ACTIONS;
+auditEventSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+// Plain, comparable value of a document field
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  // Populated references are summarized by id
+  if (value instanceof mongoose.Model) return value._id.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value.toObject === 'function') return toPlain(value.toObject());
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlain(entry)]));
+  }
+  return value;
+};
+
+/**
+ * Take the current values of some fields, for the before/after summary of an event
+ * @param {object} doc - Document (or plain object)
+ * @param {Array<string>} fields - Field paths
+ * @returns {object} Field values
+ */
+auditEventSchema.statics.snapshot = function(doc, fields) {
+  return Object.fromEntries(fields.map(field => [
+    field,
+    toPlain(typeof doc.get === 'function' ? doc.get(field) : doc[field])
+  ]));
+};
+
+/**
+ * Record an action. With both `before` and `after`, only the fields that changed
+ * are kept; events where nothing changed are skipped. Best effort: failures are
+ * logged, never thrown.
+ * @param {object} req - Request of the action (actor, IP and user agent)
+ * @param {object} event - action, targetType, targetId, user, before, after, metadata
+ * @returns {Promise<object|null>} Created event
+ */
+auditEventSchema.statics.record = async function(req, { action, targetType, targetId = null, user, actor, before, after, metadata }) {
+  try {
+    const actorId = actor !== undefined ? actor : (req.user ? req.user._id : null);
+    let changes;
+
+    if (before && after) {
+      const changed = Object.keys({ ...before, ...after })
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+      if (changed.length === 0) return null;
+
+      changes = {
+        before: Object.fromEntries(changed.map(key => [key, before[key] === undefined ? null : before[key]])),
+        after: Object.fromEntries(changed.map(key => [key, after[key] === undefined ? null : after[key]]))
+      };
+    } else if (before || after) {
+      changes = { before, after };
+    }
+
+    return await this.create({
+      actor: actorId,
+      user: user !== undefined ? user : actorId,
+      action,
+      targetType,
+      targetId: targetId === null ? null : String(targetId),
+      changes,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+
+  // Author is null for anonymous visitors of a share link
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  authorName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+    default: 'Anonymous'
+  },
+
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+
+  // Threading
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  // Optional character range in the note content the comment refers to
+  anchor: {
+    start: {
+      type: Number,
+      min: 0
+    },
+    end: {
+      type: Number,
+      min: 0
+    },
+    quote: {
+      type: String,
+      maxlength: [1000, 'Quoted text cannot exceed 1000 characters']
+    }
+  },
+
+  // Resolution
+  isResolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Where the comment was posted from
+  viaShareLink: {
+    type: Boolean,
+    default: false
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the comment was left anonymously
+commentSchema.virtual('isAnonymous').get(function() {
+  return !this.author;
+});
+
+// Indexes
+commentSchema.index({ note: 1, createdAt: 1 });
+commentSchema.index({ note: 1, parent: 1 });
+commentSchema.index({ author: 1 });
+
+// Static method to find all comments of a note as a list of threads
+commentSchema.statics.findThreads = async function(noteId, options = {}) {
+  const query = { note: noteId };
+
+  const comments = await this.find(query)
+    .populate('author', 'firstName lastName')
+    .populate('resolvedBy', 'firstName lastName')
+    .sort({ createdAt: 1 });
+
+  const byId = new Map();
+  comments.forEach(comment => {
+    byId.set(comment._id.toString(), { ...comment.toObject(), replies: [] });
+  });
+
+  const threads = [];
+  byId.forEach(comment => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+
+  if (options.resolved !== undefined) {
+    return threads.filter(thread => thread.isResolved === options.resolved);
+  }
+
+  return threads;
+};
+
+// Instance method to collect ids of this comment and all its replies
+commentSchema.methods.getThreadIds = async function() {
+  const ids = [this._id];
+
+  const findReplies = async (parentId) => {
+    const replies = await this.constructor.find({ parent: parentId }).select('_id');
+    for (const reply of replies) {
+      ids.push(reply._id);
+      await findReplies(reply._id);
+    }
+  };
+
+  await findReplies(this._id);
+  return ids;
+};
+
+// Instance method to resolve
+commentSchema.methods.resolve = function(userId) {
+  this.isResolved = true;
+  this.resolvedBy = userId;
+  this.resolvedAt = new Date();
+  return this.save();
+};
+
+// Instance method to unresolve
+commentSchema.methods.unresolve = function() {
+  this.isResolved = false;
+  this.resolvedBy = null;
+  this.resolvedAt = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'processing', 'ready', 'failed', 'expired'];
+const TYPES = ['account', 'notes'];
+
+/**
+ * Archive built in the background by the data export worker: all of a user's
+ * data ('account'), or their notes matching some filters ('notes')
+ */
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    default: 'account'
+  },
+
+  // Notes exports: file format and the getNotes style filters
+  format: {
+    type: String,
+    enum: ['markdown', 'html'],
+    default: null
+  },
+  filters: {
+    status: String,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    tags: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag'
+    }],
+    favorites: Boolean,
+    pinned: Boolean
+  },
+  noteCount: {
+    type: Number,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+
+  // Storage key and backend of the archive once it is ready
+  path: {
+    type: String,
+    default: null
+  },
+  storage: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The archive is removed after this date
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+dataExportSchema.statics.STATUSES = STATUSES;
+dataExportSchema.statics.TYPES = TYPES;
+
+// Virtual for the download link of a ready export (both types download the same way)
+dataExportSchema.virtual('downloadUrl').get(function() {
+  return this.status === 'ready' ? `/api/auth/exports/${this._id}/download` : null;
+});
+
+// Static method to check if a user has an export of a type that isn't finished yet
+dataExportSchema.statics.hasInProgress = function(userId, type = 'account') {
+  return this.exists({ user: userId, type, status: { $in: ['pending', 'processing'] } });
+};
+
+// Static method to claim the oldest pending export, or one whose worker appears to have crashed
+dataExportSchema.statics.claimNext = function(processingTimeoutMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', startedAt: { $lte: new Date(now.getTime() - processingTimeoutMs) } }
+      ]
+    },
+    { $set: { status: 'processing', startedAt: now } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
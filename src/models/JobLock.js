@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lease-based lock so background jobs run on a single app instance at a time.
+ * A lock is held until `lockedUntil`; a crashed holder loses it when the lease expires.
+ */
+const jobLockSchema = new mongoose.Schema({
+  // Job name
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to acquire or renew a lock, returns false if another instance holds it
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing lock when it is held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a lock held by this owner
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
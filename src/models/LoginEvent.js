@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { describeUserAgent, describeNetwork } = require('../utils/helpers');
+const config = require('../../config/config');
+
+const FAILURE_REASONS = [
+  'unknown_user',
+  'invalid_password',
+  'invalid_two_factor',
+  'invalid_passkey',
+  'account_locked',
+  'account_deactivated'
+];
+
+const loginEventSchema = new mongoose.Schema({
+  // Null when the email doesn't belong to an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: FAILURE_REASONS
+  },
+  ip: String,
+  userAgent: String,
+  // Browser and operating system, e.g. "Chrome on macOS"
+  device: String,
+  // Network of the IP address, e.g. "203.0.113.0/24"
+  network: String,
+  // Hash of the device id the client keeps between logins
+  deviceIdHash: {
+    type: String,
+    select: false
+  },
+  // First successful login from this device
+  newDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, success: 1, deviceIdHash: 1 });
+loginEventSchema.index({ user: 1, success: 1, device: 1, network: 1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.loginHistory.retentionDays * 24 * 60 * 60 });
+
+loginEventSchema.statics.FAILURE_REASONS = FAILURE_REASONS;
+
+const hashDeviceId = (deviceId) => crypto.createHash('sha256').update(deviceId).digest('hex');
+
+/**
+ * Generate the id a client keeps to be recognised on its next logins
+ * @returns {string} Device id
+ */
+loginEventSchema.statics.generateDeviceId = function() {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Record a login attempt. Successful logins from a device the user never
+ * logged in from before are flagged as newDevice (except the very first login).
+ * A device is known when the client sends back a device id of an earlier
+ * successful login, or, without one, when the same browser and operating
+ * system logged in from the same network before.
+ * Best effort: failures are logged, never thrown.
+ * @param {object} attempt - user, email, success, reason, ip, userAgent, deviceId
+ * @returns {Promise<object|null>} Created event
+ */
+loginEventSchema.statics.record = async function({ user = null, email, success, reason, ip, userAgent, deviceId }) {
+  try {
+    const device = describeUserAgent(userAgent);
+    const network = describeNetwork(ip);
+    const deviceIdHash = deviceId ? hashDeviceId(deviceId) : undefined;
+    let newDevice = false;
+
+    if (user && success) {
+      const [hasHistory, seenDeviceId, seenOnNetwork] = await Promise.all([
+        this.exists({ user, success: true }),
+        deviceIdHash ? this.exists({ user, success: true, deviceIdHash }) : null,
+        network ? this.exists({ user, success: true, device, network }) : null
+      ]);
+      newDevice = Boolean(hasHistory) && !seenDeviceId && !seenOnNetwork;
+    }
+
+    return await this.create({ user, email, success, reason, ip, userAgent, device, network, deviceIdHash, newDevice });
+  } catch (error) {
+    logger.error(`Failed to record login attempt for ${email}:`, error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
-const { extractKeywords, stripHtml, generateShareId } = require('../utils/helpers');
+const NoteVersion = require('./NoteVersion');
+const User = require('./User');
+const { getStorage } = require('../storage');
+const { addZoned } = require('../utils/timezone');
+const { extractKeywords, generateShareId } = require('../utils/helpers');
+const { sanitizeHtml, renderHtml, toPlainText } = require('../utils/contentRenderer');
 
 const noteSchema = new mongoose.Schema({
   // Basic Information
@@ -11,7 +16,8 @@ const noteSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Note content is required']
+    required: [true, 'Note content is required'],
+    maxlength: [1000000, 'Note content cannot exceed 1,000,000 characters']
   },
   excerpt: {
     type: String,
@@ -117,16 +123,41 @@ const noteSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
-  previousVersions: [{
-    version: Number,
-    title: String,
-    content: String,
-    modifiedAt: Date,
-    modifiedBy: {
+  // Legacy embedded history, moved to the NoteVersion collection
+  // (see scripts/migrateNoteVersions.js). Not loaded by default.
+  previousVersions: {
+    type: [{
+      version: Number,
+      title: String,
+      content: String,
+      modifiedAt: Date,
+      modifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    select: false
+  },
+  lastEditedBy: {
+    // null when edited anonymously through a share link
+    user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
+      ref: 'User',
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    viaShareLink: {
+      type: Boolean,
+      default: false
+    },
+    editedAt: {
+      type: Date,
+      default: null
     }
-  }],
+  },
   
   // Search and indexing
   searchKeywords: [String],
@@ -176,6 +207,20 @@ const noteSchema = new mongoose.Schema({
       type: String,
       enum: ['once', 'daily', 'weekly', 'monthly'],
       default: 'once'
+    },
+    // Occurrence the pending reminder is for (reminderAt is later when snoozed)
+    occurrenceAt: {
+      type: Date,
+      default: null
+    },
+    // First occurrence, recurring reminders repeat its wall-clock time
+    anchorAt: {
+      type: Date,
+      default: null
+    },
+    lastTriggeredAt: {
+      type: Date,
+      default: null
     }
   },
   
@@ -185,7 +230,16 @@ const noteSchema = new mongoose.Schema({
     originalName: String,
     mimetype: String,
     size: Number,
+    // Storage key within the backend
     path: String,
+    storage: {
+      type: String,
+      default: 'local'
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -199,7 +253,7 @@ const noteSchema = new mongoose.Schema({
 
 // Virtual for plain text content
 noteSchema.virtual('plainTextContent').get(function() {
-  return stripHtml(this.content);
+  return toPlainText(this.content, this.contentType);
 });
 
 // Virtual for formatted creation date
@@ -212,6 +266,9 @@ noteSchema.virtual('shareUrl').get(function() {
   return this.shareSettings.shareId ? `/shared/${this.shareSettings.shareId}` : null;
 });
 
+// Fields left out of list endpoints
+noteSchema.statics.LIST_EXCLUDED_FIELDS = '-previousVersions -searchKeywords';
+
 // Indexes for performance
 noteSchema.index({ author: 1, createdAt: -1 });
 noteSchema.index({ author: 1, status: 1 });
@@ -221,20 +278,31 @@ noteSchema.index({ author: 1, isPinned: -1, createdAt: -1 });
 noteSchema.index({ author: 1, isFavorite: -1, createdAt: -1 });
 noteSchema.index({ author: 1, isDeleted: 1 });
 noteSchema.index({ 'shareSettings.shareId': 1 });
+noteSchema.index({ 'reminder.isSet': 1, 'reminder.reminderAt': 1 });
 noteSchema.index({ searchKeywords: 1 });
 noteSchema.index({ title: 'text', content: 'text' }); // Text search index
 
 // Pre-save middleware
 noteSchema.pre('save', function(next) {
+  const contentChanged = this.isModified('content') || this.isModified('contentType');
+
+  // HTML is stored sanitized; markdown is sanitized when rendered
+  if (contentChanged && this.contentType === 'html' && this.content) {
+    this.content = sanitizeHtml(this.content);
+  }
+
+  // Rendering is not free, so only redo it when the content changed
+  const plainText = contentChanged || !this.excerpt
+    ? toPlainText(this.content, this.contentType)
+    : null;
+
   // Generate excerpt if not provided
-  if (!this.excerpt && this.content) {
-    const plainText = stripHtml(this.content);
+  if (!this.excerpt && plainText) {
     this.excerpt = plainText.substring(0, 200) + (plainText.length > 200 ? '...' : '');
   }
   
   // Calculate word count
-  if (this.content) {
-    const plainText = stripHtml(this.content);
+  if (contentChanged) {
     this.wordCount = plainText.split(/\s+/).filter(word => word.length > 0).length;
     
     // Calculate reading time (average 200 words per minute)
@@ -242,14 +310,14 @@ noteSchema.pre('save', function(next) {
   }
   
   // Generate search keywords
-  if (this.isModified('title') || this.isModified('content')) {
+  if (this.isModified('title') || contentChanged) {
     const titleKeywords = extractKeywords(this.title);
-    const contentKeywords = extractKeywords(stripHtml(this.content));
+    const contentKeywords = extractKeywords(plainText ?? toPlainText(this.content, this.contentType));
     this.searchKeywords = [...new Set([...titleKeywords, ...contentKeywords])];
   }
   
-  // Increment version if content changed
-  if (this.isModified('content') && !this.isNew) {
+  // Increment version if title or content changed
+  if ((this.isModified('content') || this.isModified('title')) && !this.isNew) {
     this.version += 1;
     this.editCount += 1;
   }
@@ -257,6 +325,20 @@ noteSchema.pre('save', function(next) {
   next();
 });
 
+// Post-save middleware to persist the staged version backup
+noteSchema.post('save', async function(doc) {
+  const snapshot = doc.$locals.pendingVersion;
+  if (!snapshot) return;
+  
+  delete doc.$locals.pendingVersion;
+  
+  // Nothing to keep if the save did not produce a new version
+  if (doc.version <= snapshot.version) return;
+  
+  await NoteVersion.saveSnapshot(snapshot);
+  await NoteVersion.applyRetention(doc._id, doc.author);
+});
+
 // Static method to find user notes
 noteSchema.statics.findByAuthor = function(authorId, options = {}) {
   const query = { author: authorId, isDeleted: false };
@@ -296,6 +378,7 @@ noteSchema.statics.findByAuthor = function(authorId, options = {}) {
   }
   
   return this.find(query)
+    .select(this.LIST_EXCLUDED_FIELDS)
     .populate('category', 'name color')
     .populate('tags', 'name color')
     .sort(sortOptions);
@@ -322,6 +405,7 @@ noteSchema.statics.searchNotes = function(authorId, searchTerm, options = {}) {
   }
   
   return this.find(query)
+    .select(this.LIST_EXCLUDED_FIELDS)
     .populate('category', 'name color')
     .populate('tags', 'name color')
     .sort({ score: { $meta: 'textScore' }, createdAt: -1 });
@@ -339,6 +423,13 @@ noteSchema.statics.findByShareId = function(shareId) {
   .populate('tags', 'name color');
 };
 
+// Static method to tell if a save guarded by $where lost to another write.
+// Mongoose reports a VersionError instead of a DocumentNotFoundError when the
+// save also replaced an array, such as the search keywords of new content.
+noteSchema.statics.isStaleSaveError = function(error) {
+  return error.name === 'DocumentNotFoundError' || error.name === 'VersionError';
+};
+
 // Instance method to create share link
 noteSchema.methods.createShareLink = function(permissions = 'view', expiresIn = null) {
   this.shareSettings.isShared = true;
@@ -403,21 +494,160 @@ noteSchema.methods.restore = function() {
 };
 
 // Instance method to create version backup
-noteSchema.methods.createVersionBackup = function() {
-  if (this.isModified('content')) {
-    this.previousVersions.push({
+// Must be called before the new content is assigned so the current version is kept.
+// The snapshot is written to the NoteVersion collection once the note is saved.
+noteSchema.methods.createVersionBackup = function(modifiedBy = this.author) {
+  this.$locals.pendingVersion = {
+    note: this._id,
+    owner: this.author,
+    version: this.version,
+    title: this.title,
+    content: this.content,
+    contentType: this.contentType,
+    modifiedAt: new Date(),
+    modifiedBy
+  };
+};
+
+// Instance method to check if an update would create a new version
+noteSchema.methods.isRevisionChange = function({ title, content } = {}) {
+  const titleChanged = title !== undefined && title !== null && title.trim() !== this.title;
+  const contentChanged = content !== undefined && content !== null && content !== this.content;
+  return titleChanged || contentChanged;
+};
+
+// Instance method to get the entity tag used for optimistic concurrency
+noteSchema.methods.getETag = function() {
+  return `"v${this.version}"`;
+};
+
+// Instance method to get a version snapshot (current or backed up)
+noteSchema.methods.getVersion = async function(versionNumber) {
+  if (versionNumber === this.version) {
+    return {
       version: this.version,
       title: this.title,
       content: this.content,
-      modifiedAt: new Date(),
-      modifiedBy: this.author
-    });
-    
-    // Keep only last 10 versions
-    if (this.previousVersions.length > 10) {
-      this.previousVersions = this.previousVersions.slice(-10);
-    }
+      contentType: this.contentType,
+      modifiedAt: this.updatedAt,
+      modifiedBy: this.lastEditedBy && this.lastEditedBy.user ? this.lastEditedBy.user : this.author,
+      isCurrent: true
+    };
+  }
+  
+  const snapshot = await NoteVersion.findOne({ note: this._id, version: versionNumber })
+    .populate('modifiedBy', 'firstName lastName');
+  if (!snapshot) return null;
+  
+  return {
+    version: snapshot.version,
+    title: snapshot.title,
+    content: snapshot.content,
+    contentType: snapshot.contentType,
+    modifiedAt: snapshot.modifiedAt,
+    modifiedBy: snapshot.modifiedBy,
+    isCurrent: false
+  };
+};
+
+// Instance method to record who made the latest edit
+noteSchema.methods.recordEditor = function(user, options = {}) {
+  this.lastEditedBy = {
+    user: user ? user._id : null,
+    name: user ? user.fullName : (options.name || 'Anonymous'),
+    viaShareLink: Boolean(options.viaShareLink),
+    editedAt: new Date()
+  };
+};
+
+// Instance method to remove stored attachment files and release the owner's quota
+noteSchema.methods.removeAttachments = async function() {
+  if (!this.attachments || this.attachments.length === 0) return;
+
+  const total = this.attachments.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+
+  await User.releaseStorage(this.author, total);
+
+  await Promise.all(this.attachments.map(attachment =>
+    getStorage(attachment.storage).delete(attachment.path)
+  ));
+};
+
+// Calendar step and upper bound of its length for each recurring reminder type
+const REMINDER_INTERVALS = {
+  daily: { step: { days: 1 }, maxMs: 25 * 60 * 60 * 1000 },
+  weekly: { step: { days: 7 }, maxMs: (7 * 24 + 1) * 60 * 60 * 1000 },
+  monthly: { step: { months: 1 }, maxMs: (31 * 24 + 1) * 60 * 60 * 1000 }
+};
+
+// Instance method to set (or replace) the reminder
+noteSchema.methods.setReminder = function(reminderAt, reminderType = 'once') {
+  this.reminder = {
+    isSet: true,
+    reminderAt,
+    reminderType,
+    occurrenceAt: reminderAt,
+    anchorAt: reminderAt,
+    lastTriggeredAt: this.reminder ? this.reminder.lastTriggeredAt : null
+  };
+};
+
+// Instance method to get the first occurrence of a recurring reminder after a time.
+// Occurrences keep the wall-clock time of the first one in the given time zone;
+// returns null for one-off reminders.
+noteSchema.methods.getNextReminderAt = function(timeZone, after = new Date()) {
+  const interval = REMINDER_INTERVALS[this.reminder.reminderType];
+  const anchor = this.reminder.anchorAt || this.reminder.occurrenceAt || this.reminder.reminderAt;
+  if (!interval || !anchor) return null;
+
+  const occurrence = (count) => {
+    const { days = 0, months = 0 } = interval.step;
+    return addZoned(anchor, { days: days * count, months: months * count }, timeZone);
+  };
+
+  // Start from an estimate that never overshoots, then step forward
+  let count = Math.max(1, Math.floor((after - anchor) / interval.maxMs));
+  let next = occurrence(count);
+  while (next <= after) {
+    count += 1;
+    next = occurrence(count);
   }
+
+  return next;
+};
+
+// Instance method to postpone the pending reminder without moving its schedule
+noteSchema.methods.snoozeReminder = function(until) {
+  if (!this.reminder.occurrenceAt) {
+    this.reminder.occurrenceAt = this.reminder.reminderAt;
+  }
+  this.reminder.reminderAt = until;
+  this.reminder.isSet = true;
+};
+
+// Instance method to dismiss the pending occurrence: one-off reminders are
+// turned off, recurring ones move on to the next occurrence after now
+noteSchema.methods.dismissReminder = function(timeZone, now = new Date()) {
+  const occurrence = this.reminder.occurrenceAt || this.reminder.reminderAt;
+  const next = this.getNextReminderAt(timeZone, occurrence > now ? occurrence : now);
+
+  if (next) {
+    this.reminder.reminderAt = next;
+    this.reminder.occurrenceAt = next;
+  } else {
+    this.clearReminder();
+  }
+};
+
+// Instance method to turn the reminder off
+noteSchema.methods.clearReminder = function() {
+  this.reminder.isSet = false;
+  this.reminder.occurrenceAt = null;
+};
+
+// Instance method to render the content to safe HTML for display
+noteSchema.methods.renderHtml = function() {
+  return renderHtml(this.content, this.contentType);
 };
 
 // Instance method to increment view count
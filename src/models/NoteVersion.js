@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { resolveRetentionPolicy, applyRetentionPolicy } = require('../utils/versionRetention');
+
+const noteVersionSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  // Owner of the note, used to resolve the retention policy
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  content: String,
+  contentType: {
+    type: String,
+    enum: ['text', 'markdown', 'html'],
+    default: 'text'
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+
+  // When this version was replaced and by whom (null for anonymous share link edits)
+  modifiedAt: {
+    type: Date,
+    default: Date.now
+  },
+  modifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+noteVersionSchema.index({ note: 1, version: -1 }, { unique: true });
+noteVersionSchema.index({ owner: 1, modifiedAt: -1 });
+
+// Projection used when listing versions without their content
+noteVersionSchema.statics.SUMMARY_FIELDS = 'note version title size modifiedAt modifiedBy';
+
+// Static method to store a snapshot (idempotent per note and version)
+noteVersionSchema.statics.saveSnapshot = function(snapshot) {
+  return this.updateOne(
+    { note: snapshot.note, version: snapshot.version },
+    {
+      $setOnInsert: {
+        ...snapshot,
+        size: snapshot.content ? snapshot.content.length : 0
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to list version summaries of a note, newest first
+noteVersionSchema.statics.findByNote = function(noteId) {
+  return this.find({ note: noteId })
+    .select(this.SUMMARY_FIELDS)
+    .populate('modifiedBy', 'firstName lastName')
+    .sort({ version: -1 });
+};
+
+// Static method to prune versions of a note according to its owner's retention policy
+noteVersionSchema.statics.applyRetention = async function(noteId, ownerId, now = new Date()) {
+  const User = mongoose.model('User');
+  const owner = await User.findById(ownerId).select('plan versionRetention');
+  const policy = resolveRetentionPolicy(owner);
+
+  const versions = await this.find({ note: noteId }).select('version modifiedAt').lean();
+  const { prune } = applyRetentionPolicy(versions, policy, now);
+
+  if (prune.length === 0) return 0;
+
+  const result = await this.deleteMany({ _id: { $in: prune.map(v => v._id) } });
+  return result.deletedCount;
+};
+
+// Static method to move a note's legacy embedded previousVersions into this collection
+noteVersionSchema.statics.migrateEmbeddedVersions = async function(note) {
+  const embedded = note.previousVersions || [];
+
+  for (const snapshot of embedded) {
+    await this.saveSnapshot({
+      note: note._id,
+      owner: note.author,
+      version: snapshot.version,
+      title: snapshot.title,
+      content: snapshot.content,
+      contentType: note.contentType,
+      modifiedAt: snapshot.modifiedAt,
+      modifiedBy: snapshot.modifiedBy || null
+    });
+  }
+
+  return embedded.length;
+};
+
+module.exports = mongoose.model('NoteVersion', noteVersionSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const NOTIFICATION_TYPES = [
+  'reminder',
+  'collaborator_added',
+  'collaborator_removed',
+  'permission_changed',
+  'share_link_created',
+  'note_deleted',
+  'note_restored'
+];
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  },
+  // User whose action caused the notification (null for system events like reminders)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Type-specific details (e.g. the reminder occurrence)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+// Static method to notify users, honouring their notification settings.
+// Best effort: failures are logged and never break the action that triggered them.
+notificationSchema.statics.notify = async function(recipients, { type, title, message, note = null, actor = null, data = {} }) {
+  try {
+    const ids = [].concat(recipients)
+      .filter(Boolean)
+      .map(recipient => (recipient._id || recipient).toString())
+      .filter(id => !actor || id !== (actor._id || actor).toString());
+
+    if (ids.length === 0) return [];
+
+    const users = await this.model('User')
+      .find({ _id: { $in: [...new Set(ids)] }, isActive: true })
+      .select('preferences');
+
+    const notifications = users
+      .filter(user => user.wantsNotification(type))
+      .map(user => ({
+        user: user._id,
+        type,
+        // Titles quote note titles, which may use up the whole length on their own
+        title: title.length > 200 ? `${title.slice(0, 197)}...` : title,
+        message,
+        note: note ? (note._id || note) : null,
+        actor: actor ? (actor._id || actor) : null,
+        data
+      }));
+
+    return notifications.length > 0 ? await this.insertMany(notifications) : [];
+  } catch (error) {
+    logger.error(`Failed to create ${type} notifications:`, error);
+    return [];
+  }
+};
+
+// Static method to count unread notifications of a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
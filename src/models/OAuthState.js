@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+
+/**
+ * Pending OpenID Connect authorization request, from redirecting the user
+ * to the provider until the client posts back the code. Holds the PKCE
+ * verifier and nonce, which never leave the server.
+ */
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // login: sign in or sign up, link: add the identity to `user`
+  intent: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: Math.ceil(config.oidc.stateExpiresMs / 1000)
+  }
+});
+
+/**
+ * Take a pending request so it can be used only once
+ * @param {string} state - State returned by the provider
+ * @returns {Promise<object|null>} The request, or null if unknown or expired
+ */
+oauthStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    state,
+    createdAt: { $gt: new Date(Date.now() - config.oidc.stateExpiresMs) }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -2,7 +2,12 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config');
-const { isValidEmail } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { isValidTimeZone } = require('../utils/timezone');
+const Notification = require('./Notification');
+const totp = require('../utils/totp');
+const { v4: uuidv4 } = require('uuid');
+const { isValidEmail, describeUserAgent } = require('../utils/helpers');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -31,7 +36,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through a login provider may not have one
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false // Don't include password in queries by default
   },
@@ -52,15 +58,69 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // New address waiting to be confirmed with the email verification token;
+  // until then the current address stays in use for login and password resets
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Deletion requested by the user; logging in before it is carried out cancels it
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
   },
+  plan: {
+    type: String,
+    enum: ['free', 'pro', 'team'],
+    default: 'free'
+  },
+
+  // Per-user override of the plan's version retention policy
+  versionRetention: {
+    keepLast: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    keepAllDays: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    keepDailyDays: {
+      type: Number,
+      min: 0,
+      default: null
+    }
+  },
+
+  // Attachment storage
+  storageUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Per-user override of the plan's storage quota (bytes)
+  storageQuota: {
+    type: Number,
+    min: 0,
+    default: null
+  },
 
   // Preferences
   preferences: {
@@ -78,9 +138,23 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Notification types the user does not want to receive
+    mutedNotifications: [{
+      type: String,
+      enum: Notification.TYPES
+    }],
     language: {
       type: String,
       default: 'en'
+    },
+    // IANA time zone used for reminders
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid time zone'
+      }
     }
   },
 
@@ -93,6 +167,19 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Lets the previous address undo an email change
+  emailRevertToken: {
+    type: String,
+    select: false
+  },
+  emailRevertExpires: {
+    type: Date,
+    select: false
+  },
+  emailRevertAddress: {
+    type: String,
+    select: false
+  },
   passwordResetToken: {
     type: String,
     select: false
@@ -101,15 +188,159 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Set by an administrator: password logins are refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: {
+    type: Date,
+    select: false
+  },
+  // Failed logins since the last successful one or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Consecutive lockouts, makes each lockout longer than the previous one
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpires: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Encrypted TOTP secrets; pendingSecret is set until enrollment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: {
+          type: Date,
+          default: null
+        }
+      }],
+      select: false
+    }
+  },
+
+  // Login sessions, one per device. Each session is a refresh token family:
+  // only the hash of its latest refresh token is kept, earlier ones are spent
   refreshTokens: [{
-    token: {
+    // Both missing on tokens issued before sessions existed; those are pruned on the next login
+    tokenHash: String,
+    sessionId: String,
+    deviceName: String,
+    userAgent: String,
+    ip: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
+  }],
+
+  // Login provider (OpenID Connect) accounts linked to this user
+  identities: [{
+    provider: {
       type: String,
       required: true
     },
+    // Provider's stable user id (the "sub" claim)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastLoginAt: Date
+  }],
+
+  // Passkeys (WebAuthn credentials) registered by this user
+  passkeys: [{
+    // Base64url credential id and COSE public key
+    credentialId: {
+      type: String,
+      required: true
+    },
+    publicKey: {
+      type: String,
+      required: true
+    },
+    // Signature counter reported by the authenticator
+    counter: {
+      type: Number,
+      default: 0
+    },
+    transports: [String],
+    deviceType: {
+      type: String,
+      enum: ['singleDevice', 'multiDevice']
+    },
+    backedUp: {
+      type: Boolean,
+      default: false
+    },
+    // Authenticator model; all zeros when the authenticator doesn't disclose it
+    aaguid: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Passkey name cannot exceed 100 characters']
+    },
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days in seconds
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
     }
   }],
 
@@ -128,6 +359,32 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Recovery codes are stored hashed and compared case-insensitively without separators
+const hashRecoveryCode = (code) => {
+  const crypto = require('crypto');
+  return crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+};
+
+// Refresh tokens are stored hashed so a database leak does not expose live tokens
+const hashRefreshToken = (token) => {
+  const crypto = require('crypto');
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Sessions expire together with their refresh token
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Virtual for account lockout state
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -145,6 +402,18 @@ userSchema.virtual('notesCount', {
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+userSchema.index(
+  { 'passkeys.credentialId': 1 },
+  { unique: true, partialFilterExpression: { 'passkeys.credentialId': { $exists: true } } }
+);
+userSchema.index(
+  { deletionScheduledFor: 1 },
+  { partialFilterExpression: { deletionScheduledFor: { $type: 'date' } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -163,15 +432,17 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate JWT token (bound to a session when sessionId is given)
+userSchema.methods.generateAuthToken = function(sessionId) {
   const payload = {
     id: this._id,
     email: this.email,
-    role: this.role
+    role: this.role,
+    ...(sessionId && { sid: sessionId })
   };
 
   return jwt.sign(payload, config.jwt.secret, {
@@ -180,10 +451,13 @@ userSchema.methods.generateAuthToken = function() {
 };
 
 // Instance method to generate refresh token
-userSchema.methods.generateRefreshToken = function() {
+userSchema.methods.generateRefreshToken = function(sessionId) {
   const payload = {
     id: this._id,
-    type: 'refresh'
+    type: 'refresh',
+    ...(sessionId && { sid: sessionId }),
+    // Unique per token, so rotating within the same second still yields a new token
+    jti: uuidv4()
   };
 
   return jwt.sign(payload, config.jwt.refreshSecret, {
@@ -191,22 +465,180 @@ userSchema.methods.generateRefreshToken = function() {
   });
 };
 
-// Instance method to add refresh token
-userSchema.methods.addRefreshToken = async function(token) {
-  this.refreshTokens.push({ token });
+// Instance method to generate the short-lived token for the second login step
+userSchema.methods.generateTwoFactorChallenge = function() {
+  const payload = {
+    id: this._id,
+    type: '2fa_challenge'
+  };
+
+  return jwt.sign(payload, config.twoFactor.challengeSecret, {
+    expiresIn: config.twoFactor.challengeExpiresIn
+  });
+};
+
+// Instance method to start a login session, returns its tokens
+userSchema.methods.createSession = async function({ deviceName, userAgent, ip } = {}) {
+  const sessionId = uuidv4();
+  const refreshToken = this.generateRefreshToken(sessionId);
+  const now = new Date();
+
+  // Drop expired sessions and keep the most recently used ones under the limit
+  this.refreshTokens = this.refreshTokens
+    .filter(session => session.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .slice(0, config.sessions.maxPerUser - 1);
+
+  this.refreshTokens.push({
+    tokenHash: hashRefreshToken(refreshToken),
+    sessionId,
+    deviceName: deviceName || describeUserAgent(userAgent),
+    userAgent,
+    ip,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: getTokenExpiry(refreshToken)
+  });
+  await this.save();
+
+  return {
+    sessionId,
+    accessToken: this.generateAuthToken(sessionId),
+    refreshToken
+  };
+};
+
+// Instance method to find an unexpired session by id
+userSchema.methods.findSession = function(sessionId) {
+  return this.refreshTokens.find(
+    session => session.sessionId === sessionId && session.expiresAt > new Date()
+  );
+};
+
+// Instance method to check the session of an access token is still active.
+// Tokens issued before sessions existed carry no session id and stay valid until they expire.
+userSchema.methods.hasActiveSession = function(sessionId) {
+  return !sessionId || Boolean(this.findSession(sessionId));
+};
+
+// Instance method to record that a session was used, at most every few minutes
+userSchema.methods.touchSession = function(sessionId) {
+  const session = sessionId && this.findSession(sessionId);
+  if (!session || Date.now() - session.lastUsedAt < config.sessions.touchIntervalMs) return;
+
+  session.lastUsedAt = new Date();
+  this.constructor.updateOne(
+    { _id: this._id, 'refreshTokens.sessionId': sessionId },
+    { $set: { 'refreshTokens.$.lastUsedAt': session.lastUsedAt } }
+  ).catch(() => {
+    // Last-used times are informational only
+  });
+};
+
+// Instance method to check a refresh token is the latest one of its session
+userSchema.methods.isCurrentRefreshToken = function(session, token) {
+  return session.tokenHash === hashRefreshToken(token);
+};
+
+// Instance method to rotate a session's refresh token, returns the new tokens.
+// Returns null if the token was rotated concurrently, i.e. it has already been spent.
+userSchema.methods.refreshSession = async function(session, { ip, userAgent } = {}) {
+  const refreshToken = this.generateRefreshToken(session.sessionId);
+  const update = {
+    tokenHash: hashRefreshToken(refreshToken),
+    lastUsedAt: new Date(),
+    expiresAt: getTokenExpiry(refreshToken),
+    ...(ip && { ip }),
+    ...(userAgent && { userAgent })
+  };
+
+  // Only rotate if the presented token is still the latest of its family
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      refreshTokens: { $elemMatch: { sessionId: session.sessionId, tokenHash: session.tokenHash } }
+    },
+    {
+      $set: Object.fromEntries(
+        Object.entries(update).map(([field, value]) => [`refreshTokens.$.${field}`, value])
+      )
+    }
+  );
+
+  if (result.modifiedCount === 0) return null;
+
+  session.set(update);
+
+  return {
+    accessToken: this.generateAuthToken(session.sessionId),
+    refreshToken
+  };
+};
+
+// Instance method to revoke a whole refresh token family after one of its spent tokens was reused
+userSchema.methods.revokeTokenFamily = async function(sessionId, { ip } = {}) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { sessionId } } }
+  );
+  this.refreshTokens = this.refreshTokens.filter(session => session.sessionId !== sessionId);
+
+  logger.warn(`Security: refresh token reuse detected for ${this.email}, session ${sessionId} revoked${ip ? ` (from ${ip})` : ''}`);
+};
+
+// Instance method to revoke a session, returns false if it didn't exist
+userSchema.methods.revokeSession = async function(sessionId) {
+  const count = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter(session => session.sessionId !== sessionId);
+  if (this.refreshTokens.length === count) return false;
+
+  await this.save();
+  return true;
+};
+
+// Instance method to revoke every session except one, returns the number revoked
+userSchema.methods.revokeOtherSessions = async function(keepSessionId) {
+  const count = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter(session => session.sessionId === keepSessionId);
+
   await this.save();
+  return count - this.refreshTokens.length;
 };
 
-// Instance method to remove refresh token
+// Instance method to remove the session of a refresh token
 userSchema.methods.removeRefreshToken = async function(token) {
+  const tokenHash = hashRefreshToken(token);
   this.refreshTokens = this.refreshTokens.filter(
-    refreshToken => refreshToken.token !== token
+    refreshToken => refreshToken.tokenHash !== tokenHash
   );
   await this.save();
 };
 
+// Instance method to link a login provider identity (one per provider)
+userSchema.methods.linkIdentity = function(provider, claims) {
+  this.identities = this.identities.filter(identity => identity.provider !== provider);
+  this.identities.push({
+    provider,
+    subject: claims.sub,
+    email: claims.email,
+    linkedAt: new Date()
+  });
+};
+
+// Instance method to unlink a login provider identity, returns false if it wasn't linked
+userSchema.methods.unlinkIdentity = function(provider) {
+  const count = this.identities.length;
+  this.identities = this.identities.filter(identity => identity.provider !== provider);
+  return this.identities.length < count;
+};
+
+// Instance method to find a passkey by credential id
+userSchema.methods.findPasskey = function(credentialId) {
+  return this.passkeys.find(passkey => passkey.credentialId === credentialId);
+};
+
 // Instance method to generate password reset token
-userSchema.methods.generatePasswordResetToken = function() {
+userSchema.methods.generatePasswordResetToken = function(expiresInMs = 10 * 60 * 1000) { // 10 minutes
   const crypto = require('crypto');
   const resetToken = crypto.randomBytes(32).toString('hex');
   
@@ -215,11 +647,94 @@ userSchema.methods.generatePasswordResetToken = function() {
     .update(resetToken)
     .digest('hex');
   
-  this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.passwordResetExpires = Date.now() + expiresInMs;
   
   return resetToken;
 };
 
+// Instance method to count a failed login, locking the account once the limit is reached.
+// Returns the raw unlock token when this attempt locked the account.
+userSchema.methods.registerFailedLogin = async function() {
+  const crypto = require('crypto');
+  const { maxAttempts, baseDurationMs, maxDurationMs, unlockTokenExpiresMs } = config.lockout;
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const hashedUnlockToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+
+  const locking = { $gte: ['$failedLoginAttempts', maxAttempts] };
+  const lockCount = { $ifNull: ['$lockCount', 0] };
+  const lockDuration = { $min: [maxDurationMs, { $multiply: [baseDurationMs, { $pow: [2, lockCount] }] }] };
+
+  // Counted atomically so parallel guesses can't slip past the limit
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [
+      { $set: { failedLoginAttempts: { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] } } },
+      {
+        $set: {
+          failedLoginAttempts: { $cond: [locking, 0, '$failedLoginAttempts'] },
+          lockUntil: { $cond: [locking, { $add: ['$$NOW', lockDuration] }, '$lockUntil'] },
+          lockCount: { $cond: [locking, { $add: [lockCount, 1] }, lockCount] },
+          unlockToken: { $cond: [locking, hashedUnlockToken, '$unlockToken'] },
+          unlockTokenExpires: {
+            $cond: [locking, { $add: ['$$NOW', unlockTokenExpiresMs] }, '$unlockTokenExpires']
+          }
+        }
+      }
+    ],
+    { new: true }
+  ).select('+unlockToken');
+
+  if (!updated) return null;
+
+  // Only the attempt that reached the limit stored its token
+  const locked = updated.unlockToken === hashedUnlockToken;
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lockUntil = updated.lockUntil;
+  this.lockCount = updated.lockCount;
+
+  return locked ? unlockToken : null;
+};
+
+// Instance method to clear failed logins and any lockout
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  this.lockCount = 0;
+  this.unlockToken = undefined;
+  this.unlockTokenExpires = undefined;
+};
+
+// Instance method to generate a passwordless sign-in token
+userSchema.methods.generateMagicLinkToken = function() {
+  const crypto = require('crypto');
+  const magicLinkToken = crypto.randomBytes(32).toString('hex');
+  
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicLinkToken)
+    .digest('hex');
+  
+  this.magicLinkExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
+  
+  return magicLinkToken;
+};
+
+// Static method to use up a sign-in token, returns its user or null.
+// Cleared in the same update so a link works only once, even if opened twice at the same time.
+userSchema.statics.consumeMagicLinkToken = function(token) {
+  const crypto = require('crypto');
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOneAndUpdate(
+    { magicLinkToken: hashedToken, magicLinkExpires: { $gt: Date.now() } },
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
+};
+
 // Instance method to generate email verification token
 userSchema.methods.generateEmailVerificationToken = function() {
   const crypto = require('crypto');
@@ -235,11 +750,207 @@ userSchema.methods.generateEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Instance method to start two-factor enrollment, returns the plain secret
+userSchema.methods.startTwoFactorEnrollment = function() {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = totp.encryptSecret(secret, config.twoFactor.encryptionKey);
+  return secret;
+};
+
+// Instance method to confirm enrollment with a code from the pending secret
+userSchema.methods.confirmTwoFactorEnrollment = function(code) {
+  if (!this.twoFactor.pendingSecret) return false;
+
+  const secret = totp.decryptSecret(this.twoFactor.pendingSecret, config.twoFactor.encryptionKey);
+  const step = totp.verifyCode(secret, code, { window: config.twoFactor.window });
+  if (step === null) return false;
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return true;
+};
+
+// Instance method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = null;
+  this.twoFactor.recoveryCodes = [];
+};
+
+// Instance method to replace the recovery codes, returns the plain codes
+userSchema.methods.generateRecoveryCodes = function() {
+  const crypto = require('crypto');
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Instance method to check a second factor (TOTP or recovery code).
+// Consumes it atomically so it can't be replayed; returns the method used or null.
+userSchema.methods.verifySecondFactor = async function({ code, recoveryCode }) {
+  const User = this.constructor;
+  const stored = await User.findById(this._id).select('+twoFactor.secret');
+  if (!stored || !stored.twoFactor.enabled || !stored.twoFactor.secret) return null;
+
+  if (code) {
+    const secret = totp.decryptSecret(stored.twoFactor.secret, config.twoFactor.encryptionKey);
+    const step = totp.verifyCode(secret, code, { window: config.twoFactor.window });
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      { _id: this._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+// Instance method to start changing the email address. The new address is confirmed
+// with the email verification token; the current one gets a token to revert the change.
+userSchema.methods.requestEmailChange = function(newEmail) {
+  const crypto = require('crypto');
+  const revertToken = crypto.randomBytes(32).toString('hex');
+
+  this.pendingEmail = newEmail.toLowerCase();
+  this.emailRevertToken = crypto
+    .createHash('sha256')
+    .update(revertToken)
+    .digest('hex');
+  this.emailRevertExpires = Date.now() + config.emailChange.revertExpiresMs;
+  this.emailRevertAddress = this.email;
+
+  return {
+    verificationToken: this.generateEmailVerificationToken(),
+    revertToken
+  };
+};
+
+// Instance method to swap in the pending email once its owner confirmed it
+userSchema.methods.confirmEmailChange = function() {
+  this.email = this.pendingEmail;
+  this.pendingEmail = null;
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Instance method to undo an email change, pending or confirmed, from the previous address
+userSchema.methods.revertEmailChange = function() {
+  this.email = this.emailRevertAddress;
+  this.pendingEmail = null;
+  // Following the link proves the previous address is still the user's
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.emailRevertToken = undefined;
+  this.emailRevertExpires = undefined;
+  this.emailRevertAddress = undefined;
+};
+
+// Static method to find the user of an unexpired email revert token
+userSchema.statics.findByEmailRevertToken = function(token) {
+  const crypto = require('crypto');
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({
+    emailRevertToken: hashedToken,
+    emailRevertExpires: { $gt: Date.now() }
+  }).select('+emailRevertAddress');
+};
+
+// Instance method to schedule the deletion of the account after the grace period
+userSchema.methods.scheduleDeletion = function(gracePeriodDays = config.accountDeletion.gracePeriodDays) {
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + gracePeriodDays * 24 * 60 * 60 * 1000);
+};
+
+// Instance method to cancel a scheduled deletion, returns false if none was scheduled
+userSchema.methods.cancelDeletion = function() {
+  if (!this.deletionScheduledFor) return false;
+
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+  return true;
+};
+
+// Instance method to get the attachment storage quota in bytes
+userSchema.methods.getStorageQuota = function() {
+  if (this.storageQuota !== undefined && this.storageQuota !== null) {
+    return this.storageQuota;
+  }
+
+  const { quotas } = config.upload;
+  return quotas[this.plan] !== undefined ? quotas[this.plan] : quotas[config.versioning.defaultPlan];
+};
+
+// Instance method to get the user's time zone, falling back to UTC
+userSchema.methods.getTimeZone = function() {
+  const timezone = this.preferences && this.preferences.timezone;
+  return isValidTimeZone(timezone) ? timezone : 'UTC';
+};
+
+// Instance method to check if the user wants notifications of a type
+userSchema.methods.wantsNotification = function(type) {
+  const preferences = this.preferences || {};
+  if (preferences.notificationsEnabled === false) return false;
+  return !(preferences.mutedNotifications || []).includes(type);
+};
+
+// Static method to reserve storage, fails (returns null) if it would exceed the quota
+userSchema.statics.reserveStorage = function(userId, bytes, quota) {
+  return this.findOneAndUpdate(
+    { _id: userId, storageUsed: { $lte: quota - bytes } },
+    { $inc: { storageUsed: bytes } },
+    { new: true }
+  );
+};
+
+// Static method to release reserved storage
+userSchema.statics.releaseStorage = function(userId, bytes) {
+  return this.updateOne(
+    { _id: userId },
+    [{ $set: { storageUsed: { $max: [0, { $subtract: ['$storageUsed', bytes] }] } } }]
+  );
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find user by a login provider identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Static method to find user by a passkey credential id
+userSchema.statics.findByPasskey = function(credentialId) {
+  return this.findOne({ 'passkeys.credentialId': credentialId });
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
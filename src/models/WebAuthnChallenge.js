@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+
+/**
+ * Challenge of a pending passkey (WebAuthn) ceremony. The authenticator signs
+ * it and the client sends it back inside clientDataJSON, so each challenge is
+ * looked up and used up when the response arrives.
+ */
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  // Registering user; for logins, the user the email pointed to (null for discoverable passkeys)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: Math.ceil(config.webauthn.challengeExpiresMs / 1000)
+  }
+});
+
+/**
+ * Take a pending challenge so it can be used only once
+ * @param {string} challenge - Base64url challenge from the client data
+ * @param {string} type - registration or authentication
+ * @returns {Promise<object|null>} The challenge, or null if unknown or expired
+ */
+webAuthnChallengeSchema.statics.consume = function(challenge, type) {
+  return this.findOneAndDelete({
+    challenge,
+    type,
+    createdAt: { $gt: new Date(Date.now() - config.webauthn.challengeExpiresMs) }
+  });
+};
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
@@ -0,0 +1,235 @@
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const NoteRoom = require('./noteRoom');
+const { getCollaborationPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Error that rejects a WebSocket upgrade with an HTTP status
+ */
+class UpgradeError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * WebSocket endpoint for real-time collaborative editing.
+ *
+ * Clients connect to `<path>/notes/:noteId` with the same JWT access token
+ * used for the REST API, either as `?token=` or in the Authorization header.
+ */
+class CollaborationServer {
+  constructor() {
+    this.wss = null;
+    this.server = null;
+    this.rooms = new Map();
+    this.heartbeat = null;
+    this.onUpgrade = this.onUpgrade.bind(this);
+  }
+
+  /**
+   * Attach the WebSocket endpoint to an HTTP server
+   */
+  attach(server) {
+    this.server = server;
+    this.wss = new WebSocket.Server({ noServer: true, maxPayload: 1024 * 1024 });
+    server.on('upgrade', this.onUpgrade);
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (socket.isAlive === false) return socket.terminate();
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, config.collaboration.heartbeatIntervalMs);
+
+    logger.info(`Collaboration WebSocket endpoint available at ${config.collaboration.path}/notes/:noteId`);
+
+    return this.wss;
+  }
+
+  async onUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(new RegExp(`^${config.collaboration.path}/notes/([^/]+)/?$`));
+
+    try {
+      if (!match) {
+        throw new UpgradeError('Not Found', 404);
+      }
+
+      const { user, sessionId } = await this.authenticate(req, url);
+      const { note, permission } = await this.authorize(match[1], user);
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.onConnection(ws, user, sessionId, note, permission);
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        logger.error('WebSocket upgrade failed:', error);
+      }
+
+      socket.write(
+        `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+        'Connection: close\r\n' +
+        'Content-Type: text/plain\r\n\r\n' +
+        `${error.message}`
+      );
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Resolve the user from the access token, with the same checks as `authenticate`
+   */
+  async authenticate(req, url) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : url.searchParams.get('token');
+
+    if (!token) {
+      throw new UpgradeError('Access denied. No token provided.', 401);
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwt.secret);
+    } catch (error) {
+      throw new UpgradeError(error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.', 401);
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+      throw new UpgradeError('Invalid token. User not found.', 401);
+    }
+
+    if (!user.isActive) {
+      throw new UpgradeError('Account is deactivated.', 401);
+    }
+
+    if (!user.hasActiveSession(decoded.sid)) {
+      throw new UpgradeError('Session has been revoked.', 401);
+    }
+
+    return { user, sessionId: decoded.sid || null };
+  }
+
+  /**
+   * Check the user may join the note's room (view permission or better)
+   */
+  async authorize(noteId, user) {
+    if (!mongoose.Types.ObjectId.isValid(noteId)) {
+      throw new UpgradeError('Invalid id', 400);
+    }
+
+    const note = await Note.findOne({ _id: noteId, isDeleted: false });
+    if (!note) {
+      throw new UpgradeError('Note not found', 404);
+    }
+
+    const permission = getCollaborationPermission(note, user);
+    if (!permission) {
+      throw new UpgradeError('Access denied. You are not a collaborator on this resource.', 403);
+    }
+
+    return { note, permission };
+  }
+
+  /**
+   * Check a connection's user still has access to the note: the account is
+   * active, the session wasn't revoked and they are still the owner or a collaborator
+   * @returns {Promise<string|null>} Current permission, or null if access was lost
+   */
+  async checkAccess(noteId, { user, sessionId }) {
+    const [current, note] = await Promise.all([
+      User.findById(user._id).select('isActive refreshTokens'),
+      Note.findOne({ _id: noteId, isDeleted: false }).select('author collaborators')
+    ]);
+
+    if (!current || !current.isActive || !current.hasActiveSession(sessionId) || !note) {
+      return null;
+    }
+
+    return getCollaborationPermission(note, current);
+  }
+
+  onConnection(socket, user, sessionId, note, permission) {
+    const connection = { id: uuidv4(), socket, user, sessionId, permission };
+    const room = this.getRoom(note);
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return room.sendError(connection, 'Messages must be JSON');
+      }
+
+      Promise.resolve()
+        .then(() => room.handleMessage(connection, message))
+        .catch(error => {
+          logger.error(`Collaboration message failed for note ${room.noteId}:`, error);
+          room.sendError(connection, 'Message could not be processed');
+        });
+    });
+
+    socket.on('close', () => {
+      room.leave(connection).catch(error => {
+        logger.error(`Failed to leave note room ${room.noteId}:`, error);
+      });
+    });
+
+    room.join(connection);
+
+    logger.info(`User ${user.email} joined live session for note ${room.noteId}`);
+  }
+
+  getRoom(note) {
+    const noteId = note._id.toString();
+
+    if (!this.rooms.has(noteId)) {
+      this.rooms.set(noteId, new NoteRoom(note, {
+        checkAccess: (connection) => this.checkAccess(noteId, connection),
+        onEmpty: (room) => {
+          if (this.rooms.get(noteId) === room) {
+            this.rooms.delete(noteId);
+          }
+        }
+      }));
+    }
+
+    return this.rooms.get(noteId);
+  }
+
+  /**
+   * Persist all live documents and close every connection
+   */
+  async close() {
+    if (!this.wss) return;
+
+    clearInterval(this.heartbeat);
+    this.server.removeListener('upgrade', this.onUpgrade);
+
+    await Promise.all([...this.rooms.values()].map(room => room.close()));
+
+    this.wss.close();
+    this.wss = null;
+  }
+}
+
+module.exports = new CollaborationServer();
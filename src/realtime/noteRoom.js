@@ -0,0 +1,474 @@
+const WebSocket = require('ws');
+const Note = require('../models/Note');
+const ot = require('../utils/ot');
+const { mergeText } = require('../utils/diff');
+const { hasPermissionLevel } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+
+const CURSOR_COLORS = [
+  '#EF4444', '#F59E0B', '#10B981', '#3B82F6', '#8B5CF6',
+  '#EC4899', '#14B8A6', '#F97316', '#6366F1', '#84CC16'
+];
+
+/**
+ * Live editing session for a single note.
+ * Holds the authoritative document, the operation history clients transform
+ * against, and everyone connected to the note.
+ *
+ * Access is checked again with `checkAccess` before each operation is applied
+ * and for every connection before the document is persisted, so a collaborator
+ * who was removed or a session that was revoked can't keep editing.
+ *
+ * When the note was saved elsewhere and those changes can't be merged cleanly
+ * into the live document, nothing is saved until an editor picks the side
+ * that wins (a `resolve` message).
+ */
+class NoteRoom {
+  constructor(note, { onEmpty, checkAccess } = {}) {
+    this.noteId = note._id.toString();
+    this.doc = note.content;
+    this.title = note.title;
+
+    // Note version and content the live document is based on
+    this.noteVersion = note.version;
+    this.baseContent = note.content;
+
+    // Operation history since historyStart
+    this.revision = 0;
+    this.historyStart = 0;
+    this.history = [];
+
+    this.clients = new Map();
+    this.dirty = false;
+    this.persisting = null;
+    this.lastEditor = null;
+    // Unmerged changes saved elsewhere: { noteVersion, title, content, hunks }
+    this.conflict = null;
+    this.onEmpty = onEmpty;
+    this.checkAccess = checkAccess;
+
+    // Operations are applied one at a time, each after its sender's access is checked
+    this.operations = Promise.resolve();
+
+    this.persistTimer = setInterval(() => {
+      this.verifyConnections()
+        .then(() => this.persist())
+        .catch(error => logger.error(`Failed to persist note ${this.noteId}:`, error));
+    }, config.collaboration.persistIntervalMs);
+  }
+
+  /**
+   * Add a connection to the room and send it the current state
+   */
+  join(connection) {
+    connection.color = CURSOR_COLORS[this.clients.size % CURSOR_COLORS.length];
+    connection.cursor = null;
+    this.clients.set(connection.id, connection);
+
+    this.send(connection, {
+      type: 'init',
+      noteId: this.noteId,
+      title: this.title,
+      content: this.doc,
+      revision: this.revision,
+      noteVersion: this.noteVersion,
+      permission: connection.permission,
+      clientId: connection.id,
+      participants: this.getParticipants()
+    });
+
+    this.broadcast({ type: 'presence', event: 'join', participant: this.describe(connection), participants: this.getParticipants() }, connection.id);
+
+    if (this.conflict) {
+      this.send(connection, this.describeConflict());
+    }
+  }
+
+  /**
+   * Remove a connection; persists and closes the room when it was the last one
+   */
+  async leave(connection) {
+    if (!this.clients.delete(connection.id)) return;
+
+    this.broadcast({ type: 'presence', event: 'leave', participant: this.describe(connection), participants: this.getParticipants() });
+
+    if (this.clients.size === 0) {
+      await this.close();
+    }
+  }
+
+  /**
+   * Check a connection still has access to the note. Connections that lost it
+   * are closed; a changed permission is applied and sent to the client.
+   * @returns {Promise<string|null>} Current permission, or null if access was lost
+   */
+  async verifyAccess(connection) {
+    if (!this.checkAccess) return connection.permission;
+
+    const permission = await this.checkAccess(connection);
+    if (!this.clients.has(connection.id)) return null;
+
+    if (!permission) {
+      this.sendError(connection, 'Access to this note was revoked');
+      connection.socket.close(1008, 'Access revoked');
+      await this.leave(connection);
+      return null;
+    }
+
+    if (permission !== connection.permission) {
+      connection.permission = permission;
+      this.send(connection, { type: 'permission', permission });
+      this.broadcast({ type: 'presence', event: 'update', participant: this.describe(connection), participants: this.getParticipants() }, connection.id);
+    }
+
+    return permission;
+  }
+
+  /**
+   * Check the access of every connection, e.g. before persisting
+   */
+  async verifyConnections() {
+    await Promise.all([...this.clients.values()].map(connection => this.verifyAccess(connection)));
+  }
+
+  /**
+   * Handle a message from a client
+   */
+  handleMessage(connection, message) {
+    switch (message.type) {
+      case 'op':
+        return this.queueOperation(connection, message);
+      case 'resolve':
+        return this.queueResolve(connection, message);
+      case 'cursor':
+        return this.handleCursor(connection, message);
+      default:
+        return this.sendError(connection, `Unknown message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Apply an operation once the operations before it are done and the sender's access is checked
+   */
+  queueOperation(connection, message) {
+    const applied = this.operations.then(async () => {
+      if (!this.clients.has(connection.id)) return;
+
+      const permission = await this.verifyAccess(connection);
+      if (permission) {
+        this.handleOperation(connection, message);
+      }
+    });
+
+    // Keep the queue going after a failed check, the caller reports the error
+    this.operations = applied.catch(() => {});
+
+    return applied;
+  }
+
+  /**
+   * Settle a conflict once the operations before it are done and the sender's access is checked
+   */
+  queueResolve(connection, message) {
+    const resolved = this.operations.then(async () => {
+      if (!this.clients.has(connection.id)) return;
+
+      const permission = await this.verifyAccess(connection);
+      if (permission) {
+        await this.resolveConflict(connection, message);
+      }
+    });
+
+    this.operations = resolved.catch(() => {});
+
+    return resolved;
+  }
+
+  /**
+   * Keep the live document ('ours') or the version saved elsewhere ('theirs')
+   */
+  async resolveConflict(connection, { keep }) {
+    if (!hasPermissionLevel(connection.permission, 'edit')) {
+      return this.sendError(connection, 'Access denied. edit permission required.');
+    }
+    if (!this.conflict) {
+      return this.sendError(connection, 'There is no conflict to resolve');
+    }
+    if (keep !== 'ours' && keep !== 'theirs') {
+      return this.sendError(connection, 'Invalid resolution, keep must be ours or theirs');
+    }
+
+    const conflict = this.conflict;
+    this.conflict = null;
+    this.noteVersion = conflict.noteVersion;
+    this.baseContent = conflict.content;
+    this.title = conflict.title;
+
+    this.broadcast({ type: 'resolved', keep, noteVersion: conflict.noteVersion, userId: connection.user._id });
+
+    if (keep === 'theirs') {
+      this.dirty = false;
+      this.resetDocument(conflict.content);
+      return;
+    }
+
+    // The live document now overwrites the version saved elsewhere
+    this.dirty = true;
+    this.lastEditor = connection.user;
+    await this.persist();
+  }
+
+  handleOperation(connection, { revision, op }) {
+    if (!hasPermissionLevel(connection.permission, 'edit')) {
+      return this.sendError(connection, 'Access denied. edit permission required.');
+    }
+
+    if (!ot.isValidOperation(op) || !Number.isInteger(revision)) {
+      return this.sendError(connection, 'Invalid operation');
+    }
+
+    if (revision < this.historyStart || revision > this.revision) {
+      // Too far behind to transform, the client must reload the document
+      return this.send(connection, { type: 'resync', content: this.doc, revision: this.revision });
+    }
+
+    let transformed = op;
+    try {
+      this.history.slice(revision - this.historyStart).forEach(concurrent => {
+        [transformed] = ot.transform(transformed, concurrent);
+      });
+      this.doc = ot.apply(this.doc, transformed);
+    } catch (error) {
+      return this.sendError(connection, error.message);
+    }
+
+    this.history.push(transformed);
+    this.revision += 1;
+    if (this.history.length > config.collaboration.maxHistory) {
+      this.history.shift();
+      this.historyStart += 1;
+    }
+
+    this.dirty = true;
+    this.lastEditor = connection.user;
+
+    // Keep every cursor pointing at the same text
+    this.clients.forEach(client => {
+      if (client.cursor) {
+        client.cursor = {
+          position: ot.transformIndex(client.cursor.position, transformed),
+          selectionEnd: ot.transformIndex(client.cursor.selectionEnd, transformed)
+        };
+      }
+    });
+
+    this.send(connection, { type: 'ack', revision: this.revision });
+    this.broadcast({
+      type: 'op',
+      op: transformed,
+      revision: this.revision,
+      clientId: connection.id,
+      userId: connection.user._id
+    }, connection.id);
+  }
+
+  handleCursor(connection, { position, selectionEnd }) {
+    if (!Number.isInteger(position) || position < 0 || position > this.doc.length) {
+      return this.sendError(connection, 'Invalid cursor position');
+    }
+
+    const end = Number.isInteger(selectionEnd) && selectionEnd >= 0 && selectionEnd <= this.doc.length
+      ? selectionEnd
+      : position;
+
+    connection.cursor = { position, selectionEnd: end };
+
+    this.broadcast({
+      type: 'cursor',
+      clientId: connection.id,
+      userId: connection.user._id,
+      cursor: connection.cursor
+    }, connection.id);
+  }
+
+  /**
+   * Save the live document through the regular version pipeline
+   */
+  async persist() {
+    if (this.persisting) return this.persisting;
+    if (!this.dirty) return;
+
+    this.persisting = this.save().finally(() => {
+      this.persisting = null;
+    });
+
+    return this.persisting;
+  }
+
+  async save() {
+    const note = await Note.findOne({ _id: this.noteId, isDeleted: false });
+    if (!note) {
+      this.broadcast({ type: 'error', message: 'Note no longer exists' });
+      return this.close({ persist: false });
+    }
+
+    // The note was saved elsewhere (REST API or share link) since we loaded it:
+    // merge those changes into the live document and make clients reload it
+    if (note.version !== this.noteVersion) {
+      const merge = this.mergeSavedContent(note.content);
+      if (!merge || !merge.clean) {
+        return this.reportConflict(note, merge ? merge.hunks : null);
+      }
+
+      this.conflict = null;
+      if (merge.merged !== this.doc) {
+        this.resetDocument(merge.merged);
+      }
+      this.noteVersion = note.version;
+      this.baseContent = note.content;
+      this.title = note.title;
+    }
+
+    const content = this.doc;
+    const revision = this.revision;
+
+    if (note.isRevisionChange({ content })) {
+      const editor = this.lastEditor;
+
+      note.createVersionBackup(editor ? editor._id : note.author);
+      note.content = content;
+      note.recordEditor(editor);
+      note.$where = { version: note.version };
+
+      try {
+        await note.save();
+      } catch (error) {
+        // Another save won the race; the next run will merge it
+        if (Note.isStaleSaveError(error)) return;
+        throw error;
+      }
+    }
+
+    this.noteVersion = note.version;
+    this.baseContent = note.content;
+    this.dirty = this.revision !== revision;
+
+    this.broadcast({ type: 'saved', noteVersion: note.version, revision });
+
+    // HTML notes are sanitized on save: continue from what was stored, unless edits came in meanwhile
+    if (note.content !== content && !this.dirty) {
+      this.resetDocument(note.content);
+    }
+  }
+
+  /**
+   * Three-way merge of the content saved elsewhere into the live document,
+   * or null when the texts are too large to merge
+   */
+  mergeSavedContent(content) {
+    try {
+      return mergeText(this.baseContent, this.doc, content);
+    } catch (error) {
+      if (error.statusCode === 413) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Hold off saving and show both sides to the clients, once per version saved elsewhere
+   */
+  reportConflict(note, hunks) {
+    const known = this.conflict && this.conflict.noteVersion === note.version;
+    this.conflict = { noteVersion: note.version, title: note.title, content: note.content, hunks };
+
+    if (!known) {
+      logger.warn(`Live edits of note ${this.noteId} conflict with version ${note.version}, waiting for a resolution`);
+      this.broadcast(this.describeConflict());
+    }
+  }
+
+  describeConflict() {
+    return {
+      type: 'conflict',
+      noteVersion: this.conflict.noteVersion,
+      revision: this.revision,
+      ours: this.doc,
+      theirs: this.conflict.content,
+      // Null when the texts are too large to merge
+      hunks: this.conflict.hunks
+    };
+  }
+
+  /**
+   * Replace the live document and tell clients to reload it
+   */
+  resetDocument(content) {
+    this.doc = content;
+    this.revision += 1;
+    this.history = [];
+    this.historyStart = this.revision;
+    this.clients.forEach(client => {
+      client.cursor = null;
+    });
+
+    this.broadcast({ type: 'resync', content: this.doc, revision: this.revision });
+  }
+
+  async close({ persist = true } = {}) {
+    clearInterval(this.persistTimer);
+
+    // Detach first so new connections open a fresh room
+    if (this.onEmpty) this.onEmpty(this);
+
+    if (persist) {
+      try {
+        await this.persist();
+      } catch (error) {
+        logger.error(`Failed to persist note ${this.noteId} on close:`, error);
+      }
+    }
+
+    if (this.conflict) {
+      logger.warn(`Note ${this.noteId} closed with an unresolved conflict, live edits were not saved`);
+    }
+
+    this.clients.forEach(client => client.socket.close(1001, 'Session closed'));
+    this.clients.clear();
+  }
+
+  describe(connection) {
+    return {
+      clientId: connection.id,
+      userId: connection.user._id,
+      name: connection.user.fullName,
+      permission: connection.permission,
+      color: connection.color,
+      cursor: connection.cursor
+    };
+  }
+
+  getParticipants() {
+    return [...this.clients.values()].map(client => this.describe(client));
+  }
+
+  send(connection, message) {
+    if (connection.socket.readyState === WebSocket.OPEN) {
+      connection.socket.send(JSON.stringify(message));
+    }
+  }
+
+  sendError(connection, message) {
+    this.send(connection, { type: 'error', message });
+  }
+
+  broadcast(message, exceptId = null) {
+    this.clients.forEach(client => {
+      if (client.id !== exceptId) {
+        this.send(client, message);
+      }
+    });
+  }
+}
+
+module.exports = NoteRoom;
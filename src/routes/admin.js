@@ -0,0 +1,102 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  revokeUserSessions,
+  changeUserRole,
+  getAdminActions
+} = require('../controllers/adminController');
+
+const {
+  getAuditEvents,
+  exportAuditEvents
+} = require('../controllers/auditController');
+
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const {
+  validateAdminUserQuery,
+  validateAdminAction,
+  validateRoleChange,
+  validateAdminActionQuery,
+  validateAdminAuditQuery,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users (q, role, isActive, isEmailVerified, lastLoginFrom/To, paginated)
+ * @access  Private (Admin)
+ */
+router.get('/users', authenticate, requireAdmin, validatePagination, validateAdminUserQuery, getUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with the latest admin actions on the account
+ * @access  Private (Admin)
+ */
+router.get('/users/:id', authenticate, requireAdmin, validateObjectId('id'), getUser);
+
+/**
+ * @route   POST /api/admin/users/:id/deactivate
+ * @desc    Deactivate a user and log them out everywhere
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/deactivate', authenticate, requireAdmin, validateObjectId('id'), validateAdminAction, deactivateUser);
+
+/**
+ * @route   POST /api/admin/users/:id/reactivate
+ * @desc    Reactivate a deactivated user
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/reactivate', authenticate, requireAdmin, validateObjectId('id'), validateAdminAction, reactivateUser);
+
+/**
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @desc    Require a new password and email a reset link
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/force-password-reset', authenticate, requireAdmin, validateObjectId('id'), validateAdminAction, forcePasswordReset);
+
+/**
+ * @route   POST /api/admin/users/:id/revoke-sessions
+ * @desc    Log a user out on all devices
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/revoke-sessions', authenticate, requireAdmin, validateObjectId('id'), validateAdminAction, revokeUserSessions);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change the role of a user
+ * @access  Private (Admin)
+ */
+router.put('/users/:id/role', authenticate, requireAdmin, validateObjectId('id'), validateRoleChange, changeUserRole);
+
+/**
+ * @route   GET /api/admin/actions
+ * @desc    Get the log of admin actions (filter by actor, target, action; paginated)
+ * @access  Private (Admin)
+ */
+router.get('/actions', authenticate, requireAdmin, validatePagination, validateAdminActionQuery, getAdminActions);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Query audit events (filter by actor, user, action, targetType, targetId, from, to; paginated)
+ * @access  Private (Admin)
+ */
+router.get('/audit', authenticate, requireAdmin, validatePagination, validateAdminAuditQuery, getAuditEvents);
+
+/**
+ * @route   GET /api/admin/audit/export
+ * @desc    Export audit events as CSV (same filters)
+ * @access  Private (Admin)
+ */
+router.get('/audit/export', authenticate, requireAdmin, validateAdminAuditQuery, exportAuditEvents);
+
+module.exports = router;
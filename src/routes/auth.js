@@ -2,34 +2,108 @@ const express = require('express');
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  getPasskeyLoginOptions,
+  verifyPasskeyLogin,
   logout,
   refreshToken,
   getMe,
   updateProfile,
+  changeEmail,
+  revertEmailChange,
   changePassword,
   forgotPassword,
   resetPassword,
   sendEmailVerification,
-  verifyEmail
+  verifyEmail,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  requestMagicLink,
+  verifyMagicLink,
+  unlockAccount,
+  getLoginHistory,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  getIdentities,
+  startIdentityLink,
+  unlinkIdentity
 } = require('../controllers/authController');
 
+const {
+  getTwoFactorStatus,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+} = require('../controllers/accessTokenController');
+
+const {
+  getPasskeys,
+  getRegistrationOptions,
+  registerPasskey,
+  renamePasskey,
+  deletePasskey
+} = require('../controllers/passkeyController');
+
+const { getMyAuditEvents } = require('../controllers/auditController');
+
+const {
+  requestDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport
+} = require('../controllers/exportController');
+
+const { deleteAccount } = require('../controllers/accountController');
+
 const {
   authenticate,
   verifyRefreshToken,
-  requireEmailVerification
+  requireEmailVerification,
+  requireScope
 } = require('../middleware/auth');
 
 const {
   validateUserRegistration,
   validateUserLogin,
   validatePasswordReset,
+  validateMagicLinkRequest,
+  validateMagicLink,
   validatePasswordUpdate,
-  validateUserUpdate
+  validateUserUpdate,
+  validateEmailChange,
+  validateEmailRevert,
+  validateTwoFactorLogin,
+  validateTwoFactorEnable,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateSessionId,
+  validateUnlockAccount,
+  validateAccountDeletion,
+  validatePagination,
+  validateAuditQuery,
+  validateAccessTokenCreation,
+  validatePasskeyRegistration,
+  validatePasskeyRename,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validateObjectId,
+  validateOidcProvider,
+  validateOidcCallback
 } = require('../middleware/validation');
 
 const {
   authLimiter,
   passwordResetLimiter,
+  magicLinkLimiter,
   emailVerificationLimiter
 } = require('../middleware/rateLimiter');
 
@@ -49,6 +123,49 @@ router.post('/register', authLimiter, validateUserRegistration, register);
  */
 router.post('/login', authLimiter, validateUserLogin, login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/login/2fa', authLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/login/passkey/options
+ * @desc    Start a passkey login (returns the WebAuthn request options)
+ * @access  Public
+ */
+router.post('/login/passkey/options', authLimiter, validatePasskeyLoginOptions, getPasskeyLoginOptions);
+
+/**
+ * @route   POST /api/auth/login/passkey
+ * @desc    Login with a passkey assertion
+ * @access  Public
+ */
+router.post('/login/passkey', authLimiter, validatePasskeyLogin, verifyPasskeyLogin);
+
+// OpenID Connect login routes
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    Get the configured login providers
+ * @access  Public
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Finish a provider login or link with the returned code and state
+ * @access  Public
+ */
+router.post('/oidc/callback', authLimiter, validateOidcCallback, oidcCallback);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/authorize
+ * @desc    Start login with a provider (returns the authorization URL)
+ * @access  Public
+ */
+router.post('/oidc/:provider/authorize', authLimiter, validateOidcProvider, startOidcLogin);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
@@ -77,6 +194,20 @@ router.get('/me', authenticate, getMe);
  */
 router.put('/profile', authenticate, validateUserUpdate, updateProfile);
 
+/**
+ * @route   PUT /api/auth/email
+ * @desc    Change email (sends a confirmation link to the new address and a revert link to the old one)
+ * @access  Private
+ */
+router.put('/email', authenticate, authLimiter, validateEmailChange, changeEmail);
+
+/**
+ * @route   POST /api/auth/email/revert
+ * @desc    Undo an email change with the link sent to the previous address
+ * @access  Public
+ */
+router.post('/email/revert', authLimiter, validateEmailRevert, revertEmailChange);
+
 /**
  * @route   PUT /api/auth/change-password
  * @desc    Change password
@@ -107,9 +238,219 @@ router.post('/send-verification', authenticate, emailVerificationLimiter, sendEm
 
 /**
  * @route   POST /api/auth/verify-email
- * @desc    Verify email
+ * @desc    Verify email, or confirm the new address of an email change
  * @access  Public
  */
 router.post('/verify-email', verifyEmail);
 
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use sign-in link
+ * @access  Public
+ */
+router.post('/magic-link', magicLinkLimiter, validateMagicLinkRequest, requestMagicLink);
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Sign in with a magic link token
+ * @access  Public
+ */
+router.post('/magic-link/verify', authLimiter, validateMagicLink, verifyMagicLink);
+
+/**
+ * @route   POST /api/auth/unlock-account
+ * @desc    Unlock an account locked after failed logins
+ * @access  Public
+ */
+router.post('/unlock-account', authLimiter, validateUnlockAccount, unlockAccount);
+
+/**
+ * @route   GET /api/auth/login-history
+ * @desc    Get login history (successful and failed attempts)
+ * @access  Private
+ */
+router.get('/login-history', authenticate, validatePagination, getLoginHistory);
+
+/**
+ * @route   GET /api/auth/audit
+ * @desc    Get the audit trail of the account (filter by action, targetType, targetId, from, to; paginated)
+ * @access  Private
+ */
+router.get('/audit', authenticate, validatePagination, validateAuditQuery, getMyAuditEvents);
+
+// Session routes
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get active sessions (devices)
+ * @access  Private
+ */
+router.get('/sessions', authenticate, getSessions);
+
+/**
+ * @route   POST /api/auth/sessions/revoke-others
+ * @desc    Log out everywhere else
+ * @access  Private
+ */
+router.post('/sessions/revoke-others', authenticate, revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticate, validateSessionId, revokeSession);
+
+// Linked login provider routes
+/**
+ * @route   GET /api/auth/identities
+ * @desc    Get linked login providers
+ * @access  Private
+ */
+router.get('/identities', authenticate, getIdentities);
+
+/**
+ * @route   POST /api/auth/identities/:provider
+ * @desc    Start linking a login provider (returns the authorization URL)
+ * @access  Private
+ */
+router.post('/identities/:provider', authenticate, validateOidcProvider, startIdentityLink);
+
+/**
+ * @route   DELETE /api/auth/identities/:provider
+ * @desc    Unlink a login provider
+ * @access  Private
+ */
+router.delete('/identities/:provider', authenticate, validateOidcProvider, unlinkIdentity);
+
+// Data export and account deletion routes
+/**
+ * @route   POST /api/auth/exports
+ * @desc    Request an archive of all the user's data (built in the background)
+ * @access  Private
+ */
+router.post('/exports', authenticate, requestDataExport);
+
+/**
+ * @route   GET /api/auth/exports
+ * @desc    Get recent data exports
+ * @access  Private
+ */
+router.get('/exports', authenticate, getDataExports);
+
+/**
+ * @route   GET /api/auth/exports/:id
+ * @desc    Get the status of a data export (personal access tokens: notes exports only)
+ * @access  Private
+ */
+router.get('/exports/:id', authenticate, requireScope('notes:read'), validateObjectId('id'), getDataExport);
+
+/**
+ * @route   GET /api/auth/exports/:id/download
+ * @desc    Download a ready data export or background notes export (zip)
+ *          (personal access tokens: notes exports only)
+ * @access  Private
+ */
+router.get('/exports/:id/download', authenticate, requireScope('notes:read'), validateObjectId('id'), downloadDataExport);
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Schedule the account for deletion (logging in during the grace period cancels it)
+ * @access  Private
+ */
+router.delete('/account', authenticate, authLimiter, validateAccountDeletion, deleteAccount);
+
+// Personal access token routes (these need a login, not an access token)
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    Get personal access tokens
+ * @access  Private
+ */
+router.get('/tokens', authenticate, getAccessTokens);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token (shown once)
+ * @access  Private
+ */
+router.post('/tokens', authenticate, validateAccessTokenCreation, createAccessToken);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete('/tokens/:id', authenticate, validateObjectId('id'), revokeAccessToken);
+
+// Passkey routes
+/**
+ * @route   GET /api/auth/passkeys
+ * @desc    Get registered passkeys
+ * @access  Private
+ */
+router.get('/passkeys', authenticate, getPasskeys);
+
+/**
+ * @route   POST /api/auth/passkeys/register/options
+ * @desc    Start registering a passkey (returns the WebAuthn creation options)
+ * @access  Private
+ */
+router.post('/passkeys/register/options', authenticate, authLimiter, getRegistrationOptions);
+
+/**
+ * @route   POST /api/auth/passkeys/register
+ * @desc    Finish registering a passkey with the authenticator's response
+ * @access  Private
+ */
+router.post('/passkeys/register', authenticate, authLimiter, validatePasskeyRegistration, registerPasskey);
+
+/**
+ * @route   PUT /api/auth/passkeys/:id
+ * @desc    Rename a passkey
+ * @access  Private
+ */
+router.put('/passkeys/:id', authenticate, validateObjectId('id'), validatePasskeyRename, renamePasskey);
+
+/**
+ * @route   DELETE /api/auth/passkeys/:id
+ * @desc    Remove a passkey
+ * @access  Private
+ */
+router.delete('/passkeys/:id', authenticate, validateObjectId('id'), deletePasskey);
+
+// Two-factor authentication routes
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', authenticate, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Start two-factor enrollment
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticate, authLimiter, validateTwoFactorEnable, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm two-factor enrollment with a code
+ * @access  Private
+ */
+router.post('/2fa/verify', authenticate, authLimiter, validateTwoFactorCode, verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, authLimiter, validateTwoFactorDisable, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticate, authLimiter, validateTwoFactorCode, regenerateRecoveryCodes);
+
 module.exports = router;
@@ -13,6 +13,7 @@ const {
 
 const {
   authenticate,
+  requireScope,
   requireOwnership
 } = require('../middleware/auth');
 
@@ -56,28 +57,28 @@ const findCategory = async (req, res, next) => {
  * @desc    Get all categories for authenticated user
  * @access  Private
  */
-router.get('/', authenticate, getCategories);
+router.get('/', authenticate, requireScope('categories:read'), getCategories);
 
 /**
  * @route   GET /api/categories/stats
  * @desc    Get category statistics
  * @access  Private
  */
-router.get('/stats', authenticate, getCategoryStats);
+router.get('/stats', authenticate, requireScope('categories:read'), getCategoryStats);
 
 /**
  * @route   GET /api/categories/hierarchy
  * @desc    Get category hierarchy (tree structure)
  * @access  Private
  */
-router.get('/hierarchy', authenticate, getCategoryHierarchy);
+router.get('/hierarchy', authenticate, requireScope('categories:read'), getCategoryHierarchy);
 
 /**
  * @route   POST /api/categories
  * @desc    Create new category
  * @access  Private
  */
-router.post('/', authenticate, createLimiter, validateCategoryCreation, createCategory);
+router.post('/', authenticate, requireScope('categories:write'), createLimiter, validateCategoryCreation, createCategory);
 
 /**
  * @route   GET /api/categories/:id
@@ -86,6 +87,7 @@ router.post('/', authenticate, createLimiter, validateCategoryCreation, createCa
  */
 router.get('/:id', 
   authenticate, 
+  requireScope('categories:read'), 
   validateObjectId('id'), 
   findCategory,
   getCategory
@@ -98,6 +100,7 @@ router.get('/:id',
  */
 router.put('/:id', 
   authenticate, 
+  requireScope('categories:write'), 
   validateObjectId('id'), 
   validateCategoryUpdate,
   findCategory,
@@ -112,6 +115,7 @@ router.put('/:id',
  */
 router.delete('/:id', 
   authenticate, 
+  requireScope('categories:write'), 
   validateObjectId('id'), 
   findCategory,
   requireOwnership('owner'),
@@ -125,6 +129,7 @@ router.delete('/:id',
  */
 router.put('/:id/archive', 
   authenticate, 
+  requireScope('categories:write'), 
   validateObjectId('id'), 
   findCategory,
   requireOwnership('owner'),
@@ -138,6 +143,7 @@ router.put('/:id/archive',
  */
 router.put('/:id/move', 
   authenticate, 
+  requireScope('categories:write'), 
   validateObjectId('id'), 
   findCategory,
   requireOwnership('owner'),
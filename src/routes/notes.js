@@ -23,8 +23,42 @@ const {
   getCollaboratedNotes
 } = require('../controllers/shareController');
 
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment
+} = require('../controllers/commentController');
+
+const {
+  getVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion
+} = require('../controllers/versionController');
+
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+
+const {
+  setReminder,
+  snoozeReminder,
+  dismissReminder,
+  removeReminder
+} = require('../controllers/reminderController');
+
+const { exportNotes, exportNote } = require('../controllers/exportController');
+const { importNotes } = require('../controllers/importController');
+
 const {
   authenticate,
+  requireScope,
   requireOwnership,
   checkCollaborationPermission
 } = require('../middleware/auth');
@@ -34,17 +68,31 @@ const {
   validateNoteUpdate,
   validateShareCreation,
   validateCollaboratorAdd,
+  validateCommentCreation,
+  validateCommentUpdate,
+  validateVersionParam,
+  validateVersionDiff,
+  validateReminder,
+  validateReminderSnooze,
+  validateNotesExport,
+  validateNoteExport,
+  validateNotesImport,
   validatePagination,
   validateSearch,
+  validateRenderOption,
   validateObjectId
 } = require('../middleware/validation');
 
 const {
   createLimiter,
   searchLimiter,
-  shareLimiter
+  shareLimiter,
+  bulkLimiter,
+  uploadLimiter
 } = require('../middleware/rateLimiter');
 
+const { uploadSingle, uploadImport } = require('../middleware/upload');
+
 const router = express.Router();
 
 // Middleware to find and attach note to request
@@ -75,51 +123,69 @@ const findNote = async (req, res, next) => {
  * @desc    Get all notes for authenticated user
  * @access  Private
  */
-router.get('/', authenticate, validatePagination, validateSearch, getNotes);
+router.get('/', authenticate, requireScope('notes:read'), validatePagination, validateSearch, getNotes);
 
 /**
  * @route   GET /api/notes/stats
  * @desc    Get note statistics
  * @access  Private
  */
-router.get('/stats', authenticate, getNoteStats);
+router.get('/stats', authenticate, requireScope('notes:read'), getNoteStats);
 
 /**
  * @route   GET /api/notes/deleted
  * @desc    Get deleted notes
  * @access  Private
  */
-router.get('/deleted', authenticate, validatePagination, getDeletedNotes);
+router.get('/deleted', authenticate, requireScope('notes:read'), validatePagination, getDeletedNotes);
 
 /**
  * @route   GET /api/notes/shared
  * @desc    Get all shared notes for user
  * @access  Private
  */
-router.get('/shared', authenticate, validatePagination, getSharedNotes);
+router.get('/shared', authenticate, requireScope('notes:read'), validatePagination, getSharedNotes);
 
 /**
  * @route   GET /api/notes/collaborated
  * @desc    Get notes shared with user (as collaborator)
  * @access  Private
  */
-router.get('/collaborated', authenticate, validatePagination, getCollaboratedNotes);
+router.get('/collaborated', authenticate, requireScope('notes:read'), validatePagination, getCollaboratedNotes);
 
 /**
  * @route   POST /api/notes
  * @desc    Create new note
  * @access  Private
  */
-router.post('/', authenticate, createLimiter, validateNoteCreation, createNote);
+router.post('/', authenticate, requireScope('notes:write'), createLimiter, validateNoteCreation, createNote);
+
+/**
+ * @route   POST /api/notes/export
+ * @desc    Export notes matching filters as a zip of Markdown or HTML files
+ *          (large exports are built in the background)
+ * @access  Private
+ */
+router.post('/export', authenticate, requireScope('notes:read'), bulkLimiter, validateNotesExport, exportNotes);
+
+/**
+ * @route   POST /api/notes/import
+ * @desc    Import notes from Evernote (.enex), Google Keep Takeout (.json/.zip) or
+ *          Markdown (.md/.zip) (multipart/form-data, field "file", optional "format")
+ * @access  Private
+ */
+router.post('/import', authenticate, requireScope('notes:write'), bulkLimiter, uploadImport('file'), validateNotesImport, importNotes);
 
 /**
  * @route   GET /api/notes/:id
- * @desc    Get single note
+ * @desc    Get single note (?render=html adds rendered HTML)
  * @access  Private
  */
 router.get('/:id', 
   authenticate, 
+  requireScope('notes:read'), 
   validateObjectId('id'), 
+  validateRenderOption,
   findNote,
   checkCollaborationPermission('view'),
   getNote
@@ -132,6 +198,7 @@ router.get('/:id',
  */
 router.put('/:id', 
   authenticate, 
+  requireScope('notes:write'), 
   validateObjectId('id'), 
   validateNoteUpdate,
   findNote,
@@ -146,6 +213,7 @@ router.put('/:id',
  */
 router.delete('/:id', 
   authenticate, 
+  requireScope('notes:write'), 
   validateObjectId('id'), 
   findNote,
   requireOwnership(),
@@ -159,6 +227,7 @@ router.delete('/:id',
  */
 router.put('/:id/restore', 
   authenticate, 
+  requireScope('notes:write'), 
   validateObjectId('id'), 
   restoreNote
 );
@@ -170,6 +239,7 @@ router.put('/:id/restore',
  */
 router.delete('/:id/permanent', 
   authenticate, 
+  requireScope('notes:write'), 
   validateObjectId('id'), 
   permanentDeleteNote
 );
@@ -181,6 +251,7 @@ router.delete('/:id/permanent',
  */
 router.post('/:id/duplicate', 
   authenticate, 
+  requireScope('notes:write'), 
   validateObjectId('id'), 
   createLimiter,
   findNote,
@@ -188,6 +259,21 @@ router.post('/:id/duplicate',
   duplicateNote
 );
 
+/**
+ * @route   GET /api/notes/:id/export
+ * @desc    Export a note as Markdown, HTML or PDF
+ * @access  Private
+ */
+router.get('/:id/export', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  validateNoteExport,
+  findNote,
+  checkCollaborationPermission('view'),
+  exportNote
+);
+
 // Share routes
 /**
  * @route   POST /api/notes/:id/share
@@ -196,6 +282,7 @@ router.post('/:id/duplicate',
  */
 router.post('/:id/share', 
   authenticate, 
+  requireScope('share:manage'), 
   validateObjectId('id'), 
   shareLimiter,
   validateShareCreation,
@@ -211,6 +298,7 @@ router.post('/:id/share',
  */
 router.put('/:id/share', 
   authenticate, 
+  requireScope('share:manage'), 
   validateObjectId('id'), 
   findNote,
   requireOwnership(),
@@ -224,6 +312,7 @@ router.put('/:id/share',
  */
 router.delete('/:id/share', 
   authenticate, 
+  requireScope('share:manage'), 
   validateObjectId('id'), 
   findNote,
   requireOwnership(),
@@ -238,6 +327,7 @@ router.delete('/:id/share',
  */
 router.post('/:id/collaborators', 
   authenticate, 
+  requireScope('share:manage'), 
   validateObjectId('id'), 
   validateCollaboratorAdd,
   findNote,
@@ -252,6 +342,7 @@ router.post('/:id/collaborators',
  */
 router.put('/:id/collaborators/:userId', 
   authenticate, 
+  requireScope('share:manage'), 
   validateObjectId('id'), 
   validateObjectId('userId'),
   findNote,
@@ -266,6 +357,7 @@ router.put('/:id/collaborators/:userId',
  */
 router.delete('/:id/collaborators/:userId', 
   authenticate, 
+  requireScope('share:manage'), 
   validateObjectId('id'), 
   validateObjectId('userId'),
   findNote,
@@ -273,4 +365,276 @@ router.delete('/:id/collaborators/:userId',
   removeCollaborator
 );
 
+// Version history routes
+/**
+ * @route   GET /api/notes/:id/versions
+ * @desc    Get version history of a note
+ * @access  Private
+ */
+router.get('/:id/versions', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  findNote,
+  checkCollaborationPermission('view'),
+  getVersions
+);
+
+/**
+ * @route   GET /api/notes/:id/versions/diff
+ * @desc    Diff two versions of a note (line or word level)
+ * @access  Private
+ */
+router.get('/:id/versions/diff', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  validateVersionDiff,
+  findNote,
+  checkCollaborationPermission('view'),
+  diffVersions
+);
+
+/**
+ * @route   GET /api/notes/:id/versions/:version
+ * @desc    Get a single version of a note
+ * @access  Private
+ */
+router.get('/:id/versions/:version', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  validateVersionParam,
+  findNote,
+  checkCollaborationPermission('view'),
+  getVersion
+);
+
+/**
+ * @route   POST /api/notes/:id/versions/:version/restore
+ * @desc    Restore a previous version of a note
+ * @access  Private
+ */
+router.post('/:id/versions/:version/restore', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateVersionParam,
+  findNote,
+  checkCollaborationPermission('edit'),
+  restoreVersion
+);
+
+// Reminder routes
+/**
+ * @route   PUT /api/notes/:id/reminder
+ * @desc    Set reminder on a note
+ * @access  Private
+ */
+router.put('/:id/reminder', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateReminder,
+  findNote,
+  requireOwnership(),
+  setReminder
+);
+
+/**
+ * @route   POST /api/notes/:id/reminder/snooze
+ * @desc    Snooze reminder (by `minutes` or `until`)
+ * @access  Private
+ */
+router.post('/:id/reminder/snooze', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateReminderSnooze,
+  findNote,
+  requireOwnership(),
+  snoozeReminder
+);
+
+/**
+ * @route   POST /api/notes/:id/reminder/dismiss
+ * @desc    Dismiss pending reminder
+ * @access  Private
+ */
+router.post('/:id/reminder/dismiss', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  findNote,
+  requireOwnership(),
+  dismissReminder
+);
+
+/**
+ * @route   DELETE /api/notes/:id/reminder
+ * @desc    Remove reminder from a note
+ * @access  Private
+ */
+router.delete('/:id/reminder', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  findNote,
+  requireOwnership(),
+  removeReminder
+);
+
+// Attachment routes
+/**
+ * @route   GET /api/notes/:id/attachments
+ * @desc    Get attachments of a note
+ * @access  Private
+ */
+router.get('/:id/attachments', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  findNote,
+  checkCollaborationPermission('view'),
+  getAttachments
+);
+
+/**
+ * @route   POST /api/notes/:id/attachments
+ * @desc    Upload attachment (multipart/form-data, field "file")
+ * @access  Private
+ */
+router.post('/:id/attachments', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  uploadLimiter,
+  findNote,
+  checkCollaborationPermission('edit'),
+  uploadSingle('file'),
+  uploadAttachment
+);
+
+/**
+ * @route   GET /api/notes/:id/attachments/:attachmentId
+ * @desc    Download attachment (supports Range requests)
+ * @access  Private
+ */
+router.get('/:id/attachments/:attachmentId', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  validateObjectId('attachmentId'),
+  findNote,
+  checkCollaborationPermission('view'),
+  downloadAttachment
+);
+
+/**
+ * @route   DELETE /api/notes/:id/attachments/:attachmentId
+ * @desc    Delete attachment
+ * @access  Private
+ */
+router.delete('/:id/attachments/:attachmentId', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateObjectId('attachmentId'),
+  findNote,
+  checkCollaborationPermission('edit'),
+  deleteAttachment
+);
+
+// Comment routes
+/**
+ * @route   GET /api/notes/:id/comments
+ * @desc    Get comment threads for a note
+ * @access  Private
+ */
+router.get('/:id/comments', 
+  authenticate, 
+  requireScope('notes:read'), 
+  validateObjectId('id'), 
+  findNote,
+  checkCollaborationPermission('view'),
+  getComments
+);
+
+/**
+ * @route   POST /api/notes/:id/comments
+ * @desc    Add comment or reply to a note
+ * @access  Private
+ */
+router.post('/:id/comments', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  createLimiter,
+  validateCommentCreation,
+  findNote,
+  checkCollaborationPermission('view'),
+  createComment
+);
+
+/**
+ * @route   PUT /api/notes/:id/comments/:commentId
+ * @desc    Update comment
+ * @access  Private
+ */
+router.put('/:id/comments/:commentId', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateObjectId('commentId'),
+  validateCommentUpdate,
+  findNote,
+  checkCollaborationPermission('view'),
+  updateComment
+);
+
+/**
+ * @route   DELETE /api/notes/:id/comments/:commentId
+ * @desc    Delete comment and its replies
+ * @access  Private
+ */
+router.delete('/:id/comments/:commentId', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateObjectId('commentId'),
+  findNote,
+  checkCollaborationPermission('view'),
+  deleteComment
+);
+
+/**
+ * @route   PUT /api/notes/:id/comments/:commentId/resolve
+ * @desc    Resolve comment thread
+ * @access  Private
+ */
+router.put('/:id/comments/:commentId/resolve', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateObjectId('commentId'),
+  findNote,
+  checkCollaborationPermission('view'),
+  resolveComment
+);
+
+/**
+ * @route   PUT /api/notes/:id/comments/:commentId/unresolve
+ * @desc    Reopen resolved comment thread
+ * @access  Private
+ */
+router.put('/:id/comments/:commentId/unresolve', 
+  authenticate, 
+  requireScope('notes:write'), 
+  validateObjectId('id'), 
+  validateObjectId('commentId'),
+  findNote,
+  checkCollaborationPermission('view'),
+  unresolveComment
+);
+
 module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getSettings,
+  updateSettings
+} = require('../controllers/notificationController');
+
+const { authenticate, requireScope } = require('../middleware/auth');
+
+const {
+  validateNotificationQuery,
+  validateNotificationSettings,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get notifications (paginated, `unread=true` for unread only)
+ * @access  Private
+ */
+router.get('/', authenticate, requireScope('notifications:read'), validatePagination, validateNotificationQuery, getNotifications);
+
+/**
+ * @route   GET /api/notifications/settings
+ * @desc    Get notification settings
+ * @access  Private
+ */
+router.get('/settings', authenticate, requireScope('notifications:read'), getSettings);
+
+/**
+ * @route   PUT /api/notifications/settings
+ * @desc    Update notification settings (enable/disable, muted types)
+ * @access  Private
+ */
+router.put('/settings', authenticate, requireScope('notifications:write'), validateNotificationSettings, updateSettings);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', authenticate, requireScope('notifications:write'), markAllAsRead);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark notification as read
+ * @access  Private
+ */
+router.put('/:id/read', authenticate, requireScope('notifications:write'), validateObjectId('id'), markAsRead);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete notification
+ * @access  Private
+ */
+router.delete('/:id', authenticate, requireScope('notifications:write'), validateObjectId('id'), deleteNotification);
+
+module.exports = router;
@@ -1,15 +1,56 @@
 const express = require('express');
-const { getSharedNote } = require('../controllers/shareController');
+const { getSharedNote, updateSharedNote } = require('../controllers/shareController');
+const {
+  getSharedComments,
+  createSharedComment
+} = require('../controllers/commentController');
 const { optionalAuth } = require('../middleware/auth');
-const { validateObjectId } = require('../middleware/validation');
+const {
+  validateObjectId,
+  validateCommentCreation,
+  validateSharedNoteUpdate,
+  validateRenderOption
+} = require('../middleware/validation');
+const { createLimiter, shareLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/shared/:shareId
- * @desc    Get shared note by share ID
+ * @desc    Get shared note by share ID (?render=html adds rendered HTML)
  * @access  Public
  */
-router.get('/:shareId', optionalAuth, getSharedNote);
+router.get('/:shareId', optionalAuth, validateRenderOption, getSharedNote);
+
+/**
+ * @route   PUT /api/shared/:shareId
+ * @desc    Update shared note through a link with edit permission
+ * @access  Public
+ */
+router.put('/:shareId', 
+  optionalAuth, 
+  shareLimiter,
+  validateSharedNoteUpdate,
+  updateSharedNote
+);
+
+/**
+ * @route   GET /api/shared/:shareId/comments
+ * @desc    Get comment threads for a shared note
+ * @access  Public
+ */
+router.get('/:shareId/comments', optionalAuth, getSharedComments);
+
+/**
+ * @route   POST /api/shared/:shareId/comments
+ * @desc    Comment on a shared note (anonymous or as the logged-in user)
+ * @access  Public
+ */
+router.post('/:shareId/comments', 
+  optionalAuth, 
+  createLimiter,
+  validateCommentCreation,
+  createSharedComment
+);
 
 module.exports = router;
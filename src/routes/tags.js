@@ -16,6 +16,7 @@ const {
 
 const {
   authenticate,
+  requireScope,
   requireOwnership
 } = require('../middleware/auth');
 
@@ -62,49 +63,49 @@ const findTag = async (req, res, next) => {
  * @desc    Get all tags for authenticated user
  * @access  Private
  */
-router.get('/', authenticate, validatePagination, getTags);
+router.get('/', authenticate, requireScope('tags:read'), validatePagination, getTags);
 
 /**
  * @route   GET /api/tags/stats
  * @desc    Get tag statistics
  * @access  Private
  */
-router.get('/stats', authenticate, getTagStats);
+router.get('/stats', authenticate, requireScope('tags:read'), getTagStats);
 
 /**
  * @route   GET /api/tags/popular
  * @desc    Get popular tags
  * @access  Private
  */
-router.get('/popular', authenticate, getPopularTags);
+router.get('/popular', authenticate, requireScope('tags:read'), getPopularTags);
 
 /**
  * @route   GET /api/tags/search
  * @desc    Search tags
  * @access  Private
  */
-router.get('/search', authenticate, searchLimiter, searchTags);
+router.get('/search', authenticate, requireScope('tags:read'), searchLimiter, searchTags);
 
 /**
  * @route   POST /api/tags
  * @desc    Create new tag
  * @access  Private
  */
-router.post('/', authenticate, createLimiter, validateTagCreation, createTag);
+router.post('/', authenticate, requireScope('tags:write'), createLimiter, validateTagCreation, createTag);
 
 /**
  * @route   POST /api/tags/bulk-create
  * @desc    Bulk create tags from names
  * @access  Private
  */
-router.post('/bulk-create', authenticate, bulkLimiter, bulkCreateTags);
+router.post('/bulk-create', authenticate, requireScope('tags:write'), bulkLimiter, bulkCreateTags);
 
 /**
  * @route   POST /api/tags/suggestions
  * @desc    Get tag suggestions based on content
  * @access  Private
  */
-router.post('/suggestions', authenticate, getTagSuggestions);
+router.post('/suggestions', authenticate, requireScope('tags:read'), getTagSuggestions);
 
 /**
  * @route   GET /api/tags/:id
@@ -113,6 +114,7 @@ router.post('/suggestions', authenticate, getTagSuggestions);
  */
 router.get('/:id', 
   authenticate, 
+  requireScope('tags:read'), 
   validateObjectId('id'), 
   findTag,
   getTag
@@ -125,6 +127,7 @@ router.get('/:id',
  */
 router.put('/:id', 
   authenticate, 
+  requireScope('tags:write'), 
   validateObjectId('id'), 
   validateTagUpdate,
   findTag,
@@ -139,6 +142,7 @@ router.put('/:id',
  */
 router.delete('/:id', 
   authenticate, 
+  requireScope('tags:write'), 
   validateObjectId('id'), 
   findTag,
   requireOwnership('owner'),
@@ -152,6 +156,7 @@ router.delete('/:id',
  */
 router.put('/:id/favorite', 
   authenticate, 
+  requireScope('tags:write'), 
   validateObjectId('id'), 
   findTag,
   requireOwnership('owner'),
@@ -165,6 +170,7 @@ router.put('/:id/favorite',
  */
 router.post('/:id/merge', 
   authenticate, 
+  requireScope('tags:write'), 
   validateObjectId('id'), 
   findTag,
   requireOwnership('owner'),
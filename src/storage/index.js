@@ -0,0 +1,54 @@
+const LocalStorage = require('./localStorage');
+const config = require('../../config/config');
+
+/**
+ * Attachment storage backends.
+ *
+ * Every backend implements:
+ *  - put(key, body, { contentType, contentLength }) - store a buffer, or a
+ *    readable stream of contentLength bytes, under a key
+ *  - get(key, { start, end }) - readable stream of the (inclusive) byte range
+ *  - delete(key) - remove the object, ignoring missing keys
+ * and exposes its `name`, which is saved on each attachment so files stay
+ * readable after switching drivers.
+ */
+const drivers = {
+  local: () => new LocalStorage({ root: config.upload.uploadPath }),
+  // Loaded on demand so the AWS SDK is only required when S3 is used
+  s3: () => {
+    const S3Storage = require('./s3Storage');
+    return new S3Storage(config.storage.s3);
+  }
+};
+
+const instances = new Map();
+
+/**
+ * Get a storage backend, defaults to the configured driver
+ * @param {string} name - Driver name
+ * @returns {object} Storage backend
+ */
+const getStorage = (name = config.storage.driver) => {
+  if (!instances.has(name)) {
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    instances.set(name, drivers[name]());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Replace a backend (e.g. with an in-memory stand-in in tests)
+ * @param {string} name - Driver name
+ * @param {object} storage - Storage backend
+ */
+const setStorage = (name, storage) => {
+  instances.set(name, storage);
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Stores attachments on the local filesystem under a root directory
+ */
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a storage key to a path inside the root directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial upload
+    try {
+      await fs.promises.writeFile(tempPath, body);
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key, { start, end } = {}) {
+    const filePath = this.resolve(key);
+
+    // Fail before the response starts if the file is gone
+    await fs.promises.access(filePath, fs.constants.R_OK);
+
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
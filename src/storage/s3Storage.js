@@ -0,0 +1,69 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Stores attachments in an S3 bucket.
+ * Works with S3-compatible services such as MinIO by setting `endpoint`
+ * and `forcePathStyle`.
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      ...(accessKeyId && secretAccessKey && {
+        credentials: { accessKeyId, secretAccessKey }
+      })
+    });
+  }
+
+  async put(key, body, { contentType, contentLength } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      // Required when the body is a stream
+      ContentLength: contentLength
+    }));
+  }
+
+  async get(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: range
+      }));
+
+      return Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        error.code = 'ENOENT';
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,177 @@
+const { Marked } = require('marked');
+const sanitize = require('sanitize-html');
+const { Parser } = require('htmlparser2');
+const { escapeHtml } = require('./helpers');
+
+// GitHub flavored markdown: tables, task lists, fenced code and strikethrough
+const marked = new Marked({ gfm: true, breaks: false, async: false });
+
+const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'div', 'span',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'sub', 'sup', 'small',
+  'blockquote', 'pre', 'code', 'kbd',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'a', 'img', 'input',
+  'figure', 'figcaption', 'details', 'summary'
+];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    details: ['open']
+  },
+  allowedClasses: {
+    // Fenced code language, for client-side highlighting
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    // Relative URLs stay allowed, e.g. links to attachments
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitize.simpleTransform('a', { rel: 'noopener noreferrer nofollow' }),
+    // Task list checkboxes are for display only
+    input: sanitize.simpleTransform('input', { disabled: 'disabled' })
+  },
+  // Only task list checkboxes survive, no other form controls
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+// Elements whose text is separated from the text around it
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'ul'
+]);
+
+// Table cells: a row's text stays on one line
+const CELL_TAGS = new Set(['td', 'th']);
+
+// Elements whose content is never shown as text
+const HIDDEN_TAGS = new Set(['script', 'style', 'template', 'noscript', 'head', 'title']);
+
+/**
+ * Remove everything but the allow-listed tags, attributes and URL schemes
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+const sanitizeHtml = (html) => {
+  if (!html) return '';
+  return sanitize(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Render markdown (GFM) to safe HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} Safe HTML
+ */
+const renderMarkdown = (markdown) => {
+  if (!markdown) return '';
+  // Raw HTML is allowed in markdown, so the output is sanitized like an html note
+  return sanitizeHtml(marked.parse(markdown));
+};
+
+/**
+ * Render plain text as HTML paragraphs, keeping line breaks
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+const renderText = (text) => {
+  if (!text) return '';
+
+  return text
+    .split(/\r?\n\s*\r?\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('\n');
+};
+
+/**
+ * Render note content of any content type to safe HTML
+ * @param {string} content - Note content
+ * @param {string} contentType - 'text', 'markdown' or 'html'
+ * @returns {string} Safe HTML
+ */
+const renderHtml = (content, contentType = 'text') => {
+  switch (contentType) {
+    case 'markdown':
+      return renderMarkdown(content);
+    case 'html':
+      return sanitizeHtml(content);
+    default:
+      return renderText(content);
+  }
+};
+
+/**
+ * Get the text of an HTML document as a reader would see it: entities decoded,
+ * hidden elements left out, and each block on its own line
+ * @param {string} html - HTML
+ * @returns {string} Plain text
+ */
+const htmlToText = (html) => {
+  if (!html) return '';
+
+  let text = '';
+  let hidden = 0;
+  let preformatted = 0;
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (HIDDEN_TAGS.has(name)) hidden += 1;
+      if (name === 'pre') preformatted += 1;
+      if (BLOCK_TAGS.has(name)) text += '\n';
+    },
+    ontext(data) {
+      if (hidden) return;
+      // Outside <pre>, line breaks in the source are just spaces
+      text += preformatted ? data : data.replace(/\s+/g, ' ');
+    },
+    onclosetag(name) {
+      if (HIDDEN_TAGS.has(name)) hidden = Math.max(0, hidden - 1);
+      if (name === 'pre') preformatted = Math.max(0, preformatted - 1);
+      if (BLOCK_TAGS.has(name)) text += '\n';
+      if (CELL_TAGS.has(name)) text += ' ';
+    }
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+
+  return text
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n\s*/g, '\n')
+    .trim();
+};
+
+/**
+ * Get the plain text of note content, for excerpts, word counts and search
+ * @param {string} content - Note content
+ * @param {string} contentType - 'text', 'markdown' or 'html'
+ * @returns {string} Plain text
+ */
+const toPlainText = (content, contentType = 'text') => {
+  if (!content) return '';
+  if (contentType === 'markdown' || contentType === 'html') {
+    return htmlToText(renderHtml(content, contentType));
+  }
+  return content;
+};
+
+module.exports = {
+  sanitizeHtml,
+  renderMarkdown,
+  renderHtml,
+  htmlToText,
+  toPlainText
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const { getStorage } = require('../storage');
+const logger = require('./logger');
+
+/**
+ * Account details and settings, without credentials or secrets
+ */
+const formatProfile = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  avatar: user.avatar,
+  bio: user.bio,
+  role: user.role,
+  plan: user.plan,
+  isEmailVerified: user.isEmailVerified,
+  preferences: user.preferences,
+  versionRetention: user.versionRetention,
+  storageUsed: user.storageUsed,
+  twoFactorEnabled: user.twoFactor.enabled,
+  identities: user.identities.map(identity => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt,
+    lastLoginAt: identity.lastLoginAt
+  })),
+  passkeys: user.passkeys.map(passkey => ({
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+  })),
+  sessions: user.refreshTokens.map(session => ({
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt
+  })),
+  lastLoginAt: user.lastLoginAt,
+  loginCount: user.loginCount,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+/**
+ * Drop the owner reference and internal fields of a category or tag
+ */
+const formatOwned = ({ owner, __v, ...doc }) => doc;
+
+/**
+ * File name of an attachment inside the archive
+ */
+const attachmentEntryName = (note, attachment) => {
+  const name = (attachment.originalName || attachment.filename || 'file').replace(/[\\/\x00-\x1f]/g, '_');
+  return `attachments/${note._id}/${attachment._id}-${name}`;
+};
+
+const formatNote = (note, versions, attachmentFiles) => ({
+  id: note._id,
+  title: note.title,
+  content: note.content,
+  contentType: note.contentType,
+  status: note.status,
+  visibility: note.visibility,
+  category: note.category ? note.category.name : null,
+  tags: (note.tags || []).map(tag => tag.name),
+  isPinned: note.isPinned,
+  isFavorite: note.isFavorite,
+  priority: note.priority,
+  isDeleted: note.isDeleted,
+  deletedAt: note.deletedAt,
+  reminder: note.reminder,
+  shareSettings: note.shareSettings,
+  collaborators: (note.collaborators || []).map(collaborator => ({
+    user: collaborator.user && {
+      id: collaborator.user._id,
+      name: `${collaborator.user.firstName} ${collaborator.user.lastName}`,
+      email: collaborator.user.email
+    },
+    permission: collaborator.permission,
+    addedAt: collaborator.addedAt
+  })),
+  attachments: (note.attachments || []).map(attachment => ({
+    id: attachment._id,
+    originalName: attachment.originalName,
+    mimetype: attachment.mimetype,
+    size: attachment.size,
+    uploadedAt: attachment.uploadedAt,
+    // Path inside the archive, null if the file could not be read
+    file: attachmentFiles.get(String(attachment._id)) || null
+  })),
+  version: note.version,
+  versions: versions.map(({ _id, note: noteId, owner, __v, ...version }) => version),
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+/**
+ * Write a zip archive of everything stored for a user:
+ *  - profile.json: account details and settings
+ *  - categories.json, tags.json
+ *  - notes/<id>.json: a note with its share settings, collaborators and versions
+ *  - attachments/<note id>/<attachment id>-<name>: attachment files
+ * @param {object} user - User document
+ * @param {string} filePath - Where to write the archive
+ * @returns {Promise<number>} Archive size in bytes
+ */
+const writeAccountArchive = async (user, filePath) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const written = pipeline(archive, fs.createWriteStream(filePath));
+
+  // Entries are added one at a time so only one attachment stream is open at once
+  const add = async (source, name) => {
+    const added = once(archive, 'entry');
+    archive.append(source, { name });
+    await added;
+  };
+  const addJson = (value, name) => add(JSON.stringify(value, null, 2), name);
+
+  try {
+    await addJson(formatProfile(user), 'profile.json');
+
+    const [categories, tags] = await Promise.all([
+      Category.find({ owner: user._id }).sort({ name: 1 }).lean(),
+      Tag.find({ owner: user._id }).sort({ name: 1 }).lean()
+    ]);
+    await addJson(categories.map(formatOwned), 'categories.json');
+    await addJson(tags.map(formatOwned), 'tags.json');
+
+    const notes = Note.find({ author: user._id })
+      .select('-searchKeywords')
+      .populate('category', 'name')
+      .populate('tags', 'name')
+      .populate('collaborators.user', 'firstName lastName email')
+      .lean()
+      .cursor();
+
+    for await (const note of notes) {
+      const attachmentFiles = new Map();
+
+      for (const attachment of note.attachments || []) {
+        const name = attachmentEntryName(note, attachment);
+        try {
+          await add(await getStorage(attachment.storage).get(attachment.path), name);
+          attachmentFiles.set(String(attachment._id), name);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          logger.error(`Attachment ${attachment._id} is missing from ${attachment.storage} storage, left out of the export`);
+        }
+      }
+
+      const versions = await NoteVersion.find({ note: note._id }).sort({ version: 1 }).lean();
+      await addJson(formatNote(note, versions, attachmentFiles), `notes/${note._id}.json`);
+    }
+
+    await archive.finalize();
+    await written;
+  } catch (error) {
+    archive.abort();
+    await written.catch(() => {});
+    throw error;
+  }
+
+  return archive.pointer();
+};
+
+module.exports = {
+  writeAccountArchive
+};
@@ -0,0 +1,328 @@
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../../config/config');
+
+/**
+ * Split text into line tokens, keeping the line breaks
+ * @param {string} text - Text to tokenize
+ * @returns {array} Array of lines
+ */
+const tokenizeLines = (text) => {
+  if (!text) return [];
+  return text.split(/(?<=\n)/);
+};
+
+/**
+ * Split text into word and whitespace tokens
+ * @param {string} text - Text to tokenize
+ * @returns {array} Array of tokens
+ */
+const tokenizeWords = (text) => {
+  if (!text) return [];
+  return text.match(/\s+|[^\s]+/g) || [];
+};
+
+/**
+ * Find the middle snake of the shortest edit script between a[aLo..aHi] and
+ * b[bLo..bHi]: the diagonal run where the forward and reverse searches meet.
+ * Only two vectors of the size of the input are kept, so memory stays linear.
+ * @returns {object} Snake from (x, y) to (u, v), in absolute indexes
+ */
+const middleSnake = (a, aLo, aHi, b, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD + 1;
+  const forward = new Int32Array(2 * maxD + 3);
+  const reverse = new Int32Array(2 * maxD + 3);
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      // Reverse paths of d - 1 edits on this diagonal
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + reverse[offset + delta - k] >= n) {
+        return { x: aLo + startX, y: bLo + startY, u: aLo + x, v: bLo + y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1])
+        ? reverse[offset + k + 1]
+        : reverse[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      reverse[offset + k] = x;
+
+      // Forward paths of d edits on this diagonal
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: aHi - x, y: bHi - y, u: aHi - startX, v: bHi - startY };
+      }
+    }
+  }
+
+  throw new Error('Middle snake not found');
+};
+
+/**
+ * Compute the shortest edit script between two token arrays (Myers' algorithm,
+ * linear space variant: split at the middle snake and recurse on both halves)
+ * @param {array} a - Original tokens
+ * @param {array} b - New tokens
+ * @returns {array} Operations in order: { type: 'equal'|'insert'|'delete', value }
+ * @throws {AppError} 413 when the texts have more tokens than config.versioning.maxDiffTokens
+ */
+const diffTokens = (a, b) => {
+  if (a.length + b.length > config.versioning.maxDiffTokens) {
+    throw new AppError('The texts are too large to compare', 413);
+  }
+
+  const ops = [];
+
+  const compare = (aLo, aHi, bLo, bHi) => {
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      ops.push({ type: 'equal', value: a[aLo] });
+      aLo++;
+      bLo++;
+    }
+
+    let suffix = 0;
+    while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+      aHi--;
+      bHi--;
+      suffix++;
+    }
+
+    if (aLo === aHi) {
+      for (let y = bLo; y < bHi; y++) ops.push({ type: 'insert', value: b[y] });
+    } else if (bLo === bHi) {
+      for (let x = aLo; x < aHi; x++) ops.push({ type: 'delete', value: a[x] });
+    } else {
+      // Both halves hold fewer edits than the whole, so this ends
+      const snake = middleSnake(a, aLo, aHi, b, bLo, bHi);
+      compare(aLo, snake.x, bLo, snake.y);
+      for (let x = snake.x; x < snake.u; x++) ops.push({ type: 'equal', value: a[x] });
+      compare(snake.u, aHi, snake.v, bHi);
+    }
+
+    for (let x = aHi; x < aHi + suffix; x++) ops.push({ type: 'equal', value: a[x] });
+  };
+
+  compare(0, a.length, 0, b.length);
+  return ops;
+};
+
+/**
+ * Merge consecutive operations of the same type into chunks
+ * @param {array} ops - Operations from diffTokens
+ * @returns {array} Merged chunks
+ */
+const mergeChunks = (ops) => {
+  const chunks = [];
+
+  ops.forEach(op => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+      last.count += 1;
+    } else {
+      chunks.push({ type: op.type, value: op.value, count: 1 });
+    }
+  });
+
+  return chunks;
+};
+
+/**
+ * Diff two texts at line or word granularity
+ * @param {string} oldText - Original text
+ * @param {string} newText - New text
+ * @param {string} mode - 'line' or 'word'
+ * @returns {object} Chunks and addition/deletion counts
+ */
+const diffText = (oldText = '', newText = '', mode = 'line') => {
+  const tokenize = mode === 'word' ? tokenizeWords : tokenizeLines;
+  const ops = diffTokens(tokenize(oldText), tokenize(newText));
+
+  const stats = { additions: 0, deletions: 0, unchanged: 0 };
+  ops.forEach(op => {
+    if (op.type === 'insert') stats.additions += 1;
+    else if (op.type === 'delete') stats.deletions += 1;
+    else stats.unchanged += 1;
+  });
+
+  return {
+    mode,
+    chunks: mergeChunks(ops),
+    stats
+  };
+};
+
+/**
+ * Collect the regions of `base` that were changed to produce `other`
+ * @param {array} base - Base lines
+ * @param {array} other - Changed lines
+ * @returns {array} Regions { start, end, lines } in base coordinates
+ */
+const changedRegions = (base, other) => {
+  const regions = [];
+  let baseIndex = 0;
+  let current = null;
+
+  diffTokens(base, other).forEach(op => {
+    if (op.type === 'equal') {
+      if (current) {
+        current.end = baseIndex;
+        regions.push(current);
+        current = null;
+      }
+      baseIndex += 1;
+      return;
+    }
+
+    if (!current) {
+      current = { start: baseIndex, end: baseIndex, lines: [] };
+    }
+
+    if (op.type === 'delete') {
+      baseIndex += 1;
+    } else {
+      current.lines.push(op.value);
+    }
+  });
+
+  if (current) {
+    current.end = baseIndex;
+    regions.push(current);
+  }
+
+  return regions;
+};
+
+/**
+ * Apply a side's regions to a slice of the base
+ */
+const applyRegions = (base, regions, start, end) => {
+  const lines = [];
+  let position = start;
+
+  regions.forEach(region => {
+    lines.push(...base.slice(position, region.start), ...region.lines);
+    position = region.end;
+  });
+
+  lines.push(...base.slice(position, end));
+  return lines.join('');
+};
+
+/**
+ * Three-way merge of two texts derived from a common base (line based, diff3 style)
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Our changes
+ * @param {string} theirs - Their changes
+ * @returns {object} Merged text with conflict markers, conflict count and hunks
+ */
+const mergeText = (base = '', ours = '', theirs = '') => {
+  const baseLines = tokenizeLines(base);
+  const ourRegions = changedRegions(baseLines, tokenizeLines(ours));
+  const theirRegions = changedRegions(baseLines, tokenizeLines(theirs));
+
+  const hunks = [];
+  let merged = '';
+  let position = 0;
+  let i = 0;
+  let j = 0;
+
+  const flushBase = (until) => {
+    if (until > position) {
+      const text = baseLines.slice(position, until).join('');
+      merged += text;
+      hunks.push({ type: 'unchanged', text });
+    }
+  };
+
+  while (i < ourRegions.length || j < theirRegions.length) {
+    const useOurs = j >= theirRegions.length ||
+      (i < ourRegions.length && ourRegions[i].start <= theirRegions[j].start);
+
+    const first = useOurs ? ourRegions[i] : theirRegions[j];
+    const start = first.start;
+    let end = first.end;
+    const oursInHunk = [];
+    const theirsInHunk = [];
+
+    // Grow the hunk until no region of either side overlaps it
+    let grew = true;
+    while (grew) {
+      grew = false;
+      while (i < ourRegions.length && ourRegions[i].start <= end) {
+        end = Math.max(end, ourRegions[i].end);
+        oursInHunk.push(ourRegions[i++]);
+        grew = true;
+      }
+      while (j < theirRegions.length && theirRegions[j].start <= end) {
+        end = Math.max(end, theirRegions[j].end);
+        theirsInHunk.push(theirRegions[j++]);
+        grew = true;
+      }
+    }
+
+    flushBase(start);
+
+    const baseText = baseLines.slice(start, end).join('');
+    const ourText = applyRegions(baseLines, oursInHunk, start, end);
+    const theirText = applyRegions(baseLines, theirsInHunk, start, end);
+
+    if (theirsInHunk.length === 0 || ourText === theirText) {
+      merged += ourText;
+      hunks.push({ type: 'ours', text: ourText });
+    } else if (oursInHunk.length === 0) {
+      merged += theirText;
+      hunks.push({ type: 'theirs', text: theirText });
+    } else {
+      const withNewline = (text) => (text && !text.endsWith('\n') ? `${text}\n` : text);
+      merged += `<<<<<<< ours\n${withNewline(ourText)}=======\n${withNewline(theirText)}>>>>>>> theirs\n`;
+      hunks.push({ type: 'conflict', base: baseText, ours: ourText, theirs: theirText });
+    }
+
+    position = end;
+  }
+
+  flushBase(baseLines.length);
+
+  const conflicts = hunks.filter(hunk => hunk.type === 'conflict').length;
+
+  return {
+    merged,
+    clean: conflicts === 0,
+    conflicts,
+    hunks
+  };
+};
+
+module.exports = {
+  tokenizeLines,
+  tokenizeWords,
+  diffTokens,
+  mergeChunks,
+  diffText,
+  mergeText
+};
@@ -0,0 +1,424 @@
+const config = require('../../config/config');
+const { escapeHtml } = require('./helpers');
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML
+ * @returns {string} Full HTML document
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; background: #f9fafb; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px;">
+      <h1 style="font-size: 20px; margin-top: 0;">${escapeHtml(title)}</h1>
+      ${body}
+      <p style="font-size: 12px; color: #6b7280; margin-top: 32px;">Notes App</p>
+    </div>
+  </body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ * @param {string} url - Link target
+ * @param {string} label - Button label
+ * @returns {string} HTML snippet
+ */
+const button = (url, label) => `<p style="margin: 24px 0;">
+        <a href="${escapeHtml(url)}" style="background: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a>
+      </p>
+      <p style="font-size: 13px; color: #6b7280;">If the button does not work, copy this link into your browser:<br>${escapeHtml(url)}</p>`;
+
+/**
+ * Password reset email
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw (unhashed) reset token
+ * @returns {object} Subject, HTML and text bodies
+ */
+const passwordReset = (user, token) => {
+  const url = `${config.clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Reset your password',
+    html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>We received a request to reset the password for your account. This link expires in 10 minutes.</p>
+      ${button(url, 'Reset password')}
+      <p>If you did not request a password reset, you can safely ignore this email.</p>`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset the password for your account. This link expires in 10 minutes.',
+      '',
+      url,
+      '',
+      'If you did not request a password reset, you can safely ignore this email.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Password reset required by an administrator
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw (unhashed) reset token
+ * @returns {object} Subject, HTML and text bodies
+ */
+const passwordResetRequired = (user, token) => {
+  const url = `${config.clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Please choose a new password',
+    html: layout('Please choose a new password', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>An administrator requires you to choose a new password. You have been logged out on all devices and can't log in with your current password until you reset it. This link expires in 24 hours.</p>
+      ${button(url, 'Reset password')}
+      <p>If the link has expired, request a new one from the login page.</p>`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'An administrator requires you to choose a new password. You have been logged out on all devices and can\'t log in with your current password until you reset it. This link expires in 24 hours.',
+      '',
+      url,
+      '',
+      'If the link has expired, request a new one from the login page.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Passwordless sign-in email
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw (unhashed) sign-in token
+ * @returns {object} Subject, HTML and text bodies
+ */
+const magicLink = (user, token) => {
+  const url = `${config.clientUrl}/magic-link?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Your sign-in link',
+    html: layout('Sign in to Notes App', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Use the button below to sign in. The link can be used once and expires in 15 minutes.</p>
+      ${button(url, 'Sign in')}
+      <p>If you did not ask for a sign-in link, you can safely ignore this email.</p>`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Use the link below to sign in. The link can be used once and expires in 15 minutes.',
+      '',
+      url,
+      '',
+      'If you did not ask for a sign-in link, you can safely ignore this email.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Email verification email
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw (unhashed) verification token
+ * @returns {object} Subject, HTML and text bodies
+ */
+const emailVerification = (user, token) => {
+  const url = `${config.clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Verify your email address',
+    html: layout('Verify your email address', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Please confirm that this is your email address. This link expires in 24 hours.</p>
+      ${button(url, 'Verify email')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm that this is your email address. This link expires in 24 hours.',
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Confirmation link sent to the new address of an email change
+ * @param {object} user - User changing their email (pendingEmail is the recipient)
+ * @param {string} token - Raw (unhashed) verification token
+ * @returns {object} Subject, HTML and text bodies
+ */
+const emailChangeConfirmation = (user, token) => {
+  const url = `${config.clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Confirm your new email address',
+    html: layout('Confirm your new email address', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Please confirm that you want to use ${escapeHtml(user.pendingEmail)} for your account. Until you do, your current address stays in use. This link expires in 24 hours.</p>
+      ${button(url, 'Confirm email')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Please confirm that you want to use ${user.pendingEmail} for your account. Until you do, your current address stays in use. This link expires in 24 hours.`,
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Notice sent to the current address of an email change, with a link to undo it
+ * @param {object} user - User changing their email (email is the recipient)
+ * @param {string} token - Raw (unhashed) revert token
+ * @returns {object} Subject, HTML and text bodies
+ */
+const emailChangeNotice = (user, token) => {
+  const url = `${config.clientUrl}/revert-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Your email address is being changed',
+    html: layout('Your email address is being changed', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Someone asked to change the email address of your account to ${escapeHtml(user.pendingEmail)}.</p>
+      <p>If this was you, no action is needed. If not, undo the change and log out all devices. This link works for 7 days, even after the new address is confirmed:</p>
+      ${button(url, 'Undo email change')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `Someone asked to change the email address of your account to ${user.pendingEmail}.`,
+      '',
+      'If this was you, no action is needed. If not, undo the change and log out all devices. This link works for 7 days, even after the new address is confirmed:',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Welcome email sent after registration
+ * @param {object} user - Recipient user
+ * @returns {object} Subject, HTML and text bodies
+ */
+const welcome = (user) => {
+  const url = config.clientUrl;
+
+  return {
+    subject: 'Welcome to Notes App',
+    html: layout('Welcome to Notes App', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Thanks for signing up. Your account is ready and you can start writing notes right away.</p>
+      ${button(url, 'Open Notes App')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Thanks for signing up. Your account is ready and you can start writing notes right away.',
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Format a date in the user's language and time zone
+ */
+const formatDateTime = (user, date) => {
+  const options = { timeZone: user.getTimeZone(), dateStyle: 'full', timeStyle: 'short' };
+
+  try {
+    return new Date(date).toLocaleString((user.preferences && user.preferences.language) || 'en', options);
+  } catch (error) {
+    // Unknown language tag
+    return new Date(date).toLocaleString('en', options);
+  }
+};
+
+const reminder = (user, note, occurrenceAt) => {
+  const url = `${config.clientUrl}/notes/${note._id}`;
+  const when = formatDateTime(user, occurrenceAt);
+
+  return {
+    subject: `Reminder: ${note.title}`,
+    html: layout('Reminder', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>This is your reminder for <strong>${escapeHtml(note.title)}</strong>, scheduled for ${escapeHtml(when)}.</p>
+      ${button(url, 'Open note')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `This is your reminder for "${note.title}", scheduled for ${when}.`,
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Account lockout email with a link to unlock the account
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw (unhashed) unlock token
+ * @param {Date} lockUntil - When the lock ends by itself
+ * @returns {object} Subject, HTML and text bodies
+ */
+const accountLocked = (user, token, lockUntil) => {
+  const url = `${config.clientUrl}/unlock-account?token=${encodeURIComponent(token)}`;
+  const until = formatDateTime(user, lockUntil);
+
+  return {
+    subject: 'Your account has been locked',
+    html: layout('Your account has been locked', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>We locked your account until ${escapeHtml(until)} after several failed login attempts.</p>
+      <p>If these attempts were yours, you can unlock your account now:</p>
+      ${button(url, 'Unlock account')}
+      <p>If they were not, someone may be trying to guess your password. Consider changing it and enabling two-factor authentication.</p>`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `We locked your account until ${until} after several failed login attempts.`,
+      '',
+      'If these attempts were yours, you can unlock your account now:',
+      url,
+      '',
+      'If they were not, someone may be trying to guess your password. Consider changing it and enabling two-factor authentication.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Alert for a login from a device the user never logged in from
+ * @param {object} user - Recipient user
+ * @param {object} event - LoginEvent of the login
+ * @returns {object} Subject, HTML and text bodies
+ */
+const newDeviceLogin = (user, event) => {
+  const url = `${config.clientUrl}/settings/sessions`;
+  const when = formatDateTime(user, event.createdAt);
+
+  return {
+    subject: 'New login to your account',
+    html: layout('New login to your account', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Your account was just accessed from a new device:</p>
+      <ul>
+        <li>Device: ${escapeHtml(event.device)}</li>
+        <li>IP address: ${escapeHtml(event.ip || 'unknown')}</li>
+        <li>Time: ${escapeHtml(when)}</li>
+      </ul>
+      <p>If this was you, no action is needed. If not, revoke the session and change your password.</p>
+      ${button(url, 'Review sessions')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Your account was just accessed from a new device:',
+      `Device: ${event.device}`,
+      `IP address: ${event.ip || 'unknown'}`,
+      `Time: ${when}`,
+      '',
+      'If this was you, no action is needed. If not, revoke the session and change your password.',
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Notice that a requested data export can be downloaded
+ * @param {object} user - Recipient user
+ * @param {object} dataExport - Ready DataExport
+ * @returns {object} Subject, HTML and text bodies
+ */
+const dataExportReady = (user, dataExport) => {
+  const url = `${config.clientUrl}/settings/export`;
+  const until = formatDateTime(user, dataExport.expiresAt);
+  const subject = dataExport.type === 'notes' ? 'Your notes export is ready' : 'Your data export is ready';
+  const what = dataExport.type === 'notes'
+    ? `The ${dataExport.noteCount} note${dataExport.noteCount === 1 ? '' : 's'} you exported ${dataExport.noteCount === 1 ? 'is' : 'are'}`
+    : 'The archive of your notes and account data you requested is';
+
+  return {
+    subject,
+    html: layout(subject, `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>${escapeHtml(what)} ready to download until ${escapeHtml(until)}.</p>
+      ${button(url, 'Download export')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `${what} ready to download until ${until}.`,
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Confirmation of an account deletion request, with how to cancel it
+ * @param {object} user - Recipient user
+ * @returns {object} Subject, HTML and text bodies
+ */
+const accountDeletionScheduled = (user) => {
+  const url = `${config.clientUrl}/login`;
+  const when = formatDateTime(user, user.deletionScheduledFor);
+
+  return {
+    subject: 'Your account will be deleted',
+    html: layout('Your account will be deleted', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>As requested, your account and all your notes will be permanently deleted on ${escapeHtml(when)}. You have been logged out on all devices.</p>
+      <p>Changed your mind? Log in before then and the deletion is cancelled.</p>
+      ${button(url, 'Log in')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `As requested, your account and all your notes will be permanently deleted on ${when}. You have been logged out on all devices.`,
+      '',
+      'Changed your mind? Log in before then and the deletion is cancelled:',
+      url
+    ].join('\n')
+  };
+};
+
+/**
+ * Notice that logging in cancelled a scheduled account deletion
+ * @param {object} user - Recipient user
+ * @returns {object} Subject, HTML and text bodies
+ */
+const accountDeletionCancelled = (user) => {
+  const url = `${config.clientUrl}/settings/sessions`;
+
+  return {
+    subject: 'Your account deletion was cancelled',
+    html: layout('Your account deletion was cancelled', `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>You logged in, so your account will not be deleted. If you still want to close it, request the deletion again.</p>
+      <p>If this login wasn't you, review your sessions and change your password.</p>
+      ${button(url, 'Review sessions')}`),
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'You logged in, so your account will not be deleted. If you still want to close it, request the deletion again.',
+      '',
+      'If this login wasn\'t you, review your sessions and change your password.',
+      '',
+      url
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  layout,
+  button,
+  passwordReset,
+  passwordResetRequired,
+  magicLink,
+  emailVerification,
+  emailChangeConfirmation,
+  emailChangeNotice,
+  welcome,
+  reminder,
+  accountLocked,
+  newDeviceLogin,
+  dataExportReady,
+  accountDeletionScheduled,
+  accountDeletionCancelled
+};
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const net = require('net');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -55,6 +56,29 @@ const getPaginationMeta = (page, limit, total) => {
   };
 };
 
+/**
+ * Escape a string for use as a literal in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
 /**
  * Create a slug from a string
  * @param {string} text - Text to convert to slug
@@ -110,6 +134,98 @@ const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+/**
+ * Parse a single-range HTTP Range header (multiple ranges are not supported)
+ * @param {string} header - Range header value, e.g. "bytes=0-499"
+ * @param {number} size - Total size of the resource in bytes
+ * @returns {object|null} { start, end } (inclusive), null to send the full
+ *   resource, or { unsatisfiable: true }
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+};
+
+/**
+ * Describe a device from its User-Agent header, e.g. "Chrome on macOS"
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} Device description
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Macintosh|Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+  const browser = match(browsers);
+  const system = match(systems);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.split(/[\s/]/)[0] || 'Unknown device';
+};
+
+/**
+ * Describe the network of an IP address: its /24 for IPv4, its /64 for IPv6
+ * @param {string} ip - IP address, IPv4-mapped IPv6 addresses included
+ * @returns {string|null} Network, e.g. "203.0.113.0/24", or null for an invalid address
+ */
+const describeNetwork = (ip) => {
+  if (!ip) return null;
+
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    // Expand "::" to the groups it stands for
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+  }
+
+  return null;
+};
+
 /**
  * Check if a string is a valid email
  * @param {string} email - Email to validate
@@ -132,6 +248,16 @@ const generateRandomColor = () => {
   return colors[Math.floor(Math.random() * colors.length)];
 };
 
+/**
+ * Content-Disposition header value that survives non-ASCII file names
+ * @param {string} filename - File name offered to the client
+ * @returns {string} Header value
+ */
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7E]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
 /**
  * Debounce function to limit function calls
  * @param {function} func - Function to debounce
@@ -164,10 +290,16 @@ module.exports = {
   generateShareId,
   sanitizeInput,
   getPaginationMeta,
+  escapeRegExp,
+  escapeHtml,
   createSlug,
   stripHtml,
   extractKeywords,
   formatFileSize,
+  parseRange,
+  contentDisposition,
+  describeUserAgent,
+  describeNetwork,
   isValidEmail,
   generateRandomColor,
   debounce,
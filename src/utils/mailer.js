@@ -0,0 +1,175 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config/config');
+const logger = require('./logger');
+const templates = require('./emailTemplates');
+
+/**
+ * Nodemailer transport that keeps sent messages in memory.
+ * Used in tests and local development instead of a real SMTP server.
+ */
+class MemoryTransport {
+  constructor(outbox) {
+    this.name = 'memory';
+    this.version = '1.0.0';
+    this.outbox = outbox;
+  }
+
+  send(mail, callback) {
+    const envelope = mail.message.getEnvelope();
+    const messageId = mail.message.messageId();
+
+    this.outbox.push({
+      messageId,
+      envelope,
+      from: mail.data.from,
+      to: mail.data.to,
+      subject: mail.data.subject,
+      text: mail.data.text,
+      html: mail.data.html,
+      sentAt: new Date()
+    });
+
+    callback(null, { envelope, messageId });
+  }
+
+  verify(callback) {
+    if (typeof callback === 'function') {
+      return callback(null, true);
+    }
+    return Promise.resolve(true);
+  }
+}
+
+class Mailer {
+  constructor() {
+    this.transporter = null;
+    this.outbox = [];
+  }
+
+  /**
+   * Build a transport from config.email
+   */
+  createTransport() {
+    switch (config.email.transport) {
+      case 'memory':
+        return nodemailer.createTransport(new MemoryTransport(this.outbox));
+      case 'json':
+        return nodemailer.createTransport({ jsonTransport: true });
+      case 'smtp':
+      default:
+        return nodemailer.createTransport({
+          host: config.email.host,
+          port: config.email.port,
+          secure: config.email.secure,
+          auth: config.email.user
+            ? { user: config.email.user, pass: config.email.pass }
+            : undefined
+        });
+    }
+  }
+
+  /**
+   * Replace the active transport (e.g. with a local SMTP stand-in in tests).
+   * Accepts either a nodemailer transporter or transport options.
+   */
+  setTransport(transport) {
+    this.transporter = typeof transport.sendMail === 'function'
+      ? transport
+      : nodemailer.createTransport(transport);
+  }
+
+  /**
+   * Switch to the in-memory transport and return the outbox
+   */
+  useMemoryTransport() {
+    this.outbox.length = 0;
+    this.transporter = nodemailer.createTransport(new MemoryTransport(this.outbox));
+    return this.outbox;
+  }
+
+  getTransport() {
+    if (!this.transporter) {
+      this.transporter = this.createTransport();
+    }
+    return this.transporter;
+  }
+
+  async sendMail({ to, subject, html, text }) {
+    const info = await this.getTransport().sendMail({
+      from: config.email.from,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    logger.info(`Email sent to ${to}: ${subject}`);
+
+    return info;
+  }
+
+  async sendPasswordResetEmail(user, token) {
+    return this.sendMail({ to: user.email, ...templates.passwordReset(user, token) });
+  }
+
+  async sendPasswordResetRequiredEmail(user, token) {
+    return this.sendMail({ to: user.email, ...templates.passwordResetRequired(user, token) });
+  }
+
+  async sendMagicLinkEmail(user, token) {
+    return this.sendMail({ to: user.email, ...templates.magicLink(user, token) });
+  }
+
+  async sendVerificationEmail(user, token) {
+    return this.sendMail({ to: user.email, ...templates.emailVerification(user, token) });
+  }
+
+  async sendEmailChangeConfirmation(user, token) {
+    return this.sendMail({ to: user.pendingEmail, ...templates.emailChangeConfirmation(user, token) });
+  }
+
+  async sendEmailChangeNotice(user, token) {
+    return this.sendMail({ to: user.email, ...templates.emailChangeNotice(user, token) });
+  }
+
+  async sendWelcomeEmail(user) {
+    return this.sendMail({ to: user.email, ...templates.welcome(user) });
+  }
+
+  async sendReminderEmail(user, note, occurrenceAt) {
+    return this.sendMail({ to: user.email, ...templates.reminder(user, note, occurrenceAt) });
+  }
+
+  async sendAccountLockedEmail(user, token, lockUntil) {
+    return this.sendMail({ to: user.email, ...templates.accountLocked(user, token, lockUntil) });
+  }
+
+  async sendNewDeviceLoginEmail(user, event) {
+    return this.sendMail({ to: user.email, ...templates.newDeviceLogin(user, event) });
+  }
+
+  async sendDataExportReadyEmail(user, dataExport) {
+    return this.sendMail({ to: user.email, ...templates.dataExportReady(user, dataExport) });
+  }
+
+  async sendAccountDeletionScheduledEmail(user) {
+    return this.sendMail({ to: user.email, ...templates.accountDeletionScheduled(user) });
+  }
+
+  async sendAccountDeletionCancelledEmail(user) {
+    return this.sendMail({ to: user.email, ...templates.accountDeletionCancelled(user) });
+  }
+
+  async verifyConnection() {
+    try {
+      await this.getTransport().verify();
+      return true;
+    } catch (error) {
+      logger.error('Mail transport verification failed:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new Mailer();
+module.exports.MemoryTransport = MemoryTransport;
@@ -0,0 +1,430 @@
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const yaml = require('js-yaml');
+const TurndownService = require('turndown');
+const PDFDocument = require('pdfkit');
+const { Parser } = require('htmlparser2');
+const Note = require('../models/Note');
+const Category = require('../models/Category');
+const { renderHtml } = require('./contentRenderer');
+const { escapeHtml } = require('./helpers');
+
+const FORMATS = ['markdown', 'html'];
+const SINGLE_NOTE_FORMATS = ['markdown', 'html', 'pdf'];
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-'
+});
+// Markdown has no syntax for these, so they stay HTML
+turndown.keep(['table', 'details']);
+
+/**
+ * Query the notes of a user matching getNotes style filters
+ * @param {string} userId - Author
+ * @param {object} filters - status, category, tags, favorites, pinned
+ */
+const findNotesForExport = (userId, filters = {}) => {
+  return Note.findByAuthor(userId, { ...filters, sortBy: 'title' });
+};
+
+/**
+ * Map every category of a user to its path of names from the root, e.g. ['Work', 'Projects']
+ * @param {string} userId - Owner
+ * @returns {Promise<Map<string, string[]>>}
+ */
+const getCategoryPaths = async (userId) => {
+  const categories = await Category.find({ owner: userId }).select('name parent').lean();
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+  const paths = new Map();
+
+  for (const category of categories) {
+    const names = [];
+    const seen = new Set();
+    let current = category;
+
+    // Stop at a missing parent or a cycle instead of looping forever
+    while (current && !seen.has(String(current._id))) {
+      seen.add(String(current._id));
+      names.unshift(current.name);
+      current = current.parent ? byId.get(String(current.parent)) : null;
+    }
+
+    paths.set(String(category._id), names);
+  }
+
+  return paths;
+};
+
+/**
+ * Category path of a note, empty for notes without a category
+ */
+const categoryPathOf = (note, categoryPaths) => {
+  if (!note.category) return [];
+  const id = String(note.category._id || note.category);
+  return categoryPaths.get(id) || (note.category.name ? [note.category.name] : []);
+};
+
+/**
+ * Make a title or category name usable as a file or folder name
+ */
+const safeFileName = (name) => {
+  const safe = String(name || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .substring(0, 100)
+    .trim();
+
+  return safe || 'Untitled';
+};
+
+/**
+ * Title, tags, category path, timestamps and priority of a note
+ */
+const noteMetadata = (note, categoryPath) => ({
+  title: note.title,
+  tags: (note.tags || []).map(tag => tag.name).filter(Boolean),
+  ...(categoryPath.length > 0 && { category: categoryPath.join('/') }),
+  created: note.createdAt,
+  updated: note.updatedAt,
+  priority: note.priority
+});
+
+/**
+ * Note as a Markdown file with YAML front matter; HTML notes are converted to Markdown
+ * @param {object} note - Note with populated category and tags
+ * @param {string[]} categoryPath - Names of the note's category and its parents
+ * @returns {string} File contents
+ */
+const toMarkdown = (note, categoryPath = []) => {
+  const frontMatter = yaml.dump(noteMetadata(note, categoryPath), { lineWidth: -1 });
+  const body = note.contentType === 'html' ? turndown.turndown(note.content || '') : note.content || '';
+
+  return `---\n${frontMatter}---\n\n${body.trim()}\n`;
+};
+
+/**
+ * Note as a standalone HTML document
+ * @param {object} note - Note with populated category and tags
+ * @param {string[]} categoryPath - Names of the note's category and its parents
+ * @returns {string} File contents
+ */
+const toHtmlDocument = (note, categoryPath = []) => {
+  const metadata = noteMetadata(note, categoryPath);
+  const details = [
+    metadata.category,
+    metadata.tags.length > 0 && metadata.tags.map(tag => `#${tag}`).join(' '),
+    note.updatedAt && `Updated ${note.updatedAt.toISOString().slice(0, 10)}`
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(note.title)}</title>
+  <meta name="keywords" content="${escapeHtml(metadata.tags.join(', '))}">
+  <meta name="created" content="${escapeHtml(note.createdAt ? note.createdAt.toISOString() : '')}">
+  <meta name="updated" content="${escapeHtml(note.updatedAt ? note.updatedAt.toISOString() : '')}">
+  <meta name="priority" content="${escapeHtml(note.priority || '')}">
+  <style>
+    body { font-family: Arial, sans-serif; color: #111827; line-height: 1.6; max-width: 760px; margin: 40px auto; padding: 0 16px; }
+    .meta { color: #6b7280; font-size: 14px; }
+    pre { background: #f3f4f6; padding: 12px; overflow-x: auto; }
+    code { font-family: Menlo, Consolas, monospace; font-size: 90%; }
+    blockquote { border-left: 4px solid #e5e7eb; margin-left: 0; padding-left: 16px; color: #4b5563; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 8px; }
+    img { max-width: 100%; }
+  </style>
+</head>
+<body>
+  <article>
+    <h1>${escapeHtml(note.title)}</h1>
+    ${details.length > 0 ? `<p class="meta">${escapeHtml(details.join(' · '))}</p>` : ''}
+    ${renderHtml(note.content, note.contentType)}
+  </article>
+</body>
+</html>
+`;
+};
+
+const HEADING_SIZES = { h1: 18, h2: 16, h3: 14, h4: 12, h5: 11, h6: 11 };
+const PARAGRAPH_TAGS = new Set(['p', 'div', 'dt', 'dd', 'figcaption', 'summary', 'caption']);
+
+/**
+ * Break rendered note HTML into blocks of styled text runs for the PDF writer
+ */
+const htmlToBlocks = (html) => {
+  const blocks = [];
+  const lists = [];
+  const links = [];
+  let current = null;
+  let bold = 0;
+  let italic = 0;
+  let code = 0;
+  let quote = 0;
+  let preformatted = false;
+
+  const startBlock = (kind, extra = {}) => {
+    endBlock();
+    current = { kind, runs: [], quote, depth: lists.length, ...extra };
+  };
+
+  const endBlock = () => {
+    if (current && current.runs.some(run => run.text.trim())) {
+      blocks.push(current);
+    }
+    current = null;
+  };
+
+  const addText = (text, style = {}) => {
+    if (!current) startBlock('paragraph');
+
+    // Collapse whitespace across runs, like a browser does
+    const previous = current.runs[current.runs.length - 1];
+    if (!preformatted && (!previous || /\s$/.test(previous.text))) {
+      text = text.replace(/^\s+/, '');
+    }
+    if (!text) return;
+
+    current.runs.push({
+      text,
+      bold: bold > 0 || current.kind === 'heading',
+      italic: italic > 0,
+      code: code > 0 || preformatted,
+      link: links.length > 0 ? links[links.length - 1] : null,
+      ...style
+    });
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (HEADING_SIZES[name]) {
+        startBlock('heading', { size: HEADING_SIZES[name] });
+      } else if (PARAGRAPH_TAGS.has(name)) {
+        startBlock('paragraph');
+      } else if (name === 'ul' || name === 'ol') {
+        endBlock();
+        lists.push({ ordered: name === 'ol', index: (parseInt(attribs.start) || 1) - 1 });
+      } else if (name === 'li') {
+        const list = lists[lists.length - 1];
+        const marker = list && list.ordered ? `${(list.index += 1)}.` : '•';
+        startBlock('item', { marker });
+      } else if (name === 'input' && attribs.type === 'checkbox') {
+        addText(attribs.checked !== undefined ? '[x] ' : '[ ] ');
+      } else if (name === 'pre') {
+        startBlock('code');
+        preformatted = true;
+      } else if (name === 'blockquote') {
+        endBlock();
+        quote += 1;
+      } else if (name === 'tr') {
+        startBlock('row');
+      } else if (name === 'td' || name === 'th') {
+        if (current && current.runs.some(run => run.text.trim())) addText(' | ', { bold: false, link: null });
+        if (name === 'th') bold += 1;
+      } else if (name === 'hr') {
+        endBlock();
+        blocks.push({ kind: 'rule', quote, depth: lists.length });
+      } else if (name === 'br') {
+        addText('\n');
+      } else if (name === 'strong' || name === 'b') {
+        bold += 1;
+      } else if (name === 'em' || name === 'i') {
+        italic += 1;
+      } else if (name === 'code' && !preformatted) {
+        code += 1;
+      } else if (name === 'a') {
+        links.push(attribs.href || null);
+      } else if (name === 'img' && attribs.alt) {
+        addText(`[${attribs.alt}]`);
+      }
+    },
+    ontext(data) {
+      const text = preformatted ? data : data.replace(/\s+/g, ' ');
+      if (!text || (!current && !text.trim())) return;
+      addText(text);
+    },
+    onclosetag(name) {
+      if (HEADING_SIZES[name] || PARAGRAPH_TAGS.has(name) || name === 'li' || name === 'tr') {
+        endBlock();
+      } else if (name === 'ul' || name === 'ol') {
+        endBlock();
+        lists.pop();
+      } else if (name === 'pre') {
+        endBlock();
+        preformatted = false;
+      } else if (name === 'blockquote') {
+        endBlock();
+        quote = Math.max(0, quote - 1);
+      } else if (name === 'th' || name === 'strong' || name === 'b') {
+        bold = Math.max(0, bold - 1);
+      } else if (name === 'em' || name === 'i') {
+        italic = Math.max(0, italic - 1);
+      } else if (name === 'code' && !preformatted) {
+        code = Math.max(0, code - 1);
+      } else if (name === 'a') {
+        links.pop();
+      }
+    }
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+  endBlock();
+
+  return blocks;
+};
+
+const fontFor = (run) => {
+  if (run.code) return 'Courier';
+  if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+  if (run.bold) return 'Helvetica-Bold';
+  if (run.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+};
+
+/**
+ * Write a note as a PDF document. Uses the standard PDF fonts, which only
+ * cover Western European characters.
+ * @param {object} note - Note with populated category and tags
+ * @param {string[]} categoryPath - Names of the note's category and its parents
+ * @param {stream.Writable} output - Where to write the PDF
+ * @returns {Promise<void>} Resolves once the PDF is written
+ */
+const writeNotePdf = (note, categoryPath, output) => {
+  const metadata = noteMetadata(note, categoryPath);
+  const margin = 56;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin,
+    info: {
+      Title: note.title,
+      Keywords: metadata.tags.join(', '),
+      ...(note.createdAt && { CreationDate: note.createdAt }),
+      ...(note.updatedAt && { ModDate: note.updatedAt })
+    }
+  });
+  const written = pipeline(doc, output);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text(note.title);
+
+  const details = [
+    metadata.category,
+    metadata.tags.length > 0 && metadata.tags.map(tag => `#${tag}`).join(' '),
+    note.updatedAt && `Updated ${note.updatedAt.toISOString().slice(0, 10)}`
+  ].filter(Boolean);
+  if (details.length > 0) {
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(details.join('  ·  '));
+  }
+  doc.moveDown();
+
+  for (const block of htmlToBlocks(renderHtml(note.content, note.contentType))) {
+    const indent = block.quote * 16 + Math.max(0, block.depth - (block.kind === 'item' ? 1 : 0)) * 16;
+    const left = margin + indent;
+    const width = doc.page.width - margin - left;
+
+    if (block.kind === 'rule') {
+      doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#d1d5db').stroke();
+      doc.moveDown(0.5);
+      continue;
+    }
+
+    const size = block.kind === 'heading' ? block.size : block.kind === 'code' ? 9 : 11;
+    const runs = block.kind === 'item'
+      ? [{ text: `${block.marker} ` }, ...block.runs]
+      : block.runs;
+
+    if (block.kind === 'heading') doc.moveDown(0.3);
+
+    runs.forEach((run, index) => {
+      doc
+        .font(fontFor(run))
+        .fontSize(size)
+        .fillColor(run.link ? '#2563eb' : block.quote > 0 ? '#4b5563' : '#111827')
+        .text(run.text, left, undefined, {
+          width,
+          continued: index < runs.length - 1,
+          link: run.link || null,
+          underline: Boolean(run.link),
+          lineGap: block.kind === 'code' ? 1 : 2
+        });
+    });
+
+    doc.moveDown(block.kind === 'item' || block.kind === 'row' ? 0.2 : 0.6);
+  }
+
+  doc.end();
+
+  return written;
+};
+
+/**
+ * Write a zip archive of a user's notes matching the filters, one file per note,
+ * in folders mirroring the category hierarchy
+ * @param {object} user - Owner of the notes
+ * @param {object} options - filters (see findNotesForExport) and format ('markdown' or 'html')
+ * @param {stream.Writable} output - Where to write the archive
+ * @returns {Promise<number>} Archive size in bytes
+ */
+const writeNotesArchive = async (user, { filters = {}, format = 'markdown' } = {}, output) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const written = pipeline(archive, output);
+  const extension = format === 'html' ? 'html' : 'md';
+  const usedNames = new Set();
+
+  // Two notes with the same title in a folder become "Title.md" and "Title (2).md"
+  const entryName = (folders, title) => {
+    const base = [...folders.map(safeFileName), safeFileName(title)].join('/');
+    let name = `${base}.${extension}`;
+    for (let counter = 2; usedNames.has(name.toLowerCase()); counter += 1) {
+      name = `${base} (${counter}).${extension}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  };
+
+  try {
+    const categoryPaths = await getCategoryPaths(user._id);
+    const notes = findNotesForExport(user._id, filters).lean().cursor();
+
+    for await (const note of notes) {
+      const categoryPath = categoryPathOf(note, categoryPaths);
+      const contents = format === 'html'
+        ? toHtmlDocument(note, categoryPath)
+        : toMarkdown(note, categoryPath);
+
+      // One entry at a time, so a large export doesn't queue up in memory
+      const added = once(archive, 'entry');
+      archive.append(contents, { name: entryName(categoryPath, note.title), date: note.updatedAt });
+      await added;
+    }
+
+    await archive.finalize();
+    await written;
+  } catch (error) {
+    archive.abort();
+    await written.catch(() => {});
+    throw error;
+  }
+
+  return archive.pointer();
+};
+
+module.exports = {
+  FORMATS,
+  SINGLE_NOTE_FORMATS,
+  findNotesForExport,
+  getCategoryPaths,
+  categoryPathOf,
+  safeFileName,
+  toMarkdown,
+  toHtmlDocument,
+  writeNotePdf,
+  writeNotesArchive
+};
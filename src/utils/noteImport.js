@@ -0,0 +1,803 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const yaml = require('js-yaml');
+const sanitize = require('sanitize-html');
+const { Parser } = require('htmlparser2');
+const Note = require('../models/Note');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { getStorage } = require('../storage');
+const { matchesSignature } = require('../middleware/upload');
+const { AppError } = require('../middleware/errorHandler');
+const ZipReader = require('./zipReader');
+const { formatFileSize } = require('./helpers');
+const logger = require('./logger');
+const config = require('../../config/config');
+
+const FORMATS = ['enex', 'keep', 'markdown'];
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MARKDOWN_EXTENSIONS = new Set(['.md', '.markdown']);
+
+// MIME types of files referenced from Markdown, by extension
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip'
+};
+
+/*
+ * Each reader yields one item per note it finds:
+ *  - file: where the note came from, for the report
+ *  - title, tags (names), categoryPath (names from the root), createdAt, updatedAt,
+ *    and optionally priority, status and isPinned
+ *  - resources: embedded files, { ref, name, mimetype, size, read() }
+ *  - build(attachments): the note's { content, contentType }, given a Map of
+ *    resource ref to the stored attachment's { url, name, mimetype }
+ *  - skip or error: reason the note is left out or could not be read
+ */
+
+/**
+ * Files that are not part of the notes, e.g. macOS metadata
+ */
+const isJunkFile = (name) => {
+  return name.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX');
+};
+
+/**
+ * Notes are read into memory whole, so each note file (or Evernote note) is
+ * limited in size
+ */
+const isTooLarge = (size) => size > config.imports.maxNoteSize;
+
+const tooLargeMessage = () => `File is larger than ${formatFileSize(config.imports.maxNoteSize)}`;
+
+/**
+ * Parse an Evernote timestamp, e.g. 20230115T093000Z
+ */
+const parseEnexDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Parse a date from front matter (js-yaml already turns timestamps into Dates)
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Convert Evernote's ENML to HTML, pointing embedded media at the stored attachments.
+ * The result is sanitized like any HTML note when it is saved.
+ */
+const enmlToHtml = (enml, attachments) => {
+  return sanitize(enml, {
+    // Only the Evernote tags are rewritten here, the note's own sanitizing does the rest
+    allowedTags: false,
+    allowedAttributes: false,
+    allowVulnerableTags: true,
+    parser: { lowerCaseTags: true, recognizeSelfClosing: true },
+    // Encrypted text can't be read without the user's passphrase
+    exclusiveFilter: (frame) => frame.tag === 'en-crypt',
+    transformTags: {
+      'en-note': 'div',
+      'en-todo': (tagName, attribs) => ({
+        tagName: 'input',
+        attribs: { type: 'checkbox', ...(attribs.checked === 'true' && { checked: 'checked' }) }
+      }),
+      'en-media': (tagName, attribs) => {
+        const attachment = attachments.get(attribs.hash);
+        if (!attachment) {
+          return { tagName: 'span', attribs: {} };
+        }
+        if (attachment.mimetype.startsWith('image/')) {
+          return { tagName: 'img', attribs: { src: attachment.url, alt: attachment.name } };
+        }
+        return { tagName: 'a', attribs: { href: attachment.url }, text: attachment.name };
+      }
+    }
+  });
+};
+
+const enexItem = (note, file) => {
+  const resources = note.resources.map((resource, index) => {
+    const data = Buffer.from(resource.data.replace(/\s+/g, ''), 'base64');
+    const extension = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === resource.mime) || '';
+
+    return {
+      // ENML refers to resources by the MD5 hash of their contents
+      ref: crypto.createHash('md5').update(data).digest('hex'),
+      name: resource.fileName || `attachment-${index + 1}${extension}`,
+      mimetype: resource.mime,
+      size: data.length,
+      read: async () => data
+    };
+  });
+
+  return {
+    file,
+    title: note.title,
+    tags: note.tags,
+    categoryPath: [],
+    createdAt: note.created,
+    updatedAt: note.updated,
+    resources,
+    build: (attachments) => ({ content: enmlToHtml(note.content, attachments), contentType: 'html' })
+  };
+};
+
+/**
+ * Read the notes of an Evernote export. The file is parsed as it streams in,
+ * so only the notes of one chunk are held in memory at a time. A note whose
+ * text and attachments add up to more than the note size limit is left out.
+ */
+async function* readEnex(filePath, fileName) {
+  const ready = [];
+  let note = null;
+  let resource = null;
+  let field = null;
+  let text = '';
+  let count = 0;
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (name === 'note') {
+        note = { title: '', content: '', tags: [], created: null, updated: null, resources: [], size: 0 };
+      } else if (name === 'resource' && note) {
+        resource = { data: '', mime: '', fileName: '' };
+      } else if (note && ['title', 'content', 'created', 'updated', 'tag', 'data', 'mime', 'file-name'].includes(name)) {
+        field = name;
+        text = '';
+      }
+    },
+    ontext(data) {
+      if (!field || note.tooLarge) return;
+
+      // Everything read into a note is held in memory until the note closes
+      note.size += Buffer.byteLength(data);
+      if (isTooLarge(note.size)) {
+        note.tooLarge = true;
+        text = '';
+        return;
+      }
+      text += data;
+    },
+    onclosetag(name) {
+      if (field && name === field) {
+        if (note.tooLarge) {
+          text = '';
+        } else if (resource) {
+          if (name === 'data') resource.data = text;
+          if (name === 'mime') resource.mime = text.trim();
+          if (name === 'file-name') resource.fileName = text.trim();
+        } else if (name === 'title') {
+          note.title = text.trim();
+        } else if (name === 'content') {
+          note.content = text;
+        } else if (name === 'created' || name === 'updated') {
+          note[name] = parseEnexDate(text);
+        } else if (name === 'tag') {
+          note.tags.push(text.trim());
+        }
+        field = null;
+      } else if (name === 'resource' && resource) {
+        if (!note.tooLarge) note.resources.push(resource);
+        resource = null;
+      } else if (name === 'note' && note) {
+        count += 1;
+        const file = `${fileName}#${count}`;
+        ready.push(note.tooLarge ? { file, error: tooLargeMessage() } : enexItem(note, file));
+        note = null;
+      }
+    }
+  }, { xmlMode: true, decodeEntities: true });
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    parser.write(chunk);
+    while (ready.length > 0) yield ready.shift();
+  }
+  parser.end();
+  while (ready.length > 0) yield ready.shift();
+
+  if (count === 0) {
+    throw new AppError('No notes found in the Evernote export', 400);
+  }
+}
+
+/**
+ * Build an item from a Google Keep note
+ * @param {object} keep - Parsed Keep JSON
+ * @param {string} file - Source file name
+ * @param {function} findAttachment - Resolves a Keep attachment to a resource, or null
+ */
+const keepItem = (keep, file, findAttachment = () => null) => {
+  const fromUsec = (usec) => (usec ? new Date(Number(usec) / 1000) : null);
+  const text = keep.textContent || '';
+  const title = keep.title || text.split('\n')[0].substring(0, 200);
+
+  if (keep.isTrashed) {
+    return { file, title, skip: 'In the Keep trash' };
+  }
+
+  const resources = (keep.attachments || [])
+    .map(attachment => findAttachment(attachment))
+    .filter(Boolean);
+
+  return {
+    file,
+    title,
+    tags: (keep.labels || []).map(label => label.name),
+    categoryPath: [],
+    createdAt: fromUsec(keep.createdTimestampUsec),
+    updatedAt: fromUsec(keep.userEditedTimestampUsec),
+    status: keep.isArchived ? 'archived' : undefined,
+    isPinned: Boolean(keep.isPinned),
+    resources,
+    build: () => {
+      // Checklists become Markdown task lists
+      if (Array.isArray(keep.listContent) && keep.listContent.length > 0) {
+        const items = keep.listContent.map(item => `- [${item.isChecked ? 'x' : ' '}] ${item.text || ''}`);
+        return { content: [text, items.join('\n')].filter(Boolean).join('\n\n'), contentType: 'markdown' };
+      }
+      return { content: text, contentType: 'text' };
+    }
+  };
+};
+
+const isKeepNote = (value) => {
+  return value !== null && typeof value === 'object' &&
+    ('textContent' in value || 'listContent' in value) && 'createdTimestampUsec' in value;
+};
+
+/**
+ * Read a single Google Keep note (JSON file)
+ */
+async function* readKeepJson(filePath, fileName) {
+  const { size } = await fs.promises.stat(filePath);
+  if (isTooLarge(size)) {
+    throw new AppError(tooLargeMessage(), 400);
+  }
+
+  let keep;
+  try {
+    keep = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new AppError(`Invalid JSON: ${error.message}`, 400);
+  }
+
+  if (!isKeepNote(keep)) {
+    throw new AppError('The JSON file is not a Google Keep note', 400);
+  }
+
+  yield keepItem(keep, fileName);
+}
+
+/**
+ * Open an uploaded zip archive, or fail with 400
+ */
+const openZip = async (filePath) => {
+  try {
+    const zip = await ZipReader.open(filePath);
+    const files = (await zip.entries()).filter(file => !isJunkFile(file.name));
+    return { zip, files };
+  } catch (error) {
+    throw new AppError(`Invalid zip archive: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Resource backed by a file in a zip archive, read only when it is stored
+ */
+const zipResource = (zip, file, ref, mimetype) => ({
+  ref,
+  name: path.posix.basename(file.name),
+  mimetype,
+  size: file.size,
+  read: () => zip.read(file)
+});
+
+/**
+ * Read the notes of a Google Takeout archive: one JSON file per note, with the
+ * attachment files next to them
+ */
+async function* readKeepZip(filePath) {
+  const { zip, files } = await openZip(filePath);
+
+  try {
+    const byPath = new Map(files.map(file => [file.name, file]));
+    // Takeout sometimes names a file .jpeg in the JSON and .jpg in the archive
+    const byStem = new Map(files.map(file => [file.name.replace(/\.[^./]+$/, ''), file]));
+
+    for (const file of files.filter(entry => entry.name.toLowerCase().endsWith('.json'))) {
+      // The declared size is checked while inflating, so an entry can't read larger than this
+      if (isTooLarge(file.size)) {
+        yield { file: file.name, error: tooLargeMessage() };
+        continue;
+      }
+
+      let keep;
+      try {
+        keep = JSON.parse((await zip.read(file)).toString('utf8'));
+      } catch (error) {
+        yield { file: file.name, error: `Invalid JSON: ${error.message}` };
+        continue;
+      }
+
+      // Other Takeout products and Keep's own metadata files
+      if (!isKeepNote(keep)) continue;
+
+      const folder = path.posix.dirname(file.name);
+      const findAttachment = (attachment) => {
+        const attachmentPath = path.posix.join(folder, attachment.filePath || '');
+        const found = byPath.get(attachmentPath) || byStem.get(attachmentPath.replace(/\.[^./]+$/, ''));
+        return found ? zipResource(zip, found, found.name, attachment.mimetype) : null;
+      };
+
+      yield keepItem(keep, file.name, findAttachment);
+    }
+  } finally {
+    zip.close();
+  }
+}
+
+/**
+ * Split a Markdown file into its YAML front matter and body
+ */
+const parseFrontMatter = (text) => {
+  const match = /^﻿?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const data = yaml.load(match[1]);
+  return {
+    data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+    body: text.slice(match[0].length)
+  };
+};
+
+// Markdown links and images: [text](target "title"), ![alt](<target>)
+const LINK_PATTERN = /(!?\[[^\]]*\]\()(<[^>\n]+>|[^)\s]+)((?:\s+"[^"]*")?\))/g;
+
+/**
+ * Local file a Markdown link target points to, relative to the file's folder
+ */
+const resolveLocalTarget = (target, folder) => {
+  const cleaned = target.replace(/^<|>$/g, '').split(/[?#]/)[0];
+  // URLs, anchors and absolute paths aren't files in the archive
+  if (!cleaned || /^[a-z][a-z0-9+.-]*:/i.test(cleaned) || cleaned.startsWith('/')) return null;
+
+  let decoded = cleaned;
+  try {
+    decoded = decodeURIComponent(cleaned);
+  } catch (error) {
+    // Keep the target as written
+  }
+
+  const resolved = path.posix.normalize(path.posix.join(folder, decoded));
+  return resolved.startsWith('../') ? null : resolved.replace(/^\.\//, '');
+};
+
+/**
+ * Build an item from a Markdown file
+ * @param {string} text - File contents
+ * @param {string} name - Path of the file in the archive
+ * @param {Date} modifiedAt - File modification time, used when the front matter has no dates
+ * @param {function} findFile - Resolves a path in the archive to a resource, or null
+ */
+const markdownItem = (text, name, modifiedAt, findFile = () => null) => {
+  let frontMatter;
+  try {
+    frontMatter = parseFrontMatter(text);
+  } catch (error) {
+    return { file: name, error: `Invalid front matter: ${error.reason || error.message}` };
+  }
+
+  const { data, body } = frontMatter;
+  const folder = path.posix.dirname(name);
+  const heading = /^#\s+(.+)$/m.exec(body);
+
+  const tags = Array.isArray(data.tags)
+    ? data.tags
+    : typeof data.tags === 'string' ? data.tags.split(',') : [];
+
+  // The front matter's category path is exact, folder names may have been made file-system safe
+  const categoryPath = data.category
+    ? String(data.category).split('/')
+    : folder === '.' ? [] : folder.split('/');
+
+  const resources = new Map();
+  for (const [, , target] of body.matchAll(LINK_PATTERN)) {
+    const resolved = resolveLocalTarget(target, folder);
+    if (resolved && !resources.has(resolved)) {
+      const resource = findFile(resolved);
+      if (resource) resources.set(resolved, resource);
+    }
+  }
+
+  return {
+    file: name,
+    title: String(data.title || (heading && heading[1]) || path.posix.basename(name).replace(/\.[^.]+$/, '')).trim(),
+    tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+    categoryPath: categoryPath.map(segment => segment.trim()).filter(Boolean),
+    createdAt: parseDate(data.created || data.date) || modifiedAt,
+    updatedAt: parseDate(data.updated) || modifiedAt,
+    priority: PRIORITIES.includes(data.priority) ? data.priority : undefined,
+    resources: [...resources.values()],
+    build: (attachments) => ({
+      content: body.replace(LINK_PATTERN, (link, start, target, end) => {
+        const attachment = attachments.get(resolveLocalTarget(target, folder));
+        return attachment ? `${start}${attachment.url}${end}` : link;
+      }),
+      contentType: 'markdown'
+    })
+  };
+};
+
+/**
+ * Read a single Markdown file
+ */
+async function* readMarkdownFile(filePath, fileName) {
+  const { size } = await fs.promises.stat(filePath);
+  if (isTooLarge(size)) {
+    throw new AppError(tooLargeMessage(), 400);
+  }
+
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  yield markdownItem(text, path.posix.basename(fileName), new Date());
+}
+
+/**
+ * Read a zipped folder of Markdown files; folders become categories and
+ * files linked from the notes become attachments
+ */
+async function* readMarkdownZip(filePath) {
+  const { zip, files } = await openZip(filePath);
+
+  try {
+    const byPath = new Map(files.map(file => [file.name, file]));
+    const findFile = (resolved) => {
+      const file = byPath.get(resolved);
+      if (!file || MARKDOWN_EXTENSIONS.has(path.posix.extname(file.name).toLowerCase())) return null;
+      const mimetype = MIME_TYPES[path.posix.extname(file.name).toLowerCase()] || 'application/octet-stream';
+      return zipResource(zip, file, resolved, mimetype);
+    };
+
+    const markdownFiles = files.filter(file => MARKDOWN_EXTENSIONS.has(path.posix.extname(file.name).toLowerCase()));
+    if (markdownFiles.length === 0) {
+      throw new AppError('No Markdown files found in the archive', 400);
+    }
+
+    for (const file of markdownFiles) {
+      if (isTooLarge(file.size)) {
+        yield { file: file.name, error: tooLargeMessage() };
+        continue;
+      }
+
+      const text = (await zip.read(file)).toString('utf8');
+      yield markdownItem(text, file.name, file.modifiedAt, findFile);
+    }
+  } finally {
+    zip.close();
+  }
+}
+
+/**
+ * Guess the format of an uploaded file from its name and, for zip archives, its contents
+ * @param {string} filePath - Uploaded file
+ * @param {string} fileName - Name the client gave it
+ * @returns {Promise<string|null>} 'enex', 'keep', 'markdown' or null
+ */
+const detectFormat = async (filePath, fileName) => {
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (extension === '.enex' || extension === '.xml') return 'enex';
+  if (extension === '.json') return 'keep';
+  if (MARKDOWN_EXTENSIONS.has(extension)) return 'markdown';
+  if (extension !== '.zip') return null;
+
+  const { zip, files } = await openZip(filePath);
+  zip.close();
+
+  const extensions = files.map(file => path.posix.extname(file.name).toLowerCase());
+  if (extensions.some(name => MARKDOWN_EXTENSIONS.has(name))) return 'markdown';
+  if (extensions.includes('.json')) return 'keep';
+  return null;
+};
+
+/**
+ * Readers by format, for a single file and for a zip archive
+ */
+const readItems = (format, filePath, fileName) => {
+  const isZip = path.extname(fileName).toLowerCase() === '.zip';
+
+  switch (format) {
+    case 'enex':
+      return readEnex(filePath, fileName);
+    case 'keep':
+      return isZip ? readKeepZip(filePath) : readKeepJson(filePath, fileName);
+    case 'markdown':
+      return isZip ? readMarkdownZip(filePath) : readMarkdownFile(filePath, fileName);
+    default:
+      throw new AppError(`Unknown import format: ${format}`, 400);
+  }
+};
+
+/**
+ * Creates the notes of an import for a user, with their categories, tags and
+ * attachments, and keeps a report of what happened to each one
+ */
+class NoteImporter {
+  constructor(user) {
+    this.user = user;
+    this.storage = getStorage();
+    this.quota = user.getStorageQuota();
+    this.categories = new Map();
+    this.tags = new Map();
+    this.report = { total: 0, imported: 0, failed: 0, skipped: 0, results: [] };
+  }
+
+  /**
+   * Import every item, up to the configured maximum
+   * @param {AsyncIterable<object>} items - Items from a reader
+   * @returns {Promise<object>} Report
+   */
+  async run(items) {
+    for await (const item of items) {
+      if (this.report.total >= config.imports.maxNotes) {
+        this.report.truncated = true;
+        break;
+      }
+      await this.importItem(item);
+    }
+
+    return this.report;
+  }
+
+  async importItem(item) {
+    const result = { file: item.file, title: item.title || null, status: 'imported' };
+    this.report.total += 1;
+    this.report.results.push(result);
+
+    if (item.skip) {
+      result.status = 'skipped';
+      result.reason = item.skip;
+      this.report.skipped += 1;
+      return;
+    }
+
+    const note = new Note({
+      title: (item.title || 'Untitled').substring(0, 200),
+      author: this.user._id,
+      ...(item.status && { status: item.status }),
+      ...(item.priority && { priority: item.priority }),
+      ...(item.isPinned && { isPinned: true })
+    });
+
+    try {
+      if (item.error) {
+        throw new Error(item.error);
+      }
+
+      const attachments = new Map();
+      for (const resource of item.resources) {
+        try {
+          const attachment = await this.storeAttachment(note, resource);
+          attachments.set(resource.ref, {
+            url: `/api/notes/${note._id}/attachments/${attachment._id}`,
+            name: resource.name,
+            mimetype: resource.mimetype
+          });
+        } catch (error) {
+          // The note is still imported, without this file
+          result.warnings = [...(result.warnings || []), `${resource.name}: ${error.message}`];
+        }
+      }
+
+      const { content, contentType } = item.build(attachments);
+      // A note of only attachments (e.g. a photo in Keep) lists them
+      note.content = content.trim() ? content : [...attachments.values()].map(attachment => attachment.name).join('\n');
+      note.contentType = contentType;
+
+      const categoryWarnings = [];
+      note.category = await this.findOrCreateCategory(item.categoryPath, categoryWarnings);
+      if (categoryWarnings.length > 0) {
+        result.warnings = [...(result.warnings || []), ...categoryWarnings];
+      }
+      note.tags = await this.findOrCreateTags(item.tags);
+
+      // Keep the original timestamps
+      note.createdAt = item.createdAt || new Date();
+      note.updatedAt = item.updatedAt || note.createdAt;
+      await note.save({ timestamps: false });
+
+      if (note.tags.length > 0) {
+        await Tag.updateMany(
+          { _id: { $in: note.tags } },
+          { $inc: { usageCount: 1 }, lastUsedAt: new Date() }
+        );
+      }
+
+      result.noteId = note._id;
+      result.attachments = note.attachments.length;
+      this.report.imported += 1;
+    } catch (error) {
+      await this.removeAttachments(note);
+
+      result.status = 'failed';
+      result.error = error.message;
+      this.report.failed += 1;
+    }
+  }
+
+  /**
+   * Store an embedded file as an attachment of the (unsaved) note, with the
+   * same type, size and quota checks as an upload
+   * @returns {object} Attachment subdocument
+   */
+  async storeAttachment(note, resource) {
+    if (!config.upload.allowedMimeTypes.includes(resource.mimetype)) {
+      throw new Error(`File type ${resource.mimetype} is not allowed`);
+    }
+    if (resource.size > config.upload.maxFileSize) {
+      throw new Error(`File is larger than ${formatFileSize(config.upload.maxFileSize)}`);
+    }
+    if (note.attachments.length >= config.upload.maxAttachmentsPerNote) {
+      throw new Error(`A note can have at most ${config.upload.maxAttachmentsPerNote} attachments`);
+    }
+
+    const data = await resource.read();
+    if (!matchesSignature(data, resource.mimetype)) {
+      throw new Error(`File contents do not match type ${resource.mimetype}`);
+    }
+
+    const reserved = await User.reserveStorage(this.user._id, data.length, this.quota);
+    if (!reserved) {
+      throw new Error(`Storage quota exceeded (${formatFileSize(this.quota)})`);
+    }
+
+    const key = `${this.user._id}/${note._id}/${uuidv4()}${path.extname(resource.name).toLowerCase()}`;
+    try {
+      await this.storage.put(key, data, { contentType: resource.mimetype });
+    } catch (error) {
+      await User.releaseStorage(this.user._id, data.length);
+      throw error;
+    }
+
+    note.attachments.push({
+      filename: path.basename(key),
+      originalName: resource.name,
+      mimetype: resource.mimetype,
+      size: data.length,
+      path: key,
+      storage: this.storage.name,
+      uploadedBy: this.user._id,
+      uploadedAt: new Date()
+    });
+
+    return note.attachments[note.attachments.length - 1];
+  }
+
+  /**
+   * Undo the attachments stored for a note that could not be saved
+   */
+  async removeAttachments(note) {
+    for (const attachment of note.attachments) {
+      await User.releaseStorage(this.user._id, attachment.size);
+      await this.storage.delete(attachment.path).catch(error => {
+        logger.error(`Failed to remove orphaned attachment ${attachment.path}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Find or create the categories of a path, each the parent of the next.
+   * Category names are unique per user, so when the name is taken by a
+   * category elsewhere in the hierarchy the folder gets a numbered name,
+   * e.g. "Projects (2)", and a warning says so.
+   * @param {string[]} names - Category names from the root
+   * @param {string[]} warnings - Receives a warning for each renamed category
+   * @returns {Promise<ObjectId|null>} The innermost category
+   */
+  async findOrCreateCategory(names, warnings = []) {
+    let parent = null;
+
+    for (let depth = 1; depth <= names.length; depth += 1) {
+      const key = names.slice(0, depth).join('/');
+      const name = names[depth - 1].substring(0, 100).trim();
+
+      if (!this.categories.has(key)) {
+        this.categories.set(key, await this.findOrCreateChildCategory(name, parent));
+      }
+
+      const category = this.categories.get(key);
+      if (category.name !== name) {
+        warnings.push(`Category "${name}" exists elsewhere, imported into "${category.name}"`);
+      }
+
+      parent = category._id;
+    }
+
+    return parent;
+  }
+
+  /**
+   * Find the category of a name under a parent, or create it, numbering the
+   * name while it is taken by a category under another parent
+   * @returns {Promise<object>} Category
+   */
+  async findOrCreateChildCategory(name, parent) {
+    for (let copy = 1; ; copy += 1) {
+      const suffix = copy === 1 ? '' : ` (${copy})`;
+      const candidate = `${name.substring(0, 100 - suffix.length).trim()}${suffix}`;
+
+      const existing = await Category.findOne({ owner: this.user._id, name: candidate });
+      if (!existing) {
+        return Category.create({ name: candidate, owner: this.user._id, parent });
+      }
+      if (String(existing.parent || null) === String(parent)) {
+        return existing;
+      }
+    }
+  }
+
+  /**
+   * Find or create tags by name
+   * @param {string[]} names - Tag names
+   * @returns {Promise<ObjectId[]>} Tag IDs, without duplicates
+   */
+  async findOrCreateTags(names) {
+    const ids = new Map();
+
+    for (const raw of names) {
+      const name = raw.trim().substring(0, 50).trim();
+      if (!name) continue;
+
+      if (!this.tags.has(name)) {
+        const tag = await Tag.findOrCreate(name, this.user._id);
+        this.tags.set(name, tag._id);
+      }
+
+      const id = this.tags.get(name);
+      ids.set(String(id), id);
+    }
+
+    return [...ids.values()];
+  }
+}
+
+/**
+ * Import notes from an uploaded file
+ * @param {object} user - User the notes are created for
+ * @param {string} filePath - Uploaded file
+ * @param {object} options - fileName (as uploaded) and format (see FORMATS)
+ * @returns {Promise<object>} Report: counts and a result per note
+ */
+const importNotes = (user, filePath, { fileName, format }) => {
+  return new NoteImporter(user).run(readItems(format, filePath, fileName));
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  importNotes
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const config = require('../../config/config');
+
+/**
+ * OpenID Connect relying party: discovery, authorization code flow with PKCE
+ * and ID token validation against the provider's published keys.
+ */
+
+const METADATA_TTL_MS = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Make an HTTP request and parse the JSON response
+ */
+const requestJson = (url, { method = 'GET', headers = {}, form } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const body = form ? new URLSearchParams(form).toString() : null;
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+      method,
+      timeout: config.oidc.requestTimeoutMs,
+      headers: {
+        Accept: 'application/json',
+        ...(body && {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_RESPONSE_BYTES) {
+          req.destroy(new Error('Response too large'));
+        }
+      });
+      res.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (error) {
+          return reject(new Error(`Invalid JSON response from ${target.origin}${target.pathname}`));
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(json.error_description || json.error || `HTTP ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.oauthError = json.error;
+          return reject(error);
+        }
+
+        resolve(json);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+const normalizeIssuer = (issuer) => String(issuer).replace(/\/+$/, '');
+
+/**
+ * Configured providers, as shown to clients
+ * @returns {Array} id and name of each provider
+ */
+const listProviders = () => {
+  return config.oidc.providers.map(({ id, name }) => ({ id, name }));
+};
+
+/**
+ * Get a configured provider or fail with 404
+ * @param {string} id - Provider id
+ * @returns {object} Provider configuration
+ */
+const getProvider = (id) => {
+  const provider = config.oidc.providers.find(entry => entry.id === id);
+
+  if (!provider) {
+    throw new AppError('Unknown login provider', 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ * @param {object} provider - Provider configuration
+ * @returns {Promise<object>} Provider metadata
+ */
+const discover = async (provider) => {
+  const cached = metadataCache.get(provider.id);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+    return cached.metadata;
+  }
+
+  let metadata;
+  try {
+    metadata = await requestJson(`${normalizeIssuer(provider.issuer)}/.well-known/openid-configuration`);
+  } catch (error) {
+    logger.error(`OIDC discovery failed for ${provider.id}:`, error);
+    throw new AppError('Login provider is unavailable', 502);
+  }
+
+  if (normalizeIssuer(metadata.issuer) !== normalizeIssuer(provider.issuer)) {
+    logger.error(`OIDC issuer mismatch for ${provider.id}: expected ${provider.issuer}, got ${metadata.issuer}`);
+    throw new AppError('Login provider is misconfigured', 502);
+  }
+
+  metadataCache.set(provider.id, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+/**
+ * Find the provider key that signed a token, refetching the key set once
+ * when the key id is unknown (the provider may have rotated its keys)
+ */
+const getSigningKey = async (provider, metadata, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let jwks = jwksCache.get(provider.id);
+  let key = jwks && findKey(jwks);
+
+  if (!key) {
+    try {
+      jwks = await requestJson(metadata.jwks_uri);
+    } catch (error) {
+      logger.error(`Fetching OIDC keys failed for ${provider.id}:`, error);
+      throw new AppError('Login provider is unavailable', 502);
+    }
+
+    jwksCache.set(provider.id, jwks);
+    key = findKey(jwks);
+  }
+
+  if (!key) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Start an authorization request
+ * @param {object} provider - Provider configuration
+ * @param {string} redirectUri - Where the provider sends the user back
+ * @returns {Promise<object>} authorizationUrl plus state, nonce and codeVerifier to keep server-side
+ */
+const createAuthorizationRequest = async (provider, redirectUri) => {
+  const metadata = await discover(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    state,
+    nonce,
+    codeVerifier
+  };
+};
+
+/**
+ * Validate an ID token's signature and claims
+ * @param {object} provider - Provider configuration
+ * @param {object} metadata - Provider metadata
+ * @param {string} idToken - ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} Token claims
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(provider, metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    logger.warn(`Rejected ID token from ${provider.id}: ${error.message}`);
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  if (claims.nonce !== nonce || !claims.sub) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange an authorization code for the user's identity
+ * @param {object} provider - Provider configuration
+ * @param {object} request - code, codeVerifier, nonce and redirectUri of the request
+ * @returns {Promise<object>} ID token claims (sub, email, email_verified, name, ...)
+ */
+const exchangeCode = async (provider, { code, codeVerifier, nonce, redirectUri }) => {
+  const metadata = await discover(provider);
+
+  const form = {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId
+  };
+  const headers = {};
+
+  // client_secret_basic, the default authentication method for confidential clients
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  let tokens;
+  try {
+    tokens = await requestJson(metadata.token_endpoint, { method: 'POST', form, headers });
+  } catch (error) {
+    if (error.oauthError === 'invalid_grant') {
+      throw new AppError('Authorization code is invalid or expired, please try again', 400);
+    }
+
+    logger.error(`OIDC code exchange failed for ${provider.id}:`, error);
+    throw new AppError('Login provider is unavailable', 502);
+  }
+
+  if (!tokens.id_token) {
+    throw new AppError('Login provider did not return an ID token', 502);
+  }
+
+  return verifyIdToken(provider, metadata, tokens.id_token, nonce);
+};
+
+module.exports = {
+  listProviders,
+  getProvider,
+  discover,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken
+};
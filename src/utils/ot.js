@@ -0,0 +1,189 @@
+/**
+ * Operational transformation for plain text.
+ *
+ * An operation is an array of components applied left to right:
+ *  - positive integer: retain that many characters
+ *  - string: insert the string
+ *  - negative integer: delete that many characters
+ * It must span the whole document it is applied to.
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+/**
+ * Append a component, merging it with the previous one when possible
+ * @param {array} op - Operation being built
+ * @param {number|string} component - Component to append
+ */
+const pushComponent = (op, component) => {
+  if (component === 0 || component === '') return;
+
+  const last = op[op.length - 1];
+  if (last !== undefined && (
+    (isRetain(last) && isRetain(component)) ||
+    (isDelete(last) && isDelete(component))
+  )) {
+    op[op.length - 1] = last + component;
+  } else if (last !== undefined && isInsert(last) && isInsert(component)) {
+    op[op.length - 1] = last + component;
+  } else {
+    op.push(component);
+  }
+};
+
+/**
+ * Check that a value is a well-formed operation
+ * @param {*} op - Value to check
+ * @returns {boolean} True if valid
+ */
+const isValidOperation = (op) => {
+  return Array.isArray(op) && op.every(component =>
+    isInsert(component) || (Number.isInteger(component) && component !== 0)
+  );
+};
+
+/**
+ * Length of the document an operation applies to
+ * @param {array} op - Operation
+ * @returns {number} Base length
+ */
+const baseLength = (op) => {
+  return op.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isDelete(component)) return length - component;
+    return length;
+  }, 0);
+};
+
+/**
+ * Apply an operation to a document
+ * @param {string} doc - Document
+ * @param {array} op - Operation
+ * @returns {string} New document
+ */
+const apply = (doc, op) => {
+  if (baseLength(op) !== doc.length) {
+    throw new Error('Operation length does not match document length');
+  }
+
+  const parts = [];
+  let index = 0;
+
+  op.forEach(component => {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  });
+
+  return parts.join('');
+};
+
+/**
+ * Transform two concurrent operations against each other.
+ * Returns [a', b'] so that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+ * When both insert at the same position, the insert of `a` goes first.
+ * @param {array} a - First operation
+ * @param {array} b - Second operation
+ * @returns {array} Transformed pair
+ */
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Concurrent operations must have the same base length');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let ca = a[i++];
+  let cb = b[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isInsert(ca)) {
+      pushComponent(aPrime, ca);
+      pushComponent(bPrime, ca.length);
+      ca = a[i++];
+      continue;
+    }
+
+    if (isInsert(cb)) {
+      pushComponent(aPrime, cb.length);
+      pushComponent(bPrime, cb);
+      cb = b[j++];
+      continue;
+    }
+
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Operations cannot be transformed');
+    }
+
+    if (isRetain(ca) && isRetain(cb)) {
+      const length = Math.min(ca, cb);
+      pushComponent(aPrime, length);
+      pushComponent(bPrime, length);
+      ca -= length;
+      cb -= length;
+    } else if (isDelete(ca) && isDelete(cb)) {
+      // Both deleted the same text, nothing left to do for it
+      const length = Math.min(-ca, -cb);
+      ca += length;
+      cb += length;
+    } else if (isDelete(ca) && isRetain(cb)) {
+      const length = Math.min(-ca, cb);
+      pushComponent(aPrime, -length);
+      ca += length;
+      cb -= length;
+    } else {
+      const length = Math.min(ca, -cb);
+      pushComponent(bPrime, -length);
+      ca -= length;
+      cb += length;
+    }
+
+    if (ca === 0) ca = a[i++];
+    if (cb === 0) cb = b[j++];
+  }
+
+  return [aPrime, bPrime];
+};
+
+/**
+ * Move a cursor position through an operation
+ * @param {number} position - Cursor position before the operation
+ * @param {array} op - Operation
+ * @returns {number} Cursor position after the operation
+ */
+const transformIndex = (position, op) => {
+  let newPosition = position;
+  let index = 0;
+
+  for (const component of op) {
+    if (index > position) break;
+
+    if (isRetain(component)) {
+      index += component;
+    } else if (isInsert(component)) {
+      newPosition += component.length;
+    } else {
+      newPosition -= Math.min(-component, position - index);
+      index -= component;
+    }
+  }
+
+  return newPosition;
+};
+
+module.exports = {
+  isValidOperation,
+  baseLength,
+  apply,
+  transform,
+  transformIndex
+};
@@ -0,0 +1,127 @@
+/**
+ * Time zone helpers built on Intl, for computing wall-clock times in a user's
+ * IANA time zone (e.g. "Europe/Berlin") across DST changes.
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check if a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock components of a date in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone name
+ * @returns {object} year, month (1-12), day, hour, minute, second, millisecond
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds()
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getOffset = (timestamp, timeZone) => {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+  return asUtc - timestamp;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant.
+ * Times skipped by a DST change resolve to the instant after the gap.
+ * @param {object} parts - year, month (1-12), day, hour, minute, second, millisecond
+ * @param {string} timeZone - Time zone name
+ * @returns {Date} Instant
+ */
+const zonedTimeToDate = (parts, timeZone) => {
+  const asUtc = Date.UTC(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour || 0, parts.minute || 0, parts.second || 0, parts.millisecond || 0
+  );
+
+  // The offset at the guess may differ from the offset at the result near DST changes
+  const firstGuess = asUtc - getOffset(asUtc, timeZone);
+  const secondGuess = asUtc - getOffset(firstGuess, timeZone);
+
+  return new Date(Math.max(firstGuess, secondGuess));
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Add calendar days or months to a date, keeping its wall-clock time in a time zone.
+ * Month arithmetic clamps to the last day of shorter months.
+ * @param {Date} date - Start
+ * @param {object} amount - { days, months }
+ * @param {string} timeZone - Time zone name
+ * @returns {Date} Result
+ */
+const addZoned = (date, { days = 0, months = 0 }, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+
+  const monthIndex = parts.year * 12 + (parts.month - 1) + months;
+  const year = Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  const day = Math.min(parts.day, daysInMonth(year, month));
+
+  // Let Date.UTC roll days over month and year boundaries
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+
+  return zonedTimeToDate({
+    ...parts,
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  }, timeZone);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  addZoned
+};
@@ -0,0 +1,83 @@
+const config = require('../../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the version retention policy for a user.
+ * Per-user overrides take precedence over the policy of the user's plan.
+ * @param {object} user - User document (may be null)
+ * @returns {object} Policy with keepLast, keepAllDays and keepDailyDays
+ */
+const resolveRetentionPolicy = (user) => {
+  const { plans, defaultPlan } = config.versioning;
+  const planPolicy = (user && plans[user.plan]) || plans[defaultPlan];
+  const policy = { ...planPolicy };
+
+  const overrides = user && user.versionRetention ? user.versionRetention : {};
+  ['keepLast', 'keepAllDays', 'keepDailyDays'].forEach(field => {
+    if (overrides[field] !== undefined && overrides[field] !== null) {
+      policy[field] = overrides[field];
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * Decide which versions survive a retention policy.
+ * A version is kept if any rule keeps it:
+ *  - keepLast: it is one of the N most recent versions (null keeps all)
+ *  - keepAllDays: it is younger than X days
+ *  - keepDailyDays: it is the latest version of its day and younger than
+ *    Y days (null keeps daily snapshots forever, 0 disables the rule)
+ * @param {array} versions - Objects with version and modifiedAt
+ * @param {object} policy - Retention policy
+ * @param {Date} now - Reference time
+ * @returns {object} Arrays of kept and pruned versions
+ */
+const applyRetentionPolicy = (versions, policy, now = new Date()) => {
+  const sorted = [...versions].sort((a, b) => b.version - a.version);
+  const keep = new Set();
+
+  if (policy.keepLast === null || policy.keepLast === undefined) {
+    sorted.forEach(v => keep.add(v));
+  } else {
+    sorted.slice(0, policy.keepLast).forEach(v => keep.add(v));
+  }
+
+  if (policy.keepAllDays > 0) {
+    const cutoff = now.getTime() - policy.keepAllDays * DAY_MS;
+    sorted
+      .filter(v => new Date(v.modifiedAt).getTime() >= cutoff)
+      .forEach(v => keep.add(v));
+  }
+
+  if (policy.keepDailyDays !== 0) {
+    const cutoff = policy.keepDailyDays === null || policy.keepDailyDays === undefined
+      ? -Infinity
+      : now.getTime() - policy.keepDailyDays * DAY_MS;
+    const seenDays = new Set();
+
+    sorted.forEach(v => {
+      const modifiedAt = new Date(v.modifiedAt);
+      const day = modifiedAt.toISOString().slice(0, 10);
+
+      if (!seenDays.has(day)) {
+        seenDays.add(day);
+        if (modifiedAt.getTime() >= cutoff) {
+          keep.add(v);
+        }
+      }
+    });
+  }
+
+  return {
+    keep: sorted.filter(v => keep.has(v)),
+    prune: sorted.filter(v => !keep.has(v))
+  };
+};
+
+module.exports = {
+  resolveRetentionPolicy,
+  applyRetentionPolicy
+};
@@ -0,0 +1,159 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, decodeClientDataJSON } = require('@simplewebauthn/server/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+const config = require('../../config/config');
+
+/**
+ * Passkey (WebAuthn) ceremonies for the relying party in config.webauthn.
+ * Attestation is not requested, so software and platform authenticators
+ * work alike.
+ */
+
+const toDescriptor = (passkey) => ({
+  id: isoBase64URL.toBuffer(passkey.credentialId),
+  type: 'public-key',
+  ...(passkey.transports && passkey.transports.length > 0 && { transports: passkey.transports })
+});
+
+/**
+ * Read the challenge a ceremony response was signed for
+ * @param {object} response - Credential JSON from the client
+ * @returns {string|null} Base64url challenge
+ */
+const getResponseChallenge = (response) => {
+  try {
+    return decodeClientDataJSON(response.response.clientDataJSON).challenge;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {object} user - Registering user
+ * @returns {Promise<object>} Creation options (JSON)
+ */
+const createRegistrationOptions = (user) => {
+  return generateRegistrationOptions({
+    rpName: config.webauthn.rpName,
+    rpID: config.webauthn.rpId,
+    userID: user._id.toString(),
+    userName: user.email,
+    userDisplayName: user.fullName,
+    timeout: config.webauthn.timeoutMs,
+    attestationType: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: user.passkeys.map(toDescriptor),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'required'
+    }
+  });
+};
+
+/**
+ * Verify a registration response
+ * @param {object} response - Credential JSON from navigator.credentials.create()
+ * @param {string} expectedChallenge - Challenge of the registration options
+ * @returns {Promise<object>} Passkey fields to store
+ */
+const verifyRegistration = async (response, expectedChallenge) => {
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+      requireUserVerification: true
+    });
+  } catch (error) {
+    logger.warn(`Passkey registration rejected: ${error.message}`);
+    throw new AppError('Passkey registration could not be verified', 400);
+  }
+
+  if (!verification.verified) {
+    throw new AppError('Passkey registration could not be verified', 400);
+  }
+
+  const { credentialID, credentialPublicKey, counter, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+
+  return {
+    credentialId: isoBase64URL.fromBuffer(credentialID),
+    publicKey: isoBase64URL.fromBuffer(credentialPublicKey),
+    counter,
+    transports: (response.response && response.response.transports) || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    aaguid
+  };
+};
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {Array} passkeys - Passkeys the user may choose from (empty for discoverable passkeys)
+ * @returns {Promise<object>} Request options (JSON)
+ */
+const createAuthenticationOptions = (passkeys = []) => {
+  return generateAuthenticationOptions({
+    rpID: config.webauthn.rpId,
+    timeout: config.webauthn.timeoutMs,
+    allowCredentials: passkeys.map(toDescriptor),
+    userVerification: 'required'
+  });
+};
+
+/**
+ * Verify an authentication (assertion) response against a stored passkey
+ * @param {object} response - Credential JSON from navigator.credentials.get()
+ * @param {string} expectedChallenge - Challenge of the request options
+ * @param {object} passkey - Stored passkey of the credential
+ * @returns {Promise<object>} newCounter, deviceType and backedUp
+ */
+const verifyAuthentication = async (response, expectedChallenge, passkey) => {
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+      authenticator: {
+        credentialID: isoBase64URL.toBuffer(passkey.credentialId),
+        credentialPublicKey: isoBase64URL.toBuffer(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports
+      },
+      requireUserVerification: true
+    });
+  } catch (error) {
+    logger.warn(`Passkey login rejected: ${error.message}`);
+    throw new AppError('Passkey could not be verified', 401);
+  }
+
+  if (!verification.verified) {
+    throw new AppError('Passkey could not be verified', 401);
+  }
+
+  const { newCounter, credentialDeviceType, credentialBackedUp } = verification.authenticationInfo;
+
+  return {
+    newCounter,
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+};
+
+module.exports = {
+  getResponseChallenge,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
@@ -0,0 +1,83 @@
+const { promisify } = require('util');
+const yauzl = require('yauzl');
+
+const openZip = promisify(yauzl.open);
+
+/**
+ * Read access to a zip archive on disk, one entry at a time
+ */
+class ZipReader {
+  constructor(zipfile) {
+    this.zipfile = zipfile;
+  }
+
+  /**
+   * Open a zip archive
+   * @param {string} filePath - Path of the archive
+   * @returns {Promise<ZipReader>}
+   */
+  static async open(filePath) {
+    const zipfile = await openZip(filePath, { lazyEntries: true, autoClose: false });
+    return new ZipReader(zipfile);
+  }
+
+  /**
+   * List the files in the archive (directories left out)
+   * @returns {Promise<object[]>} Entries with name, size and modifiedAt
+   */
+  entries() {
+    return new Promise((resolve, reject) => {
+      const entries = [];
+
+      const onEntry = (entry) => {
+        if (!entry.fileName.endsWith('/')) {
+          entries.push({
+            name: entry.fileName,
+            size: entry.uncompressedSize,
+            modifiedAt: entry.getLastModDate(),
+            entry
+          });
+        }
+        this.zipfile.readEntry();
+      };
+      const onEnd = () => {
+        cleanup();
+        resolve(entries);
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+      const cleanup = () => {
+        this.zipfile.off('entry', onEntry);
+        this.zipfile.off('end', onEnd);
+        this.zipfile.off('error', onError);
+      };
+
+      this.zipfile.on('entry', onEntry);
+      this.zipfile.once('end', onEnd);
+      this.zipfile.once('error', onError);
+      this.zipfile.readEntry();
+    });
+  }
+
+  /**
+   * Read the contents of a file in the archive
+   * @param {object} file - Entry from entries()
+   * @returns {Promise<Buffer>}
+   */
+  async read(file) {
+    const stream = await promisify(this.zipfile.openReadStream.bind(this.zipfile))(file.entry);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  close() {
+    this.zipfile.close();
+  }
+}
+
+module.exports = ZipReader;
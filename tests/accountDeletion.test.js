@@ -0,0 +1,173 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const Note = require('../src/models/Note');
+const NoteVersion = require('../src/models/NoteVersion');
+const Category = require('../src/models/Category');
+const Tag = require('../src/models/Tag');
+const Comment = require('../src/models/Comment');
+const Notification = require('../src/models/Notification');
+const AccessToken = require('../src/models/AccessToken');
+const LoginEvent = require('../src/models/LoginEvent');
+const WebAuthnChallenge = require('../src/models/WebAuthnChallenge');
+const OAuthState = require('../src/models/OAuthState');
+const DataExport = require('../src/models/DataExport');
+const AuditEvent = require('../src/models/AuditEvent');
+const JobLock = require('../src/models/JobLock');
+const accountDeletionScheduler = require('../src/jobs/accountDeletionScheduler');
+const mailer = require('../src/utils/mailer');
+const config = require('../config/config');
+const { mockQuery, buildUser, stubUsers, authHeader } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('account deletion', () => {
+  let user;
+  let notes;
+  let outbox;
+
+  beforeEach(() => {
+    user = buildUser({
+      refreshTokens: [{ sessionId: 'laptop', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }]
+    });
+    notes = [new Note({ title: 'Plan', author: user._id }), new Note({ title: 'Diary', author: user._id })];
+    outbox = mailer.useMemoryTransport();
+
+    stubUsers(user);
+    jest.spyOn(User, 'findByEmail').mockImplementation(email => mockQuery(email === user.email ? user : null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User.prototype, 'comparePassword').mockImplementation(async candidate => candidate === 'Secret123');
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(LoginEvent, 'record').mockResolvedValue(null);
+
+    // What the scheduler finds and changes
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue(true);
+    jest.spyOn(JobLock, 'release').mockResolvedValue({});
+    jest.spyOn(User, 'find').mockImplementation(({ deletionScheduledFor }) => mockQuery(
+      user.deletionScheduledFor && user.deletionScheduledFor <= deletionScheduledFor.$lte ? [user] : []
+    ));
+    jest.spyOn(User, 'updateOne').mockImplementation(async ({ deletionScheduledFor }) => ({
+      matchedCount: user.deletionScheduledFor && user.deletionScheduledFor <= deletionScheduledFor.$lte ? 1 : 0
+    }));
+    jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Note, 'find').mockImplementation(() => mockQuery(notes));
+    jest.spyOn(Note.prototype, 'removeAttachments').mockResolvedValue();
+    jest.spyOn(DataExport, 'find').mockResolvedValue([]);
+    jest.spyOn(Note, 'deleteMany').mockResolvedValue({ deletedCount: notes.length });
+    [NoteVersion, Category, Tag, Comment, Notification, AccessToken, LoginEvent, WebAuthnChallenge, OAuthState, DataExport]
+      .forEach(Model => jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 0 }));
+    jest.spyOn(Note, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Comment, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const requestDeletion = () => request(app)
+    .delete('/api/auth/account')
+    .set('Authorization', authHeader(user, 'laptop'))
+    .send({ password: 'Secret123' });
+
+  const login = () => request(app).post('/api/auth/login').send({ email: user.email, password: 'Secret123' });
+
+  const afterGracePeriod = () => new Date(Date.now() + (config.accountDeletion.gracePeriodDays + 1) * DAY);
+
+  it('schedules the deletion after the grace period and logs out every device', async () => {
+    const res = await requestDeletion();
+
+    expect(res.status).toBe(200);
+    const scheduledFor = new Date(res.body.data.deletionScheduledFor);
+    expect(scheduledFor - Date.now()).toBeGreaterThan((config.accountDeletion.gracePeriodDays - 1) * DAY);
+    expect(scheduledFor - Date.now()).toBeLessThanOrEqual(config.accountDeletion.gracePeriodDays * DAY);
+    expect(user.refreshTokens).toHaveLength(0);
+  });
+
+  it('keeps the account during the grace period', async () => {
+    await requestDeletion();
+
+    const deleted = await accountDeletionScheduler.runOnce(new Date(Date.now() + DAY));
+
+    expect(deleted).toBe(0);
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('cancels the deletion when the user logs in during the grace period', async () => {
+    await requestDeletion();
+
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Login successful, account deletion cancelled');
+    expect(user.deletionScheduledFor).toBeNull();
+    expect(AuditEvent.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'user.deletion_cancelled' }));
+
+    expect(await accountDeletionScheduler.runOnce(afterGracePeriod())).toBe(0);
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('deletes the account and everything it owns after the grace period', async () => {
+    await requestDeletion();
+
+    const deleted = await accountDeletionScheduler.runOnce(afterGracePeriod());
+
+    expect(deleted).toBe(1);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, deletionScheduledFor: { $lte: expect.any(Date) } },
+      { $set: { isActive: false, refreshTokens: [] } }
+    );
+    expect(Note.prototype.removeAttachments).toHaveBeenCalledTimes(2);
+    expect(Note.deleteMany).toHaveBeenCalledWith({ author: user._id });
+    expect(NoteVersion.deleteMany).toHaveBeenCalledWith({ owner: user._id });
+    expect(Comment.deleteMany).toHaveBeenCalledWith({ note: { $in: notes.map(note => note._id) } });
+    expect(Notification.deleteMany).toHaveBeenCalledWith({ $or: [{ user: user._id }, { note: { $in: notes.map(note => note._id) } }] });
+    [Category, Tag].forEach(Model => expect(Model.deleteMany).toHaveBeenCalledWith({ owner: user._id }));
+    [AccessToken, LoginEvent, WebAuthnChallenge, OAuthState, DataExport].forEach(Model => {
+      expect(Model.deleteMany).toHaveBeenCalledWith({ user: user._id });
+    });
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: user._id });
+    expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.deleted',
+      metadata: expect.objectContaining({ notes: 2, collaborations: 1 })
+    }));
+  });
+
+  it("leaves other users' notes, without the user as collaborator or comment author", async () => {
+    await requestDeletion();
+
+    await accountDeletionScheduler.runOnce(afterGracePeriod());
+
+    expect(Note.deleteMany).not.toHaveBeenCalledWith(expect.objectContaining({ 'collaborators.user': user._id }));
+    expect(Note.updateMany).toHaveBeenCalledWith(
+      { 'collaborators.user': user._id },
+      { $pull: { collaborators: { user: user._id } } }
+    );
+    expect(Comment.updateMany).toHaveBeenCalledWith(
+      { author: user._id },
+      { $set: { author: null, authorName: 'Deleted user' } }
+    );
+  });
+
+  it('keeps the account when a login cancels the deletion before it is claimed', async () => {
+    await requestDeletion();
+    // The login lands between finding the account and claiming it
+    User.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+
+    const deleted = await accountDeletionScheduler.runOnce(afterGracePeriod());
+
+    expect(deleted).toBe(0);
+    expect(Note.deleteMany).not.toHaveBeenCalled();
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('emails when the deletion is scheduled and when it is cancelled', async () => {
+    await requestDeletion();
+    await login();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(outbox.map(mail => mail.to)).toEqual([user.email, user.email]);
+  });
+});
@@ -0,0 +1,71 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const AccessToken = require('../src/models/AccessToken');
+const AdminAction = require('../src/models/AdminAction');
+const AuditEvent = require('../src/models/AuditEvent');
+const mailer = require('../src/utils/mailer');
+const { buildUser, stubUsers, authHeader } = require('./helpers');
+
+describe('admin session revocation', () => {
+  const admin = buildUser({ role: 'admin' });
+  let target;
+  let outbox;
+
+  beforeEach(() => {
+    target = buildUser({
+      refreshTokens: [
+        { sessionId: 'laptop', expiresAt: new Date(Date.now() + 60 * 60 * 1000) },
+        { sessionId: 'phone', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+      ]
+    });
+    outbox = mailer.useMemoryTransport();
+
+    stubUsers(admin, target);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(AccessToken, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+    jest.spyOn(AdminAction, 'create').mockImplementation(async fields => new AdminAction(fields));
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const adminAction = (action) => request(app)
+    .post(`/api/admin/users/${target._id}/${action}`)
+    .set('Authorization', authHeader(admin))
+    .send({ reason: 'Credentials found in a leak' });
+
+  it('revokes the sessions and personal access tokens of a user', async () => {
+    const res = await adminAction('revoke-sessions');
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('2 session(s) and 3 access token(s) revoked');
+    expect(res.body.data).toEqual({ revoked: 2, revokedAccessTokens: 3 });
+    expect(target.refreshTokens).toHaveLength(0);
+    expect(AccessToken.deleteMany).toHaveBeenCalledWith({ user: target._id });
+    expect(AdminAction.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'revoke_sessions',
+      details: { revoked: 2, revokedAccessTokens: 3 }
+    }));
+  });
+
+  it('revokes the sessions and personal access tokens on a forced password reset', async () => {
+    const res = await adminAction('force-password-reset');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ emailSent: true, revokedAccessTokens: 3 });
+    expect(target.passwordResetRequired).toBe(true);
+    expect(target.refreshTokens).toHaveLength(0);
+    expect(AccessToken.deleteMany).toHaveBeenCalledWith({ user: target._id });
+    expect(AuditEvent.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'admin.password_reset_forced',
+      metadata: expect.objectContaining({ revokedAccessTokens: 3 })
+    }));
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe(target.email);
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const Note = require('../src/models/Note');
+const User = require('../src/models/User');
+const S3Storage = require('../src/storage/s3Storage');
+const { setStorage } = require('../src/storage');
+const config = require('../config/config');
+const { buildUser, stubUsers, authHeader } = require('./helpers');
+const { startS3Server } = require('./s3Server');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('POST /api/notes/:id/attachments', () => {
+  const owner = buildUser({ storageQuota: 40 });
+  const editor = buildUser();
+  let s3;
+  let storage;
+  let previousDriver;
+  let note;
+  let storageUsed;
+
+  beforeAll(async () => {
+    s3 = await startS3Server('attachments');
+    storage = new S3Storage({
+      bucket: 'attachments',
+      region: 'us-east-1',
+      endpoint: s3.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'test',
+      secretAccessKey: 'test-secret'
+    });
+
+    previousDriver = config.storage.driver;
+    config.storage.driver = 's3';
+    setStorage('s3', storage);
+  });
+
+  afterAll(async () => {
+    config.storage.driver = previousDriver;
+    storage.client.destroy();
+    await s3.close();
+  });
+
+  beforeEach(() => {
+    s3.objects.clear();
+    storageUsed = 0;
+
+    note = new Note({
+      title: 'Plan',
+      content: 'First draft',
+      author: owner._id,
+      collaborators: [{ user: editor._id, permission: 'edit' }]
+    });
+
+    stubUsers(owner, editor);
+    jest.spyOn(Note, 'findOne').mockImplementation(async () => note);
+    jest.spyOn(Note, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      note.attachments.push(update.$push.attachments);
+      return note;
+    });
+
+    // Quota bookkeeping of User.reserveStorage and User.releaseStorage, done by MongoDB in production
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (storageUsed > filter.storageUsed.$lte) return null;
+      storageUsed += update.$inc.storageUsed;
+      return owner;
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, [stage]) => {
+      const bytes = stage.$set.storageUsed.$max[1].$subtract[1];
+      storageUsed = Math.max(0, storageUsed - bytes);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const upload = (user, file = PNG) => request(app)
+    .post(`/api/notes/${note._id}/attachments`)
+    .set('Authorization', authHeader(user))
+    .attach('file', file, { filename: 'Photo.PNG', contentType: 'image/png' });
+
+  it('stores the file and counts it against the owner quota', async () => {
+    const res = await upload(editor);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.attachment).toMatchObject({ originalName: 'Photo.PNG', mimetype: 'image/png', size: PNG.length });
+    expect(storageUsed).toBe(PNG.length);
+
+    const [attachment] = note.attachments;
+    expect(attachment.storage).toBe('s3');
+    expect(attachment.path).toMatch(new RegExp(`^${owner._id}/${note._id}/[0-9a-f-]+\\.png$`));
+    expect(s3.objects.get(attachment.path).body).toEqual(PNG);
+  });
+
+  it('rejects an upload over the quota without storing it', async () => {
+    storageUsed = 30;
+
+    const res = await upload(owner);
+
+    expect(res.status).toBe(413);
+    expect(storageUsed).toBe(30);
+    expect(s3.objects.size).toBe(0);
+  });
+
+  it('releases the reservation when storing the file fails', async () => {
+    jest.spyOn(storage, 'put').mockRejectedValue(new Error('Bucket unavailable'));
+
+    const res = await upload(owner);
+
+    expect(res.status).toBe(500);
+    expect(storageUsed).toBe(0);
+    expect(note.attachments).toHaveLength(0);
+  });
+
+  it('releases the reservation and removes the file when the note is gone', async () => {
+    Note.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await upload(owner);
+
+    expect(res.status).toBe(404);
+    expect(storageUsed).toBe(0);
+    expect(s3.objects.size).toBe(0);
+  });
+
+  it('rejects contents that do not match the declared type', async () => {
+    const res = await upload(owner, Buffer.from('not really a png'));
+
+    expect(res.status).toBe(415);
+    expect(storageUsed).toBe(0);
+    expect(s3.objects.size).toBe(0);
+  });
+});
@@ -0,0 +1,213 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { app } = require('../src/app');
+const collaborationServer = require('../src/realtime/collaborationServer');
+const Note = require('../src/models/Note');
+const { mockQuery, buildUser, stubUsers } = require('./helpers');
+
+/**
+ * WebSocket client that collects the messages it receives
+ */
+const connect = (port, noteId, token) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}/ws/notes/${noteId}?token=${token}`);
+  socket.messages = [];
+  socket.on('message', data => socket.messages.push(JSON.parse(data.toString())));
+  socket.once('open', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+/**
+ * Wait for a message matching a predicate
+ */
+const nextMessage = (socket, predicate) => new Promise((resolve) => {
+  const found = socket.messages.find(predicate);
+  if (found) return resolve(found);
+
+  const onMessage = (data) => {
+    const message = JSON.parse(data.toString());
+    if (predicate(message)) {
+      socket.off('message', onMessage);
+      resolve(message);
+    }
+  };
+  socket.on('message', onMessage);
+});
+
+const closed = (socket) => new Promise((resolve) => {
+  if (socket.readyState === WebSocket.CLOSED) return resolve(socket.closeCode);
+  socket.once('close', (code) => resolve(code));
+});
+
+describe('collaboration server access checks', () => {
+  const owner = buildUser();
+  const editor = buildUser();
+  let server;
+  let port;
+  let note;
+  const sockets = [];
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    collaborationServer.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await collaborationServer.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    note = new Note({
+      title: 'Plan',
+      content: 'First draft',
+      author: owner._id,
+      collaborators: [{ user: editor._id, permission: 'edit' }]
+    });
+
+    editor.refreshTokens = [{ sessionId: 'editor-session', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }];
+
+    stubUsers(owner, editor);
+    jest.spyOn(Note, 'findOne').mockImplementation(() => mockQuery(note));
+    jest.spyOn(Note.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(socket => socket.terminate());
+    // Let the rooms see the disconnects before the stubs go
+    await new Promise(resolve => setTimeout(resolve, 50));
+    jest.restoreAllMocks();
+  });
+
+  const join = async () => {
+    const socket = await connect(port, note._id, editor.generateAuthToken('editor-session'));
+    sockets.push(socket);
+    await nextMessage(socket, message => message.type === 'init');
+    return socket;
+  };
+
+  const room = () => collaborationServer.rooms.get(note._id.toString());
+
+  it('applies ops of a collaborator with edit access', async () => {
+    const socket = await join();
+
+    socket.send(JSON.stringify({ type: 'op', revision: 0, op: ['My ', 11] }));
+
+    await expect(nextMessage(socket, message => message.type === 'ack')).resolves.toMatchObject({ revision: 1 });
+    expect(room().doc).toBe('My First draft');
+  });
+
+  it('rejects ops and disconnects a collaborator who was removed', async () => {
+    const socket = await join();
+
+    note.collaborators = [];
+    socket.send(JSON.stringify({ type: 'op', revision: 0, op: ['Gone ', 11] }));
+
+    await expect(nextMessage(socket, message => message.type === 'error'))
+      .resolves.toMatchObject({ message: 'Access to this note was revoked' });
+    await expect(closed(socket)).resolves.toBe(1008);
+    expect(room()).toBeUndefined();
+    expect(Note.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects ops from a collaborator downgraded to view', async () => {
+    const socket = await join();
+
+    note.collaborators[0].permission = 'view';
+    socket.send(JSON.stringify({ type: 'op', revision: 0, op: ['View ', 11] }));
+
+    await expect(nextMessage(socket, message => message.type === 'permission')).resolves.toMatchObject({ permission: 'view' });
+    await expect(nextMessage(socket, message => message.type === 'error'))
+      .resolves.toMatchObject({ message: 'Access denied. edit permission required.' });
+    expect(room().doc).toBe('First draft');
+  });
+
+  it('disconnects a revoked session', async () => {
+    const socket = await join();
+
+    editor.refreshTokens = [];
+    socket.send(JSON.stringify({ type: 'op', revision: 0, op: ['Revoked ', 11] }));
+
+    await expect(closed(socket)).resolves.toBe(1008);
+    expect(Note.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('disconnects a deactivated user', async () => {
+    const socket = await join();
+
+    editor.isActive = false;
+    socket.send(JSON.stringify({ type: 'op', revision: 0, op: ['Inactive ', 11] }));
+
+    await expect(closed(socket)).resolves.toBe(1008);
+    editor.isActive = true;
+  });
+
+  it('drops connections that lost access before persisting', async () => {
+    const socket = await join();
+
+    note.collaborators = [];
+    await room().verifyConnections();
+
+    await expect(closed(socket)).resolves.toBe(1008);
+  });
+
+  describe('changes saved elsewhere', () => {
+    const editElsewhere = (content) => {
+      note.content = content;
+      note.version += 1;
+    };
+
+    const editLive = async (socket) => {
+      socket.send(JSON.stringify({ type: 'op', revision: 0, op: ['My ', 11] }));
+      await nextMessage(socket, message => message.type === 'ack');
+    };
+
+    it('holds off saving a conflicting merge and shows both sides', async () => {
+      const socket = await join();
+      await editLive(socket);
+
+      editElsewhere('Final draft');
+      await room().persist();
+
+      await expect(nextMessage(socket, message => message.type === 'conflict')).resolves.toMatchObject({
+        noteVersion: note.version,
+        ours: 'My First draft',
+        theirs: 'Final draft'
+      });
+      expect(room().doc).toBe('My First draft');
+      expect(note.content).toBe('Final draft');
+      expect(Note.prototype.save).not.toHaveBeenCalled();
+      expect(socket.messages.some(message => message.type === 'resync')).toBe(false);
+    });
+
+    it('saves the live document when the editor keeps ours', async () => {
+      const socket = await join();
+      await editLive(socket);
+      editElsewhere('Final draft');
+      await room().persist();
+
+      socket.send(JSON.stringify({ type: 'resolve', keep: 'ours' }));
+
+      await expect(nextMessage(socket, message => message.type === 'resolved')).resolves.toMatchObject({ keep: 'ours' });
+      await nextMessage(socket, message => message.type === 'saved');
+      expect(note.content).toBe('My First draft');
+      expect(Note.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('reloads the saved content when the editor keeps theirs', async () => {
+      const socket = await join();
+      await editLive(socket);
+      editElsewhere('Final draft');
+      await room().persist();
+
+      socket.send(JSON.stringify({ type: 'resolve', keep: 'theirs' }));
+
+      await expect(nextMessage(socket, message => message.type === 'resync')).resolves.toMatchObject({ content: 'Final draft' });
+      await room().persist();
+      expect(Note.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Note = require('../src/models/Note');
+const { sanitizeHtml, renderMarkdown, renderHtml, toPlainText } = require('../src/utils/contentRenderer');
+
+describe('sanitizeHtml', () => {
+  it('removes scripts and styles with their contents', () => {
+    expect(sanitizeHtml('<p>Hi</p><script>alert(1)</script><style>p { color: red }</style>')).toBe('<p>Hi</p>');
+  });
+
+  it('removes event handler attributes', () => {
+    expect(sanitizeHtml('<p onclick="alert(1)">Hi</p><img src="/a.png" onerror="alert(1)">'))
+      .toBe('<p>Hi</p><img src="/a.png" />');
+  });
+
+  it.each([
+    ['javascript:', '<a href="javascript:alert(1)">Link</a>', '<a rel="noopener noreferrer nofollow">Link</a>'],
+    ['obfuscated javascript:', '<a href="jav&#x09;ascript:alert(1)">Link</a>', '<a rel="noopener noreferrer nofollow">Link</a>'],
+    ['data:', '<a href="data:text/html,<script>alert(1)</script>">Link</a>', '<a rel="noopener noreferrer nofollow">Link</a>'],
+    ['javascript: image', '<img src="javascript:alert(1)">', '<img />'],
+    ['data: image', '<img src="data:image/svg+xml,<svg onload=alert(1)>">', '<img />'],
+    ['protocol-relative image', '<img src="//evil.example/a.png">', '<img />']
+  ])('drops %s URLs', (name, html, expected) => {
+    expect(sanitizeHtml(html)).toBe(expected);
+  });
+
+  it('keeps http, https, mailto and relative URLs', () => {
+    expect(sanitizeHtml('<a href="https://example.com">A</a><a href="mailto:a@example.com">B</a><img src="/api/notes/1/attachments/2">'))
+      .toBe('<a href="https://example.com" rel="noopener noreferrer nofollow">A</a>' +
+        '<a href="mailto:a@example.com" rel="noopener noreferrer nofollow">B</a>' +
+        '<img src="/api/notes/1/attachments/2" />');
+  });
+
+  it('keeps only disabled checkboxes of all form controls', () => {
+    expect(sanitizeHtml('<input type="checkbox" checked><input type="text" value="x"><input><form><button>Go</button></form>'))
+      .toBe('<input type="checkbox" checked disabled="disabled" />Go');
+  });
+
+  it('removes frames, objects and forms', () => {
+    expect(sanitizeHtml('<iframe src="https://example.com"></iframe><object data="x"></object><form action="/x">Text</form>'))
+      .toBe('Text');
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('sanitizes raw HTML inside markdown', () => {
+    const html = renderMarkdown('Hello <img src=x onerror="alert(1)">\n\n<script>alert(1)</script>\n\n[link](javascript:alert(1))');
+
+    expect(html).not.toMatch(/onerror|<script|javascript:/);
+    expect(html).toContain('<img src="x" />');
+  });
+
+  it('keeps GFM tables', () => {
+    const html = renderMarkdown('| Name | Qty |\n| :--- | ---: |\n| Apples | 3 |');
+
+    expect(html).toContain('<table>');
+    expect(html).toContain('<th align="left">Name</th>');
+    expect(html).toContain('<td align="right">3</td>');
+  });
+
+  it('keeps task lists as disabled checkboxes', () => {
+    const html = renderMarkdown('- [x] Done\n- [ ] Todo');
+
+    expect(html).toContain('<input checked disabled="disabled" type="checkbox" /> Done');
+    expect(html).toContain('<input disabled="disabled" type="checkbox" /> Todo');
+  });
+
+  it('keeps the language class of fenced code and drops other classes', () => {
+    expect(renderMarkdown('```js\nconst a = 1;\n```')).toContain('<code class="language-js">');
+    expect(sanitizeHtml('<code class="evil language-js">x</code><p class="language-js">y</p>'))
+      .toBe('<code class="language-js">x</code><p>y</p>');
+  });
+});
+
+describe('renderHtml', () => {
+  it('escapes plain text and keeps its paragraphs and line breaks', () => {
+    expect(renderHtml('<b>Hi</b>\nthere\n\nNext', 'text')).toBe('<p>&lt;b&gt;Hi&lt;/b&gt;<br>there</p>\n<p>Next</p>');
+  });
+});
+
+describe('toPlainText', () => {
+  it('reads markdown as rendered text', () => {
+    expect(toPlainText('# Title\n\nSome **bold** [link](https://example.com)', 'markdown')).toBe('Title\nSome bold link');
+  });
+
+  it('leaves out hidden elements and decodes entities', () => {
+    expect(toPlainText('<p>Fish &amp; chips</p><script>secret()</script>', 'html')).toBe('Fish & chips');
+  });
+});
+
+describe('Note text fields', () => {
+  beforeEach(() => {
+    jest.spyOn(Note.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const saveNote = async (content, contentType) => {
+    const note = new Note({ title: 'Groceries', content, contentType, author: new mongoose.Types.ObjectId() });
+    await note.save();
+    return note;
+  };
+
+  it('takes the excerpt, word count and keywords from the rendered markdown', async () => {
+    const note = await saveNote('## Shopping\n\n- [ ] **Apples** from the [market](https://example.com/market)', 'markdown');
+
+    expect(note.excerpt).toBe('Shopping\nApples from the market');
+    expect(note.wordCount).toBe(5);
+    expect(note.searchKeywords).toEqual(expect.arrayContaining(['groceries', 'shopping', 'apples', 'market']));
+    expect(note.searchKeywords).not.toContain('https');
+  });
+
+  it('stores html sanitized and leaves markup out of the text fields', async () => {
+    const note = await saveNote('<p onclick="steal()">Bread &amp; butter</p><script>stealCookies()</script>', 'html');
+
+    expect(note.content).toBe('<p>Bread &amp; butter</p>');
+    expect(note.excerpt).toBe('Bread & butter');
+    expect(note.wordCount).toBe(3);
+    expect(note.searchKeywords).not.toContain('stealcookies');
+  });
+});
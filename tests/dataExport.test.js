@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../src/app');
+const Note = require('../src/models/Note');
+const NoteVersion = require('../src/models/NoteVersion');
+const Category = require('../src/models/Category');
+const Tag = require('../src/models/Tag');
+const DataExport = require('../src/models/DataExport');
+const AccessToken = require('../src/models/AccessToken');
+const AuditEvent = require('../src/models/AuditEvent');
+const LocalStorage = require('../src/storage/localStorage');
+const dataExportWorker = require('../src/jobs/dataExportWorker');
+const ZipReader = require('../src/utils/zipReader');
+const { setStorage } = require('../src/storage');
+const mailer = require('../src/utils/mailer');
+const config = require('../config/config');
+const { mockQuery, buildUser, stubUsers, authHeader } = require('./helpers');
+
+// Collect a binary response body
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('account data export', () => {
+  const user = buildUser({
+    refreshTokens: [{ sessionId: 'laptop', deviceName: 'Laptop', tokenHash: 'secret-hash', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }]
+  });
+  let dir;
+  let previousDriver;
+  let exports;
+  let outbox;
+  let note;
+
+  beforeAll(() => {
+    previousDriver = config.storage.driver;
+    config.storage.driver = 'local';
+  });
+
+  afterAll(() => {
+    config.storage.driver = previousDriver;
+  });
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notes-export-'));
+    const storage = new LocalStorage({ root: dir });
+    setStorage('local', storage);
+    exports = [];
+    outbox = mailer.useMemoryTransport();
+
+    const noteId = new mongoose.Types.ObjectId();
+    const attachmentId = new mongoose.Types.ObjectId();
+    await storage.put(`${user._id}/${noteId}/sketch.png`, Buffer.from('png bytes'));
+    note = {
+      _id: noteId,
+      title: 'Plan',
+      content: '# Plan',
+      contentType: 'markdown',
+      author: user._id,
+      category: { name: 'Work' },
+      tags: [{ name: 'ideas' }],
+      collaborators: [{
+        user: { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+        permission: 'edit'
+      }],
+      attachments: [{ _id: attachmentId, originalName: 'sketch.png', storage: 'local', path: `${user._id}/${noteId}/sketch.png`, size: 9 }],
+      version: 2
+    };
+
+    stubUsers(user);
+    jest.spyOn(Category, 'find').mockReturnValue(mockQuery([{ _id: 'c1', name: 'Work', owner: user._id, __v: 0 }]));
+    jest.spyOn(Tag, 'find').mockReturnValue(mockQuery([{ _id: 't1', name: 'ideas', owner: user._id, __v: 0 }]));
+    jest.spyOn(Note, 'find').mockReturnValue(mockQuery([note]));
+    jest.spyOn(NoteVersion, 'find').mockReturnValue(mockQuery([
+      { _id: 'v1', note: noteId, owner: user._id, version: 1, title: 'Plan', content: 'Draft', __v: 0 }
+    ]));
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+
+    // Exports, kept in memory
+    jest.spyOn(DataExport, 'hasInProgress').mockImplementation(async () => (
+      exports.some(dataExport => ['pending', 'processing'].includes(dataExport.status))
+    ));
+    jest.spyOn(DataExport, 'create').mockImplementation(async (fields) => {
+      const dataExport = new DataExport({ ...fields, createdAt: new Date() });
+      exports.push(dataExport);
+      return dataExport;
+    });
+    jest.spyOn(DataExport, 'find').mockResolvedValue([]);
+    jest.spyOn(DataExport, 'claimNext').mockImplementation(async () => {
+      const pending = exports.find(dataExport => dataExport.status === 'pending');
+      if (pending) pending.status = 'processing';
+      return pending || null;
+    });
+    jest.spyOn(DataExport, 'findOne').mockImplementation(async ({ _id, user: owner, type }) => (
+      exports.find(dataExport => dataExport._id.equals(_id) && dataExport.user.equals(owner) &&
+        (!type || dataExport.type === type)) || null
+    ));
+    jest.spyOn(DataExport.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(async () => {
+    await dataExportWorker.running;
+    jest.restoreAllMocks();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  const requestExport = () => request(app)
+    .post('/api/auth/exports')
+    .set('Authorization', authHeader(user));
+
+  const download = (id) => request(app)
+    .get(`/api/auth/exports/${id}/download`)
+    .set('Authorization', authHeader(user))
+    .buffer(true)
+    .parse(binary);
+
+  // Files of a zip archive by name, JSON parsed
+  const readArchive = async (buffer) => {
+    const filePath = path.join(dir, 'download.zip');
+    await fs.promises.writeFile(filePath, buffer);
+
+    const zip = await ZipReader.open(filePath);
+    const files = {};
+    for (const entry of await zip.entries()) {
+      const contents = await zip.read(entry);
+      files[entry.name] = entry.name.endsWith('.json') ? JSON.parse(contents) : contents.toString();
+    }
+    zip.close();
+    return files;
+  };
+
+  it('builds an archive of the whole account and emails a download link', async () => {
+    const res = await requestExport();
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.export).toMatchObject({ type: 'account', status: 'pending', downloadUrl: null });
+
+    await dataExportWorker.tick();
+
+    const [dataExport] = exports;
+    expect(dataExport.status).toBe('ready');
+    expect(dataExport.path).toBe(`exports/${user._id}/${dataExport._id}.zip`);
+    // The email is sent without holding up the worker
+    await new Promise(resolve => setImmediate(resolve));
+    expect(outbox.map(mail => mail.to)).toContain(user.email);
+
+    const archive = await download(dataExport._id);
+
+    expect(archive.status).toBe(200);
+    expect(archive.headers['content-type']).toBe('application/zip');
+    const files = await readArchive(archive.body);
+    const attachmentFile = `attachments/${note._id}/${note.attachments[0]._id}-sketch.png`;
+    expect(Object.keys(files).sort()).toEqual([
+      attachmentFile,
+      'categories.json',
+      `notes/${note._id}.json`,
+      'profile.json',
+      'tags.json'
+    ].sort());
+    expect(files['profile.json']).toMatchObject({ email: user.email, sessions: [{ deviceName: 'Laptop' }] });
+    expect(JSON.stringify(files['profile.json'])).not.toMatch(/password|secret-hash/);
+    expect(files['categories.json']).toEqual([{ _id: 'c1', name: 'Work' }]);
+    expect(files[`notes/${note._id}.json`]).toMatchObject({
+      title: 'Plan',
+      category: 'Work',
+      tags: ['ideas'],
+      collaborators: [{ user: { name: 'Ada Lovelace', email: 'ada@example.com' }, permission: 'edit' }],
+      attachments: [{ originalName: 'sketch.png', file: attachmentFile }],
+      versions: [{ version: 1, title: 'Plan', content: 'Draft' }]
+    });
+    expect(files[attachmentFile]).toBe('png bytes');
+  });
+
+  it('refuses a second export while one is being prepared', async () => {
+    exports.push(new DataExport({ user: user._id, status: 'processing' }));
+
+    const res = await requestExport();
+
+    expect(res.status).toBe(409);
+  });
+
+  it('names the download of an account archive after the account', async () => {
+    await requestExport();
+    await dataExportWorker.tick();
+
+    const res = await download(exports[0]._id);
+
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="account-export-\d{4}-\d{2}-\d{2}\.zip"$/);
+  });
+
+  it('refuses to download an export that is not ready', async () => {
+    // Left pending: the worker doesn't pick it up
+    jest.spyOn(dataExportWorker, 'tick').mockReturnValue(null);
+    const { body } = await requestExport();
+
+    const res = await download(body.data.export.id);
+
+    expect(res.status).toBe(409);
+  });
+
+  describe('with a personal access token', () => {
+    let accessToken;
+
+    beforeEach(() => {
+      accessToken = new AccessToken({ user: user._id, name: 'Backup script', scopes: ['notes:read'] });
+      jest.spyOn(AccessToken, 'findActiveByToken').mockImplementation(async token => (token === 'nat_backup' ? accessToken : null));
+      jest.spyOn(AccessToken.prototype, 'touch').mockReturnValue(undefined);
+
+      // More notes than are exported in the response
+      jest.spyOn(Note, 'countDocuments').mockResolvedValue(config.noteExports.syncMaxNotes + 1);
+      jest.spyOn(Note, 'findByAuthor').mockReturnValue({
+        ...mockQuery([{ _id: note._id, title: 'Plan', content: '# Plan', contentType: 'markdown', tags: [], createdAt: new Date(), updatedAt: new Date() }]),
+        getFilter: () => ({ author: user._id })
+      });
+    });
+
+    const withToken = (req) => req.set('Authorization', 'Bearer nat_backup');
+
+    it('downloads a notes export built in the background', async () => {
+      const started = await withToken(request(app).post('/api/notes/export')).send({ format: 'markdown' });
+      expect(started.status).toBe(202);
+      await dataExportWorker.tick();
+
+      const status = await withToken(request(app).get(`/api/auth/exports/${started.body.data.export.id}`));
+      expect(status.body.data.export).toMatchObject({ type: 'notes', status: 'ready' });
+
+      const res = await withToken(request(app).get(status.body.data.export.downloadUrl)).buffer(true).parse(binary);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toMatch(/filename="notes-\d{4}-\d{2}-\d{2}\.zip"/);
+      expect(Object.keys(await readArchive(res.body))).toEqual(['Plan.md']);
+    });
+
+    it('cannot see or download an account archive', async () => {
+      await requestExport();
+      await dataExportWorker.tick();
+
+      const status = await withToken(request(app).get(`/api/auth/exports/${exports[0]._id}`));
+      const res = await withToken(request(app).get(`/api/auth/exports/${exports[0]._id}/download`));
+
+      expect(status.status).toBe(404);
+      expect(res.status).toBe(404);
+    });
+
+    it('needs the notes:read scope', async () => {
+      accessToken.scopes = ['tags:read'];
+
+      const res = await withToken(request(app).get(`/api/auth/exports/${note._id}/download`));
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { diffTokens, diffText, mergeText } = require('../src/utils/diff');
+const config = require('../config/config');
+
+const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} ${i}\n`).join('');
+
+// Rebuild both sides from an edit script
+const apply = (ops) => ({
+  from: ops.filter(op => op.type !== 'insert').map(op => op.value).join(''),
+  to: ops.filter(op => op.type !== 'delete').map(op => op.value).join('')
+});
+
+// Length of the longest common subsequence, by dynamic programming
+const longestCommonSubsequence = (a, b) => {
+  let previous = new Array(b.length + 1).fill(0);
+  a.forEach(token => {
+    const current = [0];
+    b.forEach((other, j) => {
+      current.push(token === other ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    });
+    previous = current;
+  });
+  return previous[b.length];
+};
+
+describe('diffTokens', () => {
+  it('finds a shortest edit script', () => {
+    const ops = diffTokens('ABCABBA'.split(''), 'CBABAC'.split(''));
+
+    expect(apply(ops)).toEqual({ from: 'ABCABBA', to: 'CBABAC' });
+    expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+  });
+
+  it('keeps the edit scripts of random texts minimal and complete', () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const text = () => Array.from({ length: Math.floor(random() * 30) }, () => 'abc'[Math.floor(random() * 3)]);
+
+    for (let run = 0; run < 200; run++) {
+      const a = text();
+      const b = text();
+      const ops = diffTokens(a, b);
+
+      expect(apply(ops)).toEqual({ from: a.join(''), to: b.join('') });
+      expect(ops.filter(op => op.type === 'equal')).toHaveLength(longestCommonSubsequence(a, b));
+    }
+  });
+
+  it('diffs unrelated texts up to the limit', () => {
+    const half = config.versioning.maxDiffTokens / 2;
+
+    const { stats } = diffText(lines('old', half), lines('new', half));
+
+    expect(stats).toEqual({ additions: half, deletions: half, unchanged: 0 });
+  });
+
+  it('refuses texts over the limit', () => {
+    const half = config.versioning.maxDiffTokens / 2;
+
+    expect(() => diffText(lines('old', half + 1), lines('new', half)))
+      .toThrow(expect.objectContaining({ statusCode: 413 }));
+  });
+});
+
+describe('mergeText', () => {
+  it('merges changes to different lines', () => {
+    const result = mergeText('one\ntwo\nthree\n', 'ONE\ntwo\nthree\n', 'one\ntwo\nTHREE\n');
+
+    expect(result).toMatchObject({ merged: 'ONE\ntwo\nTHREE\n', clean: true, conflicts: 0 });
+  });
+
+  it('reports changes to the same line as a conflict', () => {
+    const result = mergeText('one\n', 'ours\n', 'theirs\n');
+
+    expect(result.clean).toBe(false);
+    expect(result.hunks).toContainEqual({ type: 'conflict', base: 'one\n', ours: 'ours\n', theirs: 'theirs\n' });
+  });
+});
@@ -0,0 +1,55 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const AccessToken = require('../src/models/AccessToken');
+const AuditEvent = require('../src/models/AuditEvent');
+const { mockQuery, buildUser } = require('./helpers');
+
+describe('email change revert', () => {
+  let user;
+  let revertToken;
+
+  beforeEach(() => {
+    user = buildUser({
+      email: 'owner@example.com',
+      refreshTokens: [{ sessionId: 'intruder', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }]
+    });
+    // Someone with access to the account moved it to their own address
+    ({ revertToken } = user.requestEmailChange('intruder@example.com'));
+    user.confirmEmailChange();
+
+    jest.spyOn(User, 'findByEmailRevertToken').mockImplementation(token => mockQuery(token === revertToken ? user : null));
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(AccessToken, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restores the previous address and revokes the sessions and personal access tokens', async () => {
+    const res = await request(app).post('/api/auth/email/revert').send({ token: revertToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ revokedAccessTokens: 1 });
+    expect(user.email).toBe('owner@example.com');
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(AccessToken.deleteMany).toHaveBeenCalledWith({ user: user._id });
+    expect(AuditEvent.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'user.email_change_reverted',
+      metadata: { revokedAccessTokens: 1 }
+    }));
+  });
+
+  it('keeps the personal access tokens for an invalid token', async () => {
+    const res = await request(app).post('/api/auth/email/revert').send({ token: 'not-the-token' });
+
+    expect(res.status).toBe(400);
+    expect(user.email).toBe('intruder@example.com');
+    expect(AccessToken.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+/**
+ * Stand-in for a Mongoose query that resolves to a value, for stubbing finders
+ * whose result is chained (select, populate, ...) before being awaited
+ * @param {*} value - Result of the query
+ */
+const mockQuery = (value) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+    // Iterated with for await, like a query cursor
+    cursor: () => [].concat(value || []),
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return query;
+};
+
+/**
+ * Build an unsaved user
+ * @param {object} fields - Fields to set on top of the defaults
+ */
+const buildUser = (fields = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  return new User({
+    _id,
+    firstName: 'Test',
+    lastName: 'User',
+    email: `user-${_id}@example.com`,
+    password: 'Secret123',
+    isEmailVerified: true,
+    ...fields
+  });
+};
+
+/**
+ * Make User.findById, and so authenticate, resolve to the given users
+ * @param {...object} users - Users that exist
+ */
+const stubUsers = (...users) => {
+  return jest.spyOn(User, 'findById').mockImplementation(id => {
+    return mockQuery(users.find(user => user._id.equals(id)) || null);
+  });
+};
+
+/**
+ * Authorization header for a user's access token
+ * @param {object} user - User to authenticate as
+ * @param {string} [sessionId] - Session the token belongs to
+ */
+const authHeader = (user, sessionId) => `Bearer ${user.generateAuthToken(sessionId)}`;
+
+module.exports = {
+  mockQuery,
+  buildUser,
+  stubUsers,
+  authHeader
+};
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const LoginEvent = require('../src/models/LoginEvent');
+const mailer = require('../src/utils/mailer');
+const { mockQuery, buildUser } = require('./helpers');
+
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('new device login alerts', () => {
+  let user;
+  let events;
+  let outbox;
+
+  beforeEach(() => {
+    user = buildUser();
+    events = [];
+    outbox = mailer.useMemoryTransport();
+
+    jest.spyOn(User, 'findByEmail').mockImplementation(email => mockQuery(email === user.email ? user : null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(true);
+
+    // Login history, kept in memory
+    jest.spyOn(LoginEvent, 'create').mockImplementation(async (fields) => {
+      const event = new LoginEvent(fields);
+      events.push(event);
+      return event;
+    });
+    jest.spyOn(LoginEvent, 'exists').mockImplementation(async (filter) => (
+      events.some(event => Object.entries(filter).every(([key, value]) => String(event[key]) === String(value))) || null
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = ({ ip, deviceId }) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', CHROME_ON_WINDOWS)
+    .set('X-Forwarded-For', ip)
+    .send({ email: user.email, password: 'Secret123', deviceId });
+
+  // The alert is sent without holding up the response
+  const alerts = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    return outbox.filter(mail => mail.subject === 'New login to your account');
+  };
+
+  it('issues a device id and does not alert on the first login', async () => {
+    const res = await login({ ip: '198.51.100.7' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deviceId).toMatch(/^[a-f0-9]{32}$/);
+    expect(events[0].deviceIdHash).not.toBe(res.body.data.deviceId);
+    expect(await alerts()).toHaveLength(0);
+  });
+
+  it('alerts on the same browser and operating system from another network', async () => {
+    await login({ ip: '198.51.100.7' });
+
+    const res = await login({ ip: '203.0.113.50' });
+
+    expect(res.status).toBe(200);
+    expect(events[1].newDevice).toBe(true);
+    const sent = await alerts();
+    expect(sent).toHaveLength(1);
+    expect(sent[0].text).toContain('IP address: 203.0.113.50');
+  });
+
+  it('alerts on an unknown device id from another network', async () => {
+    await login({ ip: '198.51.100.7' });
+
+    await login({ ip: '203.0.113.50', deviceId: LoginEvent.generateDeviceId() });
+
+    expect(events[1].newDevice).toBe(true);
+    expect(await alerts()).toHaveLength(1);
+  });
+
+  it('does not alert on a device id issued at an earlier login, from any network', async () => {
+    const { body } = await login({ ip: '198.51.100.7' });
+
+    const res = await login({ ip: '203.0.113.50', deviceId: body.data.deviceId });
+
+    expect(res.body.data.deviceId).toBe(body.data.deviceId);
+    expect(events[1].newDevice).toBe(false);
+    expect(await alerts()).toHaveLength(0);
+  });
+
+  it('does not alert on the same browser and operating system from the same network', async () => {
+    await login({ ip: '198.51.100.7' });
+
+    await login({ ip: '198.51.100.8' });
+
+    expect(events[1].newDevice).toBe(false);
+    expect(await alerts()).toHaveLength(0);
+  });
+
+  it('rejects a malformed device id', async () => {
+    const res = await login({ ip: '198.51.100.7', deviceId: 'not-a-device-id' });
+
+    expect(res.status).toBe(400);
+    expect(events).toHaveLength(0);
+  });
+});
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const mailer = require('../src/utils/mailer');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const LoginEvent = require('../src/models/LoginEvent');
+
+describe('mailer', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = mailer.useMemoryTransport();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const user = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' };
+
+  it('keeps sent messages in the memory outbox', async () => {
+    await mailer.sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi', html: '<p>Hi</p>' });
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject({
+      to: 'ada@example.com',
+      subject: 'Hello',
+      text: 'Hi',
+      html: '<p>Hi</p>'
+    });
+    expect(outbox[0].envelope.to).toEqual(['ada@example.com']);
+  });
+
+  it('empties the outbox when the memory transport is set up again', async () => {
+    await mailer.sendWelcomeEmail(user);
+    expect(outbox).toHaveLength(1);
+
+    expect(mailer.useMemoryTransport()).toHaveLength(0);
+  });
+
+  it('sends the verification link with the raw token', async () => {
+    await mailer.sendVerificationEmail(user, 'raw-token');
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe('ada@example.com');
+    expect(outbox[0].text).toContain('token=raw-token');
+    expect(outbox[0].html).toContain('token=raw-token');
+  });
+
+  it('escapes user supplied values in HTML bodies', async () => {
+    await mailer.sendWelcomeEmail({ ...user, firstName: '<script>alert(1)</script>' });
+
+    expect(outbox[0].html).not.toContain('<script>');
+    expect(outbox[0].html).toContain('&lt;script&gt;');
+  });
+
+  it('accepts a replacement transport', async () => {
+    const sendMail = jest.fn().mockResolvedValue({ messageId: 'stub' });
+    mailer.setTransport({ sendMail });
+
+    await mailer.sendPasswordResetEmail(user, 'reset-token');
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com' }));
+    expect(outbox).toHaveLength(0);
+  });
+
+  describe('on registration', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findByEmail').mockResolvedValue(null);
+      jest.spyOn(User, 'create').mockImplementation(async (fields) => new User(fields));
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+      jest.spyOn(LoginEvent, 'record').mockResolvedValue(null);
+    });
+
+    const register = () => request(app)
+      .post('/api/auth/register')
+      .send({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'Secret123' });
+
+    it('sends the welcome and verification emails', async () => {
+      const res = await register();
+
+      expect(res.status).toBe(201);
+      expect(outbox.map(mail => mail.subject)).toEqual(['Verify your email address', 'Welcome to Notes App']);
+      expect(outbox.every(mail => mail.to === 'ada@example.com')).toBe(true);
+    });
+
+    it('still sends the verification email when the welcome email fails', async () => {
+      jest.spyOn(mailer, 'sendWelcomeEmail').mockRejectedValue(new Error('SMTP down'));
+
+      const res = await register();
+
+      expect(res.status).toBe(201);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].subject).toBe('Verify your email address');
+      expect(outbox[0].text).toMatch(/token=[0-9a-f]{64}/);
+    });
+  });
+});
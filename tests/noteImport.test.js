@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const Note = require('../src/models/Note');
+const Category = require('../src/models/Category');
+const Tag = require('../src/models/Tag');
+const { importNotes } = require('../src/utils/noteImport');
+const config = require('../config/config');
+const { buildUser } = require('./helpers');
+
+const enexNote = (title, text) => `<note><title>${title}</title>` +
+  `<content><![CDATA[<en-note><div>${text}</div></en-note>]]></content></note>`;
+
+const keepNote = (title, text) => JSON.stringify({
+  title,
+  textContent: text,
+  createdTimestampUsec: 1700000000000000,
+  userEditedTimestampUsec: 1700000000000000
+});
+
+describe('note imports', () => {
+  const user = buildUser();
+  let dir;
+  let previousMaxNoteSize;
+  let notes;
+  let categories;
+
+  beforeAll(() => {
+    previousMaxNoteSize = config.imports.maxNoteSize;
+    config.imports.maxNoteSize = 1024;
+  });
+
+  afterAll(() => {
+    config.imports.maxNoteSize = previousMaxNoteSize;
+  });
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notes-import-'));
+    notes = [];
+    categories = [];
+
+    jest.spyOn(Note.prototype, 'save').mockImplementation(async function() {
+      notes.push(this);
+      return this;
+    });
+    // Categories, kept in memory
+    jest.spyOn(Category, 'findOne').mockImplementation(async ({ owner, name }) => (
+      categories.find(category => category.owner.equals(owner) && category.name === name) || null
+    ));
+    jest.spyOn(Category, 'create').mockImplementation(async (fields) => {
+      const category = new Category(fields);
+      categories.push(category);
+      return category;
+    });
+    jest.spyOn(Tag, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = async (name, contents) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, contents);
+    return filePath;
+  };
+
+  const writeZip = async (name, entries) => {
+    const filePath = path.join(dir, name);
+    const archive = archiver('zip');
+    const done = new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(output);
+    });
+
+    Object.entries(entries).forEach(([entryName, contents]) => archive.append(contents, { name: entryName }));
+    await archive.finalize();
+    await done;
+    return filePath;
+  };
+
+  describe('note size limit', () => {
+    it('leaves out a Keep note in an archive that is over the limit', async () => {
+      const filePath = await writeZip('takeout.zip', {
+        'Takeout/Keep/Small.json': keepNote('Small', 'Short note'),
+        'Takeout/Keep/Large.json': keepNote('Large', 'x'.repeat(2000))
+      });
+
+      const report = await importNotes(user, filePath, { fileName: 'takeout.zip', format: 'keep' });
+
+      expect(report).toMatchObject({ total: 2, imported: 1, failed: 1 });
+      expect(report.results).toContainEqual(expect.objectContaining({
+        file: 'Takeout/Keep/Large.json',
+        status: 'failed',
+        error: 'File is larger than 1 KB'
+      }));
+      expect(notes.map(note => note.title)).toEqual(['Small']);
+    });
+
+    it('rejects a single Keep note over the limit', async () => {
+      const filePath = await writeFile('large.json', keepNote('Large', 'x'.repeat(2000)));
+
+      const report = importNotes(user, filePath, { fileName: 'large.json', format: 'keep' });
+
+      await expect(report).rejects.toMatchObject({ statusCode: 400, message: 'File is larger than 1 KB' });
+      expect(notes).toHaveLength(0);
+    });
+
+    it('leaves out an Evernote note over the limit', async () => {
+      const filePath = await writeFile('notebook.enex', '<?xml version="1.0" encoding="UTF-8"?><en-export>' +
+        enexNote('Large', 'x'.repeat(2000)) + enexNote('Small', 'Short note') + '</en-export>');
+
+      const report = await importNotes(user, filePath, { fileName: 'notebook.enex', format: 'enex' });
+
+      expect(report).toMatchObject({ total: 2, imported: 1, failed: 1 });
+      expect(report.results).toContainEqual(expect.objectContaining({
+        file: 'notebook.enex#1',
+        status: 'failed',
+        error: 'File is larger than 1 KB'
+      }));
+      expect(notes.map(note => note.title)).toEqual(['Small']);
+    });
+
+    it('rejects a single Markdown file over the limit', async () => {
+      const filePath = await writeFile('large.md', `# Large\n\n${'x'.repeat(2000)}`);
+
+      const report = importNotes(user, filePath, { fileName: 'large.md', format: 'markdown' });
+
+      await expect(report).rejects.toMatchObject({ statusCode: 400, message: 'File is larger than 1 KB' });
+      expect(notes).toHaveLength(0);
+    });
+  });
+
+  describe('categories', () => {
+    const category = (name, parent = null) => {
+      const created = new Category({ name, owner: user._id, parent });
+      categories.push(created);
+      return created;
+    };
+
+    // Names of a category and its parents, from the root
+    const categoryPath = (id) => {
+      const found = categories.find(candidate => candidate._id.equals(id));
+      return found.parent ? `${categoryPath(found.parent)}/${found.name}` : found.name;
+    };
+
+    it('maps folders to categories under their parent folder', async () => {
+      const filePath = await writeZip('notes.zip', {
+        'Work/Projects/Roadmap.md': '# Roadmap',
+        'Work/Projects/Budget.md': '# Budget',
+        'Personal/Garden.md': '# Garden'
+      });
+
+      const report = await importNotes(user, filePath, { fileName: 'notes.zip', format: 'markdown' });
+
+      expect(report.imported).toBe(3);
+      expect(notes.map(note => categoryPath(note.category))).toEqual(['Work/Projects', 'Work/Projects', 'Personal']);
+      expect(categories).toHaveLength(3);
+      expect(report.results.every(result => !result.warnings)).toBe(true);
+    });
+
+    it('reuses an existing category with the same parent', async () => {
+      const work = category('Work');
+      const projects = category('Projects', work._id);
+      const filePath = await writeZip('notes.zip', { 'Work/Projects/Roadmap.md': '# Roadmap' });
+
+      await importNotes(user, filePath, { fileName: 'notes.zip', format: 'markdown' });
+
+      expect(notes[0].category).toEqual(projects._id);
+      expect(categories).toHaveLength(2);
+    });
+
+    it('does not merge a folder into a category of the same name under another parent', async () => {
+      category('Projects', category('Work')._id);
+      const filePath = await writeZip('notes.zip', {
+        'Personal/Projects/Shed.md': '# Shed',
+        'Personal/Projects/Pond.md': '# Pond'
+      });
+
+      const report = await importNotes(user, filePath, { fileName: 'notes.zip', format: 'markdown' });
+
+      expect(report.imported).toBe(2);
+      expect(notes.map(note => categoryPath(note.category))).toEqual(['Personal/Projects (2)', 'Personal/Projects (2)']);
+      report.results.forEach(result => {
+        expect(result.warnings).toEqual(['Category "Projects" exists elsewhere, imported into "Projects (2)"']);
+      });
+    });
+  });
+});
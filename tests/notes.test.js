@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const Note = require('../src/models/Note');
+const NoteVersion = require('../src/models/NoteVersion');
+const config = require('../config/config');
+const { mockQuery, buildUser, stubUsers, authHeader } = require('./helpers');
+
+describe('PUT /api/notes/:id', () => {
+  const owner = buildUser();
+  const editor = buildUser();
+  let note;
+
+  beforeEach(() => {
+    note = new Note({
+      title: 'Plan',
+      content: 'First draft',
+      author: owner._id,
+      collaborators: [{ user: editor._id, permission: 'edit' }],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    stubUsers(owner, editor);
+    jest.spyOn(Note, 'findOne').mockResolvedValue(note);
+    jest.spyOn(Note.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Note.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const update = (user, body) => request(app)
+    .put(`/api/notes/${note._id}`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('lets an edit collaborator change the title and content', async () => {
+    const res = await update(editor, { title: 'Plan B', content: 'Second draft' });
+
+    expect(res.status).toBe(200);
+    expect(note.title).toBe('Plan B');
+    expect(note.content).toBe('Second draft');
+  });
+
+  it.each([
+    ['isPinned', true],
+    ['isFavorite', true],
+    ['status', 'archived'],
+    ['priority', 'high']
+  ])('keeps %s owner-only', async (field, value) => {
+    const res = await update(editor, { title: 'Plan B', [field]: value });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain(field);
+    expect(note.title).toBe('Plan');
+    expect(Note.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('lets the owner change owner-only fields', async () => {
+    const res = await update(owner, { isPinned: true, status: 'published' });
+
+    expect(res.status).toBe(200);
+    expect(note.isPinned).toBe(true);
+    expect(note.status).toBe('published');
+  });
+
+  describe('stale updates', () => {
+    const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} ${i}\n`).join('');
+
+    beforeEach(() => {
+      note.version = 2;
+      jest.spyOn(NoteVersion, 'findOne').mockImplementation(() => mockQuery({
+        version: 1,
+        title: 'Plan',
+        content: 'First\n',
+        modifiedAt: new Date()
+      }));
+    });
+
+    it('answers 409 with a merge preview', async () => {
+      note.content = 'First\nSecond\n';
+
+      const res = await update(editor, { version: 1, content: 'Zeroth\nFirst\n' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.currentVersion).toBe(2);
+      expect(res.body.data.mergePreview.content).toMatchObject({ merged: 'Zeroth\nFirst\nSecond\n', clean: true });
+      expect(Note.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('leaves out the merge preview of texts too large to merge', async () => {
+      note.content = lines('theirs', config.versioning.maxDiffTokens);
+
+      const res = await update(editor, { version: 1, content: lines('ours', config.versioning.maxDiffTokens) });
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.current.version).toBe(2);
+      expect(res.body.data.mergePreview).toBeNull();
+    });
+
+    it('answers 409 when another save lands between loading and saving', async () => {
+      // Loaded at version 2, but someone else saves version 3 before this save
+      Note.findOne.mockResolvedValue(Note.hydrate(note.toObject()));
+      Note.prototype.save.mockRestore();
+      jest.spyOn(Note.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+      jest.spyOn(Note, 'findById').mockResolvedValue(Note.hydrate({ ...note.toObject(), content: 'Their draft', version: 3 }));
+
+      const res = await update(editor, { content: 'Second draft' });
+
+      expect(res.status).toBe(409);
+      expect(Note.collection.updateOne).toHaveBeenCalledWith(expect.objectContaining({ version: 2 }), expect.anything(), expect.anything());
+      expect(res.body.data.current).toMatchObject({ content: 'Their draft', version: 3 });
+    });
+  });
+});
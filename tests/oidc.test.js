@@ -0,0 +1,165 @@
+const http = require('http');
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const OAuthState = require('../src/models/OAuthState');
+const AuditEvent = require('../src/models/AuditEvent');
+const LoginEvent = require('../src/models/LoginEvent');
+const mailer = require('../src/utils/mailer');
+const config = require('../config/config');
+const { startMockIssuer } = require('../scripts/mockOidcIssuer');
+const { mockQuery, buildUser } = require('./helpers');
+
+/**
+ * Follow an authorization URL to the mock issuer, which approves it right away,
+ * and return the code and state it redirects back with
+ * @param {string} authorizationUrl - URL from the API
+ * @param {object} params - Query parameters to change, e.g. login_hint
+ */
+const approve = (authorizationUrl, params = {}) => new Promise((resolve, reject) => {
+  const url = new URL(authorizationUrl);
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+
+  http.get(url, (res) => {
+    res.resume();
+    const location = new URL(res.headers.location);
+    resolve({
+      code: location.searchParams.get('code'),
+      state: location.searchParams.get('state')
+    });
+  }).on('error', reject);
+});
+
+describe('OpenID Connect login against the mock issuer', () => {
+  let issuer;
+  let previousProviders;
+  let users;
+  let states;
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer({ port: 0 });
+
+    previousProviders = config.oidc.providers;
+    config.oidc.providers = [{
+      id: 'mock',
+      name: 'Mock',
+      issuer: issuer.issuer,
+      clientId: issuer.clientId,
+      clientSecret: issuer.clientSecret,
+      scopes: 'openid email profile'
+    }];
+  });
+
+  afterAll(async () => {
+    config.oidc.providers = previousProviders;
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    users = [];
+    states = [];
+    mailer.useMemoryTransport();
+
+    // Users and pending authorization requests, kept in memory
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      if (!users.includes(this)) users.push(this);
+      return this;
+    });
+    jest.spyOn(User, 'findByIdentity').mockImplementation((provider, subject) => mockQuery(
+      users.find(user => user.identities.some(identity => identity.provider === provider && identity.subject === subject)) || null
+    ));
+    jest.spyOn(User, 'findByEmail').mockImplementation(email => mockQuery(
+      users.find(user => user.email === email.toLowerCase()) || null
+    ));
+    jest.spyOn(OAuthState, 'create').mockImplementation(async (fields) => {
+      const pending = new OAuthState(fields);
+      states.push(pending);
+      return pending;
+    });
+    jest.spyOn(OAuthState, 'findOneAndDelete').mockImplementation(async ({ state, createdAt }) => {
+      const index = states.findIndex(pending => pending.state === state && pending.createdAt > createdAt.$gt);
+      return index === -1 ? null : states.splice(index, 1)[0];
+    });
+
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(LoginEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const authorize = async () => {
+    const res = await request(app).post('/api/auth/oidc/mock/authorize');
+    expect(res.status).toBe(200);
+    return res.body.data;
+  };
+
+  const callback = (body) => request(app).post('/api/auth/oidc/callback').send(body);
+
+  it('signs up a new user through authorize, callback and the token exchange', async () => {
+    const { authorizationUrl, state } = await authorize();
+    const url = new URL(authorizationUrl);
+    expect(url.origin).toBe(issuer.issuer);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+
+    const redirect = await approve(authorizationUrl, { login_hint: 'grace.hopper@example.com' });
+    expect(redirect.state).toBe(state);
+
+    const res = await callback(redirect);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ email: 'grace.hopper@example.com', firstName: 'Grace', isEmailVerified: true });
+    expect(res.body.data.tokens.accessToken).toEqual(expect.any(String));
+    expect(users).toHaveLength(1);
+    expect(users[0].identities[0]).toMatchObject({ provider: 'mock', email: 'grace.hopper@example.com' });
+  });
+
+  it('logs in the linked user on the next login', async () => {
+    const first = await authorize();
+    await callback(await approve(first.authorizationUrl, { login_hint: 'grace.hopper@example.com' }));
+
+    const second = await authorize();
+    const res = await callback(await approve(second.authorizationUrl, { login_hint: 'grace.hopper@example.com' }));
+
+    expect(res.status).toBe(200);
+    expect(users).toHaveLength(1);
+    expect(res.body.data.user.id).toBe(String(users[0]._id));
+  });
+
+  it('rejects an ID token whose nonce is not the one of the request', async () => {
+    const { authorizationUrl } = await authorize();
+
+    // A code obtained for another authorization request
+    const redirect = await approve(authorizationUrl, { nonce: 'attacker-nonce', login_hint: 'grace.hopper@example.com' });
+    const res = await callback(redirect);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid ID token');
+    expect(users).toHaveLength(0);
+  });
+
+  it('accepts a state only once', async () => {
+    const { authorizationUrl } = await authorize();
+    const redirect = await approve(authorizationUrl, { login_hint: 'grace.hopper@example.com' });
+
+    expect((await callback(redirect)).status).toBe(200);
+
+    const replay = await callback(redirect);
+    expect(replay.status).toBe(400);
+    expect(replay.body.message).toMatch(/invalid or expired/);
+  });
+
+  it('does not take over an existing account with the same email', async () => {
+    const existing = buildUser({ email: 'grace.hopper@example.com' });
+    users.push(existing);
+
+    const { authorizationUrl } = await authorize();
+    const res = await callback(await approve(authorizationUrl, { login_hint: 'grace.hopper@example.com' }));
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toBeUndefined();
+    expect(existing.identities).toHaveLength(0);
+    expect(users).toHaveLength(1);
+  });
+});
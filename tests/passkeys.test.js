@@ -0,0 +1,167 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const WebAuthnChallenge = require('../src/models/WebAuthnChallenge');
+const AuditEvent = require('../src/models/AuditEvent');
+const LoginEvent = require('../src/models/LoginEvent');
+const config = require('../config/config');
+const { authLimiter } = require('../src/middleware/rateLimiter');
+const { mockQuery, buildUser, stubUsers, authHeader } = require('./helpers');
+const { SoftwareAuthenticator } = require('./softwareAuthenticator');
+
+describe('passkeys with a software authenticator', () => {
+  let user;
+  let authenticator;
+  let challenges;
+
+  beforeEach(() => {
+    user = buildUser();
+    authenticator = new SoftwareAuthenticator({ rpId: config.webauthn.rpId, origin: config.webauthn.origins[0] });
+    challenges = [];
+
+    stubUsers(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User, 'findByPasskey').mockImplementation(credentialId => mockQuery(
+      user.findPasskey(credentialId) ? user : null
+    ));
+    jest.spyOn(User, 'findByEmail').mockImplementation(email => mockQuery(email === user.email ? user : null));
+
+    // Pending ceremonies, kept in memory
+    jest.spyOn(WebAuthnChallenge, 'create').mockImplementation(async (fields) => {
+      const pending = new WebAuthnChallenge(fields);
+      challenges.push(pending);
+      return pending;
+    });
+    jest.spyOn(WebAuthnChallenge, 'findOneAndDelete').mockImplementation(async ({ challenge, type, createdAt }) => {
+      const index = challenges.findIndex(pending => pending.challenge === challenge && pending.type === type && pending.createdAt > createdAt.$gt);
+      return index === -1 ? null : challenges.splice(index, 1)[0];
+    });
+
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(LoginEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    // Every rejected ceremony counts towards the login rate limit of the test client
+    authLimiter.resetKey('::ffff:127.0.0.1');
+  });
+
+  const registrationOptions = async () => {
+    const res = await request(app)
+      .post('/api/auth/passkeys/register/options')
+      .set('Authorization', authHeader(user));
+    expect(res.status).toBe(200);
+    return res.body.data.options;
+  };
+
+  const register = (response) => request(app)
+    .post('/api/auth/passkeys/register')
+    .set('Authorization', authHeader(user))
+    .send({ response, name: 'Laptop' });
+
+  const loginOptions = async () => {
+    const res = await request(app).post('/api/auth/login/passkey/options').send({ email: user.email });
+    expect(res.status).toBe(200);
+    return res.body.data.options;
+  };
+
+  const login = (response) => request(app).post('/api/auth/login/passkey').send({ response });
+
+  const registerPasskey = async () => {
+    const res = await register(authenticator.create(await registrationOptions()));
+    expect(res.status).toBe(201);
+  };
+
+  describe('registration', () => {
+    it('stores a user-verified passkey', async () => {
+      const options = await registrationOptions();
+      expect(options.authenticatorSelection.userVerification).toBe('required');
+
+      const res = await register(authenticator.create(options));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.passkey).toMatchObject({ name: 'Laptop', transports: ['internal'] });
+      expect(user.passkeys).toHaveLength(1);
+      expect(user.passkeys[0]).toMatchObject({
+        credentialId: authenticator.id,
+        counter: 0,
+        aaguid: '5f2c1c3e-8a0b-4d6e-9f7a-1b2c3d4e5f60'
+      });
+    });
+
+    it('rejects a passkey created without user verification', async () => {
+      const res = await register(authenticator.create(await registrationOptions(), { userVerified: false }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Passkey registration could not be verified');
+      expect(user.passkeys).toHaveLength(0);
+    });
+
+    it('accepts a challenge only once', async () => {
+      const options = await registrationOptions();
+      expect((await register(authenticator.create(options))).status).toBe(201);
+
+      const replay = await register(authenticator.create(options));
+
+      expect(replay.status).toBe(400);
+      expect(replay.body.message).toMatch(/invalid or expired/);
+      expect(user.passkeys).toHaveLength(1);
+    });
+  });
+
+  describe('login', () => {
+    beforeEach(registerPasskey);
+
+    it('logs in and records the signature counter', async () => {
+      const res = await login(authenticator.get(await loginOptions()));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tokens.accessToken).toEqual(expect.any(String));
+      expect(user.passkeys[0].counter).toBe(1);
+      expect(user.passkeys[0].lastUsedAt).toBeInstanceOf(Date);
+    });
+
+    it('rejects an assertion without user verification', async () => {
+      const res = await login(authenticator.get(await loginOptions(), { userVerified: false }));
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Passkey could not be verified');
+      expect(user.refreshTokens).toHaveLength(0);
+    });
+
+    it('rejects a signature counter that did not move forward', async () => {
+      expect((await login(authenticator.get(await loginOptions()))).status).toBe(200);
+
+      // A cloned authenticator reports a counter the server has already seen
+      const res = await login(authenticator.get(await loginOptions(), { counter: 1 }));
+
+      expect(res.status).toBe(401);
+      expect(user.passkeys[0].counter).toBe(1);
+      expect(LoginEvent.record).toHaveBeenLastCalledWith(expect.objectContaining({ success: false, reason: 'invalid_passkey' }));
+    });
+
+    it('accepts a challenge only once', async () => {
+      const assertion = authenticator.get(await loginOptions());
+      expect((await login(assertion)).status).toBe(200);
+
+      const replay = await login(assertion);
+
+      expect(replay.status).toBe(400);
+      expect(replay.body.message).toMatch(/invalid or expired/);
+      expect(user.refreshTokens).toHaveLength(1);
+    });
+
+    it('refuses an account an admin forced into a password reset', async () => {
+      user.passwordResetRequired = true;
+
+      const res = await login(authenticator.get(await loginOptions()));
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toMatch(/reset your password/);
+      expect(user.refreshTokens).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const AccessToken = require('../src/models/AccessToken');
+const AuditEvent = require('../src/models/AuditEvent');
+const { authLimiter } = require('../src/middleware/rateLimiter');
+const { mockQuery, buildUser, stubUsers, authHeader } = require('./helpers');
+
+describe('password changes', () => {
+  let user;
+
+  beforeEach(() => {
+    user = buildUser({
+      refreshTokens: [{ sessionId: 'laptop', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }]
+    });
+
+    stubUsers(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User.prototype, 'comparePassword').mockImplementation(async candidate => candidate === 'Secret123');
+    jest.spyOn(AccessToken, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    authLimiter.resetKey('::ffff:127.0.0.1');
+  });
+
+  it('revokes the sessions and personal access tokens on a password change', async () => {
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .set('Authorization', authHeader(user, 'laptop'))
+      .send({ currentPassword: 'Secret123', newPassword: 'Changed123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ revokedAccessTokens: 2 });
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(AccessToken.deleteMany).toHaveBeenCalledWith({ user: user._id });
+    expect(AuditEvent.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'user.password_changed',
+      metadata: { revokedAccessTokens: 2 }
+    }));
+  });
+
+  it('keeps the personal access tokens when the current password is wrong', async () => {
+    const res = await request(app)
+      .put('/api/auth/change-password')
+      .set('Authorization', authHeader(user, 'laptop'))
+      .send({ currentPassword: 'Wrong123', newPassword: 'Changed123' });
+
+    expect(res.status).toBe(400);
+    expect(user.refreshTokens).toHaveLength(1);
+    expect(AccessToken.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('revokes the sessions and personal access tokens on a password reset', async () => {
+    const token = user.generatePasswordResetToken();
+    jest.spyOn(User, 'findOne').mockImplementation(({ passwordResetToken }) => mockQuery(
+      passwordResetToken === crypto.createHash('sha256').update(token).digest('hex') ? user : null
+    ));
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'Changed123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ revokedAccessTokens: 2 });
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(AccessToken.deleteMany).toHaveBeenCalledWith({ user: user._id });
+    expect(AuditEvent.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'user.password_reset',
+      metadata: { revokedAccessTokens: 2 }
+    }));
+  });
+});
@@ -0,0 +1,155 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const config = require('../config/config');
+const { mockQuery, buildUser } = require('./helpers');
+
+describe('refresh token rotation', () => {
+  const account = buildUser();
+  // Sessions as stored in the database
+  let stored;
+
+  // A fresh copy of the user for every lookup, like a database read
+  const load = () => User.hydrate({
+    ...account.toObject(),
+    refreshTokens: stored.map(session => ({ ...session }))
+  });
+
+  const startSession = () => load().createSession({ deviceName: 'Laptop' });
+
+  beforeEach(() => {
+    stored = [];
+
+    jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(account._id.equals(id) ? load() : null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      stored = this.refreshTokens.map(session => session.toObject());
+      return this;
+    });
+    // The two updates sessions use: rotating the token of a session and removing a session
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$pull) {
+        const count = stored.length;
+        stored = stored.filter(session => session.sessionId !== update.$pull.refreshTokens.sessionId);
+        return { modifiedCount: count - stored.length };
+      }
+
+      const { sessionId, tokenHash } = filter.refreshTokens.$elemMatch;
+      const session = stored.find(candidate => candidate.sessionId === sessionId && candidate.tokenHash === tokenHash);
+      if (!session) return { modifiedCount: 0 };
+
+      Object.entries(update.$set).forEach(([path, value]) => {
+        session[path.replace('refreshTokens.$.', '')] = value;
+      });
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh-token').send({ refreshToken });
+
+  const getMe = (accessToken) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+  it('issues new tokens for the same session', async () => {
+    const { sessionId, refreshToken } = await startSession();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens.refreshToken).not.toBe(refreshToken);
+    expect(jwt.decode(res.body.data.tokens.refreshToken).sid).toBe(sessionId);
+    expect(jwt.decode(res.body.data.tokens.accessToken).sid).toBe(sessionId);
+    expect((await getMe(res.body.data.tokens.accessToken)).status).toBe(200);
+    expect(stored).toHaveLength(1);
+  });
+
+  it('keeps rotating with each new refresh token', async () => {
+    let { refreshToken } = await startSession();
+
+    for (let i = 0; i < 3; i++) {
+      const res = await refresh(refreshToken);
+      expect(res.status).toBe(200);
+      ({ refreshToken } = res.body.data.tokens);
+    }
+
+    expect(stored).toHaveLength(1);
+  });
+
+  it('revokes the whole session when a rotated token is reused', async () => {
+    const { refreshToken: spent } = await startSession();
+    const { body } = await refresh(spent);
+
+    const reuse = await refresh(spent);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toBe('Refresh token has already been used. Please login again.');
+    expect(stored).toHaveLength(0);
+
+    // The latest token and its access token die with the session
+    expect((await refresh(body.data.tokens.refreshToken)).status).toBe(401);
+    expect((await getMe(body.data.tokens.accessToken)).status).toBe(401);
+  });
+
+  it('leaves the other sessions of the user alone on reuse', async () => {
+    const { refreshToken: spent } = await startSession();
+    const other = await startSession();
+    await refresh(spent);
+
+    await refresh(spent);
+
+    expect(stored.map(session => session.sessionId)).toEqual([other.sessionId]);
+    expect((await refresh(other.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the session when a concurrent request rotated the token first', async () => {
+    const { refreshToken } = await startSession();
+    const rotate = User.updateOne.getMockImplementation();
+    // Another request spends the token between the lookup and the rotation
+    User.updateOne.mockImplementationOnce(async (filter, update) => {
+      stored[0].tokenHash = 'rotated-by-another-request';
+      return rotate(filter, update);
+    });
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Refresh token has already been used. Please login again.');
+    expect(stored).toHaveLength(0);
+  });
+
+  it('rejects an expired refresh token', async () => {
+    const { sessionId } = await startSession();
+    const expired = jwt.sign(
+      { id: account._id, type: 'refresh', sid: sessionId, exp: Math.floor(Date.now() / 1000) - 60 },
+      config.jwt.refreshSecret
+    );
+
+    const res = await refresh(expired);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid or expired refresh token.');
+  });
+
+  it('rejects the refresh token of an expired session', async () => {
+    const { refreshToken } = await startSession();
+    stored[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Refresh token not found.');
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const { sessionId } = await startSession();
+    const forged = jwt.sign({ id: account._id, type: 'refresh', sid: sessionId }, 'not-the-secret');
+
+    const res = await refresh(forged);
+
+    expect(res.status).toBe(401);
+    expect(stored).toHaveLength(1);
+  });
+});
@@ -0,0 +1,104 @@
+const http = require('http');
+
+/**
+ * Decode an aws-chunked request body (streamed uploads): hex-size[;signature]\r\n data \r\n ... 0\r\n trailers
+ */
+const decodeAwsChunked = (raw) => {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < raw.length) {
+    const lineEnd = raw.indexOf('\r\n', offset);
+    const size = parseInt(raw.subarray(offset, lineEnd).toString().split(';')[0], 16);
+    if (!size) break;
+
+    chunks.push(raw.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+
+  return Buffer.concat(chunks);
+};
+
+const sendError = (res, statusCode, code, message) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+};
+
+/**
+ * Minimal S3-compatible server, standing in for MinIO in tests. Supports
+ * path-style PutObject, GetObject (with Range) and DeleteObject on one bucket.
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<object>} { endpoint, objects, close() }
+ */
+const startS3Server = (bucket) => {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+
+    if (bucketName !== bucket) {
+      return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist.');
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+
+      if (req.method === 'PUT') {
+        const streamed = (req.headers['x-amz-content-sha256'] || '').startsWith('STREAMING-') ||
+          (req.headers['content-encoding'] || '').includes('aws-chunked');
+        objects.set(key, {
+          body: streamed ? decodeAwsChunked(raw) : raw,
+          contentType: req.headers['content-type']
+        });
+        res.writeHead(200, { ETag: '"stand-in"' });
+        return res.end();
+      }
+
+      if (req.method === 'GET') {
+        const object = objects.get(key);
+        if (!object) {
+          return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+        }
+
+        const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (match) {
+          const start = Number(match[1]);
+          const end = match[2] ? Math.min(Number(match[2]), object.body.length - 1) : object.body.length - 1;
+          res.writeHead(206, {
+            'Content-Type': object.contentType,
+            'Content-Length': end - start + 1,
+            'Content-Range': `bytes ${start}-${end}/${object.body.length}`
+          });
+          return res.end(object.body.subarray(start, end + 1));
+        }
+
+        res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+        return res.end(object.body);
+      }
+
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      sendError(res, 405, 'MethodNotAllowed', 'The specified method is not allowed.');
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+module.exports = { startS3Server };
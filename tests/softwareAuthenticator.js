@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+
+// Authenticator data flags
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL = 0x40;
+
+const AAGUID = Buffer.from('5f2c1c3e8a0b4d6e9f7a1b2c3d4e5f60', 'hex');
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const encodeClientData = (type, challenge, origin) => isoBase64URL.fromBuffer(Buffer.from(JSON.stringify({
+  type,
+  challenge,
+  origin,
+  crossOrigin: false
+})));
+
+/**
+ * Software passkey authenticator, standing in for a platform authenticator in
+ * tests. Holds one ES256 credential and answers creation and request options
+ * with "none" attestation, the way navigator.credentials serializes them.
+ * @param {object} options
+ * @param {string} options.rpId - Relying party id the credential is bound to
+ * @param {string} options.origin - Origin the ceremonies run on
+ */
+class SoftwareAuthenticator {
+  constructor({ rpId, origin }) {
+    this.rpId = rpId;
+    this.origin = origin;
+    this.credentialId = crypto.randomBytes(16);
+    this.counter = 0;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+  }
+
+  get id() {
+    return isoBase64URL.fromBuffer(this.credentialId);
+  }
+
+  authenticatorData(flags, attestedCredential = Buffer.alloc(0)) {
+    const rpIdHash = crypto.createHash('sha256').update(this.rpId).digest();
+    return Buffer.concat([rpIdHash, Buffer.from([flags]), uint32(this.counter), attestedCredential]);
+  }
+
+  coseKey() {
+    const { x, y } = this.publicKey.export({ format: 'jwk' });
+
+    // kty EC2, alg ES256, crv P-256
+    return Buffer.from(isoCBOR.encode(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, isoBase64URL.toBuffer(x)],
+      [-3, isoBase64URL.toBuffer(y)]
+    ])));
+  }
+
+  /**
+   * Answer options for navigator.credentials.create()
+   * @param {object} options - Creation options from the server
+   * @param {object} [behaviour]
+   * @param {boolean} [behaviour.userVerified=true] - Whether the user passed a PIN or biometric check
+   */
+  create(options, { userVerified = true } = {}) {
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(this.credentialId.length);
+
+    const flags = USER_PRESENT | ATTESTED_CREDENTIAL | (userVerified ? USER_VERIFIED : 0);
+    const authData = this.authenticatorData(flags, Buffer.concat([AAGUID, credentialIdLength, this.credentialId, this.coseKey()]));
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authData]
+    ]));
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: encodeClientData('webauthn.create', options.challenge, this.origin),
+        attestationObject: isoBase64URL.fromBuffer(attestationObject),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Answer options for navigator.credentials.get(), counting the signature
+   * @param {object} options - Request options from the server
+   * @param {object} [behaviour]
+   * @param {boolean} [behaviour.userVerified=true] - Whether the user passed a PIN or biometric check
+   * @param {number} [behaviour.counter] - Signature counter to report instead of the next one
+   */
+  get(options, { userVerified = true, counter } = {}) {
+    this.counter = counter === undefined ? this.counter + 1 : counter;
+
+    const clientDataJSON = encodeClientData('webauthn.get', options.challenge, this.origin);
+    const authenticatorData = this.authenticatorData(USER_PRESENT | (userVerified ? USER_VERIFIED : 0));
+    const clientDataHash = crypto.createHash('sha256').update(isoBase64URL.toBuffer(clientDataJSON)).digest();
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, clientDataHash]), this.privateKey);
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON,
+        authenticatorData: isoBase64URL.fromBuffer(authenticatorData),
+        signature: isoBase64URL.fromBuffer(signature)
+      },
+      clientExtensionResults: {}
+    };
+  }
+}
+
+module.exports = { SoftwareAuthenticator };
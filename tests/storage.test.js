@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('../src/storage/localStorage');
+const S3Storage = require('../src/storage/s3Storage');
+const { startS3Server } = require('./s3Server');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('LocalStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notes-storage-'));
+    storage = new LocalStorage({ root });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('stores, reads ranges of and deletes files', async () => {
+    await storage.put('user/note/file.txt', Buffer.from('hello world'));
+
+    await expect(readAll(await storage.get('user/note/file.txt'))).resolves.toBe('hello world');
+    await expect(readAll(await storage.get('user/note/file.txt', { start: 6, end: 10 }))).resolves.toBe('world');
+
+    await storage.delete('user/note/file.txt');
+    await expect(storage.get('user/note/file.txt')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('ignores deleting a missing file', async () => {
+    await expect(storage.delete('user/note/missing.txt')).resolves.toBeUndefined();
+  });
+
+  it.each([
+    '../outside.txt',
+    'user/../../outside.txt',
+    '/etc/passwd',
+    '.',
+    ''
+  ])('rejects the key %j outside the root', async (key) => {
+    await expect(storage.put(key, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.get(key)).rejects.toThrow('Invalid storage key');
+    await expect(storage.delete(key)).rejects.toThrow('Invalid storage key');
+  });
+
+  it('rejects a sibling directory sharing the root prefix', async () => {
+    await expect(storage.put(`../${path.basename(root)}-other/file.txt`, Buffer.from('x')))
+      .rejects.toThrow('Invalid storage key');
+  });
+
+  it('leaves no partial file when a write fails', async () => {
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('Upload interrupted'));
+      }
+    });
+
+    await expect(storage.put('user/note/partial.txt', failing)).rejects.toThrow('Upload interrupted');
+    await expect(fs.promises.readdir(path.join(root, 'user/note'))).resolves.toEqual([]);
+  });
+});
+
+describe('S3Storage', () => {
+  let s3;
+  let storage;
+
+  beforeAll(async () => {
+    s3 = await startS3Server('attachments');
+    storage = new S3Storage({
+      bucket: 'attachments',
+      region: 'us-east-1',
+      endpoint: s3.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'test',
+      secretAccessKey: 'test-secret'
+    });
+  });
+
+  afterAll(async () => {
+    storage.client.destroy();
+    await s3.close();
+  });
+
+  it('requires a bucket', () => {
+    expect(() => new S3Storage({ region: 'us-east-1' })).toThrow('S3 storage requires a bucket');
+  });
+
+  it('puts and gets an object', async () => {
+    await storage.put('user/note/file.txt', Buffer.from('hello world'), { contentType: 'text/plain' });
+
+    expect(s3.objects.get('user/note/file.txt')).toMatchObject({ contentType: 'text/plain' });
+    await expect(readAll(await storage.get('user/note/file.txt'))).resolves.toBe('hello world');
+  });
+
+  it('puts a stream of a known length', async () => {
+    await storage.put('user/note/stream.txt', Readable.from([Buffer.from('streamed '), Buffer.from('body')]), {
+      contentType: 'text/plain',
+      contentLength: 13
+    });
+
+    expect(s3.objects.get('user/note/stream.txt').body.toString()).toBe('streamed body');
+  });
+
+  it('gets a byte range', async () => {
+    await storage.put('user/note/range.txt', Buffer.from('hello world'));
+
+    await expect(readAll(await storage.get('user/note/range.txt', { start: 6, end: 10 }))).resolves.toBe('world');
+    await expect(readAll(await storage.get('user/note/range.txt', { start: 6 }))).resolves.toBe('world');
+  });
+
+  it('reports a missing object as ENOENT', async () => {
+    await expect(storage.get('user/note/missing.txt')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('deletes objects, ignoring missing ones', async () => {
+    await storage.put('user/note/delete.txt', Buffer.from('x'));
+
+    await storage.delete('user/note/delete.txt');
+    await storage.delete('user/note/delete.txt');
+
+    expect(s3.objects.has('user/note/delete.txt')).toBe(false);
+  });
+});
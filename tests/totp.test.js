@@ -0,0 +1,67 @@
+const totp = require('../src/utils/totp');
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  it('decodes what it encodes', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Encode(totp.base32Decode(secret.toLowerCase()))).toBe(secret);
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111111 * 1000;
+    const step = totp.getTimeStep(time);
+    const codeAt = (offset) => totp.generateCode(RFC_SECRET, step + offset);
+
+    it('returns the time step of a current code', () => {
+      expect(totp.verifyCode(RFC_SECRET, codeAt(0), { time })).toBe(step);
+    });
+
+    it('accepts one step of clock drift each way', () => {
+      expect(totp.verifyCode(RFC_SECRET, codeAt(-1), { time })).toBe(step - 1);
+      expect(totp.verifyCode(RFC_SECRET, codeAt(1), { time })).toBe(step + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      expect(totp.verifyCode(RFC_SECRET, codeAt(-2), { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, codeAt(2), { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, codeAt(-1), { time, window: 0 })).toBeNull();
+    });
+
+    it('ignores spaces and rejects malformed codes', () => {
+      const code = codeAt(0);
+
+      expect(totp.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).toBe(step);
+      expect(totp.verifyCode(RFC_SECRET, code.slice(1), { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  it('encrypts secrets so only the key decrypts them', () => {
+    const encrypted = totp.encryptSecret(RFC_SECRET, 'key');
+
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(totp.decryptSecret(encrypted, 'key')).toBe(RFC_SECRET);
+    expect(() => totp.decryptSecret(encrypted, 'other key')).toThrow();
+  });
+
+  it('builds the provisioning URI authenticator apps read', () => {
+    const uri = totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ada@example.com', issuer: 'Notes App' });
+
+    expect(uri).toBe(`otpauth://totp/Notes%20App%3Aada%40example.com?secret=${RFC_SECRET}&issuer=Notes+App&algorithm=SHA1&digits=6&period=30`);
+  });
+});
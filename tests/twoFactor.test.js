@@ -0,0 +1,210 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const LoginEvent = require('../src/models/LoginEvent');
+const totp = require('../src/utils/totp');
+const { authLimiter } = require('../src/middleware/rateLimiter');
+const { mockQuery, buildUser, authHeader } = require('./helpers');
+
+// Halfway through a time step, so codes don't roll over mid-test
+const NOW = (totp.getTimeStep(1700000000000) * 30 + 15) * 1000;
+const STEP = totp.getTimeStep(NOW);
+
+describe('two-factor authentication', () => {
+  const account = buildUser();
+  // Two-factor settings as stored in the database
+  let stored;
+
+  const load = () => User.hydrate({
+    ...account.toObject(),
+    twoFactor: { ...stored, recoveryCodes: stored.recoveryCodes.map(code => ({ ...code })) }
+  });
+
+  // Apply the atomic updates that consume a code: a filter on lastUsedStep, or a
+  // positional $set on the recovery code matched by $elemMatch
+  const applyUpdate = (filter, update) => {
+    const document = { twoFactor: stored };
+
+    if (filter.$or && !filter.$or.some(({ 'twoFactor.lastUsedStep': condition }) => (
+      condition === null ? stored.lastUsedStep === null : stored.lastUsedStep < condition.$lt
+    ))) {
+      return { modifiedCount: 0 };
+    }
+
+    let position;
+    const elemMatch = filter['twoFactor.recoveryCodes'] && filter['twoFactor.recoveryCodes'].$elemMatch;
+    if (elemMatch) {
+      position = stored.recoveryCodes.findIndex(code => (
+        Object.entries(elemMatch).every(([field, value]) => (code[field] === undefined ? null : code[field]) === value)
+      ));
+      if (position === -1) return { modifiedCount: 0 };
+    }
+
+    Object.entries(update.$set).forEach(([path, value]) => {
+      const keys = path.split('.').map(key => (key === '$' ? position : key));
+      const parent = keys.slice(0, -1).reduce((target, key) => target[key], document);
+      parent[keys[keys.length - 1]] = value;
+    });
+    return { modifiedCount: 1 };
+  };
+
+  beforeEach(() => {
+    stored = { enabled: false, enabledAt: null, lastUsedStep: null, recoveryCodes: [] };
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(account._id.equals(id) ? load() : null));
+    jest.spyOn(User, 'findByEmail').mockImplementation(email => mockQuery(email === account.email ? load() : null));
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => applyUpdate(filter, update));
+    // Like a save, only writes the two-factor settings if they changed
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      if (this.isModified('twoFactor')) {
+        stored = this.toObject().twoFactor;
+      }
+      return this;
+    });
+    jest.spyOn(User.prototype, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(User.prototype, 'registerFailedLogin').mockResolvedValue(null);
+    jest.spyOn(AuditEvent, 'record').mockResolvedValue(null);
+    jest.spyOn(LoginEvent, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    authLimiter.resetKey('::ffff:127.0.0.1');
+  });
+
+  // Enroll through the API, returns the secret and recovery codes
+  const enroll = async () => {
+    const started = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', authHeader(account))
+      .send({ password: 'Secret123' });
+    const { secret } = started.body.data;
+
+    const confirmed = await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', authHeader(account))
+      .send({ code: totp.generateCode(secret, STEP) });
+    expect(confirmed.status).toBe(200);
+
+    return { secret, recoveryCodes: confirmed.body.data.recoveryCodes };
+  };
+
+  const loginWith = async (secondFactor) => {
+    const res = await request(app).post('/api/auth/login').send({ email: account.email, password: 'Secret123' });
+    expect(res.body.data.twoFactorRequired).toBe(true);
+
+    return request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: res.body.data.challengeToken, ...secondFactor });
+  };
+
+  describe('enrollment', () => {
+    it('enables two-factor once a code from the new secret is confirmed', async () => {
+      const { recoveryCodes } = await enroll();
+
+      expect(stored.enabled).toBe(true);
+      expect(stored.secret).toEqual(expect.any(String));
+      expect(stored.pendingSecret).toBeUndefined();
+      expect(stored.lastUsedStep).toBe(STEP);
+      expect(recoveryCodes).toHaveLength(10);
+      expect(stored.recoveryCodes.map(code => code.hash)).not.toContain(recoveryCodes[0]);
+    });
+
+    it('rejects a wrong confirmation code', async () => {
+      const started = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', authHeader(account))
+        .send({ password: 'Secret123' });
+
+      const res = await request(app)
+        .post('/api/auth/2fa/verify')
+        .set('Authorization', authHeader(account))
+        .send({ code: totp.generateCode(started.body.data.secret, STEP + 2) });
+
+      expect(res.status).toBe(400);
+      expect(stored.enabled).toBe(false);
+    });
+  });
+
+  describe('login with a code', () => {
+    it('accepts a code from the next time step and only once', async () => {
+      const { secret } = await enroll();
+      const code = totp.generateCode(secret, STEP + 1);
+
+      const res = await loginWith({ code });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tokens.accessToken).toEqual(expect.any(String));
+      expect(stored.lastUsedStep).toBe(STEP + 1);
+
+      const replay = await loginWith({ code });
+
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toBe('Invalid two-factor code');
+    });
+
+    it('rejects the code already used to confirm enrollment', async () => {
+      const { secret } = await enroll();
+
+      const res = await loginWith({ code: totp.generateCode(secret, STEP) });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects a code from an earlier step than the last one used', async () => {
+      const { secret } = await enroll();
+      expect((await loginWith({ code: totp.generateCode(secret, STEP + 1) })).status).toBe(200);
+
+      // Still inside the drift window, but older than the code just used
+      const res = await loginWith({ code: totp.generateCode(secret, STEP) });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects codes outside the drift window', async () => {
+      const { secret } = await enroll();
+
+      expect((await loginWith({ code: totp.generateCode(secret, STEP + 2) })).status).toBe(401);
+      expect((await loginWith({ code: totp.generateCode(secret, STEP - 2) })).status).toBe(401);
+      expect(stored.lastUsedStep).toBe(STEP);
+    });
+  });
+
+  describe('login with a recovery code', () => {
+    it('marks the recovery code used and refuses it a second time', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const res = await loginWith({ recoveryCode: recoveryCodes[3] });
+
+      expect(res.status).toBe(200);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: account._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: stored.recoveryCodes[3].hash, usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': expect.any(Date) } }
+      );
+      expect(stored.recoveryCodes.filter(code => code.usedAt)).toEqual([stored.recoveryCodes[3]]);
+
+      const replay = await loginWith({ recoveryCode: recoveryCodes[3] });
+
+      expect(replay.status).toBe(401);
+    });
+
+    it('counts the recovery codes left', async () => {
+      const { recoveryCodes } = await enroll();
+      await loginWith({ recoveryCode: recoveryCodes[0] });
+
+      const res = await request(app).get('/api/auth/2fa').set('Authorization', authHeader(account));
+
+      expect(res.body.data).toMatchObject({ enabled: true, recoveryCodesRemaining: 9 });
+    });
+
+    it('ignores case and separators in recovery codes', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const res = await loginWith({ recoveryCode: recoveryCodes[0].replace('-', ' ').toUpperCase() });
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
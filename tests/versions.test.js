@@ -0,0 +1,160 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const Note = require('../src/models/Note');
+const NoteVersion = require('../src/models/NoteVersion');
+const { mockQuery, buildUser, stubUsers, authHeader } = require('./helpers');
+
+describe('note versions', () => {
+  const owner = buildUser();
+  const viewer = buildUser();
+  let note;
+  let snapshots;
+
+  beforeEach(() => {
+    // Hydrated from a complete document, like a note loaded from the database
+    note = Note.hydrate(new Note({
+      title: 'Plan',
+      content: '# Plan\n\nThird draft\n',
+      contentType: 'markdown',
+      author: owner._id,
+      collaborators: [{ user: viewer._id, permission: 'view' }],
+      isDeleted: false,
+      version: 3,
+      editCount: 2,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).toObject());
+    snapshots = [
+      { version: 2, title: 'Plan', content: '<p>Second draft</p>', contentType: 'html', size: 19, modifiedAt: new Date() },
+      { version: 1, title: 'Draft', content: 'First draft\n', contentType: 'text', size: 12, modifiedAt: new Date() }
+    ];
+
+    stubUsers(owner, viewer);
+    jest.spyOn(Note, 'findOne').mockResolvedValue(note);
+    jest.spyOn(NoteVersion, 'findByNote').mockImplementation(() => mockQuery(snapshots));
+    jest.spyOn(NoteVersion, 'findOne').mockImplementation(({ version }) => mockQuery(
+      version === undefined ? snapshots[0] : snapshots.find(snapshot => snapshot.version === version) || null
+    ));
+    jest.spyOn(NoteVersion, 'saveSnapshot').mockResolvedValue({});
+    jest.spyOn(NoteVersion, 'applyRetention').mockResolvedValue(0);
+    // Saves go through the real middleware; only the write itself is stubbed
+    jest.spyOn(Note.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const get = (user, path) => request(app)
+    .get(`/api/notes/${note._id}/versions${path}`)
+    .set('Authorization', authHeader(user));
+
+  const restore = (user, version) => request(app)
+    .post(`/api/notes/${note._id}/versions/${version}/restore`)
+    .set('Authorization', authHeader(user));
+
+  describe('GET /api/notes/:id/versions', () => {
+    it('lists the current version first, then the kept ones', async () => {
+      const res = await get(viewer, '');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.currentVersion).toBe(3);
+      expect(res.body.data.versions).toEqual([
+        expect.objectContaining({ version: 3, title: 'Plan', contentLength: 20, isCurrent: true }),
+        expect.objectContaining({ version: 2, title: 'Plan', contentLength: 19, isCurrent: false }),
+        expect.objectContaining({ version: 1, title: 'Draft', contentLength: 12, isCurrent: false })
+      ]);
+    });
+  });
+
+  describe('GET /api/notes/:id/versions/:version', () => {
+    it('returns a kept version with its content type', async () => {
+      const res = await get(viewer, '/1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.version).toMatchObject({ version: 1, title: 'Draft', content: 'First draft\n', contentType: 'text', isCurrent: false });
+    });
+
+    it('returns the current version', async () => {
+      const res = await get(viewer, '/3');
+
+      expect(res.body.data.version).toMatchObject({ version: 3, contentType: 'markdown', isCurrent: true });
+    });
+
+    it('answers 404 for a version that was not kept', async () => {
+      const res = await get(viewer, '/9');
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Version 9 not found');
+    });
+  });
+
+  describe('GET /api/notes/:id/versions/diff', () => {
+    it('compares the latest kept version with the current one by default', async () => {
+      snapshots[0].content = '# Plan\n\nSecond draft\n';
+
+      const res = await get(viewer, '/diff');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ from: 2, to: 3, title: null });
+      expect(res.body.data.diff.stats).toEqual({ additions: 1, deletions: 1, unchanged: 2 });
+    });
+
+    it('compares two given versions word by word', async () => {
+      const res = await get(viewer, '/diff?from=1&to=2&mode=word');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ from: 1, to: 2, title: { from: 'Draft', to: 'Plan' } });
+    });
+  });
+
+  describe('POST /api/notes/:id/versions/:version/restore', () => {
+    it('restores the title, content and content type as a new version', async () => {
+      const res = await restore(owner, 1);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.restoredFrom).toBe(1);
+      expect(note).toMatchObject({ title: 'Draft', content: 'First draft\n', contentType: 'text', version: 4 });
+      expect(note.excerpt).toBeDefined();
+      expect(NoteVersion.saveSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+        version: 3,
+        content: '# Plan\n\nThird draft\n',
+        contentType: 'markdown'
+      }));
+    });
+
+    it('only saves if the note is still at the version it was loaded at', async () => {
+      await restore(owner, 2);
+
+      expect(Note.collection.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: note._id, version: 3 }),
+        expect.anything(),
+        expect.anything()
+      );
+    });
+
+    it('answers 409 when the note changed while restoring', async () => {
+      Note.collection.updateOne.mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+
+      const res = await restore(owner, 1);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/modified since you loaded it/);
+      expect(NoteVersion.saveSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('refuses to restore the current version', async () => {
+      const res = await restore(owner, 3);
+
+      expect(res.status).toBe(400);
+      expect(Note.collection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('needs edit permission', async () => {
+      const res = await restore(viewer, 1);
+
+      expect(res.status).toBe(403);
+      expect(note.title).toBe('Plan');
+    });
+  });
+});